@@ -12,6 +12,14 @@ import app from './app.js';
 import logger from './src/utils/logger.js';
 import database from './src/config/database.js';
 import socketServer from './src/socket/socketServer.js';
+import driverRegistry from './src/services/drivers/driverRegistry.js';
+import mqttBridge from './src/services/mqttBridge.js';
+import ruleService from './src/services/ruleService.js';
+import schedulerService from './src/services/schedulerService.js';
+import jobQueueService from './src/services/jobQueueService.js';
+import heartbeatService from './src/services/heartbeatService.js';
+import energyService from './src/services/energyService.js';
+import config from './src/config/index.js';
 
 // Get directory path for ES modules
 const __filename = fileURLToPath(import.meta.url);
@@ -60,6 +68,27 @@ async function startServer() {
     // Initialize database
     await initializeDatabase();
 
+    // Connect the MQTT bridge once devices can be persisted
+    if (config.mqtt.enabled) {
+      mqttBridge.start();
+    }
+
+    // Rebuild rule schedules from the database
+    await ruleService.initializeScheduledRules();
+
+    // Resume persistent jobs (device timers), catching up on missed runs
+    jobQueueService.start();
+
+    // Mark devices offline when they stop reporting
+    if (config.heartbeat.enabled) {
+      heartbeatService.start();
+    }
+
+    // Meter devices that draw power between their own reports
+    if (config.energy.enabled) {
+      energyService.start();
+    }
+
     // Start HTTP server
     server.listen(PORT, () => {
       logger.info('Server started successfully', {
@@ -150,6 +179,17 @@ async function gracefulShutdown(signal) {
         socketServer.shutdown();
         logger.info('Socket.IO server closed');
 
+        // Stop scheduled jobs
+        schedulerService.stopAll();
+        jobQueueService.stop();
+        heartbeatService.stop();
+        energyService.stop();
+        logger.info('Scheduler stopped');
+
+        // Close device driver connections
+        await driverRegistry.shutdown();
+        logger.info('Device drivers closed');
+
         // Close database connection
         await mongoose.connection.close();
         logger.info('Database connection closed');
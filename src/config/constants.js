@@ -10,6 +10,25 @@ export const USER_ROLES = {
   GUEST: 'guest',
 };
 
+// Household member roles (the home's owner is implicit)
+export const HOME_ROLES = {
+  OWNER: 'owner',
+  ADMIN: 'admin',
+  MEMBER: 'member',
+  GUEST: 'guest',
+};
+
+// Actions checked against a user's access to a device, group, mode or rule
+export const ACCESS_ACTIONS = {
+  VIEW: 'view',
+  CONTROL: 'control', // control devices and groups, activate modes, execute rules
+  CONFIGURE: 'configure', // create, update and delete
+  SHARE: 'share', // share a device with other users
+  INVITE: 'invite', // add and remove group members
+  ADD_DEVICES: 'add_devices',
+  REMOVE_DEVICES: 'remove_devices',
+};
+
 // Device Types
 export const DEVICE_TYPES = {
   AIR_CONDITIONER: 'air_conditioner',
@@ -34,12 +53,47 @@ export const DEVICE_STATUS = {
   ERROR: 'error',
 };
 
+// Default heartbeat grace periods (ms) for device types that report less often
+// than the global grace period, e.g. battery-powered sensors
+export const HEARTBEAT_GRACE_PERIODS = {
+  motion_sensor: 30 * 60 * 1000,
+  temperature_sensor: 30 * 60 * 1000,
+  humidity_sensor: 30 * 60 * 1000,
+  smoke_detector: 60 * 60 * 1000,
+};
+
+// Numeric device properties rolled up into 1m/1h/1d history buckets
+export const DEVICE_HISTORY_METRICS = [
+  'settings.brightness',
+  'settings.temperature.current',
+  'settings.temperature.target',
+  'settings.speed',
+  'sensors.temperature',
+  'sensors.humidity',
+  'energy.currentUsage',
+];
+
+// History rollup intervals (ms)
+export const DEVICE_HISTORY_INTERVALS = {
+  '1m': 60 * 1000,
+  '1h': 60 * 60 * 1000,
+  '1d': 24 * 60 * 60 * 1000,
+};
+
 // Device Power States
 export const POWER_STATES = {
   ON: 'on',
   OFF: 'off',
 };
 
+// Device Communication Protocols
+export const DEVICE_PROTOCOLS = {
+  SIMULATED: 'simulated',
+  HTTP: 'http',
+  MQTT: 'mqtt',
+  TCP: 'tcp',
+};
+
 // Group Types (Rooms)
 export const GROUP_TYPES = {
   LIVING_ROOM: 'living_room',
@@ -85,6 +139,7 @@ export const RULE_ACTIONS = {
   SET_MODE: 'set_mode',
   SEND_NOTIFICATION: 'send_notification',
   TRIGGER_ALARM: 'trigger_alarm',
+  WEBHOOK: 'webhook',
 };
 
 // Rule Conditions
@@ -100,6 +155,8 @@ export const RULE_CONDITIONS = {
   NO_MOTION: 'no_motion',
   USER_AWAY: 'user_away',
   USER_HOME: 'user_home',
+  TARIFF_PERIOD: 'tariff_period',
+  GROUP: 'group', // nested AND/OR group of conditions
 };
 
 // API Error Codes
@@ -212,6 +269,13 @@ export const ENERGY_UNITS = {
   AMPS: 'A',
 };
 
+// Electricity Tariff Types
+export const TARIFF_TYPES = {
+  FLAT: 'flat',
+  TIME_OF_USE: 'time_of_use',
+  TIERED: 'tiered', // rate depends on consumption so far this month
+};
+
 // Temperature Units
 export const TEMPERATURE_UNITS = {
   CELSIUS: 'C',
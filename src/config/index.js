@@ -96,6 +96,94 @@ const config = {
     url: process.env.FRONTEND_URL || 'http://localhost:5173',
   },
   
+  // Device Communication Configuration
+  devices: {
+    defaultProtocol: process.env.DEVICE_DEFAULT_PROTOCOL || 'simulated',
+    driverBindings: process.env.DEVICE_DRIVER_BINDINGS || '', // e.g. "acme=http,door_lock=tcp"
+    httpCommandPath: process.env.DEVICE_HTTP_COMMAND_PATH || '/api/command',
+    simulatedLatency: parseInt(process.env.DEVICE_SIMULATED_LATENCY, 10) || 100,
+  },
+  
+  // MQTT Broker Configuration
+  mqtt: {
+    enabled: process.env.MQTT_ENABLED === 'true',
+    url: process.env.MQTT_URL || 'mqtt://localhost:1883',
+    username: process.env.MQTT_USERNAME,
+    password: process.env.MQTT_PASSWORD,
+    topicPrefix: process.env.MQTT_TOPIC_PREFIX || 'smarthome',
+  },
+  
+  // Background Job Queue Configuration
+  jobs: {
+    pollInterval: parseInt(process.env.JOB_POLL_INTERVAL_MS, 10) || 5000,
+    // How to treat runs missed while the server was down: "run" executes them late, "skip" drops them
+    catchUpPolicy: process.env.JOB_CATCH_UP_POLICY || 'run',
+    // Missed runs older than this are always skipped
+    catchUpWindow: parseInt(process.env.JOB_CATCH_UP_WINDOW_MS, 10) || 60 * 60 * 1000, // 1 hour
+    // A run later than this is considered missed
+    missedThreshold: parseInt(process.env.JOB_MISSED_THRESHOLD_MS, 10) || 60 * 1000, // 1 minute
+    lockTimeout: parseInt(process.env.JOB_LOCK_TIMEOUT_MS, 10) || 5 * 60 * 1000, // 5 minutes
+    retryDelay: parseInt(process.env.JOB_RETRY_DELAY_MS, 10) || 30 * 1000, // 30 seconds
+  },
+  
+  // Notification Delivery Configuration
+  notifications: {
+    // Total attempts per channel, including the first; retries back off from jobs.retryDelay
+    maxDeliveryAttempts: parseInt(process.env.NOTIFICATION_MAX_DELIVERY_ATTEMPTS, 10) || 5,
+  },
+  
+  // Outbound Webhook Configuration
+  webhooks: {
+    // Fallback HMAC key for webhook actions that do not set their own secret
+    signingSecret: process.env.WEBHOOK_SIGNING_SECRET || '',
+    timeout: parseInt(process.env.WEBHOOK_TIMEOUT_MS, 10) || 5000,
+    retryDelay: parseInt(process.env.WEBHOOK_RETRY_DELAY_MS, 10) || 1000,
+    maxResponseSize: 2048, // bytes of response body kept in the delivery log
+    maxRedirects: 5,
+    // Let webhooks reach loopback and private addresses (local development only)
+    allowPrivateNetworks: process.env.WEBHOOK_ALLOW_PRIVATE_NETWORKS === 'true',
+  },
+  
+  // Inbound Webhook Trigger Configuration
+  hooks: {
+    // Public base URL used to build /api/v1/hooks/:token links
+    baseUrl: process.env.HOOKS_BASE_URL || `http://localhost:${parseInt(process.env.PORT, 10) || 3001}`,
+    // Default per-hook limit when a trigger sets none
+    rateLimit: parseInt(process.env.HOOKS_RATE_LIMIT_PER_MINUTE, 10) || 30,
+  },
+  
+  // Device State History Configuration
+  history: {
+    enabled: process.env.HISTORY_ENABLED !== 'false',
+    // Raw samples live in a time-series collection; changing this later needs a collMod
+    rawRetentionDays: parseInt(process.env.HISTORY_RAW_RETENTION_DAYS, 10) || 7,
+    rollupRetentionDays: {
+      '1m': parseInt(process.env.HISTORY_1M_RETENTION_DAYS, 10) || 30,
+      '1h': parseInt(process.env.HISTORY_1H_RETENTION_DAYS, 10) || 365,
+      '1d': parseInt(process.env.HISTORY_1D_RETENTION_DAYS, 10) || 5 * 365,
+    },
+    maxPoints: 5000, // upper bound on points returned by one query
+  },
+  
+  // Energy Metering Configuration
+  energy: {
+    enabled: process.env.ENERGY_METERING_ENABLED !== 'false',
+    // How often devices drawing power are metered between their own reports
+    meterInterval: parseInt(process.env.ENERGY_METER_INTERVAL_MS, 10) || 5 * 60 * 1000, // 5 minutes
+    // Longer gaps between samples are not integrated (server down, device silent)
+    maxSampleGap: parseInt(process.env.ENERGY_MAX_SAMPLE_GAP_MS, 10) || 30 * 60 * 1000, // 30 minutes
+  },
+  
+  // Device Heartbeat Monitor Configuration
+  heartbeat: {
+    enabled: process.env.HEARTBEAT_ENABLED !== 'false',
+    checkInterval: parseInt(process.env.HEARTBEAT_CHECK_INTERVAL_MS, 10) || 60 * 1000, // 1 minute
+    // Silence after which a device is marked offline, unless overridden for its type
+    gracePeriod: parseInt(process.env.HEARTBEAT_GRACE_PERIOD_MS, 10) || 5 * 60 * 1000, // 5 minutes
+    // Per-type overrides, e.g. "motion_sensor=1800000,door_lock=120000"
+    gracePeriods: process.env.HEARTBEAT_GRACE_PERIODS || '',
+  },
+  
   // Health Check Configuration
   health: {
     timeout: parseInt(process.env.HEALTH_CHECK_TIMEOUT, 10) || 5000,
@@ -1,4 +1,4 @@
-import { userService } from '../services/index.js';
+import { userService, automationService } from '../services/index.js';
 import { userValidator } from '../validators/index.js';
 import { AppError } from '../utils/errors.js';
 import logger from '../utils/logger.js';
@@ -478,6 +478,92 @@ class AuthController {
     }
   }
 
+  /**
+   * Report the user's presence (home, away, sleeping)
+   * @route PUT /api/v1/auth/presence
+   */
+  async updatePresence(req, res, next) {
+    try {
+      // Validate request
+      const validationError = validateRequest(userValidator.validatePresenceUpdate, req.body);
+      if (validationError) {
+        throw new AppError(validationError.message, 400);
+      }
+
+      const userId = req.user.id;
+      const { status, location = null } = req.body;
+
+      await automationService.handleUserPresenceChange(userId, status, location);
+
+      res.json({
+        success: true,
+        message: 'Presence updated successfully',
+        data: {
+          presence: { status, location },
+        },
+      });
+    } catch (error) {
+      logger.error('Presence update failed', {
+        error: error.message,
+        userId: req.user?.id,
+      });
+      next(error);
+    }
+  }
+
+  /**
+   * Get the user's electricity tariff
+   * @route GET /api/v1/auth/tariff
+   */
+  async getTariff(req, res, next) {
+    try {
+      const userId = req.user.id;
+
+      const tariff = await userService.getTariff(userId);
+
+      res.json({
+        success: true,
+        data: tariff,
+      });
+    } catch (error) {
+      logger.error('Get tariff failed', {
+        error: error.message,
+        userId: req.user?.id,
+      });
+      next(error);
+    }
+  }
+
+  /**
+   * Replace the user's electricity tariff
+   * @route PUT /api/v1/auth/tariff
+   */
+  async updateTariff(req, res, next) {
+    try {
+      // Validate request; the validated value carries Joi's defaults and conversions
+      const { error: validationError, value: tariffData } = userValidator.validateTariffUpdate.validate(req.body);
+      if (validationError) {
+        throw new AppError(validationError.message, 400);
+      }
+
+      const userId = req.user.id;
+
+      const tariff = await userService.updateTariff(userId, tariffData);
+
+      res.json({
+        success: true,
+        message: 'Tariff updated successfully',
+        data: tariff,
+      });
+    } catch (error) {
+      logger.error('Tariff update failed', {
+        error: error.message,
+        userId: req.user?.id,
+      });
+      next(error);
+    }
+  }
+
   /**
    * Update user profile
    * @route PUT /api/v1/auth/profile
@@ -0,0 +1,80 @@
+import { backupService } from '../services/index.js';
+import { backupValidator } from '../validators/index.js';
+import { AppError } from '../utils/errors.js';
+import logger from '../utils/logger.js';
+import { validateRequest } from '../helpers/helpers.js';
+
+/**
+ * Backup Controller
+ * Handles whole-home configuration backups and restores
+ */
+class BackupController {
+  /**
+   * Create a backup of the user's configuration
+   * @route POST /api/v1/backup
+   */
+  async createBackup(req, res, next) {
+    try {
+      const userId = req.user.id;
+
+      // Validate request
+      const validationError = validateRequest(backupValidator.createBackup, req.body);
+      if (validationError) {
+        throw new AppError(validationError.message, 400);
+      }
+
+      const backup = await backupService.createBackup(userId, { passphrase: req.body.passphrase });
+
+      // Set appropriate headers for file download
+      const date = backup.createdAt.toISOString().slice(0, 10);
+      res.setHeader('Content-Type', 'application/json');
+      res.setHeader('Content-Disposition', `attachment; filename=smarthome_backup_${date}.json`);
+
+      res.json({
+        success: true,
+        message: 'Backup created',
+        data: backup,
+      });
+    } catch (error) {
+      logger.error('Create backup failed', {
+        error: error.message,
+        userId: req.user?.id,
+      });
+      next(error);
+    }
+  }
+
+  /**
+   * Restore a backup over the user's configuration
+   * @route POST /api/v1/restore
+   */
+  async restoreBackup(req, res, next) {
+    try {
+      const userId = req.user.id;
+
+      // Validate request
+      const validationError = validateRequest(backupValidator.restoreBackup, req.body);
+      if (validationError) {
+        throw new AppError(validationError.message, 400);
+      }
+
+      const { backup, passphrase, dryRun = false } = req.body;
+
+      const result = await backupService.restoreBackup(backup, userId, { passphrase, dryRun });
+
+      res.json({
+        success: true,
+        message: dryRun ? 'Restore checked, nothing was changed' : 'Backup restored',
+        data: result,
+      });
+    } catch (error) {
+      logger.error('Restore backup failed', {
+        error: error.message,
+        userId: req.user?.id,
+      });
+      next(error);
+    }
+  }
+}
+
+export default new BackupController();
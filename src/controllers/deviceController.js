@@ -343,22 +343,34 @@ class DeviceController {
    */
   async getDeviceHistory(req, res, next) {
     try {
+      // Validate request
+      const validationError = validateRequest(deviceValidator.validateDeviceHistoryQuery, req.query);
+      if (validationError) {
+        throw new AppError(validationError.message, 400);
+      }
+
       const { deviceId } = req.params;
       const userId = req.user.id;
       const {
         page = 1,
-        limit = 50,
+        limit = 500,
         type = '',
-        startDate = '',
-        endDate = '',
+        from = req.query.startDate,
+        to = req.query.endDate,
+        property,
+        aggregation = 'raw',
+        interval = 'auto',
       } = req.query;
 
       const options = {
         page: parseInt(page),
         limit: parseInt(limit),
-        type,
-        startDate: startDate ? new Date(startDate) : undefined,
-        endDate: endDate ? new Date(endDate) : undefined,
+        kind: type || undefined,
+        from: from ? new Date(from) : undefined,
+        to: to ? new Date(to) : undefined,
+        property,
+        aggregation,
+        interval,
       };
 
       const history = await deviceService.getDeviceHistory(deviceId, userId, options);
@@ -475,6 +487,64 @@ class DeviceController {
     }
   }
 
+  /**
+   * Share device with another user
+   * @route POST /api/v1/devices/:deviceId/share
+   */
+  async shareDevice(req, res, next) {
+    try {
+      const { deviceId } = req.params;
+      const userId = req.user.id;
+
+      // Validate request
+      const validationError = validateRequest(deviceValidator.shareDevice, req.body);
+      if (validationError) {
+        throw new AppError(validationError.message, 400);
+      }
+
+      const sharedWith = await deviceService.shareDevice(deviceId, req.body, userId);
+
+      res.json({
+        success: true,
+        message: 'Device shared successfully',
+        data: { sharedWith },
+      });
+    } catch (error) {
+      logger.error('Share device failed', {
+        error: error.message,
+        userId: req.user?.id,
+        deviceId: req.params.deviceId,
+      });
+      next(error);
+    }
+  }
+
+  /**
+   * Stop sharing device with a user
+   * @route DELETE /api/v1/devices/:deviceId/share/:userId
+   */
+  async unshareDevice(req, res, next) {
+    try {
+      const { deviceId, userId: sharedUserId } = req.params;
+      const userId = req.user.id;
+
+      const sharedWith = await deviceService.unshareDevice(deviceId, sharedUserId, userId);
+
+      res.json({
+        success: true,
+        message: 'Device share removed',
+        data: { sharedWith },
+      });
+    } catch (error) {
+      logger.error('Unshare device failed', {
+        error: error.message,
+        userId: req.user?.id,
+        deviceId: req.params.deviceId,
+      });
+      next(error);
+    }
+  }
+
   /**
    * Bulk control devices
    * @route POST /api/v1/devices/bulk-control
@@ -489,9 +559,9 @@ class DeviceController {
         throw new AppError(validationError.message, 400);
       }
 
-      const { deviceIds, action, parameters = {} } = req.body;
+      const { deviceIds, action, settings = {} } = req.body;
 
-      const results = await deviceService.bulkControlDevices(deviceIds, action, parameters, userId);
+      const results = await deviceService.bulkDeviceAction(deviceIds, action, settings, userId);
 
       // Track bulk control
       await analyticsService.trackEvent(userId, {
@@ -502,7 +572,7 @@ class DeviceController {
         metadata: {
           action,
           deviceCount: deviceIds.length,
-          successful: results.successful.length,
+          successful: results.success.length,
           failed: results.failed.length,
         },
       });
@@ -511,7 +581,7 @@ class DeviceController {
         userId,
         action,
         deviceCount: deviceIds.length,
-        successful: results.successful.length,
+        successful: results.success.length,
         failed: results.failed.length,
       });
 
@@ -690,6 +760,12 @@ class DeviceController {
    */
   async getDeviceEnergyUsage(req, res, next) {
     try {
+      // Validate request
+      const validationError = validateRequest(deviceValidator.validateEnergyQuery, req.query);
+      if (validationError) {
+        throw new AppError(validationError.message, 400);
+      }
+
       const { deviceId } = req.params;
       const userId = req.user.id;
       const {
@@ -719,6 +795,46 @@ class DeviceController {
       next(error);
     }
   }
+
+  /**
+   * Get energy usage of all devices
+   * @route GET /api/v1/devices/energy
+   */
+  async getHomeEnergyUsage(req, res, next) {
+    try {
+      // Validate request
+      const validationError = validateRequest(deviceValidator.validateEnergyQuery, req.query);
+      if (validationError) {
+        throw new AppError(validationError.message, 400);
+      }
+
+      const userId = req.user.id;
+      const {
+        period = 'day',
+        startDate = '',
+        endDate = '',
+      } = req.query;
+
+      const options = {
+        period,
+        startDate: startDate ? new Date(startDate) : undefined,
+        endDate: endDate ? new Date(endDate) : undefined,
+      };
+
+      const energyData = await deviceService.getHomeEnergyUsage(userId, options);
+
+      res.json({
+        success: true,
+        data: energyData,
+      });
+    } catch (error) {
+      logger.error('Get home energy usage failed', {
+        error: error.message,
+        userId: req.user?.id,
+      });
+      next(error);
+    }
+  }
 }
 
 export default new DeviceController();
@@ -1,5 +1,5 @@
 import { groupService, analyticsService } from '../services/index.js';
-import { groupValidator } from '../validators/index.js';
+import { groupValidator, deviceValidator } from '../validators/index.js';
 import { AppError } from '../utils/errors.js';
 import logger from '../utils/logger.js';
 import { validateRequest } from '../helpers/helpers.js';
@@ -317,11 +317,10 @@ class GroupController {
         throw new AppError(validationError.message, 400);
       }
 
-      const { action, parameters = {}, sequencing = 'parallel' } = req.body;
+      const { action, target = 'all', sequence } = req.body;
+      const sequencing = sequence?.enabled ? 'sequential' : 'parallel';
 
-      const result = await groupService.controlGroup(groupId, action, parameters, userId, {
-        sequencing,
-      });
+      const result = await groupService.controlGroup(groupId, req.body, userId);
 
       // Track group control
       await analyticsService.trackEvent(userId, {
@@ -331,9 +330,10 @@ class GroupController {
         label: groupId,
         metadata: {
           action,
+          target,
           sequencing,
-          deviceCount: result.results.length,
-          successful: result.successful.length,
+          deviceCount: result.totalDevices,
+          successful: result.success.length,
           failed: result.failed.length,
         },
       });
@@ -343,7 +343,7 @@ class GroupController {
         groupId,
         action,
         sequencing,
-        successful: result.successful.length,
+        successful: result.success.length,
         failed: result.failed.length,
       });
 
@@ -405,12 +405,12 @@ class GroupController {
 
       const sceneData = req.body;
 
-      const scene = await groupService.createScene(groupId, sceneData, userId);
+      const scene = await groupService.createGroupScene(groupId, sceneData, userId);
 
       logger.info('Scene created', {
         userId,
         groupId,
-        sceneId: scene.id,
+        sceneId: scene._id,
         sceneName: scene.name,
       });
 
@@ -629,6 +629,12 @@ class GroupController {
    */
   async getGroupEnergyUsage(req, res, next) {
     try {
+      // Validate request
+      const validationError = validateRequest(deviceValidator.validateEnergyQuery, req.query);
+      if (validationError) {
+        throw new AppError(validationError.message, 400);
+      }
+
       const { groupId } = req.params;
       const userId = req.user.id;
       const {
@@ -658,6 +664,64 @@ class GroupController {
       next(error);
     }
   }
+
+  /**
+   * Add a member to group
+   * @route POST /api/v1/groups/:groupId/members
+   */
+  async addGroupMember(req, res, next) {
+    try {
+      const { groupId } = req.params;
+      const userId = req.user.id;
+
+      // Validate request
+      const validationError = validateRequest(groupValidator.addGroupMember, req.body);
+      if (validationError) {
+        throw new AppError(validationError.message, 400);
+      }
+
+      const members = await groupService.addGroupMember(groupId, req.body, userId);
+
+      res.json({
+        success: true,
+        message: 'Member added to group',
+        data: { members },
+      });
+    } catch (error) {
+      logger.error('Add group member failed', {
+        error: error.message,
+        userId: req.user?.id,
+        groupId: req.params.groupId,
+      });
+      next(error);
+    }
+  }
+
+  /**
+   * Remove a member from group, or leave it when userId is the user
+   * @route DELETE /api/v1/groups/:groupId/members/:userId
+   */
+  async removeGroupMember(req, res, next) {
+    try {
+      const { groupId, userId: memberId } = req.params;
+      const userId = req.user.id;
+
+      const members = await groupService.removeGroupMember(groupId, memberId, userId);
+
+      res.json({
+        success: true,
+        message: 'Member removed from group',
+        data: { members },
+      });
+    } catch (error) {
+      logger.error('Remove group member failed', {
+        error: error.message,
+        userId: req.user?.id,
+        groupId: req.params.groupId,
+      });
+      next(error);
+    }
+  }
 }
 
 export default new GroupController();
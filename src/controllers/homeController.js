@@ -0,0 +1,383 @@
+import { homeService } from '../services/index.js';
+import { homeValidator } from '../validators/index.js';
+import { AppError } from '../utils/errors.js';
+import logger from '../utils/logger.js';
+import { validateRequest } from '../helpers/helpers.js';
+
+/**
+ * Home Controller
+ * Handles households, their members and invites
+ */
+class HomeController {
+  /**
+   * Get the user's homes
+   * @route GET /api/v1/homes
+   */
+  async getHomes(req, res, next) {
+    try {
+      const userId = req.user.id;
+
+      const homes = await homeService.getUserHomes(userId);
+
+      res.json({
+        success: true,
+        data: { homes },
+      });
+    } catch (error) {
+      logger.error('Get homes failed', {
+        error: error.message,
+        userId: req.user?.id,
+      });
+      next(error);
+    }
+  }
+
+  /**
+   * Create the user's home
+   * @route POST /api/v1/homes
+   */
+  async createHome(req, res, next) {
+    try {
+      const userId = req.user.id;
+
+      // Validate request
+      const validationError = validateRequest(homeValidator.createHome, req.body);
+      if (validationError) {
+        throw new AppError(validationError.message, 400);
+      }
+
+      const home = await homeService.createHome(req.body, userId);
+
+      res.status(201).json({
+        success: true,
+        message: 'Home created successfully',
+        data: { home },
+      });
+    } catch (error) {
+      logger.error('Create home failed', {
+        error: error.message,
+        userId: req.user?.id,
+      });
+      next(error);
+    }
+  }
+
+  /**
+   * Get home by ID
+   * @route GET /api/v1/homes/:homeId
+   */
+  async getHome(req, res, next) {
+    try {
+      const { homeId } = req.params;
+      const userId = req.user.id;
+
+      const home = await homeService.getHomeById(homeId, userId);
+
+      res.json({
+        success: true,
+        data: { home },
+      });
+    } catch (error) {
+      logger.error('Get home failed', {
+        error: error.message,
+        userId: req.user?.id,
+        homeId: req.params.homeId,
+      });
+      next(error);
+    }
+  }
+
+  /**
+   * Update home
+   * @route PUT /api/v1/homes/:homeId
+   */
+  async updateHome(req, res, next) {
+    try {
+      const { homeId } = req.params;
+      const userId = req.user.id;
+
+      // Validate request
+      const validationError = validateRequest(homeValidator.updateHome, req.body);
+      if (validationError) {
+        throw new AppError(validationError.message, 400);
+      }
+
+      const home = await homeService.updateHome(homeId, req.body, userId);
+
+      res.json({
+        success: true,
+        message: 'Home updated successfully',
+        data: { home },
+      });
+    } catch (error) {
+      logger.error('Update home failed', {
+        error: error.message,
+        userId: req.user?.id,
+        homeId: req.params.homeId,
+      });
+      next(error);
+    }
+  }
+
+  /**
+   * Delete home
+   * @route DELETE /api/v1/homes/:homeId
+   */
+  async deleteHome(req, res, next) {
+    try {
+      const { homeId } = req.params;
+      const userId = req.user.id;
+
+      const result = await homeService.deleteHome(homeId, userId);
+
+      res.json({
+        success: true,
+        message: result.message,
+      });
+    } catch (error) {
+      logger.error('Delete home failed', {
+        error: error.message,
+        userId: req.user?.id,
+        homeId: req.params.homeId,
+      });
+      next(error);
+    }
+  }
+
+  /**
+   * Invite someone to a home by email
+   * @route POST /api/v1/homes/:homeId/invites
+   */
+  async inviteMember(req, res, next) {
+    try {
+      const { homeId } = req.params;
+      const userId = req.user.id;
+
+      // Validate request
+      const validationError = validateRequest(homeValidator.inviteMember, req.body);
+      if (validationError) {
+        throw new AppError(validationError.message, 400);
+      }
+
+      const invite = await homeService.inviteMember(homeId, req.body, userId);
+
+      res.status(201).json({
+        success: true,
+        message: 'Invite sent',
+        data: { invite },
+      });
+    } catch (error) {
+      logger.error('Invite home member failed', {
+        error: error.message,
+        userId: req.user?.id,
+        homeId: req.params.homeId,
+      });
+      next(error);
+    }
+  }
+
+  /**
+   * Revoke a pending invite
+   * @route DELETE /api/v1/homes/:homeId/invites/:inviteId
+   */
+  async revokeInvite(req, res, next) {
+    try {
+      const { homeId, inviteId } = req.params;
+      const userId = req.user.id;
+
+      const invite = await homeService.revokeInvite(homeId, inviteId, userId);
+
+      res.json({
+        success: true,
+        message: 'Invite revoked',
+        data: { invite },
+      });
+    } catch (error) {
+      logger.error('Revoke home invite failed', {
+        error: error.message,
+        userId: req.user?.id,
+        homeId: req.params.homeId,
+        inviteId: req.params.inviteId,
+      });
+      next(error);
+    }
+  }
+
+  /**
+   * Get the invites addressed to the user
+   * @route GET /api/v1/homes/invites
+   */
+  async getMyInvites(req, res, next) {
+    try {
+      const userId = req.user.id;
+
+      const invites = await homeService.getUserInvites(userId);
+
+      res.json({
+        success: true,
+        data: { invites },
+      });
+    } catch (error) {
+      logger.error('Get home invites failed', {
+        error: error.message,
+        userId: req.user?.id,
+      });
+      next(error);
+    }
+  }
+
+  /**
+   * Accept an invite and join the home
+   * @route POST /api/v1/homes/invites/:inviteId/accept
+   */
+  async acceptInvite(req, res, next) {
+    try {
+      const { inviteId } = req.params;
+      const userId = req.user.id;
+
+      // Validate request
+      const validationError = validateRequest(homeValidator.respondToInvite, req.body);
+      if (validationError) {
+        throw new AppError(validationError.message, 400);
+      }
+
+      const home = await homeService.respondToInvite(inviteId, userId, true, req.body.token);
+
+      res.json({
+        success: true,
+        message: `You joined ${home.name}`,
+        data: { home },
+      });
+    } catch (error) {
+      logger.error('Accept home invite failed', {
+        error: error.message,
+        userId: req.user?.id,
+        inviteId: req.params.inviteId,
+      });
+      next(error);
+    }
+  }
+
+  /**
+   * Decline an invite
+   * @route POST /api/v1/homes/invites/:inviteId/decline
+   */
+  async declineInvite(req, res, next) {
+    try {
+      const { inviteId } = req.params;
+      const userId = req.user.id;
+
+      // Validate request
+      const validationError = validateRequest(homeValidator.respondToInvite, req.body);
+      if (validationError) {
+        throw new AppError(validationError.message, 400);
+      }
+
+      const invite = await homeService.respondToInvite(inviteId, userId, false, req.body.token);
+
+      res.json({
+        success: true,
+        message: 'Invite declined',
+        data: { invite },
+      });
+    } catch (error) {
+      logger.error('Decline home invite failed', {
+        error: error.message,
+        userId: req.user?.id,
+        inviteId: req.params.inviteId,
+      });
+      next(error);
+    }
+  }
+
+  /**
+   * Change a member's role
+   * @route PUT /api/v1/homes/:homeId/members/:memberId
+   */
+  async updateMemberRole(req, res, next) {
+    try {
+      const { homeId, memberId } = req.params;
+      const userId = req.user.id;
+
+      // Validate request
+      const validationError = validateRequest(homeValidator.updateMemberRole, req.body);
+      if (validationError) {
+        throw new AppError(validationError.message, 400);
+      }
+
+      const member = await homeService.updateMemberRole(homeId, memberId, req.body.role, userId);
+
+      res.json({
+        success: true,
+        message: 'Member role updated',
+        data: { member },
+      });
+    } catch (error) {
+      logger.error('Update home member role failed', {
+        error: error.message,
+        userId: req.user?.id,
+        homeId: req.params.homeId,
+        memberId: req.params.memberId,
+      });
+      next(error);
+    }
+  }
+
+  /**
+   * Remove a member, or leave the home when memberId is the user
+   * @route DELETE /api/v1/homes/:homeId/members/:memberId
+   */
+  async removeMember(req, res, next) {
+    try {
+      const { homeId, memberId } = req.params;
+      const userId = req.user.id;
+
+      const result = await homeService.removeMember(homeId, memberId, userId);
+
+      res.json({
+        success: true,
+        message: result.message,
+      });
+    } catch (error) {
+      logger.error('Remove home member failed', {
+        error: error.message,
+        userId: req.user?.id,
+        homeId: req.params.homeId,
+        memberId: req.params.memberId,
+      });
+      next(error);
+    }
+  }
+
+  /**
+   * Choose the home new items are created in
+   * @route PUT /api/v1/homes/active
+   */
+  async setActiveHome(req, res, next) {
+    try {
+      const userId = req.user.id;
+
+      // Validate request
+      const validationError = validateRequest(homeValidator.setActiveHome, req.body);
+      if (validationError) {
+        throw new AppError(validationError.message, 400);
+      }
+
+      const result = await homeService.setActiveHome(req.body.homeId, userId);
+
+      res.json({
+        success: true,
+        message: 'Active home updated',
+        data: result,
+      });
+    } catch (error) {
+      logger.error('Set active home failed', {
+        error: error.message,
+        userId: req.user?.id,
+      });
+      next(error);
+    }
+  }
+}
+
+export default new HomeController();
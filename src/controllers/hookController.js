@@ -0,0 +1,68 @@
+import { ruleService } from '../services/index.js';
+import { AppError } from '../utils/errors.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Hook Controller
+ * Handles inbound webhook calls that trigger rules. These endpoints are
+ * public: the token in the URL is the only credential.
+ */
+class HookController {
+  /**
+   * Resolve the hook token and check the request method
+   * Sets req.hook = { rule, trigger } for the per-hook rate limiter
+   */
+  async resolveHook(req, res, next) {
+    try {
+      const { rule, trigger } = await ruleService.findWebhookTrigger(req.params.token);
+
+      const allowedMethod = trigger.webhook?.method || 'POST';
+      if (req.method !== allowedMethod) {
+        res.set('Allow', allowedMethod);
+        throw new AppError(`Method ${req.method} not allowed for this webhook`, 405);
+      }
+
+      req.hook = { rule, trigger };
+      next();
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Receive an inbound webhook and execute its rule
+   * @route ALL /api/v1/hooks/:token
+   */
+  async receiveHook(req, res, next) {
+    try {
+      const { rule, trigger } = req.hook;
+
+      const result = await ruleService.handleWebhookTrigger(rule, trigger, {
+        body: req.body,
+        query: req.query,
+        method: req.method,
+        ip: req.ip,
+      });
+
+      res.status(202).json({
+        success: true,
+        message: result.executed ? 'Rule executed' : `Rule not executed: ${result.reason}`,
+        data: {
+          executed: result.executed,
+          executionTime: result.executionTime,
+          successful: result.executionResults?.success.length,
+          failed: result.executionResults?.failed.length,
+        },
+      });
+    } catch (error) {
+      logger.error('Receive webhook failed', {
+        error: error.message,
+        ruleId: req.hook?.rule._id,
+        triggerId: req.hook?.trigger._id,
+      });
+      next(error);
+    }
+  }
+}
+
+export default new HookController();
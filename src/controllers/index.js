@@ -13,6 +13,10 @@ export { default as deviceController } from './deviceController.js';
 export { default as groupController } from './groupController.js';
 export { default as modeController } from './modeController.js';
 export { default as ruleController } from './ruleController.js';
+export { default as homeController } from './homeController.js';
+export { default as notificationController } from './notificationController.js';
+export { default as hookController } from './hookController.js';
+export { default as backupController } from './backupController.js';
 
 /**
  * Controller health check
@@ -25,7 +29,11 @@ export const checkControllersHealth = () => {
     'deviceController',
     'groupController',
     'modeController',
-    'ruleController'
+    'ruleController',
+    'homeController',
+    'notificationController',
+    'hookController',
+    'backupController'
   ];
 
   const healthStatus = {
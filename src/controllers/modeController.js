@@ -235,9 +235,21 @@ class ModeController {
     try {
       const { modeId } = req.params;
       const userId = req.user.id;
-      const { parameters = {} } = req.body;
 
-      const result = await modeService.activateMode(modeId, userId, parameters);
+      // Validate request
+      const validationError = validateRequest(modeValidator.validateModeActivation, req.body);
+      if (validationError) {
+        throw new AppError(validationError.message, 400);
+      }
+
+      const { force, duration, overrides } = req.body;
+
+      const result = await modeService.activateMode(modeId, {
+        force,
+        duration,
+        overrides,
+        triggeredBy: { type: 'user', id: userId },
+      }, userId);
 
       // Track mode activation
       await analyticsService.trackAutomationExecution(userId, {
@@ -282,7 +294,16 @@ class ModeController {
       const { modeId } = req.params;
       const userId = req.user.id;
 
-      const result = await modeService.deactivateMode(modeId, userId);
+      // Validate request
+      const validationError = validateRequest(modeValidator.validateModeDeactivation, req.body);
+      if (validationError) {
+        throw new AppError(validationError.message, 400);
+      }
+
+      const result = await modeService.deactivateMode(modeId, userId, {
+        triggeredBy: { type: 'user', id: userId },
+        onConflict: req.body.onConflict,
+      });
 
       logger.info('Mode deactivated', {
         userId,
@@ -305,6 +326,40 @@ class ModeController {
     }
   }
 
+  /**
+   * Restore devices left pending by the last deactivation
+   * @route POST /api/v1/modes/:modeId/restore
+   */
+  async restoreModeState(req, res, next) {
+    try {
+      const { modeId } = req.params;
+      const userId = req.user.id;
+
+      // Validate request
+      const validationError = validateRequest(modeValidator.validateModeRestore, req.body);
+      if (validationError) {
+        throw new AppError(validationError.message, 400);
+      }
+
+      const result = await modeService.restoreModeState(modeId, userId, {
+        deviceIds: req.body.deviceIds,
+      });
+
+      res.json({
+        success: true,
+        message: 'Device states restored',
+        data: result,
+      });
+    } catch (error) {
+      logger.error('Restore mode state failed', {
+        error: error.message,
+        userId: req.user?.id,
+        modeId: req.params.modeId,
+      });
+      next(error);
+    }
+  }
+
   /**
    * Get active modes
    * @route GET /api/v1/modes/active
@@ -351,7 +406,7 @@ class ModeController {
         userId,
         modeId,
         scheduleId: schedule.id,
-        scheduledFor: scheduleData.scheduledFor,
+        nextRun: schedule.nextRun,
       });
 
       res.status(201).json({
@@ -472,15 +527,23 @@ class ModeController {
     try {
       const { modeId } = req.params;
       const userId = req.user.id;
-      const { dryRun = true } = req.body;
 
-      const testResult = await modeService.testMode(modeId, userId, { dryRun });
+      // Validate request
+      const validationError = validateRequest(modeValidator.validateModeTest, req.body);
+      if (validationError) {
+        throw new AppError(validationError.message, 400);
+      }
+
+      const { snapshot } = req.body;
+
+      // Tests are always dry runs; no device is touched
+      const testResult = await modeService.testMode(modeId, userId, { snapshot });
 
       logger.info('Mode tested', {
         userId,
         modeId,
-        dryRun,
         success: testResult.success,
+        conflicts: testResult.conflicts.length,
       });
 
       res.json({
@@ -591,6 +654,12 @@ class ModeController {
     try {
       const { suggestionId } = req.params;
       const userId = req.user.id;
+
+      const validationError = validateRequest(modeValidator.validateSuggestionCustomization, req.body);
+      if (validationError) {
+        throw new AppError(validationError.message, 400);
+      }
+
       const { customizations = {} } = req.body;
 
       const mode = await modeService.createModeFromSuggestion(suggestionId, userId, customizations);
@@ -660,21 +729,22 @@ class ModeController {
         throw new AppError(validationError.message, 400);
       }
 
-      const { modeData, overwrite = false } = req.body;
+      const { bundle, mapping = {}, overwrite = false, dryRun = false } = req.body;
 
-      const mode = await modeService.importMode(modeData, userId, { overwrite });
+      const result = await modeService.importMode(bundle, userId, { mapping, overwrite, dryRun });
 
-      logger.info('Mode imported', {
+      logger.info('Mode bundle imported', {
         userId,
-        modeId: mode._id,
-        modeName: mode.name,
         overwrite,
+        dryRun,
+        unresolvedCount: result.unresolved.length,
+        skippedCount: result.skipped.length,
       });
 
-      res.status(201).json({
+      res.status(dryRun ? 200 : 201).json({
         success: true,
-        message: 'Mode imported successfully',
-        data: { mode },
+        message: dryRun ? 'Bundle import checked, nothing was created' : 'Bundle imported',
+        data: result,
       });
     } catch (error) {
       logger.error('Import mode failed', {
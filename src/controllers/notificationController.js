@@ -0,0 +1,164 @@
+import { notificationService } from '../services/index.js';
+import { notificationValidator } from '../validators/index.js';
+import { AppError } from '../utils/errors.js';
+import logger from '../utils/logger.js';
+import { validateRequest } from '../helpers/helpers.js';
+
+/**
+ * Notification Controller
+ * Handles the user's notification inbox
+ */
+class NotificationController {
+  /**
+   * Get user notifications
+   * @route GET /api/v1/notifications
+   */
+  async getNotifications(req, res, next) {
+    try {
+      // Validate request
+      const validationError = validateRequest(notificationValidator.validateNotificationQuery, req.query);
+      if (validationError) {
+        throw new AppError(validationError.message, 400);
+      }
+
+      const {
+        page = 1,
+        limit = 20,
+        type = null,
+        unread,
+        priority = null,
+        sortBy = 'createdAt',
+        sortOrder = 'desc',
+      } = req.query;
+
+      const userId = req.user.id;
+      const options = {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        type,
+        unread: unread === undefined ? null : unread === 'true',
+        priority,
+        sortBy,
+        sortOrder,
+      };
+
+      const result = await notificationService.getUserNotifications(userId, options);
+
+      res.json({
+        success: true,
+        data: result,
+      });
+    } catch (error) {
+      logger.error('Get notifications failed', {
+        error: error.message,
+        userId: req.user?.id,
+      });
+      next(error);
+    }
+  }
+
+  /**
+   * Get notification statistics
+   * @route GET /api/v1/notifications/statistics
+   */
+  async getNotificationStatistics(req, res, next) {
+    try {
+      const userId = req.user.id;
+
+      const statistics = await notificationService.getNotificationStatistics(userId);
+
+      res.json({
+        success: true,
+        data: { statistics },
+      });
+    } catch (error) {
+      logger.error('Get notification statistics failed', {
+        error: error.message,
+        userId: req.user?.id,
+      });
+      next(error);
+    }
+  }
+
+  /**
+   * Mark notification as read
+   * @route PATCH /api/v1/notifications/:notificationId/read
+   */
+  async markAsRead(req, res, next) {
+    try {
+      const { notificationId } = req.params;
+      const userId = req.user.id;
+
+      const result = await notificationService.markNotificationAsRead(userId, notificationId);
+
+      res.json({
+        success: true,
+        message: 'Notification marked as read',
+        data: { readAt: result.readAt },
+      });
+    } catch (error) {
+      logger.error('Mark notification as read failed', {
+        error: error.message,
+        userId: req.user?.id,
+        notificationId: req.params.notificationId,
+      });
+      next(error);
+    }
+  }
+
+  /**
+   * Mark all notifications as read
+   * @route PATCH /api/v1/notifications/read-all
+   */
+  async markAllAsRead(req, res, next) {
+    try {
+      const userId = req.user.id;
+
+      const result = await notificationService.markAllNotificationsAsRead(userId);
+
+      res.json({
+        success: true,
+        message: 'All notifications marked as read',
+        data: { updatedCount: result.updatedCount },
+      });
+    } catch (error) {
+      logger.error('Mark all notifications as read failed', {
+        error: error.message,
+        userId: req.user?.id,
+      });
+      next(error);
+    }
+  }
+
+  /**
+   * Delete notification
+   * @route DELETE /api/v1/notifications/:notificationId
+   */
+  async deleteNotification(req, res, next) {
+    try {
+      const { notificationId } = req.params;
+      const userId = req.user.id;
+
+      await notificationService.deleteNotification(userId, notificationId);
+
+      logger.info('Notification deleted', {
+        userId,
+        notificationId,
+      });
+
+      res.json({
+        success: true,
+        message: 'Notification deleted successfully',
+      });
+    } catch (error) {
+      logger.error('Delete notification failed', {
+        error: error.message,
+        userId: req.user?.id,
+        notificationId: req.params.notificationId,
+      });
+      next(error);
+    }
+  }
+}
+
+export default new NotificationController();
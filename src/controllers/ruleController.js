@@ -268,18 +268,27 @@ class RuleController {
     try {
       const { ruleId } = req.params;
       const userId = req.user.id;
-      const { dryRun = true, mockTrigger = {} } = req.body;
 
-      const testResult = await ruleService.testRule(ruleId, userId, {
-        dryRun,
+      // Validate request
+      const validationError = validateRequest(ruleValidator.validateRuleTest, req.body);
+      if (validationError) {
+        throw new AppError(validationError.message, 400);
+      }
+
+      const { mockTrigger = {}, mockConditions, snapshot } = req.body;
+
+      // Tests are always dry runs; no device is touched
+      const testResult = await ruleService.testRule(ruleId, {
         mockTrigger,
-      });
+        mockConditions,
+        snapshot,
+      }, userId);
 
       logger.info('Rule tested', {
         userId,
         ruleId,
-        dryRun,
-        success: testResult.success,
+        wouldExecute: testResult.wouldExecute,
+        errors: testResult.errors.length,
       });
 
       res.json({
@@ -337,6 +346,123 @@ class RuleController {
     }
   }
 
+  /**
+   * Get rule webhook delivery log
+   * @route GET /api/v1/rules/:ruleId/webhooks/deliveries
+   */
+  async getWebhookDeliveries(req, res, next) {
+    try {
+      const { ruleId } = req.params;
+      const userId = req.user.id;
+      const {
+        page = 1,
+        limit = 20,
+        status = '',
+      } = req.query;
+
+      const options = {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        status: status || undefined,
+      };
+
+      const result = await ruleService.getRuleWebhookDeliveries(ruleId, userId, options);
+
+      res.json({
+        success: true,
+        data: result,
+      });
+    } catch (error) {
+      logger.error('Get rule webhook deliveries failed', {
+        error: error.message,
+        userId: req.user?.id,
+        ruleId: req.params.ruleId,
+      });
+      next(error);
+    }
+  }
+
+  /**
+   * Redeliver a rule webhook
+   * @route POST /api/v1/rules/:ruleId/webhooks/deliveries/:deliveryId/redeliver
+   */
+  async redeliverWebhook(req, res, next) {
+    try {
+      const { ruleId, deliveryId } = req.params;
+      const userId = req.user.id;
+
+      const delivery = await ruleService.redeliverRuleWebhook(ruleId, deliveryId, userId);
+
+      res.json({
+        success: delivery.status === 'success',
+        message: delivery.status === 'success'
+          ? 'Webhook redelivered successfully'
+          : `Webhook redelivery failed: ${delivery.error}`,
+        data: { delivery },
+      });
+    } catch (error) {
+      logger.error('Redeliver rule webhook failed', {
+        error: error.message,
+        userId: req.user?.id,
+        ruleId: req.params.ruleId,
+        deliveryId: req.params.deliveryId,
+      });
+      next(error);
+    }
+  }
+
+  /**
+   * Get rule status (schedules and sustained timers)
+   * @route GET /api/v1/rules/:ruleId/status
+   */
+  async getRuleStatus(req, res, next) {
+    try {
+      const { ruleId } = req.params;
+      const userId = req.user.id;
+
+      const status = await ruleService.getRuleStatus(ruleId, userId);
+
+      res.json({
+        success: true,
+        data: { status },
+      });
+    } catch (error) {
+      logger.error('Get rule status failed', {
+        error: error.message,
+        userId: req.user?.id,
+        ruleId: req.params.ruleId,
+      });
+      next(error);
+    }
+  }
+
+  /**
+   * Rotate the token of a webhook trigger
+   * @route POST /api/v1/rules/:ruleId/triggers/:triggerId/rotate-token
+   */
+  async rotateWebhookToken(req, res, next) {
+    try {
+      const { ruleId, triggerId } = req.params;
+      const userId = req.user.id;
+
+      const result = await ruleService.rotateWebhookToken(ruleId, triggerId, userId);
+
+      res.json({
+        success: true,
+        message: 'Webhook token rotated successfully. The previous URL no longer works.',
+        data: result,
+      });
+    } catch (error) {
+      logger.error('Rotate webhook token failed', {
+        error: error.message,
+        userId: req.user?.id,
+        ruleId: req.params.ruleId,
+        triggerId: req.params.triggerId,
+      });
+      next(error);
+    }
+  }
+
   /**
    * Manually trigger rule
    * @route POST /api/v1/rules/:ruleId/trigger
@@ -477,6 +603,12 @@ class RuleController {
     try {
       const { suggestionId } = req.params;
       const userId = req.user.id;
+
+      const validationError = validateRequest(ruleValidator.validateSuggestionCustomization, req.body);
+      if (validationError) {
+        throw new AppError(validationError.message, 400);
+      }
+
       const { customizations = {} } = req.body;
 
       const rule = await ruleService.createRuleFromSuggestion(suggestionId, userId, customizations);
@@ -611,21 +743,22 @@ class RuleController {
         throw new AppError(validationError.message, 400);
       }
 
-      const { ruleData, overwrite = false } = req.body;
+      const { bundle, mapping = {}, overwrite = false, dryRun = false } = req.body;
 
-      const rule = await ruleService.importRule(ruleData, userId, { overwrite });
+      const result = await ruleService.importRule(bundle, userId, { mapping, overwrite, dryRun });
 
-      logger.info('Rule imported', {
+      logger.info('Rule bundle imported', {
         userId,
-        ruleId: rule._id,
-        ruleName: rule.name,
         overwrite,
+        dryRun,
+        unresolvedCount: result.unresolved.length,
+        skippedCount: result.skipped.length,
       });
 
-      res.status(201).json({
+      res.status(dryRun ? 200 : 201).json({
         success: true,
-        message: 'Rule imported successfully',
-        data: { rule },
+        message: dryRun ? 'Bundle import checked, nothing was created' : 'Bundle imported',
+        data: result,
       });
     } catch (error) {
       logger.error('Import rule failed', {
@@ -127,199 +127,6 @@ export const adminOnly = authorize(USER_ROLES.ADMIN);
  */
 export const userOrAdmin = authorize(USER_ROLES.USER, USER_ROLES.ADMIN);
 
-/**
- * Resource ownership middleware factory
- * Checks if user owns the resource or is admin
- */
-export const checkOwnership = (resourceIdParam = 'id', resourceModel = null) => {
-  return async (req, res, next) => {
-    try {
-      if (!req.user) {
-        return sendUnauthorized(res, 'Authentication required');
-      }
-
-      // Admin can access any resource
-      if (req.user.role === USER_ROLES.ADMIN) {
-        return next();
-      }
-
-      const resourceId = req.params[resourceIdParam];
-      
-      if (!resourceId) {
-        return sendForbidden(res, 'Resource ID required');
-      }
-
-      // If resource model is provided, check ownership in database
-      if (resourceModel) {
-        const resource = await resourceModel.findById(resourceId);
-        
-        if (!resource) {
-          return sendForbidden(res, 'Resource not found');
-        }
-
-        if (resource.owner && resource.owner.toString() !== req.user.id) {
-          return sendForbidden(res, 'Access denied: not resource owner');
-        }
-
-        // Add resource to request for use in controller
-        req.resource = resource;
-      } else {
-        // Simple ID comparison for user resources
-        if (resourceId !== req.user.id) {
-          return sendForbidden(res, 'Access denied: not resource owner');
-        }
-      }
-
-      next();
-    } catch (error) {
-      logger.error('Ownership check failed:', error);
-      return sendForbidden(res, 'Access verification failed');
-    }
-  };
-};
-
-/**
- * Device ownership middleware
- */
-export const checkDeviceOwnership = async (req, res, next) => {
-  try {
-    if (!req.user) {
-      return sendUnauthorized(res, 'Authentication required');
-    }
-
-    // Admin can access any device
-    if (req.user.role === USER_ROLES.ADMIN) {
-      return next();
-    }
-
-    const deviceId = req.params.id || req.params.deviceId;
-    
-    if (!deviceId) {
-      return sendForbidden(res, 'Device ID required');
-    }
-
-    const { default: Device } = await import('../models/Device.js');
-    const device = await Device.findById(deviceId);
-    
-    if (!device) {
-      return sendForbidden(res, 'Device not found');
-    }
-
-    // Check ownership or shared access
-    const hasAccess = device.owner.toString() === req.user.id ||
-                     device.sharedWith.some(share => 
-                       share.user.toString() === req.user.id
-                     );
-
-    if (!hasAccess) {
-      return sendForbidden(res, 'Access denied: no permission for this device');
-    }
-
-    // Add device to request
-    req.device = device;
-    next();
-  } catch (error) {
-    logger.error('Device ownership check failed:', error);
-    return sendForbidden(res, 'Device access verification failed');
-  }
-};
-
-/**
- * Group membership middleware
- */
-export const checkGroupMembership = async (req, res, next) => {
-  try {
-    if (!req.user) {
-      return sendUnauthorized(res, 'Authentication required');
-    }
-
-    // Admin can access any group
-    if (req.user.role === USER_ROLES.ADMIN) {
-      return next();
-    }
-
-    const groupId = req.params.id || req.params.groupId;
-    
-    if (!groupId) {
-      return sendForbidden(res, 'Group ID required');
-    }
-
-    const { default: Group } = await import('../models/Group.js');
-    const group = await Group.findById(groupId);
-    
-    if (!group) {
-      return sendForbidden(res, 'Group not found');
-    }
-
-    // Check ownership or membership
-    const hasAccess = group.owner.toString() === req.user.id ||
-                     group.members.some(member => 
-                       member.user.toString() === req.user.id
-                     );
-
-    if (!hasAccess) {
-      return sendForbidden(res, 'Access denied: not a group member');
-    }
-
-    // Add group to request
-    req.group = group;
-    next();
-  } catch (error) {
-    logger.error('Group membership check failed:', error);
-    return sendForbidden(res, 'Group access verification failed');
-  }
-};
-
-/**
- * Permission-based access middleware factory
- * Checks specific permissions for shared resources
- */
-export const checkPermission = (permission) => {
-  return (req, res, next) => {
-    if (!req.user) {
-      return sendUnauthorized(res, 'Authentication required');
-    }
-
-    // Admin has all permissions
-    if (req.user.role === USER_ROLES.ADMIN) {
-      return next();
-    }
-
-    // Owner has all permissions
-    if (req.device && req.device.owner.toString() === req.user.id) {
-      return next();
-    }
-
-    if (req.group && req.group.owner.toString() === req.user.id) {
-      return next();
-    }
-
-    // Check shared permissions for devices
-    if (req.device) {
-      const share = req.device.sharedWith.find(s => 
-        s.user.toString() === req.user.id
-      );
-      
-      if (!share || !share.permissions.includes(permission)) {
-        return sendForbidden(res, `Permission '${permission}' required`);
-      }
-    }
-
-    // Check member permissions for groups
-    if (req.group) {
-      const member = req.group.members.find(m => 
-        m.user.toString() === req.user.id
-      );
-      
-      if (!member || !member.permissions.includes(permission)) {
-        return sendForbidden(res, `Permission '${permission}' required`);
-      }
-    }
-
-    next();
-  };
-};
-
 /**
  * Account verification middleware
  */
@@ -389,10 +196,6 @@ export default {
   authorize,
   adminOnly,
   userOrAdmin,
-  checkOwnership,
-  checkDeviceOwnership,
-  checkGroupMembership,
-  checkPermission,
   requireVerification,
   socketAuth,
 };
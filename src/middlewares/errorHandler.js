@@ -20,8 +20,8 @@ export const errorHandler = (err, req, res, next) => {
   });
 
   // Handle specific error types
-  if (err.name === 'ValidationError') {
-    // Mongoose validation error
+  if (err.name === 'ValidationError' && err.errors) {
+    // Mongoose validation error (our ValidationError is handled as an AppError below)
     const errors = Object.values(err.errors).map(error => ({
       field: error.path,
       message: error.message,
@@ -245,6 +245,35 @@ export const webhookLimiter = rateLimit({
   },
 });
 
+/**
+ * Inbound webhook trigger rate limiter
+ * Applied per hook after the token is resolved (see hookController.resolveHook);
+ * the limit comes from the trigger's `webhook.rateLimit`
+ */
+export const hookTriggerLimiter = rateLimit({
+  windowMs: 1 * 60 * 1000, // 1 minute
+  max: (req) => req.hook?.trigger.webhook?.rateLimit || config.hooks.rateLimit,
+  standardHeaders: true,
+  legacyHeaders: false,
+  keyGenerator: (req) => {
+    // Keyed by trigger so the limit survives token rotation
+    return `hook:${req.hook?.trigger._id || req.params.token}`;
+  },
+  handler: (req, res) => {
+    logger.warn('Webhook trigger rate limit exceeded:', {
+      ip: req.ip,
+      ruleId: req.hook?.rule._id,
+      triggerId: req.hook?.trigger._id,
+      method: req.method,
+    });
+    
+    return sendRateLimitExceeded(
+      res,
+      'Too many requests for this webhook. Please reduce request frequency.'
+    );
+  },
+});
+
 /**
  * Progressive rate limiter
  * Increases restrictions based on user behavior
@@ -324,6 +353,7 @@ export default {
   searchLimiter,
   passwordResetLimiter,
   webhookLimiter,
+  hookTriggerLimiter,
   progressiveLimiter,
   skipTrusted,
   createRateLimitStore,
@@ -1,5 +1,5 @@
 import mongoose from 'mongoose';
-import { DEVICE_TYPES, DEVICE_STATUS, POWER_STATES, ENERGY_UNITS } from '../config/constants.js';
+import { DEVICE_TYPES, DEVICE_STATUS, DEVICE_PROTOCOLS, POWER_STATES, ENERGY_UNITS } from '../config/constants.js';
 
 /**
  * Device Schema
@@ -71,6 +71,12 @@ const deviceSchema = new mongoose.Schema({
     max: [65535, 'Port must be between 1 and 65535'],
   },
   
+  // Overrides the driver resolved from type/manufacturer bindings
+  protocol: {
+    type: String,
+    enum: Object.values(DEVICE_PROTOCOLS),
+  },
+  
   // Device State
   status: {
     type: String,
@@ -94,6 +100,39 @@ const deviceSchema = new mongoose.Schema({
     default: null,
   },
   
+  // Online/offline accounting used for uptime analytics
+  availability: {
+    trackedSince: Date,
+    lastChangedAt: Date,
+    onlineDuration: {
+      type: Number,
+      default: 0,
+    }, // in milliseconds
+    offlineDuration: {
+      type: Number,
+      default: 0,
+    }, // in milliseconds
+    offlineCount: {
+      type: Number,
+      default: 0,
+    },
+    lastOfflineAt: Date,
+  },
+  
+  // Outcome of the most recent command sent to the device
+  lastCommand: {
+    action: String,
+    protocol: String,
+    acknowledged: {
+      type: Boolean,
+      default: false,
+    },
+    latency: Number, // in milliseconds
+    errorCode: String,
+    error: String,
+    sentAt: Date,
+  },
+  
   // Device Capabilities
   capabilities: {
     canToggle: {
@@ -248,6 +287,30 @@ const deviceSchema = new mongoose.Schema({
       default: 0,
     },
     
+    // Lifetime metered consumption (kWh)
+    totalUsage: {
+      type: Number,
+      min: [0, 'Total usage cannot be negative'],
+      default: 0,
+    },
+    
+    // Local day ('YYYY-MM-DD') and month ('YYYY-MM') that dailyUsage / monthlyUsage cover
+    dailyPeriod: {
+      type: String,
+      default: null,
+    },
+    
+    monthlyPeriod: {
+      type: String,
+      default: null,
+    },
+    
+    // Point up to which currentUsage has been integrated into kWh
+    meteredAt: {
+      type: Date,
+      default: null,
+    },
+    
     unit: {
       type: String,
       enum: Object.values(ENERGY_UNITS),
@@ -260,6 +323,19 @@ const deviceSchema = new mongoose.Schema({
     },
   },
   
+  // Latest sensor readings (reported through state/telemetry)
+  sensors: {
+    temperature: Number,
+    humidity: {
+      type: Number,
+      min: [0, 'Humidity must be between 0 and 100'],
+      max: [100, 'Humidity must be between 0 and 100'],
+    },
+    motion: Boolean,
+    lastMotionAt: Date,
+    updatedAt: Date,
+  },
+  
   // Location & Organization
   location: {
     room: {
@@ -492,6 +568,29 @@ deviceSchema.pre('save', function(next) {
     this.status = this.isOnline ? DEVICE_STATUS.ONLINE : DEVICE_STATUS.OFFLINE;
   }
   
+  // Accumulate time spent in the previous online state
+  if (this.isNew || this.isModified('isOnline')) {
+    const now = new Date();
+    const availability = this.availability;
+    
+    if (availability.lastChangedAt && !this.isNew) {
+      const elapsed = now - availability.lastChangedAt;
+      if (this.isOnline) {
+        availability.offlineDuration += elapsed;
+      } else {
+        availability.onlineDuration += elapsed;
+      }
+    }
+    
+    if (!this.isOnline && !this.isNew) {
+      availability.offlineCount += 1;
+      availability.lastOfflineAt = now;
+    }
+    
+    availability.trackedSince = availability.trackedSince || now;
+    availability.lastChangedAt = now;
+  }
+  
   next();
 });
 
@@ -0,0 +1,78 @@
+import mongoose from 'mongoose';
+import { DEVICE_HISTORY_INTERVALS } from '../config/constants.js';
+
+/**
+ * Device State Rollup Schema
+ * Downsampled history of one numeric device property for one 1m/1h/1d bucket.
+ * Updated incrementally as samples arrive; expired per interval retention.
+ */
+const deviceStateRollupSchema = new mongoose.Schema({
+  device: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Device',
+    required: true,
+  },
+
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+
+  property: {
+    type: String, // e.g. 'sensors.temperature'
+    required: true,
+  },
+
+  interval: {
+    type: String,
+    enum: Object.keys(DEVICE_HISTORY_INTERVALS),
+    required: true,
+  },
+
+  bucket: {
+    type: Date, // start of the interval (UTC)
+    required: true,
+  },
+
+  count: {
+    type: Number,
+    default: 0,
+  },
+
+  sum: {
+    type: Number,
+    default: 0,
+  },
+
+  min: Number,
+
+  max: Number,
+
+  last: Number,
+
+  lastAt: Date,
+
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+}, {
+  versionKey: false,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true },
+});
+
+// Indexes
+deviceStateRollupSchema.index({ device: 1, property: 1, interval: 1, bucket: 1 }, { unique: true });
+deviceStateRollupSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Virtual for average value
+deviceStateRollupSchema.virtual('avg').get(function() {
+  return this.count > 0 ? this.sum / this.count : null;
+});
+
+// Create and export model
+const DeviceStateRollup = mongoose.model('DeviceStateRollup', deviceStateRollupSchema);
+
+export default DeviceStateRollup;
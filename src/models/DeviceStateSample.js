@@ -0,0 +1,66 @@
+import mongoose from 'mongoose';
+import config from '../config/index.js';
+
+/**
+ * Device State Sample Schema
+ * Raw device state over time, one sample per command, status report or
+ * telemetry message. Stored in a MongoDB time-series collection with TTL.
+ */
+const deviceStateSampleSchema = new mongoose.Schema({
+  timestamp: {
+    type: Date,
+    required: true,
+  },
+
+  // Time-series meta field (samples are bucketed per device)
+  meta: {
+    device: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Device',
+      required: true,
+    },
+    owner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+  },
+
+  // What produced the sample
+  source: {
+    type: String,
+    enum: ['command', 'report'],
+    required: true,
+  },
+
+  // 'transition' when a tracked property changed, otherwise 'sample'
+  kind: {
+    type: String,
+    enum: ['transition', 'sample'],
+    required: true,
+  },
+
+  changes: [String], // property paths that changed
+
+  state: {
+    status: String,
+    powerState: String,
+    isOnline: Boolean,
+    settings: mongoose.Schema.Types.Mixed,
+    sensors: mongoose.Schema.Types.Mixed,
+    energy: mongoose.Schema.Types.Mixed,
+  },
+}, {
+  timeseries: {
+    timeField: 'timestamp',
+    metaField: 'meta',
+    granularity: 'seconds',
+  },
+  expireAfterSeconds: config.history.rawRetentionDays * 24 * 60 * 60,
+  versionKey: false,
+});
+
+// Create and export model
+const DeviceStateSample = mongoose.model('DeviceStateSample', deviceStateSampleSchema);
+
+export default DeviceStateSample;
@@ -0,0 +1,54 @@
+import mongoose from 'mongoose';
+
+/**
+ * Energy Usage Schema
+ * Metered consumption of one device during one UTC hour, integrated from its
+ * wattage samples. Day, month and group totals are summed from these buckets.
+ */
+const energyUsageSchema = new mongoose.Schema({
+  device: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Device',
+    required: true,
+  },
+
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+
+  hour: {
+    type: Date, // start of the hour (UTC)
+    required: true,
+  },
+
+  kwh: {
+    type: Number,
+    min: 0,
+    default: 0,
+  },
+
+  peakWatts: {
+    type: Number,
+    min: 0,
+    default: 0,
+  },
+
+  activeSeconds: {
+    type: Number, // time spent drawing power
+    min: 0,
+    default: 0,
+  },
+}, {
+  versionKey: false,
+});
+
+// Indexes
+energyUsageSchema.index({ device: 1, hour: 1 }, { unique: true });
+energyUsageSchema.index({ owner: 1, hour: 1 });
+
+// Create and export model
+const EnergyUsage = mongoose.model('EnergyUsage', energyUsageSchema);
+
+export default EnergyUsage;
@@ -0,0 +1,129 @@
+import mongoose from 'mongoose';
+import { HOME_ROLES } from '../config/constants.js';
+
+// Roles that can be given to a member or invitee (the owner role is not transferable)
+const MEMBER_ROLES = [HOME_ROLES.ADMIN, HOME_ROLES.MEMBER, HOME_ROLES.GUEST];
+
+const memberSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  role: {
+    type: String,
+    enum: MEMBER_ROLES,
+    default: HOME_ROLES.MEMBER,
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  joinedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+const inviteSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: [true, 'Invite email is required'],
+    lowercase: true,
+    trim: true,
+  },
+  role: {
+    type: String,
+    enum: MEMBER_ROLES,
+    default: HOME_ROLES.MEMBER,
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'accepted', 'declined', 'revoked'],
+    default: 'pending',
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  // SHA-256 of the one-time token sent in the invite email
+  tokenHash: {
+    type: String,
+    required: true,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+  respondedAt: Date,
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+}, {
+  toJSON: {
+    transform: (doc, ret) => {
+      delete ret.tokenHash;
+      return ret;
+    },
+  },
+  toObject: {
+    transform: (doc, ret) => {
+      delete ret.tokenHash;
+      return ret;
+    },
+  },
+});
+
+/**
+ * Home Schema
+ * A household shared by several users. Devices, groups, modes and rules
+ * belong to the home through their `owner`, the home's owner; members get
+ * access to them according to their role.
+ */
+const homeSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Home name is required'],
+    trim: true,
+    maxlength: [100, 'Home name cannot exceed 100 characters'],
+  },
+
+  // One home per owner
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    unique: true,
+  },
+
+  members: [memberSchema],
+
+  invites: [inviteSchema],
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true },
+});
+
+// Indexes
+homeSchema.index({ 'members.user': 1 });
+homeSchema.index({ 'invites.email': 1, 'invites.status': 1 });
+
+// Methods
+homeSchema.methods.getMember = function(userId) {
+  // Works on populated members too
+  return this.members.find(member => (member.user?._id || member.user).toString() === userId.toString());
+};
+
+homeSchema.methods.getRole = function(userId) {
+  if ((this.owner?._id || this.owner).toString() === userId.toString()) {
+    return HOME_ROLES.OWNER;
+  }
+  return this.getMember(userId)?.role || null;
+};
+
+// Create and export model
+const Home = mongoose.model('Home', homeSchema);
+
+export default Home;
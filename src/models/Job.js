@@ -0,0 +1,119 @@
+import mongoose from 'mongoose';
+
+/**
+ * Job Schema
+ * Persistent background jobs (e.g. device timers) picked up by the job queue worker
+ */
+const jobSchema = new mongoose.Schema({
+  // Job Definition
+  type: {
+    type: String,
+    required: [true, 'Job type is required'],
+    trim: true,
+  },
+
+  // Groups the jobs of one owner so they can be cancelled together (e.g. "device_timer:<timerId>")
+  key: {
+    type: String,
+    required: [true, 'Job key is required'],
+  },
+
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {},
+  },
+
+  runAt: {
+    type: Date,
+    required: [true, 'Run time is required'],
+  },
+
+  // Re-arm schedule for recurring jobs (same shape as rule trigger schedules)
+  recurrence: {
+    type: {
+      type: String,
+      enum: ['daily', 'weekly', 'monthly', 'cron'],
+    },
+    time: String, // Format: "HH:MM"
+    date: Date, // day of month for monthly schedules
+    days: [{
+      type: String,
+      enum: ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'],
+    }],
+    cronExpression: String,
+    timezone: {
+      type: String,
+      default: 'UTC',
+    },
+  },
+
+  // Execution State
+  status: {
+    type: String,
+    enum: ['pending', 'running', 'completed', 'failed', 'skipped', 'cancelled'],
+    default: 'pending',
+  },
+
+  attempts: {
+    type: Number,
+    default: 0,
+  },
+
+  maxAttempts: {
+    type: Number,
+    min: [1, 'Max attempts must be at least 1'],
+    default: 1,
+  },
+
+  lockedAt: {
+    type: Date,
+    default: null,
+  },
+
+  lockedBy: {
+    type: String,
+    default: null,
+  },
+
+  startedAt: Date,
+
+  completedAt: Date,
+
+  lastError: {
+    type: String,
+    default: null,
+  },
+
+  result: mongoose.Schema.Types.Mixed,
+
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true },
+});
+
+// Indexes
+jobSchema.index({ status: 1, runAt: 1 });
+jobSchema.index({ key: 1, status: 1 });
+jobSchema.index({ owner: 1 });
+// Drop finished jobs after 30 days
+jobSchema.index({ completedAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+// Virtuals
+jobSchema.virtual('isRecurring').get(function() {
+  return Boolean(this.recurrence?.type);
+});
+
+// Static methods
+jobSchema.statics.findPendingByKey = function(key) {
+  return this.find({ key, status: 'pending' }).sort({ runAt: 1 });
+};
+
+// Create and export model
+const Job = mongoose.model('Job', jobSchema);
+
+export default Job;
@@ -20,6 +20,22 @@ const modeSchema = new mongoose.Schema({
     required: [true, 'Mode type is required'],
   },
   
+  // Modes in the same category are mutually exclusive; modes without one stack
+  category: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    maxlength: [50, 'Category cannot exceed 50 characters'],
+  },
+  
+  // Decides which active mode controls a device property both modes set
+  priority: {
+    type: Number,
+    min: 1,
+    max: 10,
+    default: 5,
+  },
+  
   description: {
     type: String,
     maxlength: [500, 'Description cannot exceed 500 characters'],
@@ -208,6 +224,21 @@ const modeSchema = new mongoose.Schema({
       },
     },
     
+    // Restore Settings
+    // Put devices back to their pre-activation state when the mode is deactivated
+    restoreOnExit: {
+      type: Boolean,
+      default: false,
+    },
+    
+    // Devices changed since activation are skipped, forced back, or left
+    // pending for the user to decide ('ask')
+    restoreConflicts: {
+      type: String,
+      enum: ['skip', 'force', 'ask'],
+      default: 'ask',
+    },
+    
     // Notification Settings
     notifications: {
       onActivation: {
@@ -257,6 +288,73 @@ const modeSchema = new mongoose.Schema({
     },
   },
   
+  // Actions run on activation
+  actions: [{
+    type: {
+      type: String,
+      enum: ['device_control', 'group_control', 'mode_activation', 'notification', 'webhook', 'delay', 'scene_activation'],
+      required: true,
+    },
+    
+    target: {
+      type: {
+        type: String,
+        enum: ['device', 'group', 'all_devices'],
+      },
+      ids: [mongoose.Schema.Types.ObjectId],
+      filter: mongoose.Schema.Types.Mixed,
+    },
+    
+    action: String,
+    settings: mongoose.Schema.Types.Mixed,
+    
+    // Per-type payloads (shape enforced by modeValidator)
+    device: mongoose.Schema.Types.Mixed,
+    group: mongoose.Schema.Types.Mixed,
+    mode: mongoose.Schema.Types.Mixed,
+    notification: mongoose.Schema.Types.Mixed,
+    delay: mongoose.Schema.Types.Mixed,
+    sceneId: mongoose.Schema.Types.ObjectId,
+    
+    webhook: {
+      url: String,
+      method: {
+        type: String,
+        enum: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'],
+        default: 'POST',
+      },
+      headers: {
+        type: Map,
+        of: String,
+      },
+      body: mongoose.Schema.Types.Mixed,
+      secret: String,
+      timeout: {
+        type: Number,
+        default: 5000,
+      },
+      retries: {
+        type: Number,
+        default: 0,
+      },
+    },
+    
+    order: {
+      type: Number,
+      default: 1,
+    },
+    
+    isEnabled: {
+      type: Boolean,
+      default: true,
+    },
+    
+    continueOnError: {
+      type: Boolean,
+      default: false,
+    },
+  }],
+  
   // Mode Status
   isActive: {
     type: Boolean,
@@ -278,6 +376,104 @@ const modeSchema = new mongoose.Schema({
     default: null,
   },
   
+  // Set while a timed activation is waiting to deactivate the mode
+  scheduledDeactivation: {
+    type: Date,
+    default: null,
+  },
+  
+  // Activation/deactivation schedules, run by the job queue in the owner's timezone
+  schedules: [{
+    name: {
+      type: String,
+      trim: true,
+      maxlength: [100, 'Schedule name cannot exceed 100 characters'],
+    },
+    
+    action: {
+      type: String,
+      enum: ['activate', 'deactivate'],
+      default: 'activate',
+    },
+    
+    schedule: {
+      type: {
+        type: String,
+        enum: ['once', 'daily', 'weekly', 'monthly', 'cron'],
+        required: true,
+      },
+      
+      time: {
+        type: String, // Format: "HH:MM"
+        validate: {
+          validator: function(v) {
+            return !v || /^([01]?[0-9]|2[0-3]):[0-5][0-9]$/.test(v);
+          },
+          message: 'Invalid time format (use HH:MM)',
+        },
+      },
+      
+      date: Date,
+      
+      days: [{
+        type: String,
+        enum: ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'],
+      }],
+      
+      cronExpression: String,
+    },
+    
+    // Deactivate automatically this long after a scheduled activation
+    duration: {
+      value: Number,
+      unit: {
+        type: String,
+        enum: ['minutes', 'hours'],
+        default: 'minutes',
+      },
+    },
+    
+    isActive: {
+      type: Boolean,
+      default: true, // one-off schedules are disabled once they have run
+    },
+    
+    lastRunAt: {
+      type: Date,
+      default: null,
+    },
+    
+    createdAt: {
+      type: Date,
+      default: Date.now,
+    },
+  }],
+  
+  // Energy budget enforcement state while the mode is active
+  energyBudget: {
+    // Devices turned off to stay within settings.energy.maxUsage
+    shedDevices: [{
+      _id: false,
+      device: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Device',
+      },
+      watts: Number, // draw when shed
+      shedAt: Date,
+    }],
+    
+    // Set while consumption is above the notification threshold
+    thresholdNotifiedAt: {
+      type: Date,
+      default: null,
+    },
+    
+    lastCheckedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  
   // Usage Statistics
   statistics: {
     activationCount: {
@@ -392,8 +588,7 @@ modeSchema.index({ tags: 1 });
 modeSchema.index({ createdAt: 1 });
 modeSchema.index({ name: 'text', description: 'text' });
 
-// Ensure only one mode is active per user at a time
-modeSchema.index({ owner: 1, isActive: 1 }, { unique: true, partialFilterExpression: { isActive: true } });
+modeSchema.index({ owner: 1, category: 1, isActive: 1 });
 
 // Virtuals
 modeSchema.virtual('deviceCount').get(function() {
@@ -418,25 +613,32 @@ modeSchema.virtual('energyEfficiency').get(function() {
 modeSchema.pre('save', function(next) {
   this.updatedAt = new Date();
   
-  // Calculate average active time
-  if (this.statistics.activationCount > 0) {
-    this.statistics.averageActiveTime = this.statistics.totalActiveTime / this.statistics.activationCount;
+  // Calculate average active time over completed activations
+  const completed = this.statistics.activationCount - (this.isActive ? 1 : 0);
+  if (completed > 0) {
+    this.statistics.averageActiveTime = this.statistics.totalActiveTime / completed;
   }
   
   next();
 });
 
 // Methods
+modeSchema.methods.sharesCategoryWith = function(other) {
+  return Boolean(this.category) && this.category === other.category;
+};
+
 modeSchema.methods.activate = async function() {
   try {
-    // Deactivate other modes for this user
-    await this.constructor.updateMany(
-      { owner: this.owner, _id: { $ne: this._id } },
-      { 
-        isActive: false,
-        deactivatedAt: new Date()
-      }
-    );
+    // Deactivate other modes in the same category
+    if (this.category) {
+      await this.constructor.updateMany(
+        { owner: this.owner, category: this.category, _id: { $ne: this._id } },
+        { 
+          isActive: false,
+          deactivatedAt: new Date()
+        }
+      );
+    }
     
     // Activate this mode
     this.isActive = true;
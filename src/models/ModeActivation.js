@@ -0,0 +1,117 @@
+import mongoose from 'mongoose';
+
+// Who or what activated/deactivated a mode
+const triggerSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['user', 'rule', 'schedule', 'presence', 'mode', 'system'],
+    required: true,
+  },
+  id: mongoose.Schema.Types.ObjectId, // user, rule, schedule or mode ID
+  name: String,
+}, {
+  _id: false,
+});
+
+// A device's restorable state
+const deviceStateSchema = new mongoose.Schema({
+  powerState: String,
+  settings: mongoose.Schema.Types.Mixed,
+}, {
+  _id: false,
+});
+
+// A device's state before activation, and the state the mode left it in
+const snapshotEntrySchema = new mongoose.Schema({
+  device: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Device',
+    required: true,
+  },
+  name: String,
+  before: deviceStateSchema,
+  after: deviceStateSchema,
+}, {
+  _id: false,
+});
+
+/**
+ * Mode Activation Schema
+ * One period during which a mode was active, from activation to deactivation,
+ * kept as the mode's history and audit timeline
+ */
+const modeActivationSchema = new mongoose.Schema({
+  mode: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Mode',
+    required: true,
+  },
+
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+
+  activatedAt: {
+    type: Date,
+    required: true,
+  },
+
+  activatedBy: {
+    type: triggerSchema,
+    required: true,
+  },
+
+  // Per-action results of _executeModeActions ({ success, failed })
+  actionResults: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null,
+  },
+
+  // Taken when the mode restores devices on exit, so restores survive restarts
+  snapshot: {
+    type: [snapshotEntrySchema],
+    default: undefined,
+  },
+
+  deactivatedAt: {
+    type: Date,
+    default: null, // null while the mode is still active
+  },
+
+  deactivatedBy: {
+    type: triggerSchema,
+    default: null,
+  },
+
+  // Per-device restore outcome ({ success, unchanged, skipped, pending, failed })
+  restorationResults: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null,
+  },
+
+  duration: {
+    type: Number, // in minutes, set on deactivation
+    default: null,
+  },
+
+  energy: {
+    baseline: Number, // household draw (W) before activation
+    activationDelta: Number, // change in draw (W) caused by the mode's actions
+    deactivationDelta: Number, // change in draw (W) when the mode ended
+    saved: Number, // kWh avoided by energy budget shedding
+  },
+}, {
+  versionKey: false,
+});
+
+// Indexes
+modeActivationSchema.index({ mode: 1, activatedAt: -1 });
+modeActivationSchema.index({ owner: 1, activatedAt: -1 });
+modeActivationSchema.index({ mode: 1, deactivatedAt: 1 });
+
+// Create and export model
+const ModeActivation = mongoose.model('ModeActivation', modeActivationSchema);
+
+export default ModeActivation;
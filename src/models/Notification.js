@@ -0,0 +1,131 @@
+import mongoose from 'mongoose';
+
+/**
+ * Notification Schema
+ * User inbox entries together with the delivery state of each channel
+ */
+const notificationSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Notification user is required'],
+  },
+
+  // Notification Content
+  type: {
+    type: String,
+    required: [true, 'Notification type is required'],
+    trim: true,
+  },
+
+  title: {
+    type: String,
+    required: [true, 'Notification title is required'],
+    trim: true,
+  },
+
+  message: {
+    type: String,
+    default: '',
+  },
+
+  priority: {
+    type: String,
+    enum: ['low', 'normal', 'high'],
+    default: 'normal',
+  },
+
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {},
+  },
+
+  // Delivery State
+  channels: [{
+    type: String,
+    enum: ['in-app', 'email', 'push', 'sms'],
+  }],
+
+  deliveries: [{
+    channel: {
+      type: String,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'sent', 'failed'],
+      default: 'pending',
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    lastError: String,
+    sentAt: Date,
+    nextAttemptAt: Date,
+  }],
+
+  status: {
+    type: String,
+    enum: ['pending', 'delivered', 'failed'],
+    default: 'pending',
+  },
+
+  deliveredAt: {
+    type: Date,
+    default: null,
+  },
+
+  readAt: {
+    type: Date,
+    default: null,
+  },
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true },
+});
+
+// Indexes
+notificationSchema.index({ user: 1, createdAt: -1 });
+notificationSchema.index({ user: 1, readAt: 1 });
+notificationSchema.index({ user: 1, type: 1 });
+
+// Virtuals
+notificationSchema.virtual('isRead').get(function() {
+  return Boolean(this.readAt);
+});
+
+// Methods
+notificationSchema.methods.getDelivery = function(channel) {
+  return this.deliveries.find(delivery => delivery.channel === channel);
+};
+
+/**
+ * Derive the overall status from the channel deliveries: delivered once any
+ * channel succeeded, failed once every channel gave up, pending otherwise
+ */
+notificationSchema.methods.refreshStatus = function() {
+  const sent = this.deliveries.filter(delivery => delivery.status === 'sent');
+
+  if (sent.length > 0) {
+    this.status = 'delivered';
+    this.deliveredAt = this.deliveredAt || sent[0].sentAt;
+  } else if (this.deliveries.length > 0 && this.deliveries.every(delivery => delivery.status === 'failed')) {
+    this.status = 'failed';
+  } else {
+    this.status = 'pending';
+  }
+
+  return this.status;
+};
+
+// Static methods
+notificationSchema.statics.countUnread = function(userId) {
+  return this.countDocuments({ user: userId, readAt: null });
+};
+
+// Create and export model
+const Notification = mongoose.model('Notification', notificationSchema);
+
+export default Notification;
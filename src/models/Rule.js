@@ -1,5 +1,107 @@
+import crypto from 'crypto';
 import mongoose from 'mongoose';
-import { RULE_TYPES, RULE_CONDITIONS, RULE_ACTIONS } from '../config/constants.js';
+import { RULE_TYPES, RULE_CONDITIONS } from '../config/constants.js';
+
+// Action types, as accepted by ruleValidator and run by the rule service
+const ACTION_TYPES = ['device_control', 'group_control', 'mode_activation', 'notification', 'webhook', 'email', 'sms', 'delay', 'scene_activation', 'custom_script'];
+
+/**
+ * Condition Schema
+ * A single check, or (type `group`) a nested AND/OR group of conditions
+ */
+const conditionSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: Object.values(RULE_CONDITIONS),
+    required: true,
+  },
+  
+  operator: {
+    type: String,
+    enum: ['equals', 'not_equals', 'greater_than', 'less_than', 'between', 'contains', 'starts_with', 'ends_with'],
+    required: function() {
+      return this.type !== RULE_CONDITIONS.GROUP;
+    },
+  },
+  
+  // Source of the condition (device, sensor, time, etc.)
+  source: {
+    type: {
+      type: String,
+      enum: ['device', 'group', 'sensor', 'time', 'weather', 'location', 'user', 'tariff'],
+      required: function() {
+        return this.type !== RULE_CONDITIONS.GROUP;
+      },
+    },
+    
+    id: {
+      type: mongoose.Schema.Types.ObjectId,
+      refPath: 'conditions.source.type',
+    },
+    
+    property: {
+      type: String, // e.g., 'powerState', 'temperature', 'brightness'
+    },
+  },
+  
+  value: mongoose.Schema.Types.Mixed,
+  
+  // For time-based conditions
+  timeRange: {
+    start: {
+      type: String, // Format: "HH:MM"
+      validate: {
+        validator: function(v) {
+          return !v || /^([01]?[0-9]|2[0-3]):[0-5][0-9]$/.test(v);
+        },
+        message: 'Invalid time format (use HH:MM)',
+      },
+    },
+    end: {
+      type: String, // Format: "HH:MM"
+      validate: {
+        validator: function(v) {
+          return !v || /^([01]?[0-9]|2[0-3]):[0-5][0-9]$/.test(v);
+        },
+        message: 'Invalid time format (use HH:MM)',
+      },
+    },
+    days: [{
+      type: String,
+      enum: ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'],
+    }],
+  },
+  
+  // For location-based conditions
+  location: {
+    latitude: Number,
+    longitude: Number,
+    radius: Number, // in meters
+  },
+  
+  // Only pass once the condition has held this long (device conditions)
+  sustainedFor: {
+    type: Number, // in seconds
+    min: [1, 'Sustained duration must be at least 1 second'],
+    max: [86400, 'Sustained duration cannot exceed 24 hours'],
+  },
+  
+  isActive: {
+    type: Boolean,
+    default: true,
+  },
+});
+
+// Nested groups reuse the condition schema
+conditionSchema.add({
+  logic: {
+    type: String,
+    enum: ['AND', 'OR'],
+    default: 'AND',
+  },
+  
+  conditions: [conditionSchema],
+});
 
 /**
  * Rule Schema
@@ -27,77 +129,7 @@ const ruleSchema = new mongoose.Schema({
   },
   
   // Rule Logic
-  conditions: [{
-    type: {
-      type: String,
-      enum: Object.values(RULE_CONDITIONS),
-      required: true,
-    },
-    
-    operator: {
-      type: String,
-      enum: ['equals', 'not_equals', 'greater_than', 'less_than', 'between', 'contains', 'starts_with', 'ends_with'],
-      required: true,
-    },
-    
-    // Source of the condition (device, sensor, time, etc.)
-    source: {
-      type: {
-        type: String,
-        enum: ['device', 'group', 'sensor', 'time', 'weather', 'location', 'user'],
-        required: true,
-      },
-      
-      id: {
-        type: mongoose.Schema.Types.ObjectId,
-        refPath: 'conditions.source.type',
-      },
-      
-      property: {
-        type: String, // e.g., 'powerState', 'temperature', 'brightness'
-      },
-    },
-    
-    value: mongoose.Schema.Types.Mixed,
-    
-    // For time-based conditions
-    timeRange: {
-      start: {
-        type: String, // Format: "HH:MM"
-        validate: {
-          validator: function(v) {
-            return !v || /^([01]?[0-9]|2[0-3]):[0-5][0-9]$/.test(v);
-          },
-          message: 'Invalid time format (use HH:MM)',
-        },
-      },
-      end: {
-        type: String, // Format: "HH:MM"
-        validate: {
-          validator: function(v) {
-            return !v || /^([01]?[0-9]|2[0-3]):[0-5][0-9]$/.test(v);
-          },
-          message: 'Invalid time format (use HH:MM)',
-        },
-      },
-      days: [{
-        type: String,
-        enum: ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'],
-      }],
-    },
-    
-    // For location-based conditions
-    location: {
-      latitude: Number,
-      longitude: Number,
-      radius: Number, // in meters
-    },
-    
-    isActive: {
-      type: Boolean,
-      default: true,
-    },
-  }],
+  conditions: [conditionSchema],
   
   // Rule logic operator (AND/OR)
   conditionLogic: {
@@ -109,7 +141,7 @@ const ruleSchema = new mongoose.Schema({
   actions: [{
     type: {
       type: String,
-      enum: Object.values(RULE_ACTIONS),
+      enum: ACTION_TYPES,
       required: true,
     },
     
@@ -118,7 +150,6 @@ const ruleSchema = new mongoose.Schema({
       type: {
         type: String,
         enum: ['device', 'group', 'mode', 'notification', 'webhook'],
-        required: true,
       },
       
       id: {
@@ -135,12 +166,12 @@ const ruleSchema = new mongoose.Schema({
     
     value: mongoose.Schema.Types.Mixed,
     
-    // Delay before executing action (in seconds)
-    delay: {
-      type: Number,
-      min: [0, 'Delay cannot be negative'],
-      default: 0,
-    },
+    // Per-type payloads (shape enforced by ruleValidator)
+    device: mongoose.Schema.Types.Mixed,
+    group: mongoose.Schema.Types.Mixed,
+    mode: mongoose.Schema.Types.Mixed,
+    scene: mongoose.Schema.Types.Mixed,
+    delay: mongoose.Schema.Types.Mixed, // { duration, unit } for delay actions
     
     // Notification specific settings
     notification: {
@@ -172,14 +203,30 @@ const ruleSchema = new mongoose.Schema({
       },
       method: {
         type: String,
-        enum: ['GET', 'POST', 'PUT', 'DELETE'],
+        enum: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'],
         default: 'POST',
       },
       headers: {
         type: Map,
         of: String,
       },
+      // JSON body template; "{{path}}" placeholders are filled from the trigger context
+      body: mongoose.Schema.Types.Mixed,
       payload: mongoose.Schema.Types.Mixed,
+      // HMAC-SHA256 signing key (falls back to WEBHOOK_SIGNING_SECRET)
+      secret: String,
+      timeout: {
+        type: Number,
+        min: [1000, 'Webhook timeout must be at least 1 second'],
+        max: [30000, 'Webhook timeout cannot exceed 30 seconds'],
+        default: 5000,
+      },
+      retries: {
+        type: Number,
+        min: [0, 'Webhook retries cannot be negative'],
+        max: [5, 'Webhook retries cannot exceed 5'],
+        default: 0,
+      },
     },
     
     isActive: {
@@ -192,7 +239,7 @@ const ruleSchema = new mongoose.Schema({
   triggers: [{
     type: {
       type: String,
-      enum: ['immediate', 'scheduled', 'event', 'webhook'],
+      enum: ['immediate', 'scheduled', 'event', 'webhook', 'device_state'],
       required: true,
     },
     
@@ -242,12 +289,74 @@ const ruleSchema = new mongoose.Schema({
       filters: mongoose.Schema.Types.Mixed,
     },
     
+    // For device state triggers
+    device: {
+      deviceId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Device',
+      },
+      property: String, // e.g., 'powerState', 'settings.isLocked', 'sensors.motion'
+      operator: {
+        type: String,
+        enum: ['equals', 'not_equals', 'greater_than', 'less_than', 'between', 'changes', 'changes_to', 'changes_from'],
+      },
+      value: mongoose.Schema.Types.Mixed,
+      secondValue: mongoose.Schema.Types.Mixed,
+    },
+    
+    // Fire only once the state has held this long (device state triggers)
+    sustainedFor: {
+      type: Number, // in seconds
+      min: [1, 'Sustained duration must be at least 1 second'],
+      max: [86400, 'Sustained duration cannot exceed 24 hours'],
+    },
+    
+    // For webhook triggers (inbound calls to /api/v1/hooks/:token)
+    webhook: {
+      token: String, // generated on save, rotatable
+      method: {
+        type: String,
+        enum: ['GET', 'POST', 'PUT', 'PATCH'],
+      },
+      rateLimit: {
+        type: Number, // requests per minute
+        min: [1, 'Rate limit must be at least 1 request per minute'],
+        max: [1000, 'Rate limit cannot exceed 1000 requests per minute'],
+      },
+      tokenRotatedAt: Date,
+      lastCalledAt: Date,
+    },
+    
     isActive: {
       type: Boolean,
       default: true,
     },
   }],
   
+  // Armed "sustained for" timers; an entry exists while its state holds
+  sustainedStates: [{
+    _id: false,
+    kind: {
+      type: String,
+      enum: ['trigger', 'condition'],
+      required: true,
+    },
+    itemId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+    deviceId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Device',
+    },
+    since: {
+      type: Date,
+      required: true,
+    },
+    dueAt: Date,
+    satisfiedAt: Date, // set when the timer fires while the state still holds
+  }],
+  
   // Rule Status and Control
   isActive: {
     type: Boolean,
@@ -459,8 +568,10 @@ ruleSchema.index({ type: 1 });
 ruleSchema.index({ isActive: 1 });
 ruleSchema.index({ priority: 1 });
 ruleSchema.index({ 'conditions.source.id': 1 });
+ruleSchema.index({ 'triggers.device.deviceId': 1 });
 ruleSchema.index({ 'actions.target.id': 1 });
 ruleSchema.index({ 'triggers.schedule.time': 1 });
+ruleSchema.index({ 'triggers.webhook.token': 1 }, { unique: true, sparse: true });
 ruleSchema.index({ 'statistics.lastExecuted': 1 });
 ruleSchema.index({ tags: 1 });
 ruleSchema.index({ createdAt: 1 });
@@ -490,6 +601,9 @@ ruleSchema.virtual('activeTriggers').get(function() {
   return this.triggers.filter(trigger => trigger.isActive);
 });
 
+// Generate a URL-safe webhook trigger token (192 bits)
+const generateWebhookToken = () => crypto.randomBytes(24).toString('base64url');
+
 // Pre-save middleware
 ruleSchema.pre('save', function(next) {
   this.updatedAt = new Date();
@@ -508,6 +622,13 @@ ruleSchema.pre('save', function(next) {
     this.executionLog = this.executionLog.slice(-100);
   }
   
+  // Give every webhook trigger an unguessable token
+  this.triggers.forEach(trigger => {
+    if (trigger.type === 'webhook' && !trigger.webhook?.token) {
+      trigger.set('webhook.token', generateWebhookToken());
+    }
+  });
+  
   next();
 });
 
@@ -573,6 +694,13 @@ ruleSchema.methods.removeTrigger = function(triggerId) {
   return this.save();
 };
 
+ruleSchema.methods.rotateWebhookToken = function(triggerId) {
+  const trigger = this.triggers.id(triggerId);
+  trigger.set('webhook.token', generateWebhookToken());
+  trigger.set('webhook.tokenRotatedAt', new Date());
+  return this.save();
+};
+
 ruleSchema.methods.shareWith = function(userId, permissions = ['view']) {
   // Remove existing share if exists
   this.sharedWith = this.sharedWith.filter(share => 
@@ -1,5 +1,5 @@
 import mongoose from 'mongoose';
-import { USER_ROLES } from '../config/constants.js';
+import { USER_ROLES, TARIFF_TYPES } from '../config/constants.js';
 
 /**
  * User Schema
@@ -117,6 +117,88 @@ const userSchema = new mongoose.Schema({
     default: 'UTC',
   },
   
+  // Household the user creates devices, groups, modes and rules in (null: their own)
+  activeHome: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Home',
+    default: null,
+  },
+  
+  // Last reported presence (used by user_home / user_away rule conditions)
+  presence: {
+    status: {
+      type: String,
+      enum: ['home', 'away', 'sleeping', 'unknown'],
+      default: 'unknown',
+    },
+    location: {
+      latitude: Number,
+      longitude: Number,
+    },
+    updatedAt: Date,
+  },
+  
+  // Electricity tariff used to price metered energy
+  tariff: {
+    type: {
+      type: String,
+      enum: Object.values(TARIFF_TYPES),
+      default: TARIFF_TYPES.FLAT,
+    },
+    currency: {
+      type: String,
+      uppercase: true,
+      match: [/^[A-Z]{3}$/, 'Currency must be an ISO 4217 code'],
+      default: 'USD',
+    },
+    // Price per kWh: the flat rate, or the rate outside time-of-use periods
+    rate: {
+      type: Number,
+      min: [0, 'Rate cannot be negative'],
+      default: 0,
+    },
+    defaultPeriod: {
+      type: String,
+      default: 'standard',
+    },
+    periods: [{
+      _id: false,
+      name: {
+        type: String,
+        required: true,
+      },
+      rate: {
+        type: Number,
+        min: [0, 'Rate cannot be negative'],
+        required: true,
+      },
+      start: String, // Format: "HH:MM"
+      end: String, // Format: "HH:MM"
+      days: [{
+        type: String,
+        enum: ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'],
+      }],
+    }],
+    // Monthly consumption tiers; the last one may leave upTo empty
+    tiers: [{
+      _id: false,
+      upTo: {
+        type: Number, // kWh per month
+        default: null,
+      },
+      rate: {
+        type: Number,
+        min: [0, 'Rate cannot be negative'],
+        required: true,
+      },
+    }],
+    standingCharge: {
+      type: Number, // fixed charge per day
+      min: [0, 'Standing charge cannot be negative'],
+      default: 0,
+    },
+  },
+  
   preferences: {
     theme: {
       type: String,
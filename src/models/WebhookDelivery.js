@@ -0,0 +1,89 @@
+import mongoose from 'mongoose';
+
+/**
+ * Webhook Delivery Schema
+ * One outbound webhook call made by a rule or mode action, kept for the
+ * delivery log and for redelivery
+ */
+const webhookDeliverySchema = new mongoose.Schema({
+  // Where the call came from
+  source: {
+    type: {
+      type: String,
+      enum: ['rule', 'mode'],
+      required: true,
+    },
+    id: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+    actionId: String,
+  },
+
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+
+  event: {
+    type: String,
+    required: true,
+  },
+
+  // Request as sent (body is the rendered JSON string that was signed)
+  request: {
+    url: {
+      type: String,
+      required: true,
+    },
+    method: {
+      type: String,
+      default: 'POST',
+    },
+    headers: mongoose.Schema.Types.Mixed,
+    body: String,
+  },
+
+  // Last response received
+  response: {
+    statusCode: Number,
+    body: String, // truncated
+  },
+
+  status: {
+    type: String,
+    enum: ['success', 'failed'],
+    required: true,
+  },
+
+  attempts: {
+    type: Number,
+    default: 1,
+  },
+
+  duration: Number, // in milliseconds, across all attempts
+
+  error: String,
+
+  redeliveryOf: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WebhookDelivery',
+    default: null,
+  },
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true },
+});
+
+// Indexes
+webhookDeliverySchema.index({ 'source.type': 1, 'source.id': 1, createdAt: -1 });
+webhookDeliverySchema.index({ owner: 1 });
+// Drop deliveries after 30 days
+webhookDeliverySchema.index({ createdAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+// Create and export model
+const WebhookDelivery = mongoose.model('WebhookDelivery', webhookDeliverySchema);
+
+export default WebhookDelivery;
@@ -99,6 +99,27 @@ router.get('/me', authenticate, authController.getProfile);
  */
 router.put('/profile', authenticate, authController.updateProfile);
 
+/**
+ * @route   PUT /api/v1/auth/presence
+ * @desc    Report user presence for presence-based rules
+ * @access  Private
+ */
+router.put('/presence', authenticate, authController.updatePresence);
+
+/**
+ * @route   GET /api/v1/auth/tariff
+ * @desc    Get electricity tariff and the current tariff period
+ * @access  Private
+ */
+router.get('/tariff', authenticate, authController.getTariff);
+
+/**
+ * @route   PUT /api/v1/auth/tariff
+ * @desc    Set electricity tariff (flat, time-of-use or tiered)
+ * @access  Private
+ */
+router.put('/tariff', authenticate, authController.updateTariff);
+
 /**
  * @route   DELETE /api/v1/auth/account
  * @desc    Delete user account
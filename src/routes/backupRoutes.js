@@ -0,0 +1,24 @@
+import express from 'express';
+import { backupController } from '../controllers/index.js';
+import { authenticate } from '../middlewares/auth.js';
+import { uploadLimiter } from '../middlewares/rateLimiter.js';
+
+const router = express.Router();
+
+// Mounted at the API root, so middleware is applied per route
+
+/**
+ * @route   POST /api/v1/backup
+ * @desc    Create a backup of the user's devices, groups, scenes, modes, rules, timers and preferences
+ * @access  Private
+ */
+router.post('/backup', authenticate, uploadLimiter, backupController.createBackup);
+
+/**
+ * @route   POST /api/v1/restore
+ * @desc    Restore a backup (or diff it against the current configuration with dryRun)
+ * @access  Private
+ */
+router.post('/restore', authenticate, uploadLimiter, backupController.restoreBackup);
+
+export default router;
@@ -32,6 +32,13 @@ router.post('/', deviceController.createDevice);
  */
 router.get('/statistics', deviceController.getDeviceStatistics);
 
+/**
+ * @route   GET /api/v1/devices/energy
+ * @desc    Get metered energy usage of all devices (home total)
+ * @access  Private
+ */
+router.get('/energy', deviceController.getHomeEnergyUsage);
+
 /**
  * @route   POST /api/v1/devices/discover
  * @desc    Discover devices on network
@@ -90,7 +97,7 @@ router.put('/:deviceId/status', deviceController.updateDeviceStatus);
 
 /**
  * @route   GET /api/v1/devices/:deviceId/history
- * @desc    Get device history
+ * @desc    Get device state history (raw points or 1m/1h/1d aggregates)
  * @access  Private
  */
 router.get('/:deviceId/history', deviceController.getDeviceHistory);
@@ -118,7 +125,7 @@ router.post('/:deviceId/firmware-update', deviceController.updateDeviceFirmware)
 
 /**
  * @route   GET /api/v1/devices/:deviceId/energy
- * @desc    Get device energy usage
+ * @desc    Get metered device energy usage
  * @access  Private
  */
 router.get('/:deviceId/energy', deviceController.getDeviceEnergyUsage);
@@ -144,4 +151,18 @@ router.get('/:deviceId/timers', deviceController.getDeviceTimers);
  */
 router.delete('/:deviceId/timers/:timerId', deviceController.cancelDeviceTimer);
 
+/**
+ * @route   POST /api/v1/devices/:deviceId/share
+ * @desc    Share device with another user
+ * @access  Private (share permission)
+ */
+router.post('/:deviceId/share', deviceController.shareDevice);
+
+/**
+ * @route   DELETE /api/v1/devices/:deviceId/share/:userId
+ * @desc    Stop sharing device with a user
+ * @access  Private (share permission, or the user themselves)
+ */
+router.delete('/:deviceId/share/:userId', deviceController.unshareDevice);
+
 export default router;
@@ -123,9 +123,23 @@ router.post('/:groupId/optimize', groupController.applyGroupOptimization);
 
 /**
  * @route   GET /api/v1/groups/:groupId/energy
- * @desc    Get group energy usage
+ * @desc    Get metered group energy usage
  * @access  Private
  */
 router.get('/:groupId/energy', groupController.getGroupEnergyUsage);
 
+/**
+ * @route   POST /api/v1/groups/:groupId/members
+ * @desc    Add a member to group
+ * @access  Private (invite permission)
+ */
+router.post('/:groupId/members', groupController.addGroupMember);
+
+/**
+ * @route   DELETE /api/v1/groups/:groupId/members/:userId
+ * @desc    Remove a member from group
+ * @access  Private (invite permission, or the member themselves)
+ */
+router.delete('/:groupId/members/:userId', groupController.removeGroupMember);
+
 export default router;
@@ -0,0 +1,103 @@
+import express from 'express';
+import { homeController } from '../controllers/index.js';
+import { authenticate } from '../middlewares/auth.js';
+import { defaultLimiter } from '../middlewares/rateLimiter.js';
+
+const router = express.Router();
+
+// Apply authentication to all home routes
+router.use(authenticate);
+router.use(defaultLimiter);
+
+/**
+ * @route   GET /api/v1/homes
+ * @desc    Get the homes the user owns or belongs to
+ * @access  Private
+ */
+router.get('/', homeController.getHomes);
+
+/**
+ * @route   POST /api/v1/homes
+ * @desc    Create the user's home
+ * @access  Private
+ */
+router.post('/', homeController.createHome);
+
+/**
+ * @route   GET /api/v1/homes/invites
+ * @desc    Get pending invites addressed to the user
+ * @access  Private
+ */
+router.get('/invites', homeController.getMyInvites);
+
+/**
+ * @route   POST /api/v1/homes/invites/:inviteId/accept
+ * @desc    Accept an invite and join the home
+ * @access  Private (invitee)
+ */
+router.post('/invites/:inviteId/accept', homeController.acceptInvite);
+
+/**
+ * @route   POST /api/v1/homes/invites/:inviteId/decline
+ * @desc    Decline an invite
+ * @access  Private (invitee)
+ */
+router.post('/invites/:inviteId/decline', homeController.declineInvite);
+
+/**
+ * @route   PUT /api/v1/homes/active
+ * @desc    Choose the home new devices, groups, modes and rules are created in
+ * @access  Private
+ */
+router.put('/active', homeController.setActiveHome);
+
+/**
+ * @route   GET /api/v1/homes/:homeId
+ * @desc    Get home by ID
+ * @access  Private (home members)
+ */
+router.get('/:homeId', homeController.getHome);
+
+/**
+ * @route   PUT /api/v1/homes/:homeId
+ * @desc    Update home
+ * @access  Private (owner, admin)
+ */
+router.put('/:homeId', homeController.updateHome);
+
+/**
+ * @route   DELETE /api/v1/homes/:homeId
+ * @desc    Delete home
+ * @access  Private (owner)
+ */
+router.delete('/:homeId', homeController.deleteHome);
+
+/**
+ * @route   POST /api/v1/homes/:homeId/invites
+ * @desc    Invite someone to the home by email
+ * @access  Private (owner, admin)
+ */
+router.post('/:homeId/invites', homeController.inviteMember);
+
+/**
+ * @route   DELETE /api/v1/homes/:homeId/invites/:inviteId
+ * @desc    Revoke a pending invite
+ * @access  Private (owner, admin)
+ */
+router.delete('/:homeId/invites/:inviteId', homeController.revokeInvite);
+
+/**
+ * @route   PUT /api/v1/homes/:homeId/members/:memberId
+ * @desc    Change a member's role
+ * @access  Private (owner, admin)
+ */
+router.put('/:homeId/members/:memberId', homeController.updateMemberRole);
+
+/**
+ * @route   DELETE /api/v1/homes/:homeId/members/:memberId
+ * @desc    Remove a member, or leave the home
+ * @access  Private (owner, admin, or the member themselves)
+ */
+router.delete('/:homeId/members/:memberId', homeController.removeMember);
+
+export default router;
@@ -0,0 +1,17 @@
+import express from 'express';
+import { hookController } from '../controllers/index.js';
+import { webhookLimiter, hookTriggerLimiter } from '../middlewares/rateLimiter.js';
+
+const router = express.Router();
+
+// Public endpoints: the hook token authenticates the caller
+router.use(webhookLimiter);
+
+/**
+ * @route   ALL /api/v1/hooks/:token
+ * @desc    Trigger a rule through its inbound webhook (method set on the trigger)
+ * @access  Public (token)
+ */
+router.all('/:token', hookController.resolveHook, hookTriggerLimiter, hookController.receiveHook);
+
+export default router;
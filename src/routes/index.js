@@ -5,6 +5,10 @@ import deviceRoutes from './deviceRoutes.js';
 import groupRoutes from './groupRoutes.js';
 import modeRoutes from './modeRoutes.js';
 import ruleRoutes from './ruleRoutes.js';
+import notificationRoutes from './notificationRoutes.js';
+import hookRoutes from './hookRoutes.js';
+import backupRoutes from './backupRoutes.js';
+import homeRoutes from './homeRoutes.js';
 
 const router = express.Router();
 
@@ -33,6 +37,14 @@ router.use('/devices', deviceRoutes);
 router.use('/groups', groupRoutes);
 router.use('/modes', modeRoutes);
 router.use('/rules', ruleRoutes);
+router.use('/homes', homeRoutes);
+router.use('/notifications', notificationRoutes);
+
+// Whole-home backup and restore (/backup, /restore)
+router.use(backupRoutes);
+
+// Inbound webhook triggers (public, token in URL)
+router.use('/hooks', hookRoutes);
 
 // API documentation endpoint
 router.get('/docs', (req, res) => {
@@ -46,6 +58,11 @@ router.get('/docs', (req, res) => {
       groups: '/api/v1/groups',
       modes: '/api/v1/modes',
       rules: '/api/v1/rules',
+      homes: '/api/v1/homes',
+      notifications: '/api/v1/notifications',
+      hooks: '/api/v1/hooks/:token',
+      backup: '/api/v1/backup',
+      restore: '/api/v1/restore',
     },
     features: [
       'User authentication with JWT and Google OAuth',
@@ -53,9 +70,11 @@ router.get('/docs', (req, res) => {
       'Group and scene management',
       'Automation modes',
       'Advanced rule engine',
+      'Shared households with member roles',
       'Real-time notifications',
       'Analytics and insights',
       'Energy monitoring',
+      'Configuration backup and restore',
     ],
   });
 });
@@ -74,6 +93,11 @@ router.use('*', (req, res) => {
       groups: '/api/v1/groups/*',
       modes: '/api/v1/modes/*',
       rules: '/api/v1/rules/*',
+      homes: '/api/v1/homes/*',
+      notifications: '/api/v1/notifications/*',
+      hooks: '/api/v1/hooks/:token',
+      backup: 'POST /api/v1/backup',
+      restore: 'POST /api/v1/restore',
     },
   });
 });
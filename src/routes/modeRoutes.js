@@ -93,6 +93,13 @@ router.post('/:modeId/activate', modeController.activateMode);
  */
 router.post('/:modeId/deactivate', modeController.deactivateMode);
 
+/**
+ * @route   POST /api/v1/modes/:modeId/restore
+ * @desc    Restore devices left pending by the last deactivation
+ * @access  Private
+ */
+router.post('/:modeId/restore', modeController.restoreModeState);
+
 /**
  * @route   POST /api/v1/modes/:modeId/schedule
  * @desc    Schedule mode activation
@@ -0,0 +1,47 @@
+import express from 'express';
+import { notificationController } from '../controllers/index.js';
+import { authenticate } from '../middlewares/auth.js';
+import { defaultLimiter } from '../middlewares/rateLimiter.js';
+
+const router = express.Router();
+
+// Apply authentication to all notification routes
+router.use(authenticate);
+router.use(defaultLimiter);
+
+/**
+ * @route   GET /api/v1/notifications
+ * @desc    Get user notifications
+ * @access  Private
+ */
+router.get('/', notificationController.getNotifications);
+
+/**
+ * @route   GET /api/v1/notifications/statistics
+ * @desc    Get notification statistics
+ * @access  Private
+ */
+router.get('/statistics', notificationController.getNotificationStatistics);
+
+/**
+ * @route   PATCH /api/v1/notifications/read-all
+ * @desc    Mark all notifications as read
+ * @access  Private
+ */
+router.patch('/read-all', notificationController.markAllAsRead);
+
+/**
+ * @route   PATCH /api/v1/notifications/:notificationId/read
+ * @desc    Mark notification as read
+ * @access  Private
+ */
+router.patch('/:notificationId/read', notificationController.markAsRead);
+
+/**
+ * @route   DELETE /api/v1/notifications/:notificationId
+ * @desc    Delete notification
+ * @access  Private
+ */
+router.delete('/:notificationId', notificationController.deleteNotification);
+
+export default router;
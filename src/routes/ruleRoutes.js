@@ -100,6 +100,34 @@ router.post('/:ruleId/test', ruleController.testRule);
  */
 router.get('/:ruleId/history', ruleController.getRuleHistory);
 
+/**
+ * @route   GET /api/v1/rules/:ruleId/status
+ * @desc    Get rule status (next scheduled runs, armed sustained timers)
+ * @access  Private
+ */
+router.get('/:ruleId/status', ruleController.getRuleStatus);
+
+/**
+ * @route   GET /api/v1/rules/:ruleId/webhooks/deliveries
+ * @desc    Get rule webhook delivery log
+ * @access  Private
+ */
+router.get('/:ruleId/webhooks/deliveries', ruleController.getWebhookDeliveries);
+
+/**
+ * @route   POST /api/v1/rules/:ruleId/webhooks/deliveries/:deliveryId/redeliver
+ * @desc    Redeliver a rule webhook
+ * @access  Private
+ */
+router.post('/:ruleId/webhooks/deliveries/:deliveryId/redeliver', ruleController.redeliverWebhook);
+
+/**
+ * @route   POST /api/v1/rules/:ruleId/triggers/:triggerId/rotate-token
+ * @desc    Rotate the token of an inbound webhook trigger
+ * @access  Private
+ */
+router.post('/:ruleId/triggers/:triggerId/rotate-token', ruleController.rotateWebhookToken);
+
 /**
  * @route   POST /api/v1/rules/:ruleId/trigger
  * @desc    Manually trigger rule
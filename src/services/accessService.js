@@ -0,0 +1,331 @@
+import mongoose from 'mongoose';
+import Device from '../models/Device.js';
+import Group from '../models/Group.js';
+import Home from '../models/Home.js';
+import Mode from '../models/Mode.js';
+import Rule from '../models/Rule.js';
+import User from '../models/User.js';
+import { AppError, AuthorizationError } from '../utils/errors.js';
+import { HOME_ROLES, ACCESS_ACTIONS } from '../config/constants.js';
+
+const { VIEW, CONTROL, CONFIGURE, SHARE, INVITE, ADD_DEVICES, REMOVE_DEVICES } = ACCESS_ACTIONS;
+
+const MODELS = {
+  device: Device,
+  group: Group,
+  mode: Mode,
+  rule: Rule,
+};
+
+// What each household role may do, per resource kind
+const ROLE_ACCESS = {
+  [HOME_ROLES.OWNER]: {
+    device: [VIEW, CONTROL, CONFIGURE, SHARE],
+    group: [VIEW, CONTROL, CONFIGURE, INVITE, ADD_DEVICES, REMOVE_DEVICES],
+    mode: [VIEW, CONTROL, CONFIGURE],
+    rule: [VIEW, CONTROL, CONFIGURE],
+  },
+  [HOME_ROLES.ADMIN]: {
+    device: [VIEW, CONTROL, CONFIGURE, SHARE],
+    group: [VIEW, CONTROL, CONFIGURE, INVITE, ADD_DEVICES, REMOVE_DEVICES],
+    mode: [VIEW, CONTROL, CONFIGURE],
+    rule: [VIEW, CONTROL, CONFIGURE],
+  },
+  [HOME_ROLES.MEMBER]: {
+    device: [VIEW, CONTROL],
+    group: [VIEW, CONTROL],
+    mode: [VIEW, CONTROL],
+    rule: [VIEW, CONTROL],
+  },
+  [HOME_ROLES.GUEST]: {
+    device: [VIEW, CONTROL],
+    group: [VIEW, CONTROL],
+    mode: [VIEW],
+    rule: [],
+  },
+};
+
+// Per-resource shares: where they live and which action each permission grants
+const SHARES = {
+  device: {
+    path: 'sharedWith',
+    permissions: { view: VIEW, control: CONTROL, configure: CONFIGURE, share: SHARE },
+  },
+  group: {
+    path: 'members',
+    permissions: {
+      view: VIEW,
+      control: CONTROL,
+      configure: CONFIGURE,
+      invite: INVITE,
+      add_devices: ADD_DEVICES,
+      remove_devices: REMOVE_DEVICES,
+    },
+  },
+  mode: {
+    path: 'sharedWith',
+    permissions: { view: VIEW, activate: CONTROL, edit: CONFIGURE, delete: CONFIGURE },
+  },
+  rule: {
+    path: 'sharedWith',
+    permissions: { view: VIEW, execute: CONTROL, edit: CONFIGURE, delete: CONFIGURE },
+  },
+};
+
+// Group member roles stand in for an empty permission list
+const GROUP_ROLE_ACCESS = {
+  viewer: [VIEW],
+  member: [VIEW, CONTROL],
+  admin: [VIEW, CONTROL, CONFIGURE, INVITE, ADD_DEVICES, REMOVE_DEVICES],
+};
+
+// What a group share passes on to the devices in the group
+const GROUP_DEVICE_ACTIONS = [VIEW, CONTROL];
+
+/**
+ * Access Service
+ * The policy engine: the one place that decides what a user may do with a
+ * device, group, mode or rule. Access comes from the user's role in the home
+ * the resource belongs to (resources belong to their owner's home), from a
+ * share on the resource itself (Device.sharedWith, Group.members,
+ * Mode/Rule.sharedWith), and for devices from the groups they are in.
+ * Services check it for REST, socket and automation callers alike.
+ */
+class AccessService {
+  /**
+   * Load a resource the user may act on
+   * Users without any access get a 404, so resource IDs do not leak.
+   * @param {string} kind - device, group, mode or rule
+   * @param {string} id - Resource ID
+   * @param {string} userId - Acting user ID
+   * @param {string} action - One of ACCESS_ACTIONS
+   * @returns {Object} - Resource document
+   */
+  async findAccessible(kind, id, userId, action = VIEW) {
+    const resource = mongoose.isValidObjectId(id) ? await MODELS[kind].findById(id) : null;
+    const label = `${kind.charAt(0).toUpperCase()}${kind.slice(1)}`;
+
+    if (!resource) {
+      throw new AppError(`${label} not found`, 404);
+    }
+
+    const actions = await this.getActions(kind, resource, userId);
+    if (!actions.includes(VIEW)) {
+      throw new AppError(`${label} not found`, 404);
+    }
+    if (!actions.includes(action)) {
+      throw new AuthorizationError(`Permission '${action}' required for this ${kind}`);
+    }
+
+    return resource;
+  }
+
+  /**
+   * Check that a user may act on a resource that is already loaded
+   * @param {string} kind - device, group, mode or rule
+   * @param {Object} resource - Resource with owner (and shares)
+   * @param {string} userId - Acting user ID
+   * @param {string} action - One of ACCESS_ACTIONS
+   * @throws {AuthorizationError} - When the action is not allowed
+   */
+  async authorize(kind, resource, userId, action) {
+    const actions = await this.getActions(kind, resource, userId);
+    if (!actions.includes(action)) {
+      throw new AuthorizationError(`Permission '${action}' required for this ${kind}`);
+    }
+  }
+
+  /**
+   * List what a user may do with a resource
+   * @param {string} kind - device, group, mode or rule
+   * @param {Object} resource - Resource with owner (and shares)
+   * @param {string} userId - Acting user ID
+   * @returns {Array<string>} - Allowed actions
+   */
+  async getActions(kind, resource, userId) {
+    const role = await this.getRole(userId, resource.owner);
+    const actions = new Set(role ? ROLE_ACCESS[role][kind] : []);
+
+    for (const action of this._getShareActions(kind, resource, userId)) {
+      actions.add(action);
+    }
+
+    if (kind === 'device' && !actions.has(CONTROL) && resource.groups?.length) {
+      for (const action of await this._getGroupDeviceActions(resource, userId)) {
+        actions.add(action);
+      }
+    }
+
+    return [...actions];
+  }
+
+  /**
+   * List the users who may act on a resource: the owner, members of the
+   * owner's home, share holders and, for devices, members of its groups
+   * @param {string} kind - device, group, mode or rule
+   * @param {Object} resource - Resource with owner (and shares)
+   * @param {string} action - One of ACCESS_ACTIONS
+   * @returns {Array<string>} - User IDs
+   */
+  async getUsersWithAccess(kind, resource, action = VIEW) {
+    const ownerId = (resource.owner?._id || resource.owner).toString();
+    const home = await Home.findOne({ owner: ownerId }).select('members');
+    const candidates = new Set([
+      ownerId,
+      ...(home?.members || []).map(member => member.user),
+      ...(resource[SHARES[kind].path] || []).map(share => share.user),
+    ].map(user => (user?._id || user).toString()));
+
+    if (kind === 'device' && resource.groups?.length) {
+      const groups = await Group.find({ _id: { $in: resource.groups } }).select('members');
+      for (const group of groups) {
+        group.members.forEach(member => candidates.add((member.user?._id || member.user).toString()));
+      }
+    }
+
+    const users = [];
+    for (const userId of candidates) {
+      if ((await this.getActions(kind, resource, userId)).includes(action)) {
+        users.push(userId);
+      }
+    }
+
+    return users;
+  }
+
+  /**
+   * Check that a user may give someone a share on a resource
+   * Owners and admins may grant anything; others only what they have.
+   * @param {string} kind - device or group
+   * @param {Object} resource - Resource with owner (and shares)
+   * @param {string} userId - Granting user ID
+   * @param {Object} share - Share being granted ({ permissions, role })
+   * @throws {AuthorizationError} - When the share grants more than the user has
+   */
+  async checkGrant(kind, resource, userId, share) {
+    const actions = await this.getActions(kind, resource, userId);
+    const granted = this._getShareActions(kind, { [SHARES[kind].path]: [{ ...share, user: userId }] }, userId);
+    const missing = granted.filter(action => !actions.includes(action));
+
+    if (missing.length > 0) {
+      throw new AuthorizationError(`You cannot grant permissions you do not have: ${missing.join(', ')}`);
+    }
+  }
+
+  /**
+   * Get a user's role in the home of a resource owner
+   * @param {string} userId - User ID
+   * @param {string} ownerId - Home owner ID
+   * @returns {string|null} - owner, admin, member, guest or null
+   */
+  async getRole(userId, ownerId) {
+    const ownerKey = (ownerId?._id || ownerId)?.toString();
+    if (!ownerKey) {
+      return null;
+    }
+    if (ownerKey === userId.toString()) {
+      return HOME_ROLES.OWNER;
+    }
+
+    const home = await Home.findOne({ owner: ownerKey, 'members.user': userId }).select('owner members');
+    return home?.getRole(userId) || null;
+  }
+
+  /**
+   * Build the query filter for the resources of a kind a user can see
+   * @param {string} userId - User ID
+   * @param {string} kind - device, group, mode or rule
+   * @returns {Object} - Filter, usable in find() and $match
+   */
+  async getScope(userId, kind) {
+    const homes = await Home.find({ 'members.user': userId }).select('owner members');
+    const owners = [userId, ...homes
+      .filter(home => ROLE_ACCESS[home.getRole(userId)][kind].includes(VIEW))
+      .map(home => home.owner)];
+
+    const userObjectId = this._toObjectId(userId);
+    const scope = {
+      $or: [
+        { owner: { $in: owners.map(owner => this._toObjectId(owner)) } },
+        { [`${SHARES[kind].path}.user`]: userObjectId },
+      ],
+    };
+
+    // Devices are also visible through the groups shared with the user
+    if (kind === 'device') {
+      const groups = await Group.find({ 'members.user': userObjectId }).select('_id');
+      if (groups.length > 0) {
+        scope.$or.push({ groups: { $in: groups.map(group => group._id) } });
+      }
+    }
+
+    return scope;
+  }
+
+  /**
+   * Get the owner whose home the user is working in: the owner of the user's
+   * active home, or the user themselves when no home is active
+   * @param {string} userId - User ID
+   * @param {string} kind - device, group, mode or rule
+   * @param {string} action - Action the user's role must allow on that kind (configure by default, for creating)
+   * @returns {string} - Owner ID
+   * @throws {AuthorizationError} - When the role in the active home does not allow the action
+   */
+  async getActiveOwner(userId, kind, action = CONFIGURE) {
+    const user = await User.findById(userId).select('activeHome');
+    const home = user?.activeHome ? await Home.findById(user.activeHome).select('name owner members') : null;
+    const role = home?.getRole(userId);
+
+    if (!role) {
+      return userId;
+    }
+    if (!ROLE_ACCESS[role][kind].includes(action)) {
+      const denied = action === CONFIGURE ? `creating a ${kind}` : `${action} access to ${kind}s`;
+      throw new AuthorizationError(`Your role in ${home.name || 'this home'} does not allow ${denied}`);
+    }
+
+    return home.owner.toString();
+  }
+
+  /**
+   * Actions granted by the user's share on a resource
+   * @private
+   */
+  _getShareActions(kind, resource, userId) {
+    const { path, permissions } = SHARES[kind];
+    const share = (resource[path] || []).find(entry => (entry.user?._id || entry.user)?.toString() === userId.toString());
+
+    if (!share) {
+      return [];
+    }
+
+    const granted = (share.permissions || []).map(permission => permissions[permission]).filter(Boolean);
+    if (kind === 'group' && granted.length === 0) {
+      granted.push(...(GROUP_ROLE_ACCESS[share.role] || []));
+    }
+
+    // A share always lets the user see the resource
+    return [VIEW, ...granted];
+  }
+
+  /**
+   * Actions on a device granted by shares on the groups it is in
+   * @private
+   */
+  async _getGroupDeviceActions(device, userId) {
+    const groups = await Group.find({ _id: { $in: device.groups }, 'members.user': userId }).select('members');
+
+    return groups
+      .flatMap(group => this._getShareActions('group', group, userId))
+      .filter(action => GROUP_DEVICE_ACTIONS.includes(action));
+  }
+
+  /**
+   * @private
+   */
+  _toObjectId(id) {
+    return new mongoose.Types.ObjectId((id?._id || id).toString());
+  }
+}
+
+export default new AccessService();
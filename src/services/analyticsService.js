@@ -4,6 +4,7 @@ import  User  from '../models/User.js';
 import Group from '../models/Group.js';
 import  Mode  from '../models/Mode.js';
 import  Rule  from '../models/Rule.js';
+import energyService from './energyService.js';
 
 /**
  * Analytics Service
@@ -502,7 +503,7 @@ class AnalyticsService {
    * @private
    */
   async _getDeviceAnalytics(userId, startDate, endDate) {
-    const userDevices = await Device.find({ userId }).lean();
+    const userDevices = await Device.find({ owner: userId }).lean();
     const deviceEvents = this.analyticsQueue.filter(event =>
       event.userId === userId &&
       event.category === 'device' &&
@@ -583,13 +584,23 @@ class AnalyticsService {
    * @private
    */
   async _getEnergyAnalytics(userId, startDate, endDate) {
-    // Mock energy analytics - in real implementation, this would analyze actual energy data
+    const devices = await Device.find({ owner: userId }).select('name type owner isOnline powerState energy');
+    const usage = await energyService.getUsage(devices, userId, {
+      period: 'month',
+      startDate,
+      endDate,
+      includeStandingCharge: true,
+    });
+    const days = Math.max(usage.breakdown.length, 1);
+
+    // Savings and trends are still mocked
     return {
-      total: 450.75, // kWh
+      total: usage.consumption, // kWh
       consumption: {
-        daily: Array.from({ length: 30 }, (_, i) => ({
-          date: new Date(Date.now() - i * 24 * 60 * 60 * 1000),
-          consumption: Math.random() * 20 + 10,
+        daily: usage.breakdown.map(day => ({
+          date: day.period,
+          consumption: day.kwh,
+          cost: day.cost,
         })),
       },
       savings: {
@@ -598,9 +609,11 @@ class AnalyticsService {
       },
       trends: 'decreasing',
       costAnalysis: {
-        currentMonth: 89.50,
-        previousMonth: 97.30,
-        averageDaily: 2.98,
+        currency: usage.cost.currency,
+        total: usage.cost.amount,
+        currentMonth: usage.cost.thisMonth,
+        projectedMonthly: usage.cost.projectedMonthly,
+        averageDaily: Math.round((usage.cost.amount / days) * 100) / 100,
       },
     };
   }
@@ -756,8 +769,37 @@ class AnalyticsService {
     return 0.92; // 92% satisfaction
   }
 
+  /**
+   * Private method to calculate the share of tracked time devices were online
+   * @param {Array} devices - Device documents with availability accounting
+   * @returns {number|null} - Uptime ratio (0-1), or null if nothing is tracked yet
+   * @private
+   */
   async _calculateDeviceUptime(devices) {
-    return 0.994; // 99.4% uptime
+    const now = Date.now();
+    let onlineTime = 0;
+    let trackedTime = 0;
+
+    devices.forEach(device => {
+      const availability = device.availability;
+      if (!availability?.lastChangedAt) {
+        return;
+      }
+
+      // Include the time spent in the current state
+      const current = now - new Date(availability.lastChangedAt).getTime();
+      const online = (availability.onlineDuration || 0) + (device.isOnline ? current : 0);
+      const offline = (availability.offlineDuration || 0) + (device.isOnline ? 0 : current);
+
+      onlineTime += online;
+      trackedTime += online + offline;
+    });
+
+    if (trackedTime === 0) {
+      return null;
+    }
+
+    return Math.round((onlineTime / trackedTime) * 1000) / 1000;
   }
 
   _countDataPoints(data) {
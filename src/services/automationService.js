@@ -1,8 +1,11 @@
+import User from '../models/User.js';
 import logger from '../utils/logger.js';
+import { PERFORMANCE_MODES } from '../config/constants.js';
 import deviceService from './deviceService.js';
 import groupService from './groupService.js';
 import modeService from './modeService.js';
 import ruleService from './ruleService.js';
+import suggestionService from './suggestionService.js';
 
 /**
  * Automation Service
@@ -130,7 +133,7 @@ class AutomationService {
       const userDevices = await deviceService.getUserDevices(userId, {}, { limit: 100 });
 
       // Analyze patterns
-      const patterns = await this._analyzeUsagePatterns(userId, userDevices.devices, timeRange);
+      const patterns = await this._analyzeUsagePatterns(userId, timeRange, minOccurrences);
 
       // Generate automation suggestions
       const suggestions = [];
@@ -372,6 +375,18 @@ class AutomationService {
    */
   async handleUserPresenceChange(userId, status, location = null) {
     try {
+      // Persist presence so rule conditions can read it
+      await User.updateOne(
+        { _id: userId },
+        {
+          $set: {
+            'presence.status': status,
+            'presence.location': location,
+            'presence.updatedAt': new Date(),
+          },
+        }
+      );
+
       const automationEngine = this.automationEngines.get(userId);
       if (!automationEngine) {
         await this.initializeUserAutomation(userId);
@@ -462,32 +477,19 @@ class AutomationService {
 
   /**
    * Private method to analyze usage patterns
+   * Routines and scenes are mined from the commands kept in device history,
+   * so the range is capped by its retention.
    * @param {string} userId - User ID
-   * @param {Array} devices - User devices
    * @param {number} timeRange - Time range in days
+   * @param {number} minOccurrences - Repetitions needed to count as a pattern
    * @private
    */
-  async _analyzeUsagePatterns(userId, devices, timeRange) {
-    // This would analyze device usage history to find patterns
-    // For now, return mock patterns
-    return [
-      {
-        id: 'pattern1',
-        type: 'time_based',
-        description: 'Living room lights turned on every day at 7 PM',
-        confidence: 0.85,
-        occurrences: 25,
-        devices: ['livingroom_light'],
-      },
-      {
-        id: 'pattern2',
-        type: 'sequence',
-        description: 'Coffee maker turned on after alarm clock',
-        confidence: 0.78,
-        occurrences: 20,
-        devices: ['alarm_clock', 'coffee_maker'],
-      },
-    ];
+  async _analyzeUsagePatterns(userId, timeRange, minOccurrences) {
+    return suggestionService.getSuggestions(userId, {
+      days: timeRange,
+      minOccurrences,
+      limit: Infinity,
+    });
   }
 
   /**
@@ -540,38 +542,13 @@ class AutomationService {
    * @private
    */
   _generateConvenienceSuggestions(patterns) {
-    const suggestions = [];
-
-    patterns.forEach(pattern => {
-      if (pattern.type === 'time_based' && pattern.confidence > 0.8) {
-        suggestions.push({
-          id: `convenience_${pattern.id}`,
-          type: 'rule',
-          category: 'convenience',
-          title: `Automate ${pattern.description}`,
-          description: `Create a schedule to automatically ${pattern.description.toLowerCase()}`,
-          estimatedTimeSavings: 5, // minutes per week
-          priority: 'medium',
-          ruleData: {
-            name: `Auto ${pattern.description}`,
-            type: 'simple',
-            category: 'convenience',
-            triggers: [{
-              type: 'time',
-              time: { hour: 19, minute: 0, days: ['monday', 'tuesday', 'wednesday', 'thursday', 'friday'] },
-            }],
-            actions: [{
-              type: 'device_control',
-              device: {
-                action: 'turn_on',
-              },
-            }],
-          },
-        });
-      }
-    });
-
-    return suggestions;
+    return patterns
+      .filter(pattern => pattern.category === 'scene')
+      .map(pattern => ({
+        ...pattern,
+        category: 'convenience',
+        priority: pattern.confidence > 0.8 ? 'high' : 'medium',
+      }));
   }
 
   /**
@@ -618,20 +595,11 @@ class AutomationService {
    */
   _generateScheduleSuggestions(patterns) {
     return patterns
-      .filter(p => p.type === 'time_based')
+      .filter(pattern => pattern.category === 'routine')
       .map(pattern => ({
-        id: `schedule_${pattern.id}`,
-        type: 'rule',
+        ...pattern,
         category: 'schedule',
-        title: `Schedule for ${pattern.description}`,
-        description: `Create automatic schedule based on your usage pattern`,
-        priority: 'medium',
-        ruleData: {
-          name: `Scheduled ${pattern.description}`,
-          type: 'schedule',
-          category: 'convenience',
-          // ... rule configuration based on pattern
-        },
+        priority: pattern.confidence > 0.8 ? 'high' : 'medium',
       }));
   }
 
@@ -779,18 +747,26 @@ class AutomationService {
    * @private
    */
   async _triggerPresenceAutomations(userId, status, location) {
-    // Trigger relevant modes or rules based on presence
-    switch (status) {
-      case 'away':
-        // Activate away mode, turn off non-essential devices
-        break;
-      case 'home':
-        // Activate home mode, welcome routine
-        break;
-      case 'sleeping':
-        // Activate sleep mode, night settings
-        break;
+    // Switch to the user's mode for the new presence status, if they have one
+    const modeType = {
+      away: PERFORMANCE_MODES.AWAY,
+      home: PERFORMANCE_MODES.HOME,
+      sleeping: PERFORMANCE_MODES.SLEEP,
+    }[status];
+
+    if (!modeType) {
+      return;
     }
+
+    const { modes } = await modeService.getUserModes(userId, { type: modeType, isActive: false }, { limit: 1 });
+    if (modes.length === 0) {
+      return;
+    }
+
+    await modeService.activateMode(modes[0]._id, {
+      force: true,
+      triggeredBy: { type: 'presence', name: status },
+    }, userId);
   }
 
   /**
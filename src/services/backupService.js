@@ -0,0 +1,650 @@
+import crypto from 'crypto';
+import { promisify } from 'util';
+import mongoose from 'mongoose';
+import Device from '../models/Device.js';
+import Group from '../models/Group.js';
+import Mode from '../models/Mode.js';
+import Rule from '../models/Rule.js';
+import User from '../models/User.js';
+import { AppError, ConflictError } from '../utils/errors.js';
+import logger from '../utils/logger.js';
+import accessService from './accessService.js';
+import jobQueueService from './jobQueueService.js';
+import deviceService from './deviceService.js';
+import modeService from './modeService.js';
+import ruleService from './ruleService.js';
+
+export const BACKUP_FORMAT = 'smarthome-backup';
+export const BACKUP_VERSION = 1;
+
+const scrypt = promisify(crypto.scrypt);
+
+// Backed-up collections, in restore order (scenes live in groups, timers in devices)
+const COLLECTIONS = {
+  devices: Device,
+  groups: Group,
+  modes: Mode,
+  rules: Rule,
+};
+
+// Live state left out of a backup; documents that still exist keep their
+// current values on restore, the others start from the schema defaults
+const RUNTIME_FIELDS = {
+  devices: ['status', 'powerState', 'isOnline', 'lastSeen', 'availability', 'lastCommand', 'energy', 'sensors'],
+  groups: ['statistics'],
+  modes: ['isActive', 'activatedAt', 'deactivatedAt', 'scheduledDeactivation', 'statistics'],
+  rules: ['isRunning', 'statistics', 'executionLog'],
+};
+
+// Left out of a backup and started afresh on restore (sustained timers are
+// re-armed from the devices' live state)
+const RESET_FIELDS = {
+  rules: ['sustainedStates'],
+};
+
+// Bookkeeping that never goes into a backup
+const STRIPPED_KEYS = ['__v', 'owner'];
+
+// Credentials kept only in encrypted backups (webhook trigger tokens, signing secrets)
+const SECRET_KEYS = ['token', 'tokenRotatedAt', 'secret'];
+
+// User settings that travel with a backup
+const USER_FIELDS = ['timezone', 'tariff', 'preferences'];
+
+// Keys holding IDs of other documents; objects under them are walked instead
+const REFERENCE_KEYS = {
+  device: 'device',
+  deviceId: 'device',
+  deviceIds: 'device',
+  devices: 'device',
+  priorityDevices: 'device',
+  excludeDevices: 'device',
+  group: 'group',
+  groupId: 'group',
+  groups: 'group',
+  mode: 'mode',
+  modeId: 'mode',
+};
+
+// `{ type, id }` / `{ type, ids }` targets (rule and mode actions, conditions)
+const TARGET_TYPES = ['device', 'group', 'mode'];
+
+// Collection holding each kind of referenced document
+const REFERENCED_COLLECTIONS = { device: 'devices', group: 'groups', mode: 'modes' };
+
+const OBJECT_ID = /^[0-9a-fA-F]{24}$/;
+
+// Not compared when diffing a backup against the live data
+const DIFF_IGNORED = ['createdAt', 'updatedAt'];
+
+const CIPHER = 'aes-256-gcm';
+
+// Upgrades a version N backup payload to version N + 1
+const MIGRATIONS = {};
+
+/**
+ * Backup Service
+ * Snapshots a user's devices (with timers), groups (with scenes), modes,
+ * rules and preferences, and restores them in one MongoDB transaction.
+ * Document IDs are kept so references between them stay valid.
+ */
+class BackupService {
+  /**
+   * Create a backup of a user's configuration
+   * Without a passphrase the backup is plain JSON and webhook tokens and
+   * secrets are left out; with one the payload is encrypted and keeps them.
+   * @param {string} userId - User ID
+   * @param {Object} options - { passphrase }
+   * @returns {Object} - Backup
+   */
+  async createBackup(userId, { passphrase } = {}) {
+    try {
+      const user = await User.findById(userId).select(USER_FIELDS.join(' ')).lean();
+      if (!user) {
+        throw new AppError('User not found', 404);
+      }
+
+      const data = { user: this._pick(this._clean(user, null, { secrets: true }), USER_FIELDS) };
+      for (const [name, Model] of Object.entries(COLLECTIONS)) {
+        const docs = await Model.find({ owner: userId }).lean();
+        data[name] = docs.map(doc => this._clean(doc, name, { secrets: Boolean(passphrase) }));
+      }
+
+      const backup = {
+        format: BACKUP_FORMAT,
+        version: BACKUP_VERSION,
+        createdAt: new Date(),
+        summary: this._summarize(data),
+        encrypted: Boolean(passphrase),
+        includesSecrets: Boolean(passphrase),
+      };
+
+      if (passphrase) {
+        Object.assign(backup, await this._encrypt(data, passphrase));
+      } else {
+        backup.data = data;
+      }
+
+      logger.info('Backup created', {
+        userId,
+        encrypted: backup.encrypted,
+        ...backup.summary,
+      });
+
+      return backup;
+    } catch (error) {
+      logger.error('Create backup failed', {
+        error: error.message,
+        userId,
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Restore a backup over a user's configuration
+   * Documents missing from the backup are deleted, the rest are replaced, all
+   * inside one transaction. Schedules, timers and rule triggers are re-armed
+   * once it commits. With `dryRun` only the diff against the live data and
+   * any invalid documents are returned.
+   * @param {Object} backup - Backup from createBackup
+   * @param {string} userId - User ID
+   * @param {Object} options - { passphrase, dryRun }
+   * @returns {Object} - { format, version, dryRun, diff, invalid, warnings }
+   */
+  async restoreBackup(backup, userId, { passphrase, dryRun = false } = {}) {
+    try {
+      const data = await this._open(backup, passphrase);
+      const current = await this._loadCurrent(userId);
+
+      const secrets = Boolean(backup.includesSecrets);
+      const documents = {};
+      const invalid = [];
+
+      for (const [name, Model] of Object.entries(COLLECTIONS)) {
+        const live = new Map(current[name].map(doc => [doc._id.toString(), doc]));
+
+        documents[name] = data[name].map((doc) => {
+          const existing = live.get(String(doc._id));
+          const document = { ...this._clean(doc, name, { secrets }), owner: userId };
+
+          if (existing) {
+            Object.assign(document, this._pick(existing, RUNTIME_FIELDS[name]));
+            if (!secrets) {
+              this._keepSecrets(document, existing);
+            }
+          }
+
+          const validationError = new Model(document).validateSync();
+          if (validationError) {
+            invalid.push({
+              collection: name,
+              id: doc._id,
+              name: doc.name,
+              errors: Object.values(validationError.errors).map(error => error.message),
+            });
+          }
+
+          return document;
+        });
+      }
+
+      for (const entry of await this._checkReferences(userId, data)) {
+        const existing = invalid.find(item => item.collection === entry.collection && String(item.id) === String(entry.id));
+        if (existing) {
+          existing.errors.push(...entry.errors);
+        } else {
+          invalid.push(entry);
+        }
+      }
+
+      const result = {
+        format: BACKUP_FORMAT,
+        version: backup.version,
+        dryRun,
+        diff: this._diff(current, data, { secrets }),
+        invalid,
+        warnings: [],
+      };
+
+      if (dryRun) {
+        return result;
+      }
+
+      if (invalid.length > 0) {
+        throw new AppError(`Backup contains ${invalid.length} invalid document(s); run a dry run for details`, 400);
+      }
+
+      await this._apply(userId, documents, this._pick(data.user || {}, USER_FIELDS));
+      result.warnings = await this._rearm(userId);
+
+      const newHooks = documents.rules.flatMap(rule => (rule.triggers || [])
+        .filter(trigger => trigger.type === 'webhook' && !trigger.webhook?.token));
+      if (newHooks.length > 0) {
+        result.warnings.push(`${newHooks.length} webhook trigger(s) got a new URL; the backup holds no token for them`);
+      }
+
+      logger.info('Backup restored', {
+        userId,
+        version: backup.version,
+        ...this._summarize(data),
+      });
+
+      return result;
+    } catch (error) {
+      logger.error('Restore backup failed', {
+        error: error.message,
+        userId,
+        dryRun,
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Check the format and version, decrypt and upgrade a backup's payload
+   * @private
+   */
+  async _open(backup, passphrase) {
+    if (backup?.format !== BACKUP_FORMAT) {
+      throw new AppError(`Not a backup: expected format "${BACKUP_FORMAT}"`, 400);
+    }
+
+    if (!Number.isInteger(backup.version) || backup.version < 1 || backup.version > BACKUP_VERSION) {
+      throw new AppError(`Unsupported backup version ${backup.version} (this server reads up to ${BACKUP_VERSION})`, 400);
+    }
+
+    let data = backup.data;
+    if (backup.encrypted) {
+      if (!passphrase) {
+        throw new AppError('Backup is encrypted; a passphrase is required', 400);
+      }
+      data = await this._decrypt(backup, passphrase);
+    }
+
+    for (let version = backup.version; version < BACKUP_VERSION; version++) {
+      data = MIGRATIONS[version](data);
+    }
+
+    for (const name of Object.keys(COLLECTIONS)) {
+      if (!Array.isArray(data?.[name])) {
+        throw new AppError(`Backup is missing its ${name}`, 400);
+      }
+    }
+
+    return data;
+  }
+
+  /**
+   * Find documents that reference devices, groups or modes that are neither
+   * in the backup nor accessible to the user, as dry-run `invalid` entries
+   * @private
+   */
+  async _checkReferences(userId, data) {
+    const entries = Object.keys(COLLECTIONS).flatMap(name => data[name].map(doc => ({
+      name,
+      doc,
+      references: this._collectReferences(doc),
+    })));
+
+    const allowed = {};
+    for (const [kind, collection] of Object.entries(REFERENCED_COLLECTIONS)) {
+      const inBackup = data[collection].map(doc => String(doc._id));
+      const outside = [...new Set(entries.flatMap(entry => entry.references
+        .filter(reference => reference.kind === kind && !inBackup.includes(reference.id))
+        .map(reference => reference.id)))];
+
+      const accessible = outside.length > 0
+        ? await COLLECTIONS[collection].find({
+          _id: { $in: outside },
+          ...await accessService.getScope(userId, kind),
+        }).select('_id').lean()
+        : [];
+
+      allowed[kind] = new Set([...inBackup, ...accessible.map(doc => doc._id.toString())]);
+    }
+
+    return entries
+      .map(({ name, doc, references }) => ({
+        collection: name,
+        id: doc._id,
+        name: doc.name,
+        errors: [...new Set(references
+          .filter(reference => !allowed[reference.kind].has(reference.id))
+          .map(reference => `References a ${reference.kind} you cannot access: ${reference.id}`))],
+      }))
+      .filter(entry => entry.errors.length > 0);
+  }
+
+  /**
+   * List the device, group and mode IDs a backed-up document points at
+   * @private
+   */
+  _collectReferences(doc) {
+    const found = [];
+    const add = (kind, value) => {
+      for (const item of [].concat(value)) {
+        if (OBJECT_ID.test(String(item))) {
+          found.push({ kind, id: String(item) });
+        } else if (this._isPlainObject(item)) {
+          walk(item);
+        }
+      }
+    };
+    const walk = (value) => {
+      if (Array.isArray(value)) {
+        value.forEach(walk);
+        return;
+      }
+      if (!this._isPlainObject(value)) {
+        return;
+      }
+
+      for (const [key, child] of Object.entries(value)) {
+        if ((key === 'id' || key === 'ids') && TARGET_TYPES.includes(value.type)) {
+          add(value.type, child);
+        } else if (REFERENCE_KEYS[key] && child !== null && child !== undefined) {
+          add(REFERENCE_KEYS[key], child);
+        } else {
+          walk(child);
+        }
+      }
+    };
+
+    // The document's own ID is not a reference
+    const { _id, ...fields } = doc || {};
+    walk(fields);
+    return found;
+  }
+
+  /**
+   * Load the user's live documents and settings
+   * @private
+   */
+  async _loadCurrent(userId) {
+    const current = {
+      user: await User.findById(userId).select(USER_FIELDS.join(' ')).lean(),
+    };
+
+    if (!current.user) {
+      throw new AppError('User not found', 404);
+    }
+
+    for (const [name, Model] of Object.entries(COLLECTIONS)) {
+      current[name] = await Model.find({ owner: userId }).lean();
+    }
+
+    return current;
+  }
+
+  /**
+   * Replace the user's documents and settings in one transaction
+   * @private
+   */
+  async _apply(userId, documents, settings) {
+    const session = await mongoose.startSession();
+
+    try {
+      await session.withTransaction(async () => {
+        for (const [name, Model] of Object.entries(COLLECTIONS)) {
+          await Model.deleteMany({ owner: userId }, { session });
+
+          // create() runs save middleware (webhook tokens, timestamps)
+          if (documents[name].length > 0) {
+            await Model.create(documents[name], { session, ordered: true });
+          }
+        }
+
+        await User.updateOne({ _id: userId }, { $set: settings }, { session, runValidators: true });
+      });
+    } catch (error) {
+      if (error.code === 20 || /Transaction numbers|replica set/i.test(error.message)) {
+        throw new AppError('Restore needs MongoDB running as a replica set (transactions are not available)', 503);
+      }
+      if (error.code === 11000) {
+        throw new ConflictError(`Backup document conflicts with existing data: ${JSON.stringify(error.keyValue)}`);
+      }
+      throw error;
+    } finally {
+      await session.endSession();
+    }
+  }
+
+  /**
+   * Re-arm timers, mode schedules and rule triggers after a restore
+   * The restore has committed, so failures are reported, not thrown.
+   * @private
+   */
+  async _rearm(userId) {
+    const warnings = [];
+    const steps = [
+      ['device timers', () => deviceService.rescheduleDeviceTimers(userId)],
+      ['mode schedules', async () => {
+        await jobQueueService.cancelByOwner(userId, 'mode_schedule');
+        return modeService.rescheduleUserModes(userId);
+      }],
+      ['rule triggers', () => ruleService.reloadUserRules(userId)],
+    ];
+
+    for (const [label, step] of steps) {
+      try {
+        await step();
+      } catch (error) {
+        logger.error('Re-arming after restore failed', {
+          error: error.message,
+          userId,
+          step: label,
+        });
+        warnings.push(`Could not re-arm ${label}: ${error.message}`);
+      }
+    }
+
+    return warnings;
+  }
+
+  /**
+   * Compare a backup with the live data, per collection and for the scenes
+   * and timers nested in groups and devices
+   * @private
+   */
+  _diff(current, data, { secrets }) {
+    const clean = (docs, name) => docs.map(doc => this._clean(doc, name, { secrets }));
+    const diff = {};
+
+    for (const name of Object.keys(COLLECTIONS)) {
+      diff[name] = this._diffItems(clean(current[name], name), clean(data[name], name), DIFF_IGNORED);
+    }
+
+    const scenes = groups => groups.flatMap(group => group.settings?.ambience?.scenes || []);
+    const timers = devices => devices.flatMap(device => device.timers || []);
+
+    diff.scenes = this._diffItems(scenes(clean(current.groups, 'groups')), scenes(data.groups));
+    diff.timers = this._diffItems(timers(clean(current.devices, 'devices')), timers(data.devices));
+
+    const user = this._clean(current.user, null, { secrets: true });
+    diff.preferences = {
+      changed: USER_FIELDS.filter(field => data.user && field in data.user && !this._equal(user[field], data.user[field])),
+    };
+
+    return diff;
+  }
+
+  /**
+   * Match items by ID into added, changed (with the top-level fields that
+   * differ), removed and unchanged
+   * @private
+   */
+  _diffItems(current, incoming, ignored = []) {
+    const remaining = new Map(current.map(item => [String(item._id), item]));
+    const diff = { added: [], changed: [], removed: [], unchanged: 0 };
+
+    for (const item of incoming) {
+      const existing = remaining.get(String(item._id));
+      remaining.delete(String(item._id));
+
+      if (!existing) {
+        diff.added.push(this._describe(item));
+        continue;
+      }
+
+      const fields = [...new Set([...Object.keys(existing), ...Object.keys(item)])]
+        .filter(field => field !== '_id' && !ignored.includes(field) && !this._equal(existing[field], item[field]));
+
+      if (fields.length > 0) {
+        diff.changed.push({ ...this._describe(item), fields });
+      } else {
+        diff.unchanged++;
+      }
+    }
+
+    diff.removed = [...remaining.values()].map(item => this._describe(item));
+
+    return diff;
+  }
+
+  /**
+   * Copy credentials from a live document into one restored from a backup
+   * without them, matching array items by ID
+   * @private
+   */
+  _keepSecrets(target, live) {
+    if (Array.isArray(target) && Array.isArray(live)) {
+      const items = new Map(live.filter(item => item?._id).map(item => [item._id.toString(), item]));
+      for (const item of target) {
+        if (item?._id) {
+          this._keepSecrets(item, items.get(String(item._id)));
+        }
+      }
+    } else if (this._isPlainObject(target) && this._isPlainObject(live)) {
+      for (const [key, value] of Object.entries(live)) {
+        if (SECRET_KEYS.includes(key)) {
+          if (!(key in target)) {
+            target[key] = value;
+          }
+        } else if (key in target) {
+          this._keepSecrets(target[key], value);
+        }
+      }
+    }
+  }
+
+  /**
+   * Encrypt a payload with a key derived from the passphrase
+   * The header is authenticated too, so it cannot be swapped.
+   * @private
+   */
+  async _encrypt(data, passphrase) {
+    const salt = crypto.randomBytes(16);
+    const iv = crypto.randomBytes(12);
+    const key = await scrypt(passphrase, salt, 32);
+
+    const cipher = crypto.createCipheriv(CIPHER, key, iv);
+    cipher.setAAD(Buffer.from(`${BACKUP_FORMAT}:${BACKUP_VERSION}`));
+    const ciphertext = Buffer.concat([cipher.update(JSON.stringify(data), 'utf8'), cipher.final()]);
+
+    return {
+      encryption: {
+        algorithm: CIPHER,
+        kdf: 'scrypt',
+        salt: salt.toString('base64'),
+        iv: iv.toString('base64'),
+        tag: cipher.getAuthTag().toString('base64'),
+      },
+      data: ciphertext.toString('base64'),
+    };
+  }
+
+  /**
+   * @private
+   */
+  async _decrypt(backup, passphrase) {
+    const { algorithm, salt, iv, tag } = backup.encryption || {};
+    if (algorithm !== CIPHER || typeof backup.data !== 'string') {
+      throw new AppError('Unsupported backup encryption', 400);
+    }
+
+    try {
+      const key = await scrypt(passphrase, Buffer.from(salt, 'base64'), 32);
+      const decipher = crypto.createDecipheriv(CIPHER, key, Buffer.from(iv, 'base64'));
+      decipher.setAAD(Buffer.from(`${backup.format}:${backup.version}`));
+      decipher.setAuthTag(Buffer.from(tag, 'base64'));
+
+      const plaintext = Buffer.concat([decipher.update(Buffer.from(backup.data, 'base64')), decipher.final()]);
+      return JSON.parse(plaintext.toString('utf8'));
+    } catch {
+      throw new AppError('Wrong passphrase or corrupted backup', 400);
+    }
+  }
+
+  /**
+   * Turn a document into plain JSON without bookkeeping, runtime state and,
+   * unless `secrets`, credentials
+   * @private
+   */
+  _clean(doc, collection, { secrets }) {
+    const topLevel = [...(RUNTIME_FIELDS[collection] || []), ...(RESET_FIELDS[collection] || [])];
+    const clean = JSON.parse(JSON.stringify(doc ?? null), (key, value) => (
+      STRIPPED_KEYS.includes(key) || (!secrets && SECRET_KEYS.includes(key)) ? undefined : value
+    ));
+
+    for (const field of topLevel) {
+      delete clean[field];
+    }
+
+    return clean;
+  }
+
+  /**
+   * @private
+   */
+  _summarize(data) {
+    return {
+      devices: data.devices.length,
+      timers: data.devices.reduce((total, device) => total + (device.timers?.length || 0), 0),
+      groups: data.groups.length,
+      scenes: data.groups.reduce((total, group) => total + (group.settings?.ambience?.scenes?.length || 0), 0),
+      modes: data.modes.length,
+      rules: data.rules.length,
+    };
+  }
+
+  /**
+   * @private
+   */
+  _describe(item) {
+    return { id: item._id, name: item.name };
+  }
+
+  /**
+   * @private
+   */
+  _pick(obj, fields = []) {
+    return Object.fromEntries(fields.filter(field => obj[field] !== undefined).map(field => [field, obj[field]]));
+  }
+
+  /**
+   * Deep equality of JSON values, ignoring key order
+   * @private
+   */
+  _equal(a, b) {
+    if (Array.isArray(a) && Array.isArray(b)) {
+      return a.length === b.length && a.every((item, index) => this._equal(item, b[index]));
+    }
+
+    if (this._isPlainObject(a) && this._isPlainObject(b)) {
+      const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+      return [...keys].every(key => this._equal(a[key], b[key]));
+    }
+
+    return JSON.stringify(a) === JSON.stringify(b);
+  }
+
+  /**
+   * @private
+   */
+  _isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+  }
+}
+
+export default new BackupService();
@@ -0,0 +1,530 @@
+import mongoose from 'mongoose';
+import Device from '../models/Device.js';
+import Group from '../models/Group.js';
+import Mode from '../models/Mode.js';
+import Rule from '../models/Rule.js';
+import { AppError } from '../utils/errors.js';
+import { validateRequest } from '../helpers/helpers.js';
+import { validateGroupCreate } from '../validators/groupValidator.js';
+import { validateModeCreate } from '../validators/modeValidator.js';
+import { validateRuleCreate } from '../validators/ruleValidator.js';
+import logger from '../utils/logger.js';
+import accessService from './accessService.js';
+import groupService from './groupService.js';
+import modeService from './modeService.js';
+import ruleService from './ruleService.js';
+
+export const BUNDLE_FORMAT = 'smarthome-automation-bundle';
+export const BUNDLE_VERSION = 1;
+
+// Keys whose values are IDs of another document, and what they point to
+const REFERENCE_KEYS = {
+  deviceId: 'device',
+  deviceIds: 'device',
+  groupId: 'group',
+  modeId: 'mode',
+  sceneId: 'scene',
+};
+
+// `{ type, id }` / `{ type, ids }` targets (conditions, mode action targets)
+const TARGET_TYPES = ['device', 'group', 'mode'];
+
+// Fields that travel in a bundle, per item kind; the rest is per-home state
+const PORTABLE_FIELDS = {
+  group: ['name', 'description', 'type', 'color', 'icon', 'devices', 'tags'],
+  mode: ['name', 'description', 'type', 'icon', 'color', 'category', 'priority', 'autoActivate', 'actions', 'schedule', 'settings', 'tags'],
+  rule: ['name', 'description', 'type', 'category', 'priority', 'isActive', 'triggers', 'conditions', 'conditionLogic', 'actions', 'settings', 'tags'],
+};
+
+// Credentials and bookkeeping that must not leave the home
+const STRIPPED_KEYS = ['_id', '__v', 'owner', 'createdAt', 'updatedAt', 'token', 'tokenRotatedAt', 'secret', 'password', 'recipients'];
+
+// Import order, so that references point at items created before them
+const KINDS = ['group', 'mode', 'rule'];
+
+const SECTIONS = { group: 'groups', mode: 'modes', rule: 'rules' };
+
+const MODELS = { group: Group, mode: Mode, rule: Rule };
+
+const VALIDATORS = { group: validateGroupCreate, mode: validateModeCreate, rule: validateRuleCreate };
+
+/**
+ * Bundle Service
+ * Exports rules, modes, groups and their scenes as a versioned JSON bundle
+ * that can be imported into another home. Device IDs are replaced by
+ * symbolic references (name, type, room) that are bound to the importing
+ * user's devices; other references point at items inside the bundle.
+ */
+class BundleService {
+  /**
+   * Export items, with the groups, scenes and modes they reference
+   * @param {string} userId - User ID
+   * @param {Object} roots - { rules, modes, groups } arrays of IDs to export
+   * @returns {Object} - Bundle
+   */
+  async exportBundle(userId, roots = {}) {
+    const items = { group: new Map(), mode: new Map(), rule: new Map() };
+    const scenes = new Map(); // sceneId -> groupId
+    const devices = new Set();
+    const warnings = [];
+
+    const queue = [];
+    const include = async (kind, id) => {
+      if (items[kind].has(id)) return true;
+      const doc = await MODELS[kind].findOne({ _id: id, owner: userId }).lean();
+      if (!doc) return false;
+      items[kind].set(id, doc);
+      queue.push([kind, doc]);
+      return true;
+    };
+
+    for (const kind of KINDS) {
+      for (const id of roots[SECTIONS[kind]] || []) {
+        if (!(await include(kind, id.toString()))) {
+          throw new AppError(`${this._capitalize(kind)} not found`, 404);
+        }
+      }
+    }
+
+    // Pull in everything the exported items reference
+    while (queue.length > 0) {
+      const [kind, doc] = queue.shift();
+
+      for (const { kind: refKind, id } of this._collectReferences(this._getPortableData(kind, doc), kind)) {
+        if (refKind === 'device') {
+          devices.add(id);
+        } else if (refKind === 'scene') {
+          const group = await Group.findOne({ owner: userId, 'settings.ambience.scenes._id': id }).select('_id').lean();
+          if (group && await include('group', group._id.toString())) {
+            scenes.set(id, group._id.toString());
+          }
+        } else if (!(await include(refKind, id))) {
+          warnings.push(`${this._capitalize(kind)} "${doc.name}" references a ${refKind} that no longer exists`);
+        }
+      }
+    }
+
+    const deviceDocs = await Device.find({ _id: { $in: [...devices] }, owner: userId })
+      .select('name type location.room')
+      .lean();
+
+    // Symbolic references, numbered in export order
+    const refs = new Map();
+    const references = { devices: [] };
+    for (const device of deviceDocs) {
+      const ref = `device:${references.devices.length + 1}`;
+      refs.set(`device:${device._id}`, ref);
+      references.devices.push({
+        ref,
+        name: device.name,
+        type: device.type,
+        room: device.location?.room || '',
+      });
+    }
+
+    const bundle = {
+      format: BUNDLE_FORMAT,
+      version: BUNDLE_VERSION,
+      exportedAt: new Date().toISOString(),
+      references,
+      groups: [],
+      scenes: [],
+      modes: [],
+      rules: [],
+    };
+
+    for (const kind of KINDS) {
+      [...items[kind].keys()].forEach((id, index) => refs.set(`${kind}:${id}`, `${kind}:${index + 1}`));
+    }
+
+    for (const group of items.group.values()) {
+      for (const scene of group.settings?.ambience?.scenes || []) {
+        const sceneId = scene._id.toString();
+        if (!scenes.has(sceneId)) continue;
+        const ref = `scene:${bundle.scenes.length + 1}`;
+        refs.set(`scene:${sceneId}`, ref);
+        bundle.scenes.push({
+          ref,
+          group: refs.get(`group:${group._id}`),
+          name: scene.name,
+          settings: this._clean(scene.settings),
+        });
+      }
+    }
+
+    for (const kind of KINDS) {
+      for (const [id, doc] of items[kind]) {
+        const data = this._rewriteReferences(this._getPortableData(kind, doc), kind, (refKind, value) => {
+          const ref = refs.get(`${refKind}:${value}`);
+          if (!ref) {
+            warnings.push(`${this._capitalize(kind)} "${doc.name}" references a ${refKind} that was left out`);
+          }
+          return ref || null;
+        });
+        bundle[SECTIONS[kind]].push({ ref: refs.get(`${kind}:${id}`), data });
+      }
+    }
+
+    if (warnings.length > 0) {
+      bundle.warnings = [...new Set(warnings)];
+    }
+
+    return bundle;
+  }
+
+  /**
+   * Import a bundle into a user's home
+   * Device references are bound through `mapping` first, then by matching
+   * name, type and room against the user's devices. An item named like an
+   * existing one is updated in place with `overwrite`, otherwise the existing
+   * one is used in its place. Items that use an unresolved reference, depend on a
+   * skipped item or fail validation are skipped and reported; the rest are
+   * created.
+   * @param {Object} bundle - Bundle from exportBundle
+   * @param {string} userId - User ID
+   * @param {Object} options - { mapping: { "device:1": deviceId }, overwrite, dryRun }
+   * @returns {Object} - Bindings, unresolved references, and created, skipped and failed items
+   */
+  async importBundle(bundle, userId, options = {}) {
+    const { mapping = {}, overwrite = false, dryRun = false } = options;
+
+    this._checkFormat(bundle);
+
+    // Items are created in the user's active home and bound to its devices,
+    // so the user must be allowed to create every kind the bundle holds
+    let ownerId = userId;
+    for (const kind of KINDS.filter(item => bundle[SECTIONS[item]]?.length)) {
+      ownerId = await accessService.getActiveOwner(userId, kind);
+    }
+    const { bindings, unresolved } = await this._bindDevices(bundle.references?.devices || [], ownerId, mapping);
+    const ids = new Map(bindings.map(binding => [binding.ref, binding.deviceId.toString()]));
+    const entries = KINDS.flatMap(kind => (bundle[SECTIONS[kind]] || []).map(entry => ({ kind, ...entry })));
+    const skipped = new Map();
+    const kept = new Map(); // ref -> existing document used in place of the bundled item
+
+    // Existing items with the same name are replaced (keeping their ID) or used as they are
+    for (const entry of entries) {
+      const existing = await MODELS[entry.kind].findOne({ owner: ownerId, name: entry.data?.name })
+        .select('name settings.ambience.scenes')
+        .lean();
+      if (existing && !overwrite) {
+        kept.set(entry.ref, existing);
+      } else {
+        entry.replaces = existing?._id;
+      }
+      ids.set(entry.ref, (existing?._id || new mongoose.Types.ObjectId()).toString());
+    }
+
+    // Scenes of a kept group are matched by name
+    const sceneGroups = new Map();
+    for (const scene of bundle.scenes || []) {
+      sceneGroups.set(scene.ref, scene.group);
+      if (!kept.has(scene.group)) {
+        ids.set(scene.ref, new mongoose.Types.ObjectId().toString());
+        continue;
+      }
+      const match = (kept.get(scene.group).settings?.ambience?.scenes || []).find(item => this._same(item.name, scene.name));
+      if (match) {
+        ids.set(scene.ref, match._id.toString());
+      }
+    }
+
+    const unresolvedRefs = new Set(unresolved.map(reference => reference.ref));
+    for (const reference of unresolved) {
+      reference.usedBy = entries
+        .filter(entry => this._collectReferences(entry.data, entry.kind).some(({ id }) => id === reference.ref))
+        .map(entry => entry.ref);
+    }
+
+    // Bind references and validate with the API's validators; an item that
+    // is skipped takes the items depending on it along
+    const bound = new Map();
+    let invalid = true;
+    while (invalid) {
+      invalid = false;
+      this._skipDependents(entries, { ids, kept, skipped, unresolvedRefs, sceneGroups });
+      for (const entry of entries) {
+        if (skipped.has(entry.ref) || kept.has(entry.ref) || bound.has(entry.ref)) continue;
+
+        const data = this._rewriteReferences(entry.data, entry.kind, (kind, ref) => ids.get(ref));
+        const validationError = validateRequest(VALIDATORS[entry.kind], data);
+        if (validationError) {
+          skipped.set(entry.ref, { reason: 'Invalid', errors: validationError.details.map(detail => detail.message) });
+          invalid = true;
+        } else {
+          bound.set(entry.ref, data);
+        }
+      }
+    }
+
+    const planned = [];
+    for (const entry of entries) {
+      if (!bound.has(entry.ref) || skipped.has(entry.ref)) continue;
+      const data = bound.get(entry.ref);
+
+      if (entry.kind === 'group') {
+        const scenes = (bundle.scenes || []).filter(scene => scene.group === entry.ref);
+        data.settings = {
+          ...data.settings,
+          ambience: { scenes: scenes.map(scene => ({ _id: ids.get(scene.ref), name: scene.name, settings: scene.settings })) },
+        };
+      }
+
+      planned.push({ ...entry, data: { ...data, _id: ids.get(entry.ref) } });
+    }
+
+    const result = {
+      format: BUNDLE_FORMAT,
+      version: bundle.version,
+      dryRun,
+      bindings,
+      unresolved,
+      created: { groups: [], modes: [], rules: [] },
+      existing: [...kept].map(([ref, doc]) => ({ ref, id: doc._id, name: doc.name })),
+      skipped: [...skipped].map(([ref, details]) => ({ ref, name: entries.find(entry => entry.ref === ref)?.data?.name, ...details })),
+      failed: [],
+    };
+
+    for (const entry of planned) {
+      const summary = { ref: entry.ref, id: entry.data._id, name: entry.data.name, replaced: Boolean(entry.replaces) };
+
+      if (dryRun) {
+        result.created[SECTIONS[entry.kind]].push(summary);
+        continue;
+      }
+
+      try {
+        await this._createItem(entry, userId);
+        result.created[SECTIONS[entry.kind]].push(summary);
+      } catch (error) {
+        result.failed.push({ ref: entry.ref, name: entry.data.name, error: error.message });
+      }
+    }
+
+    logger.info('Automation bundle imported', {
+      userId,
+      dryRun,
+      created: KINDS.map(kind => result.created[SECTIONS[kind]].length).reduce((sum, count) => sum + count, 0),
+      skipped: result.skipped.length,
+      failed: result.failed.length,
+      unresolved: unresolved.length,
+    });
+
+    return result;
+  }
+
+  /**
+   * Skip items that reference an unresolved device or an item that is not
+   * imported, until nothing changes
+   * @private
+   */
+  _skipDependents(entries, { ids, kept, skipped, unresolvedRefs, sceneGroups }) {
+    let changed = true;
+    while (changed) {
+      changed = false;
+      for (const entry of entries) {
+        if (skipped.has(entry.ref) || kept.has(entry.ref)) continue;
+
+        // A scene is only there if its group is
+        const missing = this._collectReferences(entry.data, entry.kind)
+          .flatMap(({ id }) => (sceneGroups.has(id) ? [id, sceneGroups.get(id)] : [id]))
+          .find(ref => unresolvedRefs.has(ref) || skipped.has(ref) || !ids.has(ref));
+        if (missing) {
+          skipped.set(entry.ref, {
+            reason: unresolvedRefs.has(missing) ? `Unresolved reference ${missing}` : `Depends on ${missing}, which was not imported`,
+          });
+          changed = true;
+        }
+      }
+    }
+  }
+
+  /**
+   * Create (or replace) one bundle item through its service
+   * An existing item is updated in place rather than deleted and recreated,
+   * so an update the service rejects leaves it as it was. Fields the bundle
+   * leaves out keep their current values.
+   * @private
+   */
+  async _createItem({ kind, data, replaces }, userId) {
+    if (replaces) {
+      const { _id, ...update } = data;
+      switch (kind) {
+        case 'group':
+          return groupService.updateGroup(replaces, { devices: [], ...update }, userId);
+        case 'mode':
+          // Always reschedule, so triggers of the replaced mode do not linger
+          return modeService.updateMode(replaces, {
+            ...update,
+            settings: { ...update.settings, schedule: update.settings?.schedule || {} },
+          }, userId);
+        default:
+          return ruleService.updateRule(replaces, update, userId);
+      }
+    }
+
+    switch (kind) {
+      case 'group':
+        return groupService.createGroup(data, userId);
+      case 'mode':
+        return modeService.createMode(data, userId);
+      default:
+        return ruleService.createRule(data, userId);
+    }
+  }
+
+  /**
+   * Bind symbolic device references to the user's devices
+   * @private
+   */
+  async _bindDevices(references, userId, mapping) {
+    const devices = await Device.find({ owner: userId }).select('name type location.room').lean();
+    const bindings = [];
+    const unresolved = [];
+
+    for (const reference of references) {
+      const { ref, name, type, room = '' } = reference;
+      let device;
+      let matchedBy;
+      let reason;
+
+      if (mapping[ref]) {
+        device = devices.find(candidate => candidate._id.toString() === mapping[ref]);
+        matchedBy = 'mapping';
+        reason = device ? null : 'Mapped device not found';
+      } else {
+        const sameType = devices.filter(candidate => candidate.type === type);
+        const inRoom = list => list.filter(candidate => room && this._same(candidate.location?.room, room));
+        const named = sameType.filter(candidate => this._same(candidate.name, name));
+
+        if (named.length === 1) {
+          [device] = named;
+          matchedBy = 'name';
+        } else if (named.length > 1 && inRoom(named).length === 1) {
+          [device] = inRoom(named);
+          matchedBy = 'name_and_room';
+        } else if (named.length === 0 && inRoom(sameType).length === 1) {
+          [device] = inRoom(sameType);
+          matchedBy = 'type_and_room';
+        } else {
+          reason = named.length > 1 || inRoom(sameType).length > 1 ? 'Ambiguous' : 'No matching device';
+        }
+      }
+
+      if (device) {
+        bindings.push({ ref, name, type, room, deviceId: device._id, deviceName: device.name, matchedBy });
+      } else {
+        unresolved.push({
+          ref,
+          name,
+          type,
+          room,
+          reason,
+          candidates: devices
+            .filter(candidate => candidate.type === type)
+            .map(candidate => ({ id: candidate._id, name: candidate.name, room: candidate.location?.room || '' })),
+        });
+      }
+    }
+
+    return { bindings, unresolved };
+  }
+
+  /**
+   * @private
+   */
+  _checkFormat(bundle) {
+    if (bundle?.format !== BUNDLE_FORMAT) {
+      throw new AppError(`Not an automation bundle (expected format "${BUNDLE_FORMAT}")`, 400);
+    }
+
+    if (!Number.isInteger(bundle.version) || bundle.version < 1 || bundle.version > BUNDLE_VERSION) {
+      throw new AppError(`Unsupported bundle version ${bundle.version} (supported: 1-${BUNDLE_VERSION})`, 400);
+    }
+  }
+
+  /**
+   * Reduce a stored document to its portable fields, as plain JSON
+   * @private
+   */
+  _getPortableData(kind, doc) {
+    const data = {};
+    for (const field of PORTABLE_FIELDS[kind]) {
+      if (doc[field] !== undefined && doc[field] !== null) {
+        data[field] = doc[field];
+      }
+    }
+    return this._clean(data);
+  }
+
+  /**
+   * JSON round-trip without internal or secret keys
+   * @private
+   */
+  _clean(value) {
+    return JSON.parse(JSON.stringify(value ?? null), (key, child) => (STRIPPED_KEYS.includes(key) ? undefined : child));
+  }
+
+  /**
+   * List the references in an item's data
+   * @private
+   */
+  _collectReferences(data, kind) {
+    const found = [];
+    this._rewriteReferences(data, kind, (refKind, id) => {
+      found.push({ kind: refKind, id });
+      return id;
+    });
+    return found;
+  }
+
+  /**
+   * Copy data with each reference replaced by `replace(kind, value)`
+   * @private
+   */
+  _rewriteReferences(data, kind, replace) {
+    const rewrite = (refKind, value) => {
+      if (Array.isArray(value)) return value.map(item => rewrite(refKind, item));
+      return value === null || value === undefined ? value : replace(refKind, value.toString());
+    };
+
+    const walk = (value) => {
+      if (Array.isArray(value)) return value.map(walk);
+      if (!value || typeof value !== 'object') return value;
+
+      const copy = {};
+      for (const [key, child] of Object.entries(value)) {
+        if (REFERENCE_KEYS[key]) {
+          copy[key] = rewrite(REFERENCE_KEYS[key], child);
+        } else if ((key === 'id' || key === 'ids') && TARGET_TYPES.includes(value.type)) {
+          copy[key] = rewrite(value.type, child);
+        } else {
+          copy[key] = walk(child);
+        }
+      }
+      return copy;
+    };
+
+    const copy = walk(data);
+    if (kind === 'group' && copy.devices) {
+      copy.devices = rewrite('device', data.devices);
+    }
+    return copy;
+  }
+
+  /**
+   * @private
+   */
+  _same(a = '', b = '') {
+    return a.trim().toLowerCase() === b.trim().toLowerCase();
+  }
+
+  /**
+   * @private
+   */
+  _capitalize(value) {
+    return value.charAt(0).toUpperCase() + value.slice(1);
+  }
+}
+
+export default new BundleService();
@@ -0,0 +1,481 @@
+import Rule from '../models/Rule.js';
+import Mode from '../models/Mode.js';
+import User from '../models/User.js';
+import schedulerService from './schedulerService.js';
+import simulationService from './simulationService.js';
+
+// How far ahead schedules are compared, and how many runs each
+const SCHEDULE_HORIZON_DAYS = 28;
+const SCHEDULE_MAX_RUNS = 200;
+
+// Top-level device properties; other bare trigger properties are settings
+const DEVICE_FIELDS = ['powerState', 'isOnline', 'status'];
+
+// Resolution strategies each kind of conflict accepts
+const CONFLICT_STRATEGIES = {
+  device_property: ['priority', 'disable', 'merge'],
+  schedule_shadow: ['disable', 'merge'],
+  loop: ['disable'],
+  mode_property: [],
+};
+
+/**
+ * Conflict Service
+ * Statically analyses a rule against the owner's other active rules and modes,
+ * without executing anything. Action effects come from simulationService on
+ * the current device states (a mode activation counts as the mode's actions);
+ * conditions are not evaluated, so every conflict found is a potential one.
+ */
+class ConflictService {
+  /**
+   * Find the conflicts of a rule
+   * - device_property: another rule fires on the same device change and sets a
+   *   property to a different value
+   * - loop: the rule's actions trigger a chain of rules that triggers it again
+   * - schedule_shadow: another rule or a mode schedule runs at the same times
+   *   and sets the same properties
+   * - mode_property: an active mode holds a property the rule changes
+   * @param {Object} rule - Rule document
+   * @param {string} userId - Owner ID
+   * @returns {Array} - Conflicts, each with `id` and the `strategies` that resolve it
+   */
+  async findRuleConflicts(rule, userId) {
+    const [rules, modes, owner] = await Promise.all([
+      Rule.find({ owner: userId, isActive: true, _id: { $ne: rule._id } }),
+      Mode.find({ owner: userId }),
+      User.findById(userId).select('timezone'),
+    ]);
+
+    const timezone = owner?.timezone || 'UTC';
+    const snapshot = await simulationService.createSnapshot(userId);
+    const modesById = new Map(modes.map(mode => [mode._id.toString(), mode]));
+
+    const nodes = [];
+    for (const item of [rule, ...rules]) {
+      nodes.push({
+        rule: item,
+        triggers: (item.triggers || []).filter(trigger => this._isEnabled(trigger)),
+        effects: await this._getRuleEffects(item, snapshot, userId, modesById),
+      });
+    }
+
+    const [subject, ...others] = nodes;
+    const conflicts = [];
+
+    for (const other of others) {
+      const propertyConflict = this._findPropertyConflict(subject, other);
+      if (propertyConflict) {
+        conflicts.push(propertyConflict);
+      }
+    }
+
+    const loop = this._findLoop(subject, nodes);
+    if (loop) {
+      conflicts.push(loop);
+    }
+
+    conflicts.push(...this._findScheduleShadows(subject, others, await this._getModeSchedules(modes, snapshot, userId), timezone));
+    conflicts.push(...await this._findModePropertyConflicts(subject, modes, snapshot, userId));
+
+    return conflicts.map(conflict => ({
+      ...conflict,
+      strategies: conflict.with?.type === 'mode'
+        ? CONFLICT_STRATEGIES[conflict.type].filter(strategy => strategy === 'disable')
+        : CONFLICT_STRATEGIES[conflict.type],
+    }));
+  }
+
+  /**
+   * Collect the device properties a rule's actions set
+   * @private
+   */
+  async _getRuleEffects(rule, snapshot, userId, modesById) {
+    const actions = (rule.actions || []).filter(action => this._isEnabled(action));
+    const effects = await simulationService.getIntendedValues(actions, snapshot, userId);
+
+    // Activating a mode has the effects of its actions
+    for (const action of actions) {
+      if (action.type !== 'mode_activation' || action.mode?.action === 'deactivate') continue;
+
+      const mode = modesById.get(action.mode?.modeId?.toString());
+      if (!mode) continue;
+
+      const modeEffects = await simulationService.getIntendedValues(mode.actions, snapshot, userId);
+      for (const [key, effect] of modeEffects) {
+        effects.set(key, { ...effect, via: { id: mode._id, name: mode.name } });
+      }
+    }
+
+    return effects;
+  }
+
+  /**
+   * Find properties two rules set to different values on a device change
+   * that fires both
+   * @private
+   */
+  _findPropertyConflict(subject, other) {
+    const overlapping = [];
+    for (const trigger of subject.triggers) {
+      for (const otherTrigger of other.triggers) {
+        if (this._triggersOverlap(trigger, otherTrigger)) {
+          overlapping.push({ triggerId: trigger._id, otherTriggerId: otherTrigger._id });
+        }
+      }
+    }
+    if (overlapping.length === 0) {
+      return null;
+    }
+
+    const properties = this._compareEffects(subject.effects, other.effects).filter(item => !item.sameValue);
+    if (properties.length === 0) {
+      return null;
+    }
+
+    return {
+      id: `device_property:${other.rule._id}`,
+      type: 'device_property',
+      severity: 'warning',
+      with: this._describeRule(other.rule),
+      message: `${other.rule.name} fires on the same device change and sets ${properties.length} of the same properties differently`,
+      triggers: overlapping,
+      properties: properties.map(({ sameValue, ...item }) => item),
+    };
+  }
+
+  /**
+   * Find the shortest chain of rules leading from the subject back to itself
+   * A rule leads to another when a value it sets fires one of its device triggers.
+   * @private
+   */
+  _findLoop(subject, nodes) {
+    const start = subject.rule._id.toString();
+    const byId = new Map(nodes.map(node => [node.rule._id.toString(), node]));
+    const parents = new Map();
+    const queue = [start];
+    const visited = new Set();
+
+    while (queue.length > 0) {
+      const id = queue.shift();
+      const node = byId.get(id);
+
+      for (const next of nodes) {
+        const nextId = next.rule._id.toString();
+        const edge = this._findTriggeringEffect(node.effects, next.triggers);
+        if (!edge) continue;
+
+        if (nextId === start) {
+          const path = [{ node, edge }];
+          for (let current = id; current !== start; current = parents.get(current).from) {
+            const parent = parents.get(current);
+            path.unshift({ node: byId.get(parent.from), edge: parent.edge });
+          }
+
+          return {
+            id: `loop:${path.map(step => step.node.rule._id).join(':')}`,
+            type: 'loop',
+            severity: 'error',
+            message: path.length === 1
+              ? `${subject.rule.name} triggers itself`
+              : `${path.map(step => step.node.rule.name).join(' -> ')} -> ${subject.rule.name} forms a loop`,
+            rules: path.map(step => ({
+              ...this._describeRule(step.node.rule),
+              deviceId: step.edge.deviceId,
+              deviceName: step.edge.deviceName,
+              property: step.edge.property,
+              value: step.edge.value,
+            })),
+          };
+        }
+
+        if (!visited.has(nextId)) {
+          visited.add(nextId);
+          parents.set(nextId, { from: id, edge });
+          queue.push(nextId);
+        }
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Find schedules of other rules and modes that run at the same times as
+   * the subject's and set the same properties
+   * @private
+   */
+  _findScheduleShadows(subject, others, modeSchedules, timezone) {
+    const until = new Date(Date.now() + SCHEDULE_HORIZON_DAYS * 86400000);
+    const runsCache = new Map();
+    const getRuns = (key, schedule) => {
+      if (!runsCache.has(key)) {
+        runsCache.set(key, this._getRuns(schedule, timezone, until));
+      }
+      return runsCache.get(key);
+    };
+
+    const candidates = [
+      ...others.flatMap(other => other.triggers
+        .filter(trigger => trigger.type === 'scheduled' && trigger.schedule?.type)
+        .map(trigger => ({
+          with: this._describeRule(other.rule),
+          scheduleId: trigger._id,
+          schedule: trigger.schedule,
+          effects: other.effects,
+        }))),
+      ...modeSchedules,
+    ];
+
+    const conflicts = [];
+    const triggers = subject.triggers.filter(trigger => trigger.type === 'scheduled' && trigger.schedule?.type);
+
+    for (const trigger of triggers) {
+      const runs = getRuns(`subject:${trigger._id}`, trigger.schedule);
+      if (runs.length === 0) continue;
+
+      for (const candidate of candidates) {
+        const candidateRuns = getRuns(`${candidate.with.id}:${candidate.scheduleId}`, candidate.schedule);
+        const candidateTimes = new Set(candidateRuns.map(run => run.getTime()));
+        const shared = runs.filter(run => candidateTimes.has(run.getTime()));
+        if (shared.length === 0) continue;
+
+        const properties = this._compareEffects(subject.effects, candidate.effects);
+        if (properties.length === 0) continue;
+
+        const differing = properties.filter(item => !item.sameValue);
+        let shadowed = null;
+        if (shared.length === runs.length) {
+          shadowed = 'rule';
+        } else if (shared.length === candidateRuns.length) {
+          shadowed = 'other';
+        }
+
+        conflicts.push({
+          id: `schedule_shadow:${candidate.with.id}:${trigger._id}:${candidate.scheduleId}`,
+          type: 'schedule_shadow',
+          severity: differing.length > 0 ? 'warning' : 'info',
+          with: candidate.with,
+          message: differing.length > 0
+            ? `${candidate.with.name} runs at the same times and sets ${differing.length} of the same properties differently; which value sticks is undefined`
+            : `${candidate.with.name} runs at the same times and sets the same properties to the same values`,
+          triggerId: trigger._id,
+          otherScheduleId: candidate.scheduleId,
+          sharedRuns: shared.length,
+          nextSharedRun: shared[0],
+          // Whose runs all coincide with the other's within the horizon
+          shadowed,
+          properties: properties.map(({ sameValue, ...item }) => item),
+        });
+      }
+    }
+
+    return conflicts;
+  }
+
+  /**
+   * Find properties the rule changes that active modes hold at other values
+   * @private
+   */
+  async _findModePropertyConflicts(subject, modes, snapshot, userId) {
+    const conflicts = [];
+
+    for (const mode of modes.filter(item => item.isActive)) {
+      const modeEffects = await simulationService.getIntendedValues(mode.actions, snapshot, userId);
+      const properties = this._compareEffects(subject.effects, modeEffects).filter(item => !item.sameValue);
+      if (properties.length === 0) continue;
+
+      conflicts.push({
+        id: `mode_property:${mode._id}`,
+        type: 'mode_property',
+        severity: 'info',
+        with: { type: 'mode', id: mode._id, name: mode.name, priority: mode.priority },
+        message: `${mode.name} is active and sets ${properties.length} of the properties this rule changes to other values`,
+        properties: properties.map(({ sameValue, ...item }) => item),
+      });
+    }
+
+    return conflicts;
+  }
+
+  /**
+   * Describe the enabled activation schedules of a user's modes
+   * @private
+   */
+  async _getModeSchedules(modes, snapshot, userId) {
+    const schedules = [];
+
+    for (const mode of modes) {
+      const entries = (mode.schedules || []).filter(entry => entry.isActive && entry.action === 'activate');
+      if (entries.length === 0) continue;
+
+      const effects = await simulationService.getIntendedValues(mode.actions, snapshot, userId);
+      for (const entry of entries) {
+        schedules.push({
+          with: { type: 'mode', id: mode._id, name: mode.name, priority: mode.priority },
+          scheduleId: entry._id,
+          schedule: entry.schedule,
+          effects,
+        });
+      }
+    }
+
+    return schedules;
+  }
+
+  /**
+   * List the properties two sets of effects share
+   * @private
+   */
+  _compareEffects(effects, otherEffects) {
+    const shared = [];
+
+    for (const [key, effect] of effects) {
+      const other = otherEffects.get(key);
+      if (!other) continue;
+
+      shared.push({
+        deviceId: effect.deviceId,
+        deviceName: effect.deviceName,
+        property: effect.property,
+        value: effect.value,
+        otherValue: other.value,
+        sameValue: JSON.stringify(effect.value) === JSON.stringify(other.value),
+      });
+    }
+
+    return shared;
+  }
+
+  /**
+   * Find an effect that fires one of the triggers
+   * @private
+   */
+  _findTriggeringEffect(effects, triggers) {
+    for (const trigger of triggers) {
+      if (trigger.type !== 'device_state' || !trigger.device?.deviceId) continue;
+
+      for (const effect of effects.values()) {
+        if (effect.deviceId?.toString() !== trigger.device.deviceId.toString()) continue;
+
+        const value = this._getEffectValue(effect, trigger.device.property);
+        if (value !== undefined && this._canFire(trigger.device, value)) {
+          return effect;
+        }
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Decide whether two device triggers can fire on the same change
+   * @private
+   */
+  _triggersOverlap(trigger, other) {
+    if (trigger.type !== 'device_state' || other.type !== 'device_state') {
+      return false;
+    }
+
+    const a = trigger.device || {};
+    const b = other.device || {};
+    if (!a.deviceId || a.deviceId.toString() !== b.deviceId?.toString()) {
+      return false;
+    }
+    if (this._normalizeProperty(a.property) !== this._normalizeProperty(b.property)) {
+      return false;
+    }
+
+    // Try the values either trigger names, and values just past their bounds
+    const candidates = [a.value, a.secondValue, b.value, b.secondValue]
+      .filter(value => value !== undefined && value !== null)
+      .flatMap(value => (typeof value === 'number' ? [value, value - 0.5, value + 0.5] : [value]));
+
+    if (candidates.length === 0) {
+      return true;
+    }
+    return candidates.some(value => this._canFire(a, value) && this._canFire(b, value));
+  }
+
+  /**
+   * Decide whether a device trigger can fire when its property becomes `value`
+   * The previous value is unknown, so `changes` and `changes_from` always can.
+   * @private
+   */
+  _canFire({ operator, value: expected, secondValue }, value) {
+    switch (operator) {
+      case 'changes':
+      case 'changes_from':
+        return true;
+      case 'equals':
+      case 'changes_to':
+        return String(value) === String(expected);
+      case 'not_equals':
+        return String(value) !== String(expected);
+      case 'greater_than':
+        return Number(value) > Number(expected);
+      case 'less_than':
+        return Number(value) < Number(expected);
+      case 'between':
+        return Number(value) >= Number(expected) && Number(value) <= Number(secondValue);
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * Read the value an effect gives a trigger property, which may be nested in
+   * the effect's value (settings.temperature.target in settings.temperature)
+   * @private
+   */
+  _getEffectValue(effect, property) {
+    const target = this._normalizeProperty(property);
+    if (target === effect.property) {
+      return effect.value;
+    }
+    if (target.startsWith(`${effect.property}.`)) {
+      return target
+        .slice(effect.property.length + 1)
+        .split('.')
+        .reduce((value, key) => value?.[key], effect.value);
+    }
+    return undefined;
+  }
+
+  /**
+   * Triggers may name settings without their `settings.` prefix
+   * @private
+   */
+  _normalizeProperty(property = '') {
+    if (DEVICE_FIELDS.includes(property) || property.includes('.')) {
+      return property;
+    }
+    return `settings.${property}`;
+  }
+
+  /**
+   * @private
+   */
+  _getRuns(schedule, timezone, until) {
+    try {
+      return schedulerService.nextOccurrences(schedule, timezone, { until, limit: SCHEDULE_MAX_RUNS });
+    } catch (error) {
+      return []; // invalid schedules never run
+    }
+  }
+
+  /**
+   * @private
+   */
+  _describeRule(rule) {
+    return { type: 'rule', id: rule._id, name: rule.name, priority: rule.priority };
+  }
+
+  /**
+   * @private
+   */
+  _isEnabled(item) {
+    return item.isActive !== false && item.isEnabled !== false;
+  }
+}
+
+export default new ConflictService();
@@ -0,0 +1,299 @@
+import DeviceStateSample from '../models/DeviceStateSample.js';
+import DeviceStateRollup from '../models/DeviceStateRollup.js';
+import config from '../config/index.js';
+import { DEVICE_HISTORY_METRICS, DEVICE_HISTORY_INTERVALS } from '../config/constants.js';
+import { AppError } from '../utils/errors.js';
+import logger from '../utils/logger.js';
+
+// Metrics only rolled up for devices with the matching capability
+const METRIC_CAPABILITIES = {
+  'settings.brightness': 'canDim',
+  'settings.temperature.current': 'canSetTemperature',
+  'settings.temperature.target': 'canSetTemperature',
+  'settings.speed': 'canSetSpeed',
+  'energy.currentUsage': 'canMeasureEnergy',
+};
+
+// Bookkeeping timestamps that change on every report and are not state changes
+const IGNORED_CHANGES = ['energy.lastUpdated', 'sensors.updatedAt', 'sensors.lastMotionAt'];
+
+const AGGREGATIONS = ['avg', 'min', 'max', 'sum', 'count', 'last'];
+
+/**
+ * Device History Service
+ * Records device state over time and answers range queries, either from raw
+ * samples or from 1m/1h/1d rollups of numeric properties.
+ */
+class DeviceHistoryService {
+  /**
+   * Record a device state sample and update its rollups
+   * Failures are logged, never thrown: history must not break device updates.
+   * @param {Object} device - Device document (after save)
+   * @param {Object} oldState - State before the change
+   * @param {Object} newState - State after the change
+   * @param {string} source - 'command' or 'report'
+   */
+  async record(device, oldState, newState, source) {
+    if (!config.history.enabled) {
+      return;
+    }
+
+    try {
+      const timestamp = new Date();
+      const changes = this._diff(oldState, newState);
+
+      await DeviceStateSample.create({
+        timestamp,
+        meta: {
+          device: device._id,
+          owner: device.owner,
+        },
+        source,
+        kind: changes.length > 0 ? 'transition' : 'sample',
+        changes,
+        state: newState,
+      });
+
+      await this._updateRollups(device, newState, timestamp);
+    } catch (error) {
+      logger.error('Record device history failed', {
+        error: error.message,
+        deviceId: device._id,
+      });
+    }
+  }
+
+  /**
+   * Query the history of a device
+   * @param {Object} device - Device document
+   * @param {Object} options - { from, to, property, aggregation, interval, kind, page, limit }
+   * @returns {Object} - Points for the range
+   */
+  async query(device, options = {}) {
+    const to = options.to || new Date();
+    const from = options.from || new Date(to.getTime() - 24 * 60 * 60 * 1000);
+
+    if (from >= to) {
+      throw new AppError('History range start must be before its end', 400);
+    }
+
+    if (!options.aggregation || options.aggregation === 'raw') {
+      return this._queryRaw(device, { ...options, from, to });
+    }
+
+    return this._queryRollups(device, { ...options, from, to });
+  }
+
+  /**
+   * Pick a rollup interval for a range
+   * @param {Date} from - Range start
+   * @param {Date} to - Range end
+   * @returns {string} - '1m', '1h' or '1d'
+   */
+  pickInterval(from, to) {
+    const range = to.getTime() - from.getTime();
+
+    if (range <= 6 * DEVICE_HISTORY_INTERVALS['1h']) {
+      return '1m';
+    }
+    if (range <= 30 * DEVICE_HISTORY_INTERVALS['1d']) {
+      return '1h';
+    }
+    return '1d';
+  }
+
+  /**
+   * Return raw samples, optionally reduced to one property
+   * @private
+   */
+  async _queryRaw(device, { from, to, property, kind, page = 1, limit = 500 }) {
+    const query = {
+      'meta.device': device._id,
+      timestamp: { $gte: from, $lte: to },
+    };
+
+    if (kind) {
+      query.kind = kind;
+    }
+
+    const [samples, total] = await Promise.all([
+      DeviceStateSample.find(query)
+        .sort({ timestamp: 1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      DeviceStateSample.countDocuments(query),
+    ]);
+
+    const points = property
+      ? samples
+        .map(sample => ({
+          timestamp: sample.timestamp,
+          value: this._getValue(sample.state, property),
+          source: sample.source,
+          kind: sample.kind,
+        }))
+        .filter(point => point.value !== undefined)
+      : samples.map(sample => ({
+        timestamp: sample.timestamp,
+        source: sample.source,
+        kind: sample.kind,
+        changes: sample.changes,
+        state: sample.state,
+      }));
+
+    return {
+      deviceId: device._id,
+      property: property || null,
+      aggregation: 'raw',
+      from,
+      to,
+      points,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    };
+  }
+
+  /**
+   * Return downsampled points from rollups
+   * @private
+   */
+  async _queryRollups(device, { from, to, property, aggregation, interval }) {
+    if (!AGGREGATIONS.includes(aggregation)) {
+      throw new AppError(`Unknown aggregation: ${aggregation}`, 400);
+    }
+
+    if (!DEVICE_HISTORY_METRICS.includes(property)) {
+      throw new AppError(`Aggregated history is available for: ${DEVICE_HISTORY_METRICS.join(', ')}`, 400);
+    }
+
+    const bucketInterval = !interval || interval === 'auto' ? this.pickInterval(from, to) : interval;
+    const expectedPoints = (to.getTime() - from.getTime()) / DEVICE_HISTORY_INTERVALS[bucketInterval];
+
+    if (expectedPoints > config.history.maxPoints) {
+      throw new AppError(`Range too large for ${bucketInterval} buckets; use a larger interval`, 400);
+    }
+
+    const rollups = await DeviceStateRollup.find({
+      device: device._id,
+      property,
+      interval: bucketInterval,
+      bucket: { $gte: this._bucketStart(from, bucketInterval), $lte: to },
+    }).sort({ bucket: 1 });
+
+    return {
+      deviceId: device._id,
+      property,
+      aggregation,
+      interval: bucketInterval,
+      from,
+      to,
+      points: rollups.map(rollup => ({
+        timestamp: rollup.bucket,
+        value: rollup[aggregation],
+        count: rollup.count,
+      })),
+    };
+  }
+
+  /**
+   * Add a sample's numeric metrics to every rollup interval
+   * @private
+   */
+  async _updateRollups(device, state, timestamp) {
+    const operations = [];
+
+    for (const property of DEVICE_HISTORY_METRICS) {
+      const capability = METRIC_CAPABILITIES[property];
+      if (capability && !device.capabilities?.[capability]) {
+        continue;
+      }
+
+      const value = this._getValue(state, property);
+      if (typeof value !== 'number' || Number.isNaN(value)) {
+        continue;
+      }
+
+      for (const interval of Object.keys(DEVICE_HISTORY_INTERVALS)) {
+        const retention = config.history.rollupRetentionDays[interval] * DEVICE_HISTORY_INTERVALS['1d'];
+        const bucket = this._bucketStart(timestamp, interval);
+
+        operations.push({
+          updateOne: {
+            filter: {
+              device: device._id,
+              property,
+              interval,
+              bucket,
+            },
+            update: {
+              $setOnInsert: {
+                owner: device.owner,
+                expiresAt: new Date(bucket.getTime() + retention),
+              },
+              $inc: { count: 1, sum: value },
+              $min: { min: value },
+              $max: { max: value },
+              $set: { last: value, lastAt: timestamp },
+            },
+            upsert: true,
+          },
+        });
+      }
+    }
+
+    if (operations.length > 0) {
+      await DeviceStateRollup.bulkWrite(operations, { ordered: false });
+    }
+  }
+
+  /**
+   * List property paths whose value differs between two states
+   * @private
+   */
+  _diff(oldState = {}, newState = {}) {
+    const before = this._flatten(oldState);
+    const after = this._flatten(newState);
+    const paths = new Set([...Object.keys(before), ...Object.keys(after)]);
+
+    return [...paths].filter(path =>
+      !IGNORED_CHANGES.includes(path) && String(before[path]) !== String(after[path])
+    );
+  }
+
+  /**
+   * @private
+   */
+  _flatten(value, prefix = '', result = {}) {
+    if (value && typeof value === 'object' && !(value instanceof Date) && !Array.isArray(value)) {
+      for (const [key, child] of Object.entries(value)) {
+        this._flatten(child, prefix ? `${prefix}.${key}` : key, result);
+      }
+    } else if (prefix) {
+      result[prefix] = value instanceof Date ? value.toISOString() : value;
+    }
+
+    return result;
+  }
+
+  /**
+   * @private
+   */
+  _bucketStart(date, interval) {
+    const size = DEVICE_HISTORY_INTERVALS[interval];
+    return new Date(Math.floor(new Date(date).getTime() / size) * size);
+  }
+
+  /**
+   * @private
+   */
+  _getValue(state, property) {
+    return property.split('.').reduce((value, key) => value?.[key], state);
+  }
+}
+
+export default new DeviceHistoryService();
@@ -2,7 +2,16 @@ import Device from '../models/Device.js';
 import User from '../models/User.js';
 import { AppError } from '../utils/errors.js';
 import logger from '../utils/logger.js';
-import { DEVICE_TYPES, DEVICE_STATUS, POWER_STATES } from '../config/constants.js';
+import { DEVICE_TYPES, DEVICE_STATUS, POWER_STATES, ACCESS_ACTIONS } from '../config/constants.js';
+import accessService from './accessService.js';
+import driverRegistry from './drivers/driverRegistry.js';
+import deviceHistoryService from './deviceHistoryService.js';
+import energyService from './energyService.js';
+import heartbeatService from './heartbeatService.js';
+import jobQueueService from './jobQueueService.js';
+import modeService from './modeService.js';
+import ruleService from './ruleService.js';
+import schedulerService from './schedulerService.js';
 
 /**
  * Device Service
@@ -10,6 +19,10 @@ import { DEVICE_TYPES, DEVICE_STATUS, POWER_STATES } from '../config/constants.j
  * device control, monitoring, and automation
  */
 class DeviceService {
+  constructor() {
+    jobQueueService.registerHandler('device_timer', (job) => this._executeDeviceTimer(job));
+  }
+
   /**
    * Create a new device
    * @param {Object} deviceData - Device creation data
@@ -18,10 +31,13 @@ class DeviceService {
    */
   async createDevice(deviceData, userId) {
     try {
-      // Check if device name is unique for the user
+      // Devices are created in the user's active home
+      const ownerId = await accessService.getActiveOwner(userId, 'device');
+
+      // Check if device name is unique in the home
       const existingDevice = await Device.findOne({
         name: deviceData.name,
-        owner: userId,
+        owner: ownerId,
       });
 
       if (existingDevice) {
@@ -32,7 +48,7 @@ class DeviceService {
       if (deviceData.ipAddress) {
         const deviceWithSameIP = await Device.findOne({
           ipAddress: deviceData.ipAddress,
-          owner: userId,
+          owner: ownerId,
         });
 
         if (deviceWithSameIP) {
@@ -43,7 +59,7 @@ class DeviceService {
       // Create device
       const device = new Device({
         ...deviceData,
-        owner: userId,
+        owner: ownerId,
         status: DEVICE_STATUS.OFFLINE,
         powerState: POWER_STATES.OFF,
         isOnline: false,
@@ -82,8 +98,8 @@ class DeviceService {
       const { page = 1, limit = 10, sortBy = 'name', sortOrder = 'asc' } = pagination;
       const skip = (page - 1) * limit;
 
-      // Build query
-      const query = { owner: userId };
+      // Build query over the devices the user can see
+      const query = { $and: [await accessService.getScope(userId, 'device')] };
 
       if (filters.search) {
         query.$or = [
@@ -170,14 +186,8 @@ class DeviceService {
    */
   async getDeviceById(deviceId, userId) {
     try {
-      const device = await Device.findOne({
-        _id: deviceId,
-        owner: userId,
-      }).populate('groups', 'name type color');
-
-      if (!device) {
-        throw new AppError('Device not found', 404);
-      }
+      const device = await accessService.findAccessible('device', deviceId, userId);
+      await device.populate('groups', 'name type color');
 
       return device;
     } catch (error) {
@@ -199,20 +209,13 @@ class DeviceService {
    */
   async updateDevice(deviceId, updateData, userId) {
     try {
-      const device = await Device.findOne({
-        _id: deviceId,
-        owner: userId,
-      });
-
-      if (!device) {
-        throw new AppError('Device not found', 404);
-      }
+      const device = await accessService.findAccessible('device', deviceId, userId, ACCESS_ACTIONS.CONFIGURE);
 
       // Check if name is being updated and is unique
       if (updateData.name && updateData.name !== device.name) {
         const existingDevice = await Device.findOne({
           name: updateData.name,
-          owner: userId,
+          owner: device.owner,
           _id: { $ne: deviceId },
         });
 
@@ -225,7 +228,7 @@ class DeviceService {
       if (updateData.ipAddress && updateData.ipAddress !== device.ipAddress) {
         const deviceWithSameIP = await Device.findOne({
           ipAddress: updateData.ipAddress,
-          owner: userId,
+          owner: device.owner,
           _id: { $ne: deviceId },
         });
 
@@ -264,14 +267,7 @@ class DeviceService {
    */
   async deleteDevice(deviceId, userId) {
     try {
-      const device = await Device.findOne({
-        _id: deviceId,
-        owner: userId,
-      });
-
-      if (!device) {
-        throw new AppError('Device not found', 404);
-      }
+      const device = await accessService.findAccessible('device', deviceId, userId, ACCESS_ACTIONS.CONFIGURE);
 
       await Device.findByIdAndDelete(deviceId);
 
@@ -292,6 +288,85 @@ class DeviceService {
     }
   }
 
+  /**
+   * Share a device with another user, replacing any earlier share
+   * Users with the share permission may only grant permissions they have.
+   * @param {string} deviceId - Device ID
+   * @param {Object} shareData - { userId, permissions }
+   * @param {string} userId - Sharing user ID
+   * @returns {Array} - Device shares
+   */
+  async shareDevice(deviceId, shareData, userId) {
+    try {
+      const device = await accessService.findAccessible('device', deviceId, userId, ACCESS_ACTIONS.SHARE);
+      await accessService.checkGrant('device', device, userId, { permissions: shareData.permissions });
+
+      if (device.owner.toString() === shareData.userId.toString()) {
+        throw new AppError('Device cannot be shared with its owner', 400);
+      }
+
+      const target = await User.findById(shareData.userId).select('_id');
+      if (!target) {
+        throw new AppError('User not found', 404);
+      }
+
+      await device.shareWith(target._id, shareData.permissions);
+
+      logger.info(`Device shared: ${device.name}`, {
+        deviceId: device._id,
+        userId,
+        sharedWith: shareData.userId,
+        permissions: shareData.permissions,
+      });
+
+      return device.sharedWith;
+    } catch (error) {
+      logger.error('Share device failed', {
+        error: error.message,
+        deviceId,
+        userId,
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Stop sharing a device with a user; users can also drop their own share
+   * @param {string} deviceId - Device ID
+   * @param {string} sharedUserId - User the device is shared with
+   * @param {string} userId - Acting user ID
+   * @returns {Array} - Device shares
+   */
+  async unshareDevice(deviceId, sharedUserId, userId) {
+    try {
+      const leaving = sharedUserId.toString() === userId.toString();
+      const device = await accessService.findAccessible(
+        'device', deviceId, userId, leaving ? ACCESS_ACTIONS.VIEW : ACCESS_ACTIONS.SHARE,
+      );
+
+      if (!device.sharedWith.some(share => share.user.toString() === sharedUserId.toString())) {
+        throw new AppError('Device is not shared with this user', 404);
+      }
+
+      await device.unshareWith(sharedUserId);
+
+      logger.info(`Device unshared: ${device.name}`, {
+        deviceId: device._id,
+        userId,
+        sharedUserId,
+      });
+
+      return device.sharedWith;
+    } catch (error) {
+      logger.error('Unshare device failed', {
+        error: error.message,
+        deviceId,
+        userId,
+      });
+      throw error;
+    }
+  }
+
   /**
    * Control device (turn on/off, toggle, etc.)
    * @param {string} deviceId - Device ID
@@ -302,76 +377,47 @@ class DeviceService {
    */
   async controlDevice(deviceId, action, settings = {}, userId) {
     try {
-      const device = await Device.findOne({
-        _id: deviceId,
-        owner: userId,
-      });
-
-      if (!device) {
-        throw new AppError('Device not found', 404);
-      }
-
-      if (!device.isOnline) {
-        throw new AppError('Device is offline', 400);
+      const device = await accessService.findAccessible('device', deviceId, userId, ACCESS_ACTIONS.CONTROL);
+
+      const oldState = this._getStateSnapshot(device);
+
+      this.assertActionSupported(device, action);
+      this.applyAction(device, action, settings);
+
+      // Deliver the command before persisting so a failed or timed-out
+      // command does not leave the stored state out of sync with the device
+      let ack;
+      try {
+        ack = await this._sendDeviceCommand(device, action, settings);
+      } catch (error) {
+        await Device.updateOne({ _id: device._id }, {
+          lastCommand: {
+            action,
+            protocol: error.protocol,
+            acknowledged: false,
+            errorCode: error.code,
+            error: error.message,
+            sentAt: new Date(),
+          },
+        });
+        throw error;
       }
 
-      // Validate action based on device capabilities
-      switch (action) {
-        case 'turn_on':
-        case 'turn_off':
-        case 'toggle':
-          if (!device.capabilities.canToggle) {
-            throw new AppError('Device does not support toggle functionality', 400);
-          }
-          break;
-        case 'set_brightness':
-          if (!device.capabilities.canDim) {
-            throw new AppError('Device does not support dimming', 400);
-          }
-          break;
-        case 'set_color':
-          if (!device.capabilities.canChangeColor) {
-            throw new AppError('Device does not support color changing', 400);
-          }
-          break;
-        case 'set_temperature':
-          if (!device.capabilities.canSetTemperature) {
-            throw new AppError('Device does not support temperature control', 400);
-          }
-          break;
-        default:
-          throw new AppError('Invalid action', 400);
-      }
-
-      // Apply action
-      switch (action) {
-        case 'turn_on':
-          device.powerState = POWER_STATES.ON;
-          break;
-        case 'turn_off':
-          device.powerState = POWER_STATES.OFF;
-          break;
-        case 'toggle':
-          device.powerState = device.powerState === POWER_STATES.ON ? POWER_STATES.OFF : POWER_STATES.ON;
-          break;
-        case 'set_brightness':
-        case 'set_color':
-        case 'set_temperature':
-        case 'set_speed':
-        case 'set_volume':
-        case 'set_mode':
-          // Update settings
-          Object.assign(device.settings, settings);
-          break;
-      }
-
-      device.status = DEVICE_STATUS.ACTIVE;
+      device.status = DEVICE_STATUS.ONLINE;
       device.lastControlled = new Date();
+      if (ack.acknowledged) {
+        device.lastSeen = new Date();
+      }
+      device.lastCommand = {
+        action,
+        protocol: ack.protocol,
+        acknowledged: ack.acknowledged,
+        latency: ack.latency,
+        sentAt: new Date(),
+      };
       await device.save();
 
-      // Here you would typically send the command to the actual device
-      // via the appropriate protocol (HTTP, MQTT, etc.)
-      await this._sendDeviceCommand(device, action, settings);
+      this._notifyStateChange(device, oldState, 'command');
 
       logger.info(`Device controlled: ${device.name}`, {
         deviceId: device._id,
@@ -379,6 +425,8 @@ class DeviceService {
         action,
         settings,
         newPowerState: device.powerState,
+        protocol: ack.protocol,
+        latency: ack.latency,
       });
 
       return device;
@@ -393,6 +441,79 @@ class DeviceService {
     }
   }
 
+  /**
+   * Check that a device can carry out a control action
+   * Shared with the simulation engine so dry runs raise the same errors.
+   * @param {Object} device - Device document or state snapshot
+   * @param {string} action - Control action
+   * @throws {AppError} - When the device is offline or lacks the capability
+   */
+  assertActionSupported(device, action) {
+    if (!device.isOnline) {
+      throw new AppError('Device is offline', 400);
+    }
+
+    // Validate action based on device capabilities
+    switch (action) {
+      case 'turn_on':
+      case 'turn_off':
+      case 'toggle':
+        if (!device.capabilities?.canToggle) {
+          throw new AppError('Device does not support toggle functionality', 400);
+        }
+        break;
+      case 'set_brightness':
+        if (!device.capabilities?.canDim) {
+          throw new AppError('Device does not support dimming', 400);
+        }
+        break;
+      case 'set_color':
+        if (!device.capabilities?.canChangeColor) {
+          throw new AppError('Device does not support color changing', 400);
+        }
+        break;
+      case 'set_temperature':
+        if (!device.capabilities?.canSetTemperature) {
+          throw new AppError('Device does not support temperature control', 400);
+        }
+        break;
+      default:
+        throw new AppError('Invalid action', 400);
+    }
+  }
+
+  /**
+   * Apply a control action to a device's stored state (without sending it)
+   * @param {Object} device - Device document or state snapshot (mutated)
+   * @param {string} action - Control action
+   * @param {Object} settings - Settings for set_* actions
+   */
+  applyAction(device, action, settings = {}) {
+    switch (action) {
+      case 'turn_on':
+        device.powerState = POWER_STATES.ON;
+        break;
+      case 'turn_off':
+        device.powerState = POWER_STATES.OFF;
+        break;
+      case 'toggle':
+        device.powerState = device.powerState === POWER_STATES.ON ? POWER_STATES.OFF : POWER_STATES.ON;
+        break;
+      case 'set_brightness':
+      case 'set_color':
+      case 'set_temperature':
+      case 'set_speed':
+      case 'set_volume':
+      case 'set_mode':
+        // Update settings
+        if (!device.settings) {
+          device.settings = {};
+        }
+        Object.assign(device.settings, settings);
+        break;
+    }
+  }
+
   /**
    * Update device settings
    * @param {string} deviceId - Device ID
@@ -402,14 +523,7 @@ class DeviceService {
    */
   async updateDeviceSettings(deviceId, settings, userId) {
     try {
-      const device = await Device.findOne({
-        _id: deviceId,
-        owner: userId,
-      });
-
-      if (!device) {
-        throw new AppError('Device not found', 404);
-      }
+      const device = await accessService.findAccessible('device', deviceId, userId, ACCESS_ACTIONS.CONTROL);
 
       // Validate settings based on device capabilities
       if (settings.brightness !== undefined && !device.capabilities.canDim) {
@@ -428,11 +542,15 @@ class DeviceService {
         throw new AppError('Device does not support speed control', 400);
       }
 
+      const oldState = this._getStateSnapshot(device);
+
       // Update settings
       Object.assign(device.settings, settings);
       device.lastControlled = new Date();
       await device.save();
 
+      this._notifyStateChange(device, oldState, 'command');
+
       // Send settings to actual device
       await this._sendDeviceCommand(device, 'update_settings', settings);
 
@@ -457,16 +575,22 @@ class DeviceService {
    * Update device status (from device itself)
    * @param {string} deviceId - Device ID
    * @param {Object} statusData - Status data from device
+   * @param {string} [userId] - Acting user ID, when a user reports the status
    * @returns {Object} - Updated device
    */
-  async updateDeviceStatus(deviceId, statusData) {
+  async updateDeviceStatus(deviceId, statusData, userId) {
     try {
-      const device = await Device.findById(deviceId);
+      const device = userId
+        ? await accessService.findAccessible('device', deviceId, userId, ACCESS_ACTIONS.CONFIGURE)
+        : await Device.findById(deviceId);
 
       if (!device) {
         throw new AppError('Device not found', 404);
       }
 
+      const wasOnline = device.isOnline;
+      const oldState = this._getStateSnapshot(device);
+
       // Update status fields
       if (statusData.status !== undefined) {
         device.status = statusData.status;
@@ -476,31 +600,45 @@ class DeviceService {
         device.powerState = statusData.powerState;
       }
 
-      if (statusData.isOnline !== undefined) {
-        device.isOnline = statusData.isOnline;
-      }
+      // A report means the device is reachable, unless it says otherwise
+      device.isOnline = statusData.isOnline !== false;
 
       if (statusData.settings) {
         Object.assign(device.settings, statusData.settings);
       }
 
       if (statusData.energy) {
-        device.energy.currentUsage = statusData.energy.currentUsage;
-        device.energy.unit = statusData.energy.unit || device.energy.unit;
-        device.energy.history.push({
-          usage: statusData.energy.currentUsage,
-          timestamp: statusData.timestamp || new Date(),
+        // Readings are kept as device history samples and daily / monthly / total
+        // kWh are metered by energyService (see _notifyStateChange), not reported
+        ['currentUsage', 'unit'].forEach(field => {
+          if (statusData.energy[field] !== undefined) {
+            device.energy[field] = statusData.energy[field];
+          }
         });
+        device.energy.lastUpdated = statusData.timestamp || new Date();
+      }
 
-        // Keep only last 1000 history entries
-        if (device.energy.history.length > 1000) {
-          device.energy.history = device.energy.history.slice(-1000);
+      if (statusData.sensors) {
+        ['temperature', 'humidity', 'motion'].forEach(field => {
+          if (statusData.sensors[field] !== undefined) {
+            device.sensors[field] = statusData.sensors[field];
+          }
+        });
+        if (statusData.sensors.motion) {
+          device.sensors.lastMotionAt = statusData.timestamp || new Date();
         }
+        device.sensors.updatedAt = statusData.timestamp || new Date();
       }
 
       device.lastSeen = statusData.timestamp || new Date();
       await device.save();
 
+      if (device.isOnline !== wasOnline) {
+        await heartbeatService.handleTransition(device, 'status_report');
+      }
+
+      this._notifyStateChange(device, oldState, 'report');
+
       logger.debug(`Device status updated: ${device.name}`, {
         deviceId: device._id,
         status: device.status,
@@ -527,40 +665,31 @@ class DeviceService {
    */
   async createDeviceTimer(deviceId, timerData, userId) {
     try {
-      const device = await Device.findOne({
-        _id: deviceId,
-        owner: userId,
-      });
-
-      if (!device) {
-        throw new AppError('Device not found', 404);
-      }
+      const device = await accessService.findAccessible('device', deviceId, userId, ACCESS_ACTIONS.CONTROL);
 
       if (!device.capabilities.canSetTimer) {
         throw new AppError('Device does not support timers', 400);
       }
 
-      const timer = {
-        id: Date.now().toString(),
+      device.timers.push({
         ...timerData,
         createdAt: new Date(),
         isActive: true,
-      };
-
-      device.timers.push(timer);
+      });
       await device.save();
 
-      // Schedule the timer (you would implement actual scheduling logic here)
-      await this._scheduleDeviceTimer(device, timer);
+      // Timers run as the home owner, in the home's timezone
+      const timer = device.timers[device.timers.length - 1];
+      const job = await this._scheduleDeviceTimer(device, timer, device.owner);
 
       logger.info(`Device timer created: ${device.name}`, {
         deviceId: device._id,
         userId,
-        timerId: timer.id,
+        timerId: timer._id,
         timerName: timer.name,
       });
 
-      return timer;
+      return { ...timer.toObject(), id: timer._id, nextRun: job.runAt };
     } catch (error) {
       logger.error('Create device timer failed', {
         error: error.message,
@@ -571,6 +700,186 @@ class DeviceService {
     }
   }
 
+  /**
+   * Set device timer (alias used by the device controller)
+   * @param {string} deviceId - Device ID
+   * @param {Object} timerData - Timer data
+   * @param {string} userId - User ID
+   * @returns {Object} - Created timer
+   */
+  async setDeviceTimer(deviceId, timerData, userId) {
+    return this.createDeviceTimer(deviceId, timerData, userId);
+  }
+
+  /**
+   * Get device timers with their next scheduled run
+   * @param {string} deviceId - Device ID
+   * @param {string} userId - User ID
+   * @returns {Array} - Timers
+   */
+  async getDeviceTimers(deviceId, userId) {
+    try {
+      const device = await accessService.findAccessible('device', deviceId, userId);
+
+      return Promise.all(device.timers.map(async (timer) => {
+        const job = await jobQueueService.getPendingJob(this._timerJobKey(timer._id));
+        return {
+          ...timer.toObject(),
+          id: timer._id,
+          nextRun: job?.runAt || null,
+        };
+      }));
+    } catch (error) {
+      logger.error('Get device timers failed', {
+        error: error.message,
+        deviceId,
+        userId,
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Cancel device timer
+   * @param {string} deviceId - Device ID
+   * @param {string} timerId - Timer ID
+   * @param {string} userId - User ID
+   */
+  async cancelDeviceTimer(deviceId, timerId, userId) {
+    try {
+      const device = await accessService.findAccessible('device', deviceId, userId, ACCESS_ACTIONS.CONTROL);
+
+      if (!device.timers.id(timerId)) {
+        throw new AppError('Timer not found', 404);
+      }
+
+      device.removeTimer(timerId);
+      await device.save();
+
+      await jobQueueService.cancel(this._timerJobKey(timerId));
+
+      logger.info(`Device timer cancelled: ${device.name}`, {
+        deviceId: device._id,
+        userId,
+        timerId,
+      });
+    } catch (error) {
+      logger.error('Cancel device timer failed', {
+        error: error.message,
+        deviceId,
+        timerId,
+        userId,
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Re-queue a user's active timers, dropping any pending timer jobs first
+   * (e.g. after a restore replaced their devices). One-off timers whose time
+   * has passed are left alone.
+   * @param {string} userId - User ID
+   * @returns {number} - Number of timers scheduled
+   */
+  async rescheduleDeviceTimers(userId) {
+    try {
+      await jobQueueService.cancelByOwner(userId, 'device_timer');
+
+      const devices = await Device.find({
+        owner: userId,
+        'timers.isActive': true,
+      }).select('name timers');
+
+      const now = new Date();
+      let count = 0;
+
+      for (const device of devices) {
+        for (const timer of device.timers) {
+          if (!timer.isActive || (!timer.isRecurring && timer.scheduledTime <= now)) continue;
+
+          await this._scheduleDeviceTimer(device, timer, userId);
+          count++;
+        }
+      }
+
+      logger.info('Device timers rescheduled', { userId, count });
+
+      return count;
+    } catch (error) {
+      logger.error('Reschedule device timers failed', {
+        error: error.message,
+        userId,
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Get device state history
+   * @param {string} deviceId - Device ID
+   * @param {string} userId - User ID
+   * @param {Object} options - { from, to, property, aggregation, interval, kind, page, limit }
+   * @returns {Object} - History points for the range
+   */
+  async getDeviceHistory(deviceId, userId, options = {}) {
+    try {
+      const device = await accessService.findAccessible('device', deviceId, userId);
+
+      return await deviceHistoryService.query(device, options);
+    } catch (error) {
+      logger.error('Get device history failed', {
+        error: error.message,
+        deviceId,
+        userId,
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Get metered energy usage of a device
+   * @param {string} deviceId - Device ID
+   * @param {string} userId - User ID
+   * @param {Object} options - { period, startDate, endDate }
+   * @returns {Object} - Energy usage in kWh
+   */
+  async getDeviceEnergyUsage(deviceId, userId, options = {}) {
+    try {
+      const device = await accessService.findAccessible('device', deviceId, userId);
+
+      return await energyService.getDeviceUsage(device, options);
+    } catch (error) {
+      logger.error('Get device energy usage failed', {
+        error: error.message,
+        deviceId,
+        userId,
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Get metered energy usage of all devices in the user's active home
+   * @param {string} userId - User ID
+   * @param {Object} options - { period, startDate, endDate }
+   * @returns {Object} - Home energy usage in kWh, with per-device totals
+   */
+  async getHomeEnergyUsage(userId, options = {}) {
+    try {
+      const ownerId = await accessService.getActiveOwner(userId, 'device', ACCESS_ACTIONS.VIEW);
+      const devices = await Device.find({ owner: ownerId })
+        .select('name type owner isOnline powerState energy');
+
+      return await energyService.getUsage(devices, ownerId, { ...options, includeStandingCharge: true });
+    } catch (error) {
+      logger.error('Get home energy usage failed', {
+        error: error.message,
+        userId,
+      });
+      throw error;
+    }
+  }
+
   /**
    * Get device statistics
    * @param {string} userId - User ID
@@ -578,8 +887,9 @@ class DeviceService {
    */
   async getDeviceStatistics(userId) {
     try {
+      const scope = await accessService.getScope(userId, 'device');
       const stats = await Device.aggregate([
-        { $match: { owner: userId } },
+        { $match: scope },
         {
           $group: {
             _id: null,
@@ -599,7 +909,7 @@ class DeviceService {
 
       // Get device type breakdown
       const typeStats = await Device.aggregate([
-        { $match: { owner: userId } },
+        { $match: scope },
         {
           $group: {
             _id: '$type',
@@ -653,7 +963,7 @@ class DeviceService {
     try {
       const devices = await Device.find({
         _id: { $in: deviceIds },
-        owner: userId,
+        ...await accessService.getScope(userId, 'device'),
       });
 
       if (devices.length === 0) {
@@ -668,6 +978,7 @@ class DeviceService {
       for (const device of devices) {
         try {
           if (action === 'delete') {
+            await accessService.authorize('device', device, userId, ACCESS_ACTIONS.CONFIGURE);
             await Device.findByIdAndDelete(device._id);
             results.success.push({
               deviceId: device._id,
@@ -715,12 +1026,12 @@ class DeviceService {
    * @param {Object} device - Device object
    * @param {string} action - Action to perform
    * @param {Object} settings - Command settings
+   * @returns {Object} - Acknowledgement from the device driver
+   * @throws {DeviceTimeoutError} - When the device does not answer within DEFAULTS.DEVICE_TIMEOUT
+   * @throws {DeviceError} - When the device rejects the command or cannot be reached
    * @private
    */
   async _sendDeviceCommand(device, action, settings = {}) {
-    // This is where you would implement the actual device communication
-    // For example, sending HTTP requests, MQTT messages, or other protocols
-    
     logger.debug(`Sending command to device: ${device.name}`, {
       deviceId: device._id,
       action,
@@ -729,30 +1040,129 @@ class DeviceService {
       type: device.type,
     });
 
-    // Simulate command sending
-    return new Promise((resolve) => {
-      setTimeout(resolve, 100); // Simulate network delay
-    });
+    return driverRegistry.send(device, action, settings);
   }
 
   /**
-   * Private method to schedule device timers
+   * Private method to schedule device timers on the persistent job queue.
+   * Recurring timers repeat at the scheduled wall-clock time in the owner's
+   * timezone, on `recurringDays` or every day when none are given.
    * @param {Object} device - Device object
-   * @param {Object} timer - Timer object
+   * @param {Object} timer - Timer subdocument
+   * @param {string} userId - User ID the timer runs as
+   * @returns {Object} - Queued job
    * @private
    */
-  async _scheduleDeviceTimer(device, timer) {
-    // This is where you would implement timer scheduling
-    // For example, using node-cron or a job queue
-    
+  async _scheduleDeviceTimer(device, timer, userId) {
+    let recurrence;
+    if (timer.isRecurring) {
+      const owner = await User.findById(userId).select('timezone');
+      const timezone = owner?.timezone || 'UTC';
+      const days = timer.recurringDays || [];
+
+      recurrence = {
+        type: days.length > 0 ? 'weekly' : 'daily',
+        time: schedulerService.formatTime(timer.scheduledTime, timezone),
+        days,
+        timezone,
+      };
+    }
+
     logger.debug(`Scheduling timer for device: ${device.name}`, {
       deviceId: device._id,
-      timerId: timer.id,
+      timerId: timer._id,
       scheduledTime: timer.scheduledTime,
+      recurrence: recurrence?.type,
+    });
+
+    return jobQueueService.enqueue('device_timer', {
+      key: this._timerJobKey(timer._id),
+      payload: {
+        deviceId: device._id.toString(),
+        timerId: timer._id.toString(),
+        userId: userId.toString(),
+      },
+      // A recurring timer created in the past starts from its next occurrence
+      runAt: recurrence && timer.scheduledTime <= new Date()
+        ? schedulerService.nextOccurrence(recurrence, recurrence.timezone)
+        : timer.scheduledTime,
+      recurrence,
+      owner: userId,
+    });
+  }
+
+  /**
+   * Private method to run a due device timer (job queue handler)
+   * @param {Object} job - Job document
+   * @returns {Object} - Job result
+   * @private
+   */
+  async _executeDeviceTimer(job) {
+    const { deviceId, timerId, userId } = job.payload;
+
+    const device = await Device.findById(deviceId).select('name timers');
+    const timer = device?.timers.id(timerId);
+
+    if (!timer || !timer.isActive) {
+      logger.debug('Device timer no longer active, dropping job', { deviceId, timerId });
+      return { rearm: false, skipped: true };
+    }
+
+    try {
+      await this.controlDevice(deviceId, timer.action, {}, userId);
+    } finally {
+      if (!timer.isRecurring) {
+        await Device.updateOne(
+          { _id: deviceId, 'timers._id': timerId },
+          { $set: { 'timers.$.isActive': false } }
+        );
+      }
+    }
+
+    logger.info(`Device timer executed: ${device.name}`, {
+      deviceId,
+      timerId,
+      action: timer.action,
     });
 
-    // Simulate timer scheduling
-    return Promise.resolve();
+    return { action: timer.action };
+  }
+
+  /**
+   * @private
+   */
+  _timerJobKey(timerId) {
+    return `device_timer:${timerId}`;
+  }
+
+  /**
+   * Private method to capture the rule-visible state of a device
+   * @param {Object} device - Device document
+   * @private
+   */
+  _getStateSnapshot(device) {
+    const { status, powerState, isOnline, settings, sensors, energy } = device.toObject();
+    return { status, powerState, isOnline, settings, sensors, energy };
+  }
+
+  /**
+   * Private method to record a saved state change and let rules react to it
+   * Not awaited: history and metering writes, energy budgets and rule actions
+   * must not hold up device updates.
+   * @param {Object} device - Device document (after save)
+   * @param {Object} oldState - Snapshot taken before the change
+   * @param {string} source - 'command' or 'report'
+   * @private
+   */
+  _notifyStateChange(device, oldState, source) {
+    const newState = this._getStateSnapshot(device);
+
+    deviceHistoryService.record(device, oldState, newState, source);
+    energyService.record(device, oldState);
+    if (energyService.getEffectiveWatts(oldState) !== energyService.getEffectiveWatts(newState)) {
+      modeService.checkEnergyBudgets(device.owner);
+    }
+    ruleService.handleDeviceStateChange(device._id, oldState, newState);
   }
 }
 
@@ -0,0 +1,49 @@
+import { DeviceError } from '../../utils/errors.js';
+
+/**
+ * Base Device Driver
+ * Common contract for protocol adapters registered with the driver registry.
+ * Subclasses implement `send(device, command, { signal, timeout })` and resolve
+ * with the device's reply once the command has been acknowledged.
+ */
+class BaseDriver {
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * Send a command to a device
+   * @param {Object} device - Device document
+   * @param {Object} command - Command payload ({ id, action, settings, ... })
+   * @param {Object} options - { signal: AbortSignal, timeout: number }
+   * @returns {Object} - Device reply
+   */
+  async send(device, command, options = {}) {
+    throw new DeviceError(`Driver ${this.name} does not implement send()`, device._id);
+  }
+
+  /**
+   * Release any connections held by the driver
+   */
+  async close() {}
+
+  /**
+   * Throw when the device explicitly rejected the command
+   * @param {Object} device - Device document
+   * @param {Object} reply - Parsed device reply
+   * @returns {Object} - The reply, when acknowledged
+   * @protected
+   */
+  _checkAcknowledgement(device, reply = {}) {
+    if (reply.acknowledged === false || reply.success === false) {
+      throw new DeviceError(
+        reply.error || reply.message || 'Device rejected the command',
+        device._id
+      );
+    }
+
+    return reply;
+  }
+}
+
+export default BaseDriver;
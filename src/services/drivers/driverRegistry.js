@@ -0,0 +1,193 @@
+import crypto from 'crypto';
+import config from '../../config/index.js';
+import logger from '../../utils/logger.js';
+import { DEFAULTS, DEVICE_TYPES } from '../../config/constants.js';
+import { DeviceError, DeviceTimeoutError, ConfigurationError } from '../../utils/errors.js';
+import simulatedDriver from './simulatedDriver.js';
+import httpDriver from './httpDriver.js';
+import mqttDriver from './mqttDriver.js';
+import tcpDriver from './tcpDriver.js';
+
+/**
+ * Driver Registry
+ * Resolves the protocol adapter for a device and sends commands through it,
+ * enforcing the command timeout and normalising failures into device errors.
+ *
+ * Resolution order: `device.protocol`, manufacturer + type binding,
+ * manufacturer binding, type binding, then `config.devices.defaultProtocol`.
+ */
+class DriverRegistry {
+  constructor() {
+    this.drivers = new Map();
+    this.bindings = new Map();
+
+    [simulatedDriver, httpDriver, mqttDriver, tcpDriver].forEach(driver => this.register(driver));
+    this._loadConfiguredBindings(config.devices.driverBindings);
+  }
+
+  /**
+   * Register a protocol adapter
+   * @param {Object} driver - Driver instance exposing `name` and `send()`
+   */
+  register(driver) {
+    this.drivers.set(driver.name, driver);
+  }
+
+  /**
+   * Bind every device of a type to a protocol
+   * @param {string} type - Device type
+   * @param {string} protocol - Registered driver name
+   */
+  bindType(type, protocol) {
+    this._assertDriver(protocol);
+    this.bindings.set(`type:${type}`, protocol);
+  }
+
+  /**
+   * Bind a manufacturer's devices (optionally of one type) to a protocol
+   * @param {string} manufacturer - Manufacturer name (case-insensitive)
+   * @param {string} protocol - Registered driver name
+   * @param {string} type - Optional device type
+   */
+  bindManufacturer(manufacturer, protocol, type = null) {
+    this._assertDriver(protocol);
+    const key = `manufacturer:${manufacturer.toLowerCase()}`;
+    this.bindings.set(type ? `${key}:type:${type}` : key, protocol);
+  }
+
+  /**
+   * Resolve the driver for a device
+   * @param {Object} device - Device document
+   * @returns {Object} - Driver instance
+   */
+  resolve(device) {
+    const manufacturer = device.manufacturer?.toLowerCase();
+    const protocol = device.protocol ||
+      (manufacturer && this.bindings.get(`manufacturer:${manufacturer}:type:${device.type}`)) ||
+      (manufacturer && this.bindings.get(`manufacturer:${manufacturer}`)) ||
+      this.bindings.get(`type:${device.type}`) ||
+      config.devices.defaultProtocol;
+
+    const driver = this.drivers.get(protocol);
+    if (!driver) {
+      throw new DeviceError(`No driver registered for protocol: ${protocol}`, device._id);
+    }
+
+    return driver;
+  }
+
+  /**
+   * Send a command to a device through its driver
+   * @param {Object} device - Device document
+   * @param {string} action - Action to perform
+   * @param {Object} settings - Command settings
+   * @param {Object} options - { timeout: number }
+   * @returns {Object} - Acknowledgement ({ acknowledged, protocol, latency, response })
+   */
+  async send(device, action, settings = {}, options = {}) {
+    const driver = this.resolve(device);
+    const timeout = options.timeout || DEFAULTS.DEVICE_TIMEOUT;
+    const command = {
+      id: crypto.randomUUID(),
+      deviceId: device._id.toString(),
+      action,
+      settings,
+      powerState: device.powerState,
+      timestamp: new Date().toISOString(),
+    };
+
+    const controller = new AbortController();
+    const startedAt = Date.now();
+    let timer;
+
+    const timeoutPromise = new Promise((resolve, reject) => {
+      timer = setTimeout(() => {
+        const error = new DeviceTimeoutError(device._id, timeout);
+        controller.abort(error);
+        reject(error);
+      }, timeout);
+    });
+
+    try {
+      const response = await Promise.race([
+        driver.send(device, command, { signal: controller.signal, timeout }),
+        timeoutPromise,
+      ]);
+
+      const ack = {
+        acknowledged: true,
+        protocol: driver.name,
+        commandId: command.id,
+        latency: Date.now() - startedAt,
+        response,
+      };
+
+      logger.debug(`Device command acknowledged: ${device.name}`, {
+        deviceId: device._id,
+        action,
+        protocol: driver.name,
+        latency: ack.latency,
+      });
+
+      return ack;
+    } catch (error) {
+      const deviceError = error instanceof DeviceError
+        ? error
+        : new DeviceError(`${driver.name} command failed: ${error.message}`, device._id);
+      deviceError.protocol = driver.name;
+
+      logger.warn(`Device command failed: ${device.name}`, {
+        deviceId: device._id,
+        action,
+        protocol: driver.name,
+        code: deviceError.code,
+        error: deviceError.message,
+      });
+
+      throw deviceError;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Close connections held by all drivers
+   */
+  async shutdown() {
+    await Promise.all([...this.drivers.values()].map(driver => driver.close()));
+  }
+
+  /**
+   * Parse `key=protocol` pairs from configuration. Keys are a device type,
+   * a manufacturer, or `manufacturer:type`.
+   * @param {string} bindings - Comma-separated binding list
+   * @private
+   */
+  _loadConfiguredBindings(bindings) {
+    const deviceTypes = Object.values(DEVICE_TYPES);
+
+    bindings.split(',').map(entry => entry.trim()).filter(Boolean).forEach(entry => {
+      const [key, protocol] = entry.split('=').map(part => part.trim());
+      const [manufacturer, type] = key.split(':');
+
+      if (type) {
+        this.bindManufacturer(manufacturer, protocol, type);
+      } else if (deviceTypes.includes(key)) {
+        this.bindType(key, protocol);
+      } else {
+        this.bindManufacturer(key, protocol);
+      }
+    });
+  }
+
+  /**
+   * @private
+   */
+  _assertDriver(protocol) {
+    if (!this.drivers.has(protocol)) {
+      throw new ConfigurationError('DEVICE_DRIVER_BINDINGS', `Unknown device protocol: ${protocol}`);
+    }
+  }
+}
+
+export default new DriverRegistry();
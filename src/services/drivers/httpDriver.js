@@ -0,0 +1,56 @@
+import BaseDriver from './baseDriver.js';
+import config from '../../config/index.js';
+import { DEVICE_PROTOCOLS } from '../../config/constants.js';
+import { DeviceError, DeviceConnectionError } from '../../utils/errors.js';
+
+/**
+ * HTTP Driver
+ * POSTs the command as JSON to the device's REST endpoint and treats a 2xx
+ * response as the acknowledgement
+ */
+class HttpDriver extends BaseDriver {
+  constructor() {
+    super(DEVICE_PROTOCOLS.HTTP);
+  }
+
+  async send(device, command, { signal } = {}) {
+    if (!device.ipAddress) {
+      throw new DeviceConnectionError(device._id, 'Device has no IP address configured');
+    }
+
+    const url = `http://${device.ipAddress}:${device.port || 80}${config.devices.httpCommandPath}`;
+
+    let response;
+    try {
+      response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(command),
+        signal,
+      });
+    } catch (error) {
+      if (signal?.aborted) {
+        throw signal.reason;
+      }
+      throw new DeviceConnectionError(device._id, `HTTP request failed: ${error.message}`);
+    }
+
+    if (!response.ok) {
+      throw new DeviceError(`Device responded with HTTP ${response.status}`, device._id);
+    }
+
+    const text = await response.text();
+    let reply = {};
+    if (text) {
+      try {
+        reply = JSON.parse(text);
+      } catch (error) {
+        reply = { body: text };
+      }
+    }
+
+    return this._checkAcknowledgement(device, reply);
+  }
+}
+
+export default new HttpDriver();
@@ -0,0 +1,26 @@
+import BaseDriver from './baseDriver.js';
+import mqttBridge from '../mqttBridge.js';
+import { DEVICE_PROTOCOLS } from '../../config/constants.js';
+
+/**
+ * MQTT Driver
+ * Publishes commands through the MQTT bridge to `<prefix>/<deviceId>/command`
+ * and resolves once the device answers on `<prefix>/<deviceId>/ack` with the
+ * same command id
+ */
+class MqttDriver extends BaseDriver {
+  constructor() {
+    super(DEVICE_PROTOCOLS.MQTT);
+  }
+
+  async send(device, command, { signal } = {}) {
+    const reply = await mqttBridge.publishCommand(device, command, signal);
+    return this._checkAcknowledgement(device, reply);
+  }
+
+  async close() {
+    await mqttBridge.stop();
+  }
+}
+
+export default new MqttDriver();
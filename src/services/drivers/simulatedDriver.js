@@ -0,0 +1,32 @@
+import BaseDriver from './baseDriver.js';
+import config from '../../config/index.js';
+import { DEVICE_PROTOCOLS } from '../../config/constants.js';
+
+/**
+ * Simulated Driver
+ * Acknowledges every command after a short artificial delay so the platform
+ * can be exercised locally without real hardware
+ */
+class SimulatedDriver extends BaseDriver {
+  constructor() {
+    super(DEVICE_PROTOCOLS.SIMULATED);
+  }
+
+  async send(device, command, { signal } = {}) {
+    await new Promise((resolve, reject) => {
+      const timer = setTimeout(resolve, config.devices.simulatedLatency);
+      signal?.addEventListener('abort', () => {
+        clearTimeout(timer);
+        reject(signal.reason);
+      }, { once: true });
+    });
+
+    return {
+      acknowledged: true,
+      simulated: true,
+      commandId: command.id,
+    };
+  }
+}
+
+export default new SimulatedDriver();
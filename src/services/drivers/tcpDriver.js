@@ -0,0 +1,75 @@
+import net from 'net';
+import BaseDriver from './baseDriver.js';
+import { DEVICE_PROTOCOLS } from '../../config/constants.js';
+import { DeviceError, DeviceConnectionError } from '../../utils/errors.js';
+
+/**
+ * TCP Driver
+ * Opens a raw socket to the device, writes the command as a single line of
+ * JSON and waits for a newline-terminated JSON reply
+ */
+class TcpDriver extends BaseDriver {
+  constructor() {
+    super(DEVICE_PROTOCOLS.TCP);
+  }
+
+  async send(device, command, { signal } = {}) {
+    if (!device.ipAddress || !device.port) {
+      throw new DeviceConnectionError(device._id, 'Device has no IP address or port configured');
+    }
+
+    const line = await new Promise((resolve, reject) => {
+      let buffer = '';
+      const socket = net.createConnection({ host: device.ipAddress, port: device.port });
+
+      const onAbort = () => {
+        socket.destroy();
+        reject(signal.reason);
+      };
+      signal?.addEventListener('abort', onAbort, { once: true });
+
+      const finish = (callback, value) => {
+        signal?.removeEventListener('abort', onAbort);
+        socket.destroy();
+        callback(value);
+      };
+
+      socket.setEncoding('utf8');
+
+      socket.on('connect', () => {
+        socket.write(`${JSON.stringify(command)}\n`);
+      });
+
+      socket.on('data', (chunk) => {
+        buffer += chunk;
+        const newline = buffer.indexOf('\n');
+        if (newline !== -1) {
+          finish(resolve, buffer.slice(0, newline));
+        }
+      });
+
+      socket.on('end', () => {
+        finish(resolve, buffer);
+      });
+
+      socket.on('error', (error) => {
+        finish(reject, new DeviceConnectionError(device._id, `TCP connection failed: ${error.message}`));
+      });
+    });
+
+    if (!line.trim()) {
+      throw new DeviceError('Device closed the connection without replying', device._id);
+    }
+
+    let reply;
+    try {
+      reply = JSON.parse(line);
+    } catch (error) {
+      throw new DeviceError('Device sent an invalid reply', device._id);
+    }
+
+    return this._checkAcknowledgement(device, reply);
+  }
+}
+
+export default new TcpDriver();
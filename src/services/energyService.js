@@ -0,0 +1,656 @@
+import mongoose from 'mongoose';
+import Device from '../models/Device.js';
+import EnergyUsage from '../models/EnergyUsage.js';
+import User from '../models/User.js';
+import config from '../config/index.js';
+import { POWER_STATES, ENERGY_UNITS, TARIFF_TYPES } from '../config/constants.js';
+import { AppError } from '../utils/errors.js';
+import logger from '../utils/logger.js';
+import tariffService from './tariffService.js';
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+// Breakdown granularity and $dateToString format per reporting period
+const PERIODS = {
+  day: { granularity: 'hour', format: '%Y-%m-%dT%H:00' },
+  week: { granularity: 'day', format: '%Y-%m-%d' },
+  month: { granularity: 'day', format: '%Y-%m-%d' },
+  year: { granularity: 'month', format: '%Y-%m' },
+};
+
+// Optimistic metering retries when another writer moved `energy.meteredAt`
+const METER_ATTEMPTS = 3;
+
+/**
+ * Energy Service
+ * Integrates device wattage samples into kWh. Each sample closes the interval
+ * since `energy.meteredAt` at the wattage held during it, splitting at UTC
+ * hours (for `EnergyUsage` buckets) and at the owner's local midnight (so the
+ * daily and monthly counters reset in the owner's timezone). A periodic pass
+ * meters devices that draw power without reporting. Usage is priced per hour
+ * with the owner's tariff.
+ */
+class EnergyService {
+  constructor() {
+    this.meterTimer = null;
+  }
+
+  /**
+   * Start the periodic metering pass
+   */
+  start() {
+    if (this.meterTimer) {
+      return;
+    }
+
+    this.meterTimer = setInterval(() => {
+      this.meterDevices().catch(error => {
+        logger.error('Energy metering pass failed', { error: error.message });
+      });
+    }, config.energy.meterInterval);
+
+    logger.info('Energy metering started', {
+      meterInterval: config.energy.meterInterval,
+      maxSampleGap: config.energy.maxSampleGap,
+    });
+  }
+
+  /**
+   * Stop the periodic metering pass
+   */
+  stop() {
+    if (this.meterTimer) {
+      clearInterval(this.meterTimer);
+      this.meterTimer = null;
+      logger.info('Energy metering stopped');
+    }
+  }
+
+  /**
+   * Meter a device up to a state change
+   * The interval since the last sample is charged at the wattage of the old
+   * state. Failures are logged, never thrown: metering must not break device updates.
+   * @param {Object} device - Device document (after save)
+   * @param {Object} oldState - State snapshot taken before the change
+   */
+  async record(device, oldState) {
+    if (!config.energy.enabled) {
+      return;
+    }
+
+    try {
+      const { timezone } = await this._getOwnerSettings(device.owner);
+      await this._meter(device._id, this.getEffectiveWatts(oldState), new Date(), timezone);
+    } catch (error) {
+      logger.error('Energy metering failed', {
+        error: error.message,
+        deviceId: device._id,
+      });
+    }
+  }
+
+  /**
+   * Meter every device that draws power or still shows usage for a past period
+   * @returns {number} - Number of devices metered
+   */
+  async meterDevices() {
+    const now = new Date();
+    const devices = await Device.find({
+      $or: [
+        { isOnline: true, powerState: POWER_STATES.ON, 'energy.currentUsage': { $gt: 0 } },
+        { 'energy.dailyUsage': { $gt: 0 } },
+      ],
+    }).select('owner isOnline powerState energy');
+
+    const owners = [...new Set(devices.map(device => device.owner.toString()))];
+    const users = await User.find({ _id: { $in: owners } }).select('timezone');
+    const timezones = new Map(users.map(user => [user._id.toString(), user.timezone || 'UTC']));
+
+    let metered = 0;
+    for (const device of devices) {
+      try {
+        const timezone = timezones.get(device.owner.toString()) || 'UTC';
+        await this._meter(device._id, this.getEffectiveWatts(device), now, timezone);
+        metered++;
+      } catch (error) {
+        logger.error('Energy metering failed', {
+          error: error.message,
+          deviceId: device._id,
+        });
+      }
+    }
+
+    return metered;
+  }
+
+  /**
+   * Get the wattage a device state draws
+   * Off or offline devices draw nothing; readings in units other than
+   * W or kW cannot be integrated.
+   * @param {Object} state - Device document or state snapshot
+   * @returns {number} - Watts
+   */
+  getEffectiveWatts(state) {
+    if (!state || !state.isOnline || state.powerState !== POWER_STATES.ON) {
+      return 0;
+    }
+
+    const usage = state.energy?.currentUsage || 0;
+    switch (state.energy?.unit || ENERGY_UNITS.WATTS) {
+      case ENERGY_UNITS.WATTS:
+        return usage;
+      case ENERGY_UNITS.KILOWATTS:
+        return usage * 1000;
+      default:
+        return 0;
+    }
+  }
+
+  /**
+   * Get the tariff period in effect for a user right now
+   * Tiered rates are the marginal rate at this month's household consumption.
+   * @param {string} userId - User ID
+   * @returns {Object} - { name, rate, currency }
+   */
+  async getCurrentTariffPeriod(userId) {
+    const { timezone, tariff } = await this._getOwnerSettings(userId);
+    const now = new Date();
+    const period = tariffService.getPeriod(tariff, now, timezone);
+
+    if (tariff?.type === TARIFF_TYPES.TIERED) {
+      const [month] = await EnergyUsage.aggregate([
+        { $match: { owner: new mongoose.Types.ObjectId(userId), hour: { $gte: this._startOfMonth(now, timezone) } } },
+        { $group: { _id: null, kwh: { $sum: '$kwh' } } },
+      ]);
+      period.rate = tariffService.getMarginalRate(tariff.tiers, month?.kwh || 0);
+    }
+
+    return { ...period, currency: tariff?.currency || 'USD' };
+  }
+
+  /**
+   * Get the metered usage of a single device
+   * @param {Object} device - Device document
+   * @param {Object} options - { period, startDate, endDate }
+   * @returns {Object} - Counters, costs and the breakdown for the period
+   */
+  async getDeviceUsage(device, options = {}) {
+    const settings = await this._getOwnerSettings(device.owner);
+    const { rateAt, ...usage } = await this._summarize([device], device.owner, { device: device._id }, settings, options);
+
+    return {
+      device: {
+        id: device._id,
+        name: device.name,
+        type: device.type,
+      },
+      ...usage,
+    };
+  }
+
+  /**
+   * Get the metered usage of a set of devices (a group or a whole home)
+   * @param {Array} devices - Device documents
+   * @param {string} ownerId - Owner of the devices
+   * @param {Object} options - { period, startDate, endDate, includeStandingCharge }
+   * @returns {Object} - Counters, costs, the breakdown for the period and per-device totals
+   */
+  async getUsage(devices, ownerId, options = {}) {
+    const settings = await this._getOwnerSettings(ownerId);
+    const deviceIds = devices.map(device => device._id);
+    const usage = await this._summarize(devices, ownerId, { device: { $in: deviceIds } }, settings, options);
+
+    const byDevice = await EnergyUsage.aggregate([
+      { $match: { device: { $in: deviceIds }, hour: { $gte: usage.from, $lt: usage.to } } },
+      { $project: { device: 1, hour: 1, kwh: 1 } },
+    ]);
+
+    const totals = new Map();
+    for (const entry of byDevice) {
+      const total = totals.get(entry.device.toString()) || { kwh: 0, cost: 0 };
+      total.kwh += entry.kwh;
+      total.cost += entry.kwh * usage.rateAt(entry.hour);
+      totals.set(entry.device.toString(), total);
+    }
+
+    const { rateAt, ...summary } = usage;
+    return {
+      ...summary,
+      devices: devices
+        .map(device => {
+          const total = totals.get(device._id.toString());
+          const kwh = this._round(total?.kwh || 0);
+          return {
+            deviceId: device._id,
+            name: device.name,
+            type: device.type,
+            watts: this.getEffectiveWatts(device),
+            kwh,
+            cost: this._roundMoney(total?.cost || 0, 4),
+            share: summary.consumption > 0 ? Math.round((kwh / summary.consumption) * 1000) / 10 : 0,
+          };
+        })
+        .sort((a, b) => b.kwh - a.kwh),
+    };
+  }
+
+  /**
+   * Resolve the reporting range of a period in a timezone
+   * @param {Object} options - { period, startDate, endDate }
+   * @param {string} timezone - IANA timezone
+   * @returns {Object} - { period, from, to, granularity, format }
+   */
+  resolvePeriod(options = {}, timezone = 'UTC') {
+    const period = options.period || 'day';
+    if (!PERIODS[period]) {
+      throw new AppError(`Energy period must be one of: ${Object.keys(PERIODS).join(', ')}`, 400);
+    }
+
+    const now = new Date();
+    const today = this._localParts(now, timezone);
+    let from;
+
+    switch (period) {
+      case 'week': {
+        const weekAgo = this._localParts(new Date(now.getTime() - 6 * DAY), timezone);
+        from = this._fromLocal(weekAgo.year, weekAgo.month, weekAgo.day, timezone);
+        break;
+      }
+      case 'month':
+        from = this._fromLocal(today.year, today.month, 1, timezone);
+        break;
+      case 'year':
+        from = this._fromLocal(today.year, today.month - 11, 1, timezone);
+        break;
+      default:
+        from = this._fromLocal(today.year, today.month, today.day, timezone);
+    }
+
+    from = options.startDate || from;
+    const to = options.endDate || now;
+
+    if (from >= to) {
+      throw new AppError('Energy range start must be before its end', 400);
+    }
+
+    return { period, from, to, ...PERIODS[period] };
+  }
+
+  /**
+   * Build counters, costs and the bucketed breakdown for a set of devices
+   * Also returns `rateAt(hour)`, the price per kWh of each hour in the range.
+   * @private
+   */
+  async _summarize(devices, ownerId, match, settings, options) {
+    const { timezone, tariff } = settings;
+    const { period, from, to, granularity, format } = this.resolvePeriod(options, timezone);
+    const now = new Date();
+    const dayKey = this._dayKey(now, timezone);
+    const monthKey = dayKey.slice(0, 7);
+    const today = this._localParts(now, timezone);
+    const dayStart = this._fromLocal(today.year, today.month, today.day, timezone);
+    const monthStart = this._fromLocal(today.year, today.month, 1, timezone);
+    const monthEnd = this._fromLocal(today.year, today.month + 1, 1, timezone);
+
+    const hourly = (start, end) => EnergyUsage.aggregate([
+      { $match: { ...match, hour: { $gte: start, $lt: end } } },
+      {
+        $group: {
+          _id: '$hour',
+          key: { $first: { $dateToString: { format, date: '$hour', timezone } } },
+          kwh: { $sum: '$kwh' },
+          peakWatts: { $max: '$peakWatts' },
+        },
+      },
+      { $sort: { _id: 1 } },
+    ]);
+
+    const [hours, monthHours, rateAt] = await Promise.all([
+      hourly(from, to),
+      hourly(monthStart, now),
+      this._getRateResolver(ownerId, tariff, timezone, new Date(Math.min(from, monthStart)), new Date(Math.max(to, now))),
+    ]);
+
+    const buckets = [];
+    for (const hour of hours) {
+      let bucket = buckets.at(-1);
+      if (bucket?.period !== hour.key) {
+        bucket = { period: hour.key, kwh: 0, cost: 0, peakWatts: 0 };
+        buckets.push(bucket);
+      }
+      bucket.kwh += hour.kwh;
+      bucket.cost += hour.kwh * rateAt(hour._id);
+      bucket.peakWatts = Math.max(bucket.peakWatts, hour.peakWatts);
+    }
+
+    const monthCost = monthHours.reduce((sum, hour) => sum + hour.kwh * rateAt(hour._id), 0);
+    const todayCost = monthHours
+      .filter(hour => hour._id >= dayStart)
+      .reduce((sum, hour) => sum + hour.kwh * rateAt(hour._id), 0);
+
+    // Linear projection of this month's cost so far, plus the standing charge for a home
+    const daysInMonth = Math.round((monthEnd - monthStart) / DAY);
+    const standingCharge = options.includeStandingCharge ? (tariff?.standingCharge || 0) * daysInMonth : 0;
+    const elapsed = now - monthStart;
+    const projectedMonthly = (elapsed > 0 ? (monthCost * (monthEnd - monthStart)) / elapsed : 0) + standingCharge;
+
+    // Counters only count towards the current day / month once rolled over
+    const counters = devices.reduce((sum, device) => {
+      const energy = device.energy || {};
+      sum.watts += this.getEffectiveWatts(device);
+      sum.today += energy.dailyPeriod === dayKey ? energy.dailyUsage : 0;
+      sum.thisMonth += energy.monthlyPeriod === monthKey ? energy.monthlyUsage : 0;
+      sum.total += energy.totalUsage || 0;
+      return sum;
+    }, { watts: 0, today: 0, thisMonth: 0, total: 0 });
+
+    const currentPeriod = tariffService.getPeriod(tariff, now, timezone);
+
+    return {
+      unit: ENERGY_UNITS.KILOWATT_HOURS,
+      timezone,
+      current: {
+        watts: counters.watts,
+        tariffPeriod: currentPeriod.name,
+        rate: rateAt(new Date(Math.floor(now.getTime() / HOUR) * HOUR)),
+      },
+      today: this._round(counters.today),
+      thisMonth: this._round(counters.thisMonth),
+      total: this._round(counters.total),
+      period,
+      from,
+      to,
+      granularity,
+      consumption: this._round(buckets.reduce((sum, bucket) => sum + bucket.kwh, 0)),
+      peakWatts: buckets.reduce((peak, bucket) => Math.max(peak, bucket.peakWatts), 0),
+      cost: {
+        currency: tariff?.currency || 'USD',
+        amount: this._roundMoney(buckets.reduce((sum, bucket) => sum + bucket.cost, 0)),
+        today: this._roundMoney(todayCost),
+        thisMonth: this._roundMoney(monthCost),
+        projectedMonthly: this._roundMoney(projectedMonthly),
+        ...(options.includeStandingCharge && { standingCharge: this._roundMoney(standingCharge) }),
+      },
+      breakdown: buckets.map(bucket => ({
+        period: bucket.period,
+        kwh: this._round(bucket.kwh),
+        cost: this._roundMoney(bucket.cost, 4),
+        peakWatts: bucket.peakWatts,
+      })),
+      rateAt,
+    };
+  }
+
+  /**
+   * Build a price-per-kWh lookup for the hours of a range
+   * Tiered rates depend on the household's consumption earlier in the month,
+   * so each hour gets the average rate of the kWh it added to the month.
+   * @private
+   */
+  async _getRateResolver(ownerId, tariff, timezone, from, to) {
+    if (tariff?.type !== TARIFF_TYPES.TIERED) {
+      return hour => tariffService.getPeriod(tariff, hour, timezone).rate;
+    }
+
+    const start = this._startOfMonth(from, timezone);
+    const hours = await EnergyUsage.aggregate([
+      { $match: { owner: new mongoose.Types.ObjectId(ownerId), hour: { $gte: start, $lt: to } } },
+      { $group: { _id: '$hour', kwh: { $sum: '$kwh' } } },
+      { $sort: { _id: 1 } },
+    ]);
+
+    const rates = new Map();
+    let month = null;
+    let consumed = 0;
+
+    for (const hour of hours) {
+      const key = this._dayKey(hour._id, timezone).slice(0, 7);
+      if (key !== month) {
+        month = key;
+        consumed = 0;
+      }
+
+      const rate = hour.kwh > 0
+        ? (tariffService.getTieredCost(tariff.tiers, consumed + hour.kwh)
+          - tariffService.getTieredCost(tariff.tiers, consumed)) / hour.kwh
+        : tariffService.getMarginalRate(tariff.tiers, consumed);
+
+      rates.set(hour._id.getTime(), rate);
+      consumed += hour.kwh;
+    }
+
+    const marginal = tariffService.getMarginalRate(tariff.tiers, consumed);
+    return hour => rates.get(new Date(hour).getTime()) ?? marginal;
+  }
+
+  /**
+   * Integrate a device's wattage from `energy.meteredAt` up to `until`
+   * Guarded on `meteredAt` so concurrent samples never count an interval twice.
+   * @param {string} deviceId - Device ID
+   * @param {number} watts - Wattage held since the last sample
+   * @param {Date} until - End of the interval
+   * @param {string} timezone - Owner timezone for the daily / monthly counters
+   * @private
+   */
+  async _meter(deviceId, watts, until, timezone) {
+    for (let attempt = 0; attempt < METER_ATTEMPTS; attempt++) {
+      const device = await Device.findById(deviceId).select('owner energy');
+      if (!device) {
+        return;
+      }
+
+      const { energy } = device;
+      const since = energy.meteredAt;
+      if (since && since >= until) {
+        return;
+      }
+
+      const counters = {
+        daily: energy.dailyUsage || 0,
+        monthly: energy.monthlyUsage || 0,
+        day: energy.dailyPeriod,
+        month: energy.monthlyPeriod,
+      };
+      const hours = new Map();
+      let added = 0;
+
+      const integrate = since && watts > 0 && until - since <= config.energy.maxSampleGap;
+      const segments = integrate ? this._splitInterval(since, until, timezone) : [];
+
+      for (const { start, end } of segments) {
+        const kwh = (watts * (end - start)) / (1000 * HOUR);
+        this._rollCounters(counters, start, timezone);
+        counters.daily += kwh;
+        counters.monthly += kwh;
+        added += kwh;
+
+        const hour = Math.floor(start.getTime() / HOUR) * HOUR;
+        const bucket = hours.get(hour) || { kwh: 0, seconds: 0 };
+        bucket.kwh += kwh;
+        bucket.seconds += (end - start) / 1000;
+        hours.set(hour, bucket);
+      }
+
+      // Reset the counters once the owner's day / month is over, even at 0 W
+      this._rollCounters(counters, until, timezone);
+
+      const result = await Device.updateOne(
+        { _id: deviceId, 'energy.meteredAt': since || null },
+        {
+          $set: {
+            'energy.meteredAt': until,
+            'energy.dailyUsage': counters.daily,
+            'energy.monthlyUsage': counters.monthly,
+            'energy.dailyPeriod': counters.day,
+            'energy.monthlyPeriod': counters.month,
+          },
+          $inc: { 'energy.totalUsage': added },
+        }
+      );
+
+      if (result.matchedCount === 0) {
+        continue; // metered concurrently, retry from the new meteredAt
+      }
+
+      if (hours.size > 0) {
+        await EnergyUsage.bulkWrite([...hours].map(([hour, bucket]) => ({
+          updateOne: {
+            filter: { device: deviceId, hour: new Date(hour) },
+            update: {
+              $inc: { kwh: bucket.kwh, activeSeconds: bucket.seconds },
+              $max: { peakWatts: watts },
+              $setOnInsert: { owner: device.owner },
+            },
+            upsert: true,
+          },
+        })), { ordered: false });
+      }
+
+      return;
+    }
+
+    logger.warn('Energy metering gave up after concurrent updates', { deviceId });
+  }
+
+  /**
+   * Reset the counters when an instant falls in a new local day or month
+   * @private
+   */
+  _rollCounters(counters, date, timezone) {
+    const day = this._dayKey(date, timezone);
+    const month = day.slice(0, 7);
+
+    if (counters.month !== month) {
+      counters.month = month;
+      counters.monthly = 0;
+    }
+
+    if (counters.day !== day) {
+      counters.day = day;
+      counters.daily = 0;
+    }
+  }
+
+  /**
+   * Split an interval at UTC hour boundaries and at local midnights
+   * @private
+   */
+  _splitInterval(since, until, timezone) {
+    const segments = [];
+    let start = since;
+
+    while (start < until) {
+      const nextHour = new Date((Math.floor(start.getTime() / HOUR) + 1) * HOUR);
+      const nextMidnight = this._nextLocalMidnight(start, timezone);
+      const end = new Date(Math.min(until.getTime(), nextHour.getTime(), nextMidnight.getTime()));
+
+      segments.push({ start, end });
+      start = end;
+    }
+
+    return segments;
+  }
+
+  /**
+   * @private
+   */
+  _startOfMonth(date, timezone) {
+    const { year, month } = this._localParts(date, timezone);
+    return this._fromLocal(year, month, 1, timezone);
+  }
+
+  /**
+   * @private
+   */
+  _nextLocalMidnight(date, timezone) {
+    const { year, month, day } = this._localParts(date, timezone);
+    return this._fromLocal(year, month, day + 1, timezone);
+  }
+
+  /**
+   * Convert a local calendar date (midnight) in a timezone to an instant
+   * Month and day may overflow, as with Date.UTC.
+   * @private
+   */
+  _fromLocal(year, month, day, timezone) {
+    const guess = Date.UTC(year, month - 1, day);
+    const offset = this._offset(new Date(guess), timezone);
+    // Re-check the offset at the result in case a DST change falls in between
+    return new Date(guess - this._offset(new Date(guess - offset), timezone));
+  }
+
+  /**
+   * Offset of a timezone from UTC at an instant (ms)
+   * @private
+   */
+  _offset(date, timezone) {
+    const parts = this._localParts(date, timezone);
+    const local = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    return local - Math.floor(date.getTime() / 1000) * 1000;
+  }
+
+  /**
+   * @private
+   */
+  _localParts(date, timezone) {
+    const parts = new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric',
+      hourCycle: 'h23',
+    }).formatToParts(date);
+
+    return parts.reduce((result, part) => {
+      if (part.type !== 'literal') {
+        result[part.type] = parseInt(part.value, 10);
+      }
+      return result;
+    }, {});
+  }
+
+  /**
+   * Local calendar day of an instant as 'YYYY-MM-DD'
+   * @private
+   */
+  _dayKey(date, timezone) {
+    return new Intl.DateTimeFormat('en-CA', {
+      timeZone: timezone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+    }).format(date);
+  }
+
+  /**
+   * @private
+   */
+  async _getOwnerSettings(ownerId) {
+    const owner = await User.findById(ownerId).select('timezone tariff');
+    return {
+      timezone: owner?.timezone || 'UTC',
+      tariff: owner?.tariff,
+    };
+  }
+
+  /**
+   * @private
+   */
+  _round(kwh) {
+    return Math.round(kwh * 1000) / 1000;
+  }
+
+  /**
+   * @private
+   */
+  _roundMoney(amount, decimals = 2) {
+    const factor = 10 ** decimals;
+    return Math.round(amount * factor) / factor;
+  }
+}
+
+export default new EnergyService();
@@ -1,8 +1,12 @@
 import Group from '../models/Group.js';
 import Device from '../models/Device.js';
+import User from '../models/User.js';
 import { AppError } from '../utils/errors.js';
 import logger from '../utils/logger.js';
+import { ACCESS_ACTIONS } from '../config/constants.js';
+import accessService from './accessService.js';
 import deviceService from './deviceService.js';
+import energyService from './energyService.js';
 
 /**
  * Group Service
@@ -18,32 +22,35 @@ class GroupService {
    */
   async createGroup(groupData, userId) {
     try {
-      // Check if group name is unique for the user
+      // Groups are created in the user's active home
+      const ownerId = await accessService.getActiveOwner(userId, 'group');
+
+      // Check if group name is unique in the home
       const existingGroup = await Group.findOne({
         name: groupData.name,
-        owner: userId,
+        owner: ownerId,
       });
 
       if (existingGroup) {
         throw new AppError('Group name already exists', 409);
       }
 
-      // Validate devices belong to the user
+      // Validate devices belong to the home
       if (groupData.devices && groupData.devices.length > 0) {
         const userDevices = await Device.find({
           _id: { $in: groupData.devices },
-          owner: userId,
+          owner: ownerId,
         });
 
         if (userDevices.length !== groupData.devices.length) {
-          throw new AppError('Some devices do not belong to you', 400);
+          throw new AppError('Some devices do not belong to this home', 400);
         }
       }
 
       // Create group
       const group = new Group({
         ...groupData,
-        owner: userId,
+        owner: ownerId,
       });
 
       await group.save();
@@ -85,8 +92,8 @@ class GroupService {
       const { page = 1, limit = 10, sortBy = 'name', sortOrder = 'asc' } = pagination;
       const skip = (page - 1) * limit;
 
-      // Build query
-      const query = { owner: userId };
+      // Build query over the groups the user can see
+      const query = { $and: [await accessService.getScope(userId, 'group')] };
 
       if (filters.search) {
         query.$or = [
@@ -178,18 +185,12 @@ class GroupService {
    */
   async getGroupById(groupId, userId) {
     try {
-      const group = await Group.findOne({
-        _id: groupId,
-        owner: userId,
-      }).populate({
+      const group = await accessService.findAccessible('group', groupId, userId);
+      await group.populate({
         path: 'devices',
         select: 'name type status powerState isOnline settings capabilities location',
       });
 
-      if (!group) {
-        throw new AppError('Group not found', 404);
-      }
-
       return group;
     } catch (error) {
       logger.error('Get group by ID failed', {
@@ -210,20 +211,13 @@ class GroupService {
    */
   async updateGroup(groupId, updateData, userId) {
     try {
-      const group = await Group.findOne({
-        _id: groupId,
-        owner: userId,
-      });
-
-      if (!group) {
-        throw new AppError('Group not found', 404);
-      }
+      const group = await accessService.findAccessible('group', groupId, userId, ACCESS_ACTIONS.CONFIGURE);
 
       // Check if name is being updated and is unique
       if (updateData.name && updateData.name !== group.name) {
         const existingGroup = await Group.findOne({
           name: updateData.name,
-          owner: userId,
+          owner: group.owner,
           _id: { $ne: groupId },
         });
 
@@ -232,15 +226,15 @@ class GroupService {
         }
       }
 
-      // Validate devices belong to the user if devices are being updated
+      // Validate devices belong to the home if devices are being updated
       if (updateData.devices) {
         const userDevices = await Device.find({
           _id: { $in: updateData.devices },
-          owner: userId,
+          owner: group.owner,
         });
 
         if (userDevices.length !== updateData.devices.length) {
-          throw new AppError('Some devices do not belong to you', 400);
+          throw new AppError('Some devices do not belong to this home', 400);
         }
 
         // Remove group from old devices
@@ -286,14 +280,7 @@ class GroupService {
    */
   async deleteGroup(groupId, userId) {
     try {
-      const group = await Group.findOne({
-        _id: groupId,
-        owner: userId,
-      });
-
-      if (!group) {
-        throw new AppError('Group not found', 404);
-      }
+      const group = await accessService.findAccessible('group', groupId, userId, ACCESS_ACTIONS.CONFIGURE);
 
       // Remove group from all devices
       await Device.updateMany(
@@ -329,23 +316,21 @@ class GroupService {
    */
   async addDevicesToGroup(groupId, deviceIds, userId) {
     try {
-      const group = await Group.findOne({
-        _id: groupId,
-        owner: userId,
-      });
+      const group = await accessService.findAccessible('group', groupId, userId, ACCESS_ACTIONS.ADD_DEVICES);
 
-      if (!group) {
-        throw new AppError('Group not found', 404);
-      }
-
-      // Validate devices belong to the user
+      // Validate devices belong to the home
       const userDevices = await Device.find({
         _id: { $in: deviceIds },
-        owner: userId,
+        owner: group.owner,
       });
 
       if (userDevices.length !== deviceIds.length) {
-        throw new AppError('Some devices do not belong to you', 400);
+        throw new AppError('Some devices do not belong to this home', 400);
+      }
+
+      // Group members get access to the group's devices, so adding one is sharing it
+      for (const device of userDevices) {
+        await accessService.authorize('device', device, userId, ACCESS_ACTIONS.SHARE);
       }
 
       // Check group device limit
@@ -394,14 +379,7 @@ class GroupService {
    */
   async removeDevicesFromGroup(groupId, deviceIds, userId) {
     try {
-      const group = await Group.findOne({
-        _id: groupId,
-        owner: userId,
-      });
-
-      if (!group) {
-        throw new AppError('Group not found', 404);
-      }
+      const group = await accessService.findAccessible('group', groupId, userId, ACCESS_ACTIONS.REMOVE_DEVICES);
 
       // Remove devices from group
       group.devices = group.devices.filter(deviceId => !deviceIds.includes(deviceId.toString()));
@@ -432,6 +410,118 @@ class GroupService {
     }
   }
 
+  /**
+   * Add a member to a group, replacing any earlier membership
+   * Members with the invite permission may only grant permissions they have;
+   * an empty permission list falls back to what the role allows.
+   * @param {string} groupId - Group ID
+   * @param {Object} memberData - { userId, role, permissions }
+   * @param {string} userId - Inviting user ID
+   * @returns {Array} - Group members
+   */
+  async addGroupMember(groupId, memberData, userId) {
+    try {
+      const group = await accessService.findAccessible('group', groupId, userId, ACCESS_ACTIONS.INVITE);
+      const { role = 'member', permissions = [] } = memberData;
+
+      await accessService.checkGrant('group', group, userId, { role, permissions });
+
+      if (group.owner.toString() === memberData.userId.toString()) {
+        throw new AppError('The group owner cannot be added as a member', 400);
+      }
+
+      const target = await User.findById(memberData.userId).select('_id');
+      if (!target) {
+        throw new AppError('User not found', 404);
+      }
+
+      await group.addMember(target._id, role, permissions);
+
+      logger.info(`Group member added: ${group.name}`, {
+        groupId: group._id,
+        userId,
+        memberId: memberData.userId,
+        role,
+        permissions,
+      });
+
+      return group.members;
+    } catch (error) {
+      logger.error('Add group member failed', {
+        error: error.message,
+        groupId,
+        userId,
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Remove a member from a group; members can also leave on their own
+   * @param {string} groupId - Group ID
+   * @param {string} memberId - Member's user ID
+   * @param {string} userId - Acting user ID
+   * @returns {Array} - Group members
+   */
+  async removeGroupMember(groupId, memberId, userId) {
+    try {
+      const leaving = memberId.toString() === userId.toString();
+      const group = await accessService.findAccessible(
+        'group', groupId, userId, leaving ? ACCESS_ACTIONS.VIEW : ACCESS_ACTIONS.INVITE,
+      );
+
+      if (!group.members.some(member => member.user.toString() === memberId.toString())) {
+        throw new AppError('Member not found', 404);
+      }
+
+      await group.removeMember(memberId);
+
+      logger.info(`Group member removed: ${group.name}`, {
+        groupId: group._id,
+        userId,
+        memberId,
+      });
+
+      return group.members;
+    } catch (error) {
+      logger.error('Remove group member failed', {
+        error: error.message,
+        groupId,
+        memberId,
+        userId,
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Pick the devices a group control targets
+   * Shared with the simulation engine so dry runs target the same devices.
+   * @param {Array} devices - Group devices
+   * @param {Object} options - { target: all|specific|random, deviceIds, randomCount }
+   * @returns {Array} - Target devices
+   */
+  resolveTargetDevices(devices, { target = 'all', deviceIds, randomCount } = {}) {
+    switch (target) {
+      case 'all':
+        return devices;
+      case 'specific':
+        if (!deviceIds || deviceIds.length === 0) {
+          throw new AppError('Device IDs required for specific target', 400);
+        }
+        return devices.filter(device => deviceIds.includes(device._id.toString()));
+      case 'random': {
+        if (!randomCount || randomCount < 1) {
+          throw new AppError('Random count required for random target', 400);
+        }
+        const shuffled = [...devices].sort(() => 0.5 - Math.random());
+        return shuffled.slice(0, Math.min(randomCount, devices.length));
+      }
+      default:
+        throw new AppError('Invalid target type', 400);
+    }
+  }
+
   /**
    * Control group devices
    * @param {string} groupId - Group ID
@@ -441,14 +531,8 @@ class GroupService {
    */
   async controlGroup(groupId, controlData, userId) {
     try {
-      const group = await Group.findOne({
-        _id: groupId,
-        owner: userId,
-      }).populate('devices');
-
-      if (!group) {
-        throw new AppError('Group not found', 404);
-      }
+      const group = await accessService.findAccessible('group', groupId, userId, ACCESS_ACTIONS.CONTROL);
+      await group.populate('devices');
 
       if (!group.devices || group.devices.length === 0) {
         throw new AppError('Group has no devices', 400);
@@ -456,29 +540,7 @@ class GroupService {
 
       const { action, target = 'all', deviceIds, randomCount, settings = {}, delay = 0, sequence } = controlData;
 
-      let targetDevices = [];
-
-      // Determine target devices
-      switch (target) {
-        case 'all':
-          targetDevices = group.devices;
-          break;
-        case 'specific':
-          if (!deviceIds || deviceIds.length === 0) {
-            throw new AppError('Device IDs required for specific target', 400);
-          }
-          targetDevices = group.devices.filter(device => deviceIds.includes(device._id.toString()));
-          break;
-        case 'random':
-          if (!randomCount || randomCount < 1) {
-            throw new AppError('Random count required for random target', 400);
-          }
-          const shuffled = [...group.devices].sort(() => 0.5 - Math.random());
-          targetDevices = shuffled.slice(0, Math.min(randomCount, group.devices.length));
-          break;
-        default:
-          throw new AppError('Invalid target type', 400);
-      }
+      const targetDevices = this.resolveTargetDevices(group.devices, { target, deviceIds, randomCount });
 
       const results = {
         success: [],
@@ -586,14 +648,8 @@ class GroupService {
    */
   async activateGroupScene(groupId, sceneId, userId) {
     try {
-      const group = await Group.findOne({
-        _id: groupId,
-        owner: userId,
-      }).populate('devices');
-
-      if (!group) {
-        throw new AppError('Group not found', 404);
-      }
+      const group = await accessService.findAccessible('group', groupId, userId, ACCESS_ACTIONS.CONTROL);
+      await group.populate('devices');
 
       const scene = group.scenes?.find(s => s._id.toString() === sceneId);
       if (!scene) {
@@ -674,14 +730,8 @@ class GroupService {
    */
   async createGroupScene(groupId, sceneData, userId) {
     try {
-      const group = await Group.findOne({
-        _id: groupId,
-        owner: userId,
-      }).populate('devices');
-
-      if (!group) {
-        throw new AppError('Group not found', 404);
-      }
+      const group = await accessService.findAccessible('group', groupId, userId, ACCESS_ACTIONS.CONFIGURE);
+      await group.populate('devices');
 
       // Validate device states belong to group devices
       const groupDeviceIds = group.devices.map(d => d._id.toString());
@@ -722,6 +772,42 @@ class GroupService {
     }
   }
 
+  /**
+   * Get metered energy usage of the devices in a group
+   * @param {string} groupId - Group ID
+   * @param {string} userId - User ID
+   * @param {Object} options - { period, startDate, endDate }
+   * @returns {Object} - Group energy usage in kWh, with per-device totals
+   */
+  async getGroupEnergyUsage(groupId, userId, options = {}) {
+    try {
+      const group = await accessService.findAccessible('group', groupId, userId);
+      await group.populate({
+        path: 'devices',
+        select: 'name type owner isOnline powerState energy',
+      });
+
+      // Priced with the home owner's tariff
+      const usage = await energyService.getUsage(group.devices, group.owner, options);
+
+      return {
+        group: {
+          id: group._id,
+          name: group.name,
+          type: group.type,
+        },
+        ...usage,
+      };
+    } catch (error) {
+      logger.error('Get group energy usage failed', {
+        error: error.message,
+        groupId,
+        userId,
+      });
+      throw error;
+    }
+  }
+
   /**
    * Get group statistics
    * @param {string} userId - User ID
@@ -729,8 +815,9 @@ class GroupService {
    */
   async getGroupStatistics(userId) {
     try {
+      const scope = await accessService.getScope(userId, 'group');
       const stats = await Group.aggregate([
-        { $match: { owner: userId } },
+        { $match: scope },
         {
           $group: {
             _id: null,
@@ -750,7 +837,7 @@ class GroupService {
 
       // Get group type breakdown
       const typeStats = await Group.aggregate([
-        { $match: { owner: userId } },
+        { $match: scope },
         {
           $group: {
             _id: '$type',
@@ -0,0 +1,190 @@
+import Device from '../models/Device.js';
+import config from '../config/index.js';
+import logger from '../utils/logger.js';
+import { DEVICE_TYPES, DEVICE_PROTOCOLS, HEARTBEAT_GRACE_PERIODS, ACCESS_ACTIONS } from '../config/constants.js';
+import accessService from './accessService.js';
+import driverRegistry from './drivers/driverRegistry.js';
+import notificationService from './notificationService.js';
+import socketServer from '../socket/socketServer.js';
+
+/**
+ * Heartbeat Service
+ * Periodically marks devices offline once they have been silent (no
+ * `lastSeen` update) for longer than the grace period of their type, and
+ * announces every online/offline transition over Socket.IO and as a device
+ * alert. Devices on the simulated protocol never report in and are ignored.
+ */
+class HeartbeatService {
+  constructor() {
+    this.checkTimer = null;
+    this.gracePeriods = this._loadGracePeriods(config.heartbeat.gracePeriods);
+  }
+
+  /**
+   * Start the periodic liveness check
+   */
+  start() {
+    if (this.checkTimer) {
+      return;
+    }
+
+    this.checkTimer = setInterval(() => {
+      this.checkDevices().catch(error => {
+        logger.error('Device heartbeat check failed', { error: error.message });
+      });
+    }, config.heartbeat.checkInterval);
+
+    logger.info('Device heartbeat monitor started', {
+      checkInterval: config.heartbeat.checkInterval,
+      gracePeriod: config.heartbeat.gracePeriod,
+    });
+  }
+
+  /**
+   * Stop the periodic liveness check
+   */
+  stop() {
+    if (this.checkTimer) {
+      clearInterval(this.checkTimer);
+      this.checkTimer = null;
+      logger.info('Device heartbeat monitor stopped');
+    }
+  }
+
+  /**
+   * Get the grace period for a device type
+   * @param {string} type - Device type
+   * @returns {number} - Grace period in milliseconds
+   */
+  getGracePeriod(type) {
+    return this.gracePeriods[type] || config.heartbeat.gracePeriod;
+  }
+
+  /**
+   * Mark every silent device offline
+   * @returns {number} - Number of devices marked offline
+   */
+  async checkDevices() {
+    const now = Date.now();
+    const overriddenTypes = Object.keys(this.gracePeriods);
+
+    const staleDevices = await Device.find({
+      isOnline: true,
+      $or: [
+        ...overriddenTypes.map(type => ({
+          type,
+          lastSeen: { $lt: new Date(now - this.gracePeriods[type]) },
+        })),
+        {
+          type: { $nin: overriddenTypes },
+          lastSeen: { $lt: new Date(now - config.heartbeat.gracePeriod) },
+        },
+      ],
+    });
+
+    let markedOffline = 0;
+    for (const device of staleDevices) {
+      if (this._isSimulated(device)) {
+        continue;
+      }
+
+      device.isOnline = false;
+      await device.save();
+      markedOffline++;
+
+      logger.warn(`Device missed heartbeat: ${device.name}`, {
+        deviceId: device._id,
+        type: device.type,
+        lastSeen: device.lastSeen,
+      });
+
+      await this.handleTransition(device, 'heartbeat_timeout');
+    }
+
+    return markedOffline;
+  }
+
+  /**
+   * Announce an online/offline transition
+   * @param {Object} device - Device document after the transition
+   * @param {string} reason - What caused the transition
+   */
+  async handleTransition(device, reason) {
+    const deviceId = device._id.toString();
+    const userId = device.owner.toString();
+
+    try {
+      const userIds = await accessService.getUsersWithAccess('device', device, ACCESS_ACTIONS.VIEW);
+      socketServer.broadcastDeviceStatusChange(userIds, deviceId, {
+        name: device.name,
+        status: device.status,
+        isOnline: device.isOnline,
+        lastSeen: device.lastSeen,
+        reason,
+      });
+    } catch (error) {
+      logger.warn('Device status broadcast failed', {
+        error: error.message,
+        deviceId,
+      });
+    }
+
+    try {
+      await notificationService.sendDeviceAlert(userId, deviceId, {
+        type: device.isOnline ? 'device_online' : 'device_offline',
+        severity: device.isOnline ? 'info' : 'warning',
+        message: device.isOnline
+          ? `${device.name} is back online`
+          : `${device.name} has stopped responding`,
+        details: {
+          reason,
+          lastSeen: device.lastSeen,
+          gracePeriod: this.getGracePeriod(device.type),
+        },
+      });
+    } catch (error) {
+      logger.error('Device status alert failed', {
+        error: error.message,
+        deviceId,
+        reason,
+      });
+    }
+  }
+
+  /**
+   * @private
+   */
+  _isSimulated(device) {
+    try {
+      return driverRegistry.resolve(device).name === DEVICE_PROTOCOLS.SIMULATED;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Merge the built-in per-type grace periods with `HEARTBEAT_GRACE_PERIODS`
+   * @param {string} overrides - Comma separated `type=milliseconds` pairs
+   * @private
+   */
+  _loadGracePeriods(overrides) {
+    const gracePeriods = { ...HEARTBEAT_GRACE_PERIODS };
+    const deviceTypes = Object.values(DEVICE_TYPES);
+
+    overrides.split(',').map(entry => entry.trim()).filter(Boolean).forEach(entry => {
+      const [type, value] = entry.split('=').map(part => part.trim());
+      const gracePeriod = parseInt(value, 10);
+
+      if (!deviceTypes.includes(type) || !(gracePeriod > 0)) {
+        logger.warn('Ignoring invalid heartbeat grace period', { entry });
+        return;
+      }
+
+      gracePeriods[type] = gracePeriod;
+    });
+
+    return gracePeriods;
+  }
+}
+
+export default new HeartbeatService();
@@ -0,0 +1,566 @@
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import Home from '../models/Home.js';
+import User from '../models/User.js';
+import { AppError, AuthorizationError, ConflictError } from '../utils/errors.js';
+import { HOME_ROLES } from '../config/constants.js';
+import logger from '../utils/logger.js';
+import notificationService from './notificationService.js';
+
+// Roles that manage members and invites
+const MANAGER_ROLES = [HOME_ROLES.OWNER, HOME_ROLES.ADMIN];
+
+// How long an invite can be accepted
+const INVITE_TTL_DAYS = 7;
+
+/**
+ * Home Service
+ * Handles households: the home itself, its members and their roles, and
+ * invites by email. What each role may do with the home's devices, groups,
+ * modes and rules is decided by the access service.
+ */
+class HomeService {
+  /**
+   * Get the homes a user owns or belongs to
+   * @param {string} userId - User ID
+   * @returns {Array} - Homes with the user's role and whether the home is active
+   */
+  async getUserHomes(userId) {
+    try {
+      const [homes, user] = await Promise.all([
+        Home.find({ $or: [{ owner: userId }, { 'members.user': userId }] })
+          .populate('owner', 'name email')
+          .sort({ createdAt: 1 }),
+        User.findById(userId).select('activeHome'),
+      ]);
+
+      return homes.map(home => ({
+        ...home.toObject(),
+        role: home.getRole(userId),
+        isActive: user?.activeHome?.toString() === home._id.toString(),
+      }));
+    } catch (error) {
+      logger.error('Get user homes failed', {
+        error: error.message,
+        userId,
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Create the user's home
+   * The user's existing devices, groups, modes and rules become part of it.
+   * @param {Object} homeData - { name }
+   * @param {string} userId - User ID who owns the home
+   * @returns {Object} - Created home
+   */
+  async createHome(homeData, userId) {
+    try {
+      const existingHome = await Home.findOne({ owner: userId }).select('_id');
+      if (existingHome) {
+        throw new ConflictError('You already own a home');
+      }
+
+      const home = await Home.create({
+        name: homeData.name,
+        owner: userId,
+      });
+
+      logger.info(`Home created: ${home.name}`, {
+        homeId: home._id,
+        userId,
+      });
+
+      return home;
+    } catch (error) {
+      logger.error('Home creation failed', {
+        error: error.message,
+        homeName: homeData.name,
+        userId,
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Get a home the user belongs to
+   * Managers also see the home's invites.
+   * @param {string} homeId - Home ID
+   * @param {string} userId - User ID
+   * @returns {Object} - Home details
+   */
+  async getHomeById(homeId, userId) {
+    try {
+      const home = await this._getHome(homeId, userId);
+      await home.populate([
+        { path: 'owner', select: 'name email avatar' },
+        { path: 'members.user', select: 'name email avatar' },
+      ]);
+
+      const role = home.getRole(userId);
+      const details = { ...home.toObject(), role };
+      if (!MANAGER_ROLES.includes(role)) {
+        delete details.invites;
+      }
+
+      return details;
+    } catch (error) {
+      logger.error('Get home by ID failed', {
+        error: error.message,
+        homeId,
+        userId,
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Update a home
+   * @param {string} homeId - Home ID
+   * @param {Object} updateData - { name }
+   * @param {string} userId - User ID
+   * @returns {Object} - Updated home
+   */
+  async updateHome(homeId, updateData, userId) {
+    try {
+      const home = await this._getHome(homeId, userId, MANAGER_ROLES);
+
+      if (updateData.name !== undefined) {
+        home.name = updateData.name;
+      }
+      await home.save();
+
+      logger.info(`Home updated: ${home.name}`, {
+        homeId: home._id,
+        userId,
+        updatedFields: Object.keys(updateData),
+      });
+
+      return home;
+    } catch (error) {
+      logger.error('Update home failed', {
+        error: error.message,
+        homeId,
+        userId,
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a home
+   * Devices, groups, modes and rules stay with the owner; members lose access.
+   * @param {string} homeId - Home ID
+   * @param {string} userId - User ID
+   * @returns {Object} - Success message
+   */
+  async deleteHome(homeId, userId) {
+    try {
+      const home = await this._getHome(homeId, userId, [HOME_ROLES.OWNER]);
+
+      await Home.findByIdAndDelete(home._id);
+      await User.updateMany({ activeHome: home._id }, { $set: { activeHome: null } });
+
+      logger.info(`Home deleted: ${home.name}`, {
+        homeId: home._id,
+        userId,
+        membersCount: home.members.length,
+      });
+
+      return { message: 'Home deleted successfully' };
+    } catch (error) {
+      logger.error('Delete home failed', {
+        error: error.message,
+        homeId,
+        userId,
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Invite someone to a home by email
+   * Only the owner can invite admins.
+   * @param {string} homeId - Home ID
+   * @param {Object} inviteData - { email, role }
+   * @param {string} userId - Inviting user ID
+   * @returns {Object} - Created invite
+   */
+  async inviteMember(homeId, inviteData, userId) {
+    try {
+      const home = await this._getHome(homeId, userId, MANAGER_ROLES);
+      const email = inviteData.email.toLowerCase();
+      const role = inviteData.role || HOME_ROLES.MEMBER;
+
+      this._checkRoleGrant(home, userId, role);
+
+      const invitee = await User.findByEmail(email).select('_id');
+      if (invitee && home.getRole(invitee._id)) {
+        throw new ConflictError('User is already part of this home');
+      }
+
+      const now = new Date();
+      if (home.invites.some(invite => invite.email === email && this._isOpen(invite, now))) {
+        throw new ConflictError('An invite for this email is already pending');
+      }
+
+      // Only the mailbox gets the token, so changing one's account email to
+      // the invited address is not enough to join
+      const token = crypto.randomBytes(24).toString('base64url');
+
+      home.invites.push({
+        email,
+        role,
+        invitedBy: userId,
+        tokenHash: this._hashToken(token),
+        expiresAt: new Date(now.getTime() + INVITE_TTL_DAYS * 24 * 60 * 60 * 1000),
+      });
+      await home.save();
+
+      const invite = home.invites[home.invites.length - 1];
+      const inviter = await User.findById(userId).select('name');
+
+      // The invite stands even when it cannot be delivered; it is listed for the invitee
+      notificationService.sendHomeInvite(email, {
+        homeId: home._id,
+        inviteId: invite._id,
+        homeName: home.name,
+        inviterName: inviter?.name || 'A member',
+        role,
+        expiresAt: invite.expiresAt,
+        token,
+      }).catch(error => logger.warn('Home invite delivery failed', {
+        error: error.message,
+        homeId: home._id,
+        inviteId: invite._id,
+      }));
+
+      logger.info(`Home invite sent: ${home.name}`, {
+        homeId: home._id,
+        inviteId: invite._id,
+        userId,
+        role,
+      });
+
+      return invite;
+    } catch (error) {
+      logger.error('Invite home member failed', {
+        error: error.message,
+        homeId,
+        userId,
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Revoke a pending invite
+   * @param {string} homeId - Home ID
+   * @param {string} inviteId - Invite ID
+   * @param {string} userId - User ID
+   * @returns {Object} - Revoked invite
+   */
+  async revokeInvite(homeId, inviteId, userId) {
+    try {
+      const home = await this._getHome(homeId, userId, MANAGER_ROLES);
+
+      const invite = home.invites.id(inviteId);
+      if (!invite) {
+        throw new AppError('Invite not found', 404);
+      }
+      if (invite.status !== 'pending') {
+        throw new AppError(`Invite is already ${invite.status}`, 400);
+      }
+
+      invite.status = 'revoked';
+      invite.respondedAt = new Date();
+      await home.save();
+
+      logger.info(`Home invite revoked: ${home.name}`, {
+        homeId: home._id,
+        inviteId,
+        userId,
+      });
+
+      return invite;
+    } catch (error) {
+      logger.error('Revoke home invite failed', {
+        error: error.message,
+        homeId,
+        inviteId,
+        userId,
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Get the pending invites addressed to a user's email
+   * @param {string} userId - User ID
+   * @returns {Array} - Invites with their home
+   */
+  async getUserInvites(userId) {
+    try {
+      const user = await User.findById(userId).select('email');
+      if (!user) {
+        throw new AppError('User not found', 404);
+      }
+
+      const now = new Date();
+      const homes = await Home.find({
+        invites: { $elemMatch: { email: user.email, status: 'pending', expiresAt: { $gt: now } } },
+      })
+        .select('name owner invites')
+        .populate('owner', 'name email')
+        .populate('invites.invitedBy', 'name email');
+
+      return homes.flatMap(home => home.invites
+        .filter(invite => invite.email === user.email && this._isOpen(invite, now))
+        .map(invite => ({
+          _id: invite._id,
+          home: { _id: home._id, name: home.name, owner: home.owner },
+          role: invite.role,
+          invitedBy: invite.invitedBy,
+          expiresAt: invite.expiresAt,
+          createdAt: invite.createdAt,
+        })));
+    } catch (error) {
+      logger.error('Get user invites failed', {
+        error: error.message,
+        userId,
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Accept or decline an invite addressed to the user's email
+   * @param {string} inviteId - Invite ID
+   * @param {string} userId - User ID
+   * @param {boolean} accept - Whether to join the home
+   * @param {string} token - Token from the invite email
+   * @returns {Object} - Home joined, or the declined invite
+   */
+  async respondToInvite(inviteId, userId, accept, token) {
+    try {
+      const user = await User.findById(userId).select('email');
+      const home = mongoose.isValidObjectId(inviteId) ? await Home.findOne({ 'invites._id': inviteId }) : null;
+      const invite = home?.invites.id(inviteId);
+
+      // Invites for someone else, or without the emailed token, do not exist
+      // as far as this user is concerned
+      if (!user || !invite || invite.email !== user.email || !this._matchesToken(invite, token)) {
+        throw new AppError('Invite not found', 404);
+      }
+      if (invite.status !== 'pending') {
+        throw new AppError(`Invite is already ${invite.status}`, 400);
+      }
+      if (invite.expiresAt <= new Date()) {
+        throw new AppError('Invite has expired', 410);
+      }
+
+      invite.status = accept ? 'accepted' : 'declined';
+      invite.respondedAt = new Date();
+
+      if (accept && !home.getRole(userId)) {
+        home.members.push({
+          user: userId,
+          role: invite.role,
+          invitedBy: invite.invitedBy,
+        });
+      }
+      await home.save();
+
+      logger.info(`Home invite ${invite.status}: ${home.name}`, {
+        homeId: home._id,
+        inviteId,
+        userId,
+        role: invite.role,
+      });
+
+      return accept
+        ? { ...home.toObject(), role: home.getRole(userId) }
+        : invite;
+    } catch (error) {
+      logger.error('Respond to home invite failed', {
+        error: error.message,
+        inviteId,
+        userId,
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Change a member's role
+   * Admins can change members and guests; only the owner can grant or take admin.
+   * @param {string} homeId - Home ID
+   * @param {string} memberId - Member's user ID
+   * @param {string} role - New role
+   * @param {string} userId - Acting user ID
+   * @returns {Object} - Updated member
+   */
+  async updateMemberRole(homeId, memberId, role, userId) {
+    try {
+      const home = await this._getHome(homeId, userId, MANAGER_ROLES);
+
+      const member = home.getMember(memberId);
+      if (!member) {
+        throw new AppError('Member not found', 404);
+      }
+
+      this._checkRoleGrant(home, userId, role);
+      this._checkRoleGrant(home, userId, member.role);
+
+      member.role = role;
+      await home.save();
+
+      logger.info(`Home member role changed: ${home.name}`, {
+        homeId: home._id,
+        memberId,
+        userId,
+        role,
+      });
+
+      return member;
+    } catch (error) {
+      logger.error('Update home member role failed', {
+        error: error.message,
+        homeId,
+        memberId,
+        userId,
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Remove a member from a home, or leave it
+   * @param {string} homeId - Home ID
+   * @param {string} memberId - Member's user ID
+   * @param {string} userId - Acting user ID
+   * @returns {Object} - Success message
+   */
+  async removeMember(homeId, memberId, userId) {
+    try {
+      const leaving = memberId.toString() === userId.toString();
+      const home = await this._getHome(homeId, userId, leaving ? undefined : MANAGER_ROLES);
+
+      const member = home.getMember(memberId);
+      if (!member) {
+        throw new AppError(leaving ? 'The owner cannot leave their home' : 'Member not found', leaving ? 400 : 404);
+      }
+      if (!leaving) {
+        this._checkRoleGrant(home, userId, member.role);
+      }
+
+      home.members.pull(member._id);
+      await home.save();
+      await User.updateOne({ _id: memberId, activeHome: home._id }, { $set: { activeHome: null } });
+
+      logger.info(`Home member ${leaving ? 'left' : 'removed'}: ${home.name}`, {
+        homeId: home._id,
+        memberId,
+        userId,
+      });
+
+      return { message: leaving ? 'You left the home' : 'Member removed successfully' };
+    } catch (error) {
+      logger.error('Remove home member failed', {
+        error: error.message,
+        homeId,
+        memberId,
+        userId,
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Choose the home new devices, groups, modes and rules are created in
+   * @param {string|null} homeId - Home ID, or null for the user's own home
+   * @param {string} userId - User ID
+   * @returns {Object} - { activeHome }
+   */
+  async setActiveHome(homeId, userId) {
+    try {
+      const home = homeId ? await this._getHome(homeId, userId) : null;
+
+      await User.updateOne({ _id: userId }, { $set: { activeHome: home?._id || null } });
+
+      logger.info('Active home changed', {
+        homeId: home?._id || null,
+        userId,
+      });
+
+      return { activeHome: home ? { _id: home._id, name: home.name, role: home.getRole(userId) } : null };
+    } catch (error) {
+      logger.error('Set active home failed', {
+        error: error.message,
+        homeId,
+        userId,
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Private method to load a home the user has a role in
+   * Users outside the home get a 404, those without one of the roles a 403.
+   * @param {string} homeId - Home ID
+   * @param {string} userId - User ID
+   * @param {Array<string>} roles - Roles allowed, any when omitted
+   * @returns {Object} - Home document
+   * @private
+   */
+  async _getHome(homeId, userId, roles) {
+    const home = mongoose.isValidObjectId(homeId) ? await Home.findById(homeId) : null;
+    const role = home?.getRole(userId);
+
+    if (!role) {
+      throw new AppError('Home not found', 404);
+    }
+    if (roles && !roles.includes(role)) {
+      throw new AuthorizationError(`Your role in ${home.name} does not allow this`);
+    }
+
+    return home;
+  }
+
+  /**
+   * Private method to check that a user may give (or take away) a role
+   * @private
+   */
+  _checkRoleGrant(home, userId, role) {
+    if (role === HOME_ROLES.ADMIN && home.getRole(userId) !== HOME_ROLES.OWNER) {
+      throw new AuthorizationError('Only the home owner can manage admins');
+    }
+  }
+
+  /**
+   * @private
+   */
+  _isOpen(invite, now = new Date()) {
+    return invite.status === 'pending' && invite.expiresAt > now;
+  }
+
+  /**
+   * @private
+   */
+  _hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  /**
+   * @private
+   */
+  _matchesToken(invite, token) {
+    if (!invite.tokenHash || typeof token !== 'string') {
+      return false;
+    }
+    return crypto.timingSafeEqual(Buffer.from(this._hashToken(token)), Buffer.from(invite.tokenHash));
+  }
+}
+
+export default new HomeService();
@@ -10,11 +10,13 @@ export { default as deviceService } from './deviceService.js';
 export { default as groupService } from './groupService.js';
 export { default as modeService } from './modeService.js';
 export { default as ruleService } from './ruleService.js';
+export { default as homeService } from './homeService.js';
 
 // Extended Services
 export { default as automationService } from './automationService.js';
 export { default as notificationService } from './notificationService.js';
 export { default as analyticsService } from './analyticsService.js';
+export { default as backupService } from './backupService.js';
 
 /**
  * Service initialization helper
@@ -43,9 +45,11 @@ export const checkServicesHealth = async () => {
     groupService: true,
     modeService: true,
     ruleService: true,
+    homeService: true,
     automationService: true,
     notificationService: true,
     analyticsService: true,
+    backupService: true,
     timestamp: new Date(),
   };
 
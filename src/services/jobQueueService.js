@@ -0,0 +1,378 @@
+import os from 'os';
+import Job from '../models/Job.js';
+import config from '../config/index.js';
+import logger from '../utils/logger.js';
+import schedulerService from './schedulerService.js';
+
+// A running job can be cancelled too: it finishes the current run but is
+// neither retried nor re-armed
+const CANCELLABLE_STATUSES = ['pending', 'running'];
+
+/**
+ * Job Queue Service
+ * MongoDB-backed queue for work that must survive restarts (device timers, etc.).
+ * A single worker polls for due jobs, claims them atomically, runs the handler
+ * registered for the job type, retries with exponential backoff, re-arms
+ * recurring jobs, and applies the configured catch-up policy to runs that were
+ * missed while the server was down.
+ */
+class JobQueueService {
+  constructor() {
+    this.handlers = new Map(); // Map of job type -> async handler(job)
+    this.workerId = `${os.hostname()}:${process.pid}`;
+    this.pollTimer = null;
+    this.isPolling = false;
+  }
+
+  /**
+   * Register the handler for a job type. Returning `{ rearm: false }` from a
+   * handler stops a recurring job from being scheduled again.
+   * @param {string} type - Job type
+   * @param {Function} handler - Async handler receiving the job document
+   */
+  registerHandler(type, handler) {
+    this.handlers.set(type, handler);
+  }
+
+  /**
+   * Add a job to the queue
+   * @param {string} type - Job type
+   * @param {Object} options - { key, payload, runAt, recurrence, maxAttempts, owner }
+   * @returns {Object} - Created job
+   */
+  async enqueue(type, { key, payload = {}, runAt = new Date(), recurrence, maxAttempts = 1, owner } = {}) {
+    try {
+      const job = await Job.create({
+        type,
+        key: key || type,
+        payload,
+        runAt,
+        recurrence,
+        maxAttempts,
+        owner,
+      });
+
+      logger.debug('Job enqueued', {
+        jobId: job._id,
+        type,
+        key: job.key,
+        runAt: job.runAt,
+      });
+
+      return job;
+    } catch (error) {
+      logger.error('Job enqueue failed', {
+        error: error.message,
+        type,
+        key,
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Cancel pending and running jobs for a key
+   * @param {string} key - Job key
+   * @returns {number} - Number of cancelled jobs
+   */
+  async cancel(key) {
+    try {
+      const result = await Job.updateMany(
+        { key, status: { $in: CANCELLABLE_STATUSES } },
+        { status: 'cancelled', completedAt: new Date() }
+      );
+
+      logger.debug('Jobs cancelled', { key, count: result.modifiedCount });
+
+      return result.modifiedCount;
+    } catch (error) {
+      logger.error('Job cancel failed', {
+        error: error.message,
+        key,
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Cancel pending and running jobs whose key starts with a prefix
+   * @param {string} prefix - Key prefix (e.g. "rule_sustain:<ruleId>:")
+   * @returns {number} - Number of cancelled jobs
+   */
+  async cancelByPrefix(prefix) {
+    try {
+      const pattern = `^${prefix.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}`;
+      const result = await Job.updateMany(
+        { key: { $regex: pattern }, status: { $in: CANCELLABLE_STATUSES } },
+        { status: 'cancelled', completedAt: new Date() }
+      );
+
+      logger.debug('Jobs cancelled', { prefix, count: result.modifiedCount });
+
+      return result.modifiedCount;
+    } catch (error) {
+      logger.error('Job cancel failed', {
+        error: error.message,
+        prefix,
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Cancel a user's pending and running jobs of one type
+   * @param {string} owner - Owner user ID
+   * @param {string} type - Job type
+   * @returns {number} - Number of cancelled jobs
+   */
+  async cancelByOwner(owner, type) {
+    try {
+      const result = await Job.updateMany(
+        { owner, type, status: { $in: CANCELLABLE_STATUSES } },
+        { status: 'cancelled', completedAt: new Date() }
+      );
+
+      logger.debug('Jobs cancelled', { owner, type, count: result.modifiedCount });
+
+      return result.modifiedCount;
+    } catch (error) {
+      logger.error('Job cancel failed', {
+        error: error.message,
+        owner,
+        type,
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Get the next pending run for a key
+   * @param {string} key - Job key
+   * @returns {Object|null} - Pending job
+   */
+  async getPendingJob(key) {
+    return Job.findOne({ key, status: 'pending' }).sort({ runAt: 1 });
+  }
+
+  /**
+   * Start polling for due jobs
+   */
+  start() {
+    if (this.pollTimer) {
+      return;
+    }
+
+    this.pollTimer = setInterval(() => this._poll(), config.jobs.pollInterval);
+    this._poll();
+
+    logger.info('Job queue worker started', {
+      workerId: this.workerId,
+      pollInterval: config.jobs.pollInterval,
+      catchUpPolicy: config.jobs.catchUpPolicy,
+    });
+  }
+
+  /**
+   * Stop polling. Jobs already claimed finish in the background; anything
+   * interrupted is released once its lock times out.
+   */
+  stop() {
+    if (this.pollTimer) {
+      clearInterval(this.pollTimer);
+      this.pollTimer = null;
+      logger.info('Job queue worker stopped');
+    }
+  }
+
+  /**
+   * Run every due job
+   * @private
+   */
+  async _poll() {
+    if (this.isPolling) {
+      return;
+    }
+
+    this.isPolling = true;
+    try {
+      await this._releaseStaleLocks();
+
+      let job;
+      while (this.pollTimer && (job = await this._claimNext())) {
+        await this._run(job);
+      }
+    } catch (error) {
+      logger.error('Job queue poll failed', { error: error.message });
+    } finally {
+      this.isPolling = false;
+    }
+  }
+
+  /**
+   * Atomically claim the oldest due job
+   * @private
+   */
+  async _claimNext() {
+    return Job.findOneAndUpdate(
+      { status: 'pending', runAt: { $lte: new Date() } },
+      { status: 'running', lockedAt: new Date(), lockedBy: this.workerId },
+      { sort: { runAt: 1 }, new: true }
+    );
+  }
+
+  /**
+   * Return jobs whose worker died mid-run to the queue
+   * @private
+   */
+  async _releaseStaleLocks() {
+    const result = await Job.updateMany(
+      { status: 'running', lockedAt: { $lt: new Date(Date.now() - config.jobs.lockTimeout) } },
+      { status: 'pending', lockedAt: null, lockedBy: null }
+    );
+
+    if (result.modifiedCount > 0) {
+      logger.warn('Released stale job locks', { count: result.modifiedCount });
+    }
+  }
+
+  /**
+   * Execute a claimed job
+   * @param {Object} job - Job document
+   * @private
+   */
+  async _run(job) {
+    const lateness = Date.now() - job.runAt.getTime();
+
+    // Apply the catch-up policy to runs missed during downtime
+    if (job.attempts === 0 && lateness > config.jobs.missedThreshold) {
+      const tooOld = lateness > config.jobs.catchUpWindow;
+      if (config.jobs.catchUpPolicy === 'skip' || tooOld) {
+        await this._finish(job, 'skipped', {
+          lastError: tooOld ? 'Missed run outside catch-up window' : 'Missed run skipped by catch-up policy',
+        });
+        await this._rearm(job);
+
+        logger.warn('Missed job skipped', {
+          jobId: job._id,
+          type: job.type,
+          key: job.key,
+          lateness,
+        });
+        return;
+      }
+
+      logger.info('Running missed job', {
+        jobId: job._id,
+        type: job.type,
+        key: job.key,
+        lateness,
+      });
+    }
+
+    const handler = this.handlers.get(job.type);
+    if (!handler) {
+      await this._finish(job, 'failed', { lastError: `No handler registered for job type: ${job.type}` });
+      logger.error('No handler for job', { jobId: job._id, type: job.type });
+      return;
+    }
+
+    job.attempts += 1;
+    job.startedAt = new Date();
+
+    let result;
+    let failure;
+    try {
+      result = await handler(job);
+    } catch (error) {
+      failure = error;
+    }
+
+    if (await Job.exists({ _id: job._id, status: 'cancelled' })) {
+      logger.debug('Job cancelled while running', {
+        jobId: job._id,
+        type: job.type,
+        key: job.key,
+      });
+      return;
+    }
+
+    if (failure) {
+      if (job.attempts < job.maxAttempts) {
+        const delay = config.jobs.retryDelay * Math.pow(2, job.attempts - 1);
+        job.status = 'pending';
+        job.runAt = new Date(Date.now() + delay);
+        job.lastError = failure.message;
+        job.lockedAt = null;
+        job.lockedBy = null;
+        await job.save();
+
+        logger.warn('Job failed, retrying', {
+          jobId: job._id,
+          type: job.type,
+          attempt: job.attempts,
+          retryIn: delay,
+          error: failure.message,
+        });
+        return;
+      }
+
+      await this._finish(job, 'failed', { lastError: failure.message });
+
+      logger.error('Job failed', {
+        jobId: job._id,
+        type: job.type,
+        key: job.key,
+        attempts: job.attempts,
+        error: failure.message,
+      });
+    } else {
+      await this._finish(job, 'completed', { result, lastError: null });
+    }
+
+    if (result?.rearm !== false) {
+      await this._rearm(job);
+    }
+  }
+
+  /**
+   * Mark a job as finished
+   * @private
+   */
+  async _finish(job, status, fields = {}) {
+    Object.assign(job, fields, {
+      status,
+      completedAt: new Date(),
+      lockedAt: null,
+      lockedBy: null,
+    });
+    await job.save();
+  }
+
+  /**
+   * Schedule the next occurrence of a recurring job
+   * @param {Object} job - Finished job
+   * @private
+   */
+  async _rearm(job) {
+    if (!job.recurrence?.type) {
+      return null;
+    }
+
+    const { timezone, ...schedule } = job.toObject().recurrence;
+    const runAt = schedulerService.nextOccurrence(schedule, timezone, new Date());
+    if (!runAt) {
+      return null;
+    }
+
+    return this.enqueue(job.type, {
+      key: job.key,
+      payload: job.payload,
+      runAt,
+      recurrence: { ...schedule, timezone },
+      maxAttempts: job.maxAttempts,
+      owner: job.owner,
+    });
+  }
+}
+
+export default new JobQueueService();
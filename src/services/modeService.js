@@ -1,10 +1,23 @@
 import Mode from '../models/Mode.js';
 import Device from '../models/Device.js';
 import Group from '../models/Group.js';
-import { AppError } from '../utils/errors.js';
+import ModeActivation from '../models/ModeActivation.js';
+import User from '../models/User.js';
+import { AppError, WebhookDeliveryError } from '../utils/errors.js';
 import logger from '../utils/logger.js';
+import { POWER_STATES, ACCESS_ACTIONS } from '../config/constants.js';
+import accessService from './accessService.js';
+import bundleService from './bundleService.js';
 import deviceService from './deviceService.js';
+import energyService from './energyService.js';
 import groupService from './groupService.js';
+import jobQueueService from './jobQueueService.js';
+import notificationService from './notificationService.js';
+import schedulerService from './schedulerService.js';
+import simulationService from './simulationService.js';
+import suggestionService from './suggestionService.js';
+import webhookService from './webhookService.js';
+import socketServer from '../socket/socketServer.js';
 
 /**
  * Mode Service
@@ -12,6 +25,13 @@ import groupService from './groupService.js';
  * mode activation, automation, and scheduling
  */
 class ModeService {
+  constructor() {
+    this.budgetChecks = new Map(); // Map of userId -> re-run requested
+
+    jobQueueService.registerHandler('mode_schedule', (job) => this._runModeSchedule(job));
+    jobQueueService.registerHandler('mode_deactivate', (job) => this._runTimedDeactivation(job));
+  }
+
   /**
    * Create a new mode
    * @param {Object} modeData - Mode creation data
@@ -20,10 +40,12 @@ class ModeService {
    */
   async createMode(modeData, userId) {
     try {
-      // Check if mode name is unique for the user
+      const ownerId = await accessService.getActiveOwner(userId, 'mode');
+
+      // Check if mode name is unique in the home
       const existingMode = await Mode.findOne({
         name: modeData.name,
-        owner: userId,
+        owner: ownerId,
       });
 
       if (existingMode) {
@@ -31,19 +53,19 @@ class ModeService {
       }
 
       // Validate device and group references in actions
-      await this._validateModeReferences(modeData.actions || [], userId);
+      await this._validateModeReferences(modeData.actions || [], ownerId);
 
       // Create mode
       const mode = new Mode({
         ...modeData,
-        owner: userId,
+        owner: ownerId,
         isActive: false, // Modes start inactive
       });
 
       await mode.save();
 
       // Setup auto-activation triggers if enabled
-      if (mode.autoActivate?.enabled) {
+      if (mode.settings?.schedule?.autoActivate?.enabled || mode.settings?.schedule?.autoDeactivate?.enabled) {
         await this._setupAutoActivationTriggers(mode);
       }
 
@@ -77,8 +99,8 @@ class ModeService {
       const { page = 1, limit = 10, sortBy = 'name', sortOrder = 'asc' } = pagination;
       const skip = (page - 1) * limit;
 
-      // Build query
-      const query = { owner: userId };
+      // Build query over the modes the user can see
+      const query = { $and: [await accessService.getScope(userId, 'mode')] };
 
       if (filters.search) {
         query.$or = [
@@ -91,6 +113,10 @@ class ModeService {
         query.type = filters.type;
       }
 
+      if (filters.category) {
+        query.category = filters.category.toLowerCase();
+      }
+
       if (filters.isActive !== undefined) {
         query.isActive = filters.isActive;
       }
@@ -150,14 +176,7 @@ class ModeService {
    */
   async getModeById(modeId, userId) {
     try {
-      const mode = await Mode.findOne({
-        _id: modeId,
-        owner: userId,
-      });
-
-      if (!mode) {
-        throw new AppError('Mode not found', 404);
-      }
+      const mode = await accessService.findAccessible('mode', modeId, userId);
 
       return mode;
     } catch (error) {
@@ -179,20 +198,13 @@ class ModeService {
    */
   async updateMode(modeId, updateData, userId) {
     try {
-      const mode = await Mode.findOne({
-        _id: modeId,
-        owner: userId,
-      });
-
-      if (!mode) {
-        throw new AppError('Mode not found', 404);
-      }
+      const mode = await accessService.findAccessible('mode', modeId, userId, ACCESS_ACTIONS.CONFIGURE);
 
       // Check if name is being updated and is unique
       if (updateData.name && updateData.name !== mode.name) {
         const existingMode = await Mode.findOne({
           name: updateData.name,
-          owner: userId,
+          owner: mode.owner,
           _id: { $ne: modeId },
         });
 
@@ -203,7 +215,7 @@ class ModeService {
 
       // Validate device and group references if actions are being updated
       if (updateData.actions) {
-        await this._validateModeReferences(updateData.actions, userId);
+        await this._validateModeReferences(updateData.actions, mode.owner);
       }
 
       // Update mode
@@ -212,7 +224,7 @@ class ModeService {
       await mode.save();
 
       // Update auto-activation triggers if changed
-      if (updateData.autoActivate !== undefined) {
+      if (updateData.settings?.schedule !== undefined) {
         await this._setupAutoActivationTriggers(mode);
       }
 
@@ -241,21 +253,15 @@ class ModeService {
    */
   async deleteMode(modeId, userId) {
     try {
-      const mode = await Mode.findOne({
-        _id: modeId,
-        owner: userId,
-      });
-
-      if (!mode) {
-        throw new AppError('Mode not found', 404);
-      }
+      const mode = await accessService.findAccessible('mode', modeId, userId, ACCESS_ACTIONS.CONFIGURE);
 
       // Deactivate mode if it's currently active
       if (mode.isActive) {
-        await this.deactivateMode(modeId, userId);
+        await this.deactivateMode(modeId, mode.owner, { triggeredBy: { type: 'user', id: userId } });
       }
 
       await Mode.findByIdAndDelete(modeId);
+      await jobQueueService.cancelByPrefix(this._scheduleJobPrefix(modeId));
 
       logger.info(`Mode deleted: ${mode.name}`, {
         modeId: mode._id,
@@ -277,84 +283,108 @@ class ModeService {
   /**
    * Activate mode
    * @param {string} modeId - Mode ID
-   * @param {Object} options - Activation options
+   * @param {Object} options - Activation options ({ force, duration, overrides, triggeredBy })
    * @param {string} userId - User ID
    * @returns {Object} - Activation results
    */
   async activateMode(modeId, options = {}, userId) {
     try {
-      const mode = await Mode.findOne({
-        _id: modeId,
-        owner: userId,
-      });
-
-      if (!mode) {
-        throw new AppError('Mode not found', 404);
-      }
+      const mode = await accessService.findAccessible('mode', modeId, userId, ACCESS_ACTIONS.CONTROL);
 
       if (mode.isActive && !options.force) {
         throw new AppError('Mode is already active', 400);
       }
 
-      // Deactivate other active modes if this mode has higher priority or force is true
-      if (options.force || mode.priority >= 7) {
-        await Mode.updateMany(
-          { owner: userId, isActive: true, _id: { $ne: modeId } },
-          { 
-            isActive: false,
-            lastDeactivated: new Date(),
-          }
-        );
-      }
+      const triggeredBy = options.triggeredBy || { type: 'user', id: userId };
+      const resolution = await this._resolveActiveModes(mode, userId);
+
+      const baseline = await this._getHouseholdWatts(mode.owner);
 
-      // Store previous device states if restore on exit is enabled
+      // Capture pre-activation device states if restore on exit is enabled;
+      // a forced re-activation keeps the states from before the first one
+      let previousStates = null;
       if (mode.settings?.restoreOnExit) {
-        const previousState = await this._captureDeviceStates(userId);
-        mode.settings.previousState = previousState;
+        const running = mode.isActive ? await this._getOpenActivation(mode._id) : null;
+        previousStates = running?.snapshot?.length
+          ? running.snapshot.map(({ device, name, before }) => ({
+            deviceId: device,
+            name,
+            powerState: before?.powerState,
+            settings: before?.settings,
+          }))
+          : await this._captureDeviceStates(mode.owner);
       }
 
       // Execute mode actions
-      const executionResults = await this._executeModeActions(mode, options.overrides);
+      // Actions run with the permissions of whoever activates the mode
+      const executionResults = await this._executeModeActions(mode, options.overrides, resolution.yielded, userId);
+      const snapshot = previousStates
+        ? this._buildRestoreSnapshot(previousStates, await this._captureDeviceStates(mode.owner))
+        : undefined;
 
       // Update mode status
-      mode.isActive = true;
-      mode.lastActivated = new Date();
-      mode.activationCount = (mode.activationCount || 0) + 1;
-
-      // Set duration-based deactivation if specified
-      if (options.duration) {
-        const deactivationTime = new Date();
-        deactivationTime.setMinutes(deactivationTime.getMinutes() + 
-          (options.duration.unit === 'hours' ? options.duration.value * 60 : options.duration.value));
-        
-        mode.scheduledDeactivation = deactivationTime;
-        
-        // Schedule deactivation (you would implement actual scheduling here)
-        setTimeout(() => {
-          this.deactivateMode(modeId, userId).catch(error => {
-            logger.error('Scheduled mode deactivation failed', {
-              error: error.message,
-              modeId,
-              userId,
-            });
-          });
-        }, (deactivationTime.getTime() - Date.now()));
+      if (mode.isActive) {
+        // Forced re-activation closes the running activation first
+        await this._endActivation(mode, { triggeredBy, save: false });
       }
 
+      const now = new Date();
+      mode.isActive = true;
+      mode.activatedAt = now;
+      mode.statistics.activationCount += 1;
+      mode.statistics.lastActivated = now;
+      mode.energyBudget = { shedDevices: [], thresholdNotifiedAt: null, lastCheckedAt: null };
+
+      // Set duration-based deactivation if specified, falling back to autoDeactivate.duration
+      const duration = options.duration?.value ? options.duration : this._getAutoDeactivateDuration(mode);
+      mode.scheduledDeactivation = duration
+        ? new Date(Date.now() + (duration.unit === 'hours' ? duration.value * 60 : duration.value) * 60000)
+        : null;
+
       await mode.save();
 
+      // Timed deactivation survives restarts on the job queue
+      await jobQueueService.cancel(this._deactivationJobKey(mode._id));
+      if (mode.scheduledDeactivation) {
+        await jobQueueService.enqueue('mode_deactivate', {
+          key: this._deactivationJobKey(mode._id),
+          payload: {
+            modeId: mode._id.toString(),
+            userId: mode.owner.toString(),
+          },
+          runAt: mode.scheduledDeactivation,
+          owner: mode.owner,
+        });
+      }
+
+      await this._recordActivation(mode, {
+        triggeredBy,
+        executionResults,
+        baseline,
+        snapshot,
+      });
+
+      await this._broadcastModeChange(mode, 'activated', { triggeredBy, resolution });
+
+      // Start enforcing the energy budget against current consumption
+      this.checkEnergyBudgets(mode.owner);
+
       logger.info(`Mode activated: ${mode.name}`, {
         modeId: mode._id,
         userId,
+        category: mode.category,
         priority: mode.priority,
         actionsExecuted: executionResults.success.length,
         actionsFailed: executionResults.failed.length,
+        modesDeactivated: resolution.deactivated.length,
+        propertiesYielded: resolution.yielded.length,
       });
 
       return {
         message: 'Mode activated successfully',
         mode: mode,
         executionResults,
+        resolution,
       };
     } catch (error) {
       logger.error('Mode activation failed', {
@@ -370,44 +400,47 @@ class ModeService {
    * Deactivate mode
    * @param {string} modeId - Mode ID
    * @param {string} userId - User ID
+   * @param {Object} options - { triggeredBy, onConflict } where onConflict overrides settings.restoreConflicts
    * @returns {Object} - Deactivation results
    */
-  async deactivateMode(modeId, userId) {
+  async deactivateMode(modeId, userId, options = {}) {
     try {
-      const mode = await Mode.findOne({
-        _id: modeId,
-        owner: userId,
-      });
-
-      if (!mode) {
-        throw new AppError('Mode not found', 404);
-      }
+      const mode = await accessService.findAccessible('mode', modeId, userId, ACCESS_ACTIONS.CONTROL);
 
       if (!mode.isActive) {
         throw new AppError('Mode is not active', 400);
       }
 
       let restorationResults = null;
+      const baseline = await this._getHouseholdWatts(mode.owner);
 
-      // Restore previous device states if enabled
-      if (mode.settings?.restoreOnExit && mode.settings?.previousState) {
-        restorationResults = await this._restoreDeviceStates(mode.settings.previousState, userId);
+      // Restore the pre-activation states kept with the activation record
+      if (mode.settings?.restoreOnExit) {
+        const activation = await this._getOpenActivation(mode._id);
+        if (activation?.snapshot?.length) {
+          restorationResults = await this._restoreDeviceStates(
+            activation.snapshot,
+            mode.owner,
+            userId,
+            options.onConflict || mode.settings.restoreConflicts,
+          );
+        }
       }
 
-      // Update mode status
-      mode.isActive = false;
-      mode.lastDeactivated = new Date();
-      mode.scheduledDeactivation = null;
-      if (mode.settings?.previousState) {
-        mode.settings.previousState = null;
-      }
+      const triggeredBy = options.triggeredBy || { type: 'user', id: userId };
+      await this._endActivation(mode, {
+        triggeredBy,
+        restorationResults,
+        baseline,
+      });
 
-      await mode.save();
+      await this._broadcastModeChange(mode, 'deactivated', { triggeredBy });
 
       logger.info(`Mode deactivated: ${mode.name}`, {
         modeId: mode._id,
         userId,
         statesRestored: restorationResults?.success?.length || 0,
+        statesPending: restorationResults?.pending?.length || 0,
       });
 
       return {
@@ -429,23 +462,17 @@ class ModeService {
    * Toggle mode (activate if inactive, deactivate if active)
    * @param {string} modeId - Mode ID
    * @param {string} userId - User ID
+   * @param {Object} options - { triggeredBy }
    * @returns {Object} - Toggle results
    */
-  async toggleMode(modeId, userId) {
+  async toggleMode(modeId, userId, options = {}) {
     try {
-      const mode = await Mode.findOne({
-        _id: modeId,
-        owner: userId,
-      });
-
-      if (!mode) {
-        throw new AppError('Mode not found', 404);
-      }
+      const mode = await accessService.findAccessible('mode', modeId, userId, ACCESS_ACTIONS.CONTROL);
 
       if (mode.isActive) {
-        return await this.deactivateMode(modeId, userId);
+        return await this.deactivateMode(modeId, userId, options);
       } else {
-        return await this.activateMode(modeId, {}, userId);
+        return await this.activateMode(modeId, options, userId);
       }
     } catch (error) {
       logger.error('Mode toggle failed', {
@@ -465,7 +492,7 @@ class ModeService {
   async getActiveModes(userId) {
     try {
       const activeModes = await Mode.find({
-        owner: userId,
+        ...await accessService.getScope(userId, 'mode'),
         isActive: true,
       }).sort({ priority: -1 });
 
@@ -491,8 +518,9 @@ class ModeService {
    */
   async getModeStatistics(userId) {
     try {
+      const scope = await accessService.getScope(userId, 'mode');
       const stats = await Mode.aggregate([
-        { $match: { owner: userId } },
+        { $match: scope },
         {
           $group: {
             _id: null,
@@ -501,10 +529,10 @@ class ModeService {
               $sum: { $cond: [{ $eq: ['$isActive', true] }, 1, 0] }
             },
             autoActivationEnabled: {
-              $sum: { $cond: [{ $eq: ['$autoActivate.enabled', true] }, 1, 0] }
+              $sum: { $cond: [{ $eq: ['$settings.schedule.autoActivate.enabled', true] }, 1, 0] }
             },
             totalActivations: {
-              $sum: { $ifNull: ['$activationCount', 0] }
+              $sum: { $ifNull: ['$statistics.activationCount', 0] }
             },
           },
         },
@@ -512,13 +540,13 @@ class ModeService {
 
       // Get mode type breakdown
       const typeStats = await Mode.aggregate([
-        { $match: { owner: userId } },
+        { $match: scope },
         {
           $group: {
             _id: '$type',
             count: { $sum: 1 },
             averageActivations: {
-              $avg: { $ifNull: ['$activationCount', 0] }
+              $avg: { $ifNull: ['$statistics.activationCount', 0] }
             },
             active: {
               $sum: { $cond: [{ $eq: ['$isActive', true] }, 1, 0] }
@@ -561,262 +589,565 @@ class ModeService {
   }
 
   /**
-   * Private method to validate device and group references in mode actions
-   * @param {Array} actions - Mode actions
+   * Enforce the energy budgets of a user's active modes
+   * Called on every change in a device's draw. Calls for a user while a check
+   * is running only request one more pass, so shedding does not recurse.
+   * Failures are logged, never thrown.
    * @param {string} userId - User ID
-   * @private
    */
-  async _validateModeReferences(actions, userId) {
-    for (const action of actions) {
-      if (action.target) {
-        if (action.target.type === 'device' && action.target.ids?.length > 0) {
-          const userDevices = await Device.find({
-            _id: { $in: action.target.ids },
-            owner: userId,
-          });
+  async checkEnergyBudgets(userId) {
+    const key = userId.toString();
+    if (this.budgetChecks.has(key)) {
+      this.budgetChecks.set(key, true);
+      return;
+    }
 
-          if (userDevices.length !== action.target.ids.length) {
-            throw new AppError('Some devices do not belong to you', 400);
-          }
-        }
+    try {
+      do {
+        this.budgetChecks.set(key, false);
 
-        if (action.target.type === 'group' && action.target.ids?.length > 0) {
-          const userGroups = await Group.find({
-            _id: { $in: action.target.ids },
-            owner: userId,
-          });
+        const modes = await Mode.find({
+          owner: userId,
+          isActive: true,
+          $or: [
+            { 'settings.energy.autoShutdown.enabled': true },
+            { 'settings.notifications.energyThreshold.enabled': true },
+            { 'energyBudget.shedDevices.0': { $exists: true } },
+          ],
+        });
 
-          if (userGroups.length !== action.target.ids.length) {
-            throw new AppError('Some groups do not belong to you', 400);
-          }
+        for (const mode of modes) {
+          await this._enforceEnergyBudget(mode);
         }
-      }
+      } while (this.budgetChecks.get(key));
+    } catch (error) {
+      logger.error('Energy budget check failed', {
+        error: error.message,
+        userId,
+      });
+    } finally {
+      this.budgetChecks.delete(key);
     }
   }
 
   /**
-   * Private method to execute mode actions
-   * @param {Object} mode - Mode object
-   * @param {Object} overrides - Action overrides
-   * @private
+   * Dry-run a mode's actions without touching devices
+   * @param {string} modeId - Mode ID
+   * @param {string} userId - User ID
+   * @param {Object} options - { snapshot } hypothetical device states by device ID
+   * @returns {Object} - Per-action diffs, capability errors and conflicts with active modes
    */
-  async _executeModeActions(mode, overrides = {}) {
-    const results = {
-      success: [],
-      failed: [],
-    };
-
-    // Sort actions by order
-    const sortedActions = [...(mode.actions || [])].sort((a, b) => (a.order || 1) - (b.order || 1));
-
-    for (const action of sortedActions) {
-      if (!action.isEnabled) continue;
+  async testMode(modeId, userId, options = {}) {
+    try {
+      const mode = await accessService.findAccessible('mode', modeId, userId);
 
-      try {
-        switch (action.type) {
-          case 'device_control':
-            await this._executeDeviceControl(action, mode.owner);
-            break;
-          case 'group_control':
-            await this._executeGroupControl(action, mode.owner);
-            break;
-          case 'mode_activation':
-            await this._executeModeActivation(action, mode.owner);
-            break;
-          case 'notification':
-            await this._executeNotification(action, mode.owner);
-            break;
-          case 'webhook':
-            await this._executeWebhook(action);
-            break;
-          case 'delay':
-            await this._executeDelay(action);
-            break;
-          case 'scene_activation':
-            await this._executeSceneActivation(action, mode.owner);
-            break;
-          default:
-            throw new Error(`Unknown action type: ${action.type}`);
-        }
+      const snapshot = await simulationService.createSnapshot(mode.owner, options.snapshot);
+      const actions = await simulationService.simulateActions(mode.actions, snapshot, mode.owner);
+      const conflicts = await simulationService.findModeConflicts(actions, mode.owner, { snapshot, mode });
+      const errors = actions.flatMap(action => action.errors.map(error => ({ actionId: action.actionId, ...error })));
 
-        results.success.push({
-          actionId: action.id,
-          type: action.type,
-        });
-      } catch (error) {
-        results.failed.push({
-          actionId: action.id,
-          type: action.type,
-          error: error.message,
-        });
+      logger.info(`Mode test completed: ${mode.name}`, {
+        modeId: mode._id,
+        userId,
+        actionsCount: actions.length,
+        errorsCount: errors.length,
+        conflictsCount: conflicts.length,
+      });
 
-        if (!action.continueOnError) {
-          break; // Stop execution if action fails and continueOnError is false
-        }
-      }
+      return {
+        mode: { id: mode._id, name: mode.name, isActive: mode.isActive },
+        snapshot: options.snapshot ? 'hypothetical' : 'current',
+        success: errors.length === 0,
+        actions,
+        errors,
+        conflicts,
+      };
+    } catch (error) {
+      logger.error('Mode test failed', {
+        error: error.message,
+        modeId,
+        userId,
+      });
+      throw error;
     }
-
-    return results;
   }
 
   /**
-   * Private method to execute device control action
-   * @param {Object} action - Device control action
+   * Get mode suggestions mined from the user's device history
    * @param {string} userId - User ID
-   * @private
+   * @param {Object} filters - { category, type } where type is the drafted mode's type
+   * @returns {Array} - Suggestions with mode drafts, most confident first
    */
-  async _executeDeviceControl(action, userId) {
-    const { device: { deviceId, action: deviceAction, settings } } = action;
-    await deviceService.controlDevice(deviceId, deviceAction, settings, userId);
+  async getModeSuggestions(userId, filters = {}) {
+    try {
+      const suggestions = await suggestionService.getSuggestions(userId, { type: 'mode' });
+
+      return suggestions.filter(suggestion =>
+        (!filters.category || suggestion.category === filters.category)
+        && (!filters.type || suggestion.modeData.type === filters.type)
+      );
+    } catch (error) {
+      logger.error('Get mode suggestions failed', {
+        error: error.message,
+        userId,
+      });
+      throw error;
+    }
   }
 
   /**
-   * Private method to execute group control action
-   * @param {Object} action - Group control action
+   * Create a mode from a suggestion's draft
+   * @param {string} suggestionId - Suggestion ID
    * @param {string} userId - User ID
-   * @private
+   * @param {Object} customizations - { name, description, category, priority }
+   * @returns {Object} - Created mode
    */
-  async _executeGroupControl(action, userId) {
-    const { group: { groupId, action: groupAction, target, deviceIds, randomCount, settings } } = action;
-    const controlData = {
-      action: groupAction,
-      target,
-      deviceIds,
-      randomCount,
-      settings,
-    };
-    await groupService.controlGroup(groupId, controlData, userId);
+  async createModeFromSuggestion(suggestionId, userId, customizations = {}) {
+    try {
+      const suggestion = await suggestionService.getSuggestion(userId, suggestionId, 'mode');
+
+      return await this.createMode({ ...suggestion.modeData, ...customizations }, userId);
+    } catch (error) {
+      logger.error('Create mode from suggestion failed', {
+        error: error.message,
+        suggestionId,
+        userId,
+      });
+      throw error;
+    }
   }
 
   /**
-   * Private method to execute mode activation action
-   * @param {Object} action - Mode activation action
+   * Export a mode as an automation bundle, with the groups and scenes it uses
+   * @param {string} modeId - Mode ID
    * @param {string} userId - User ID
-   * @private
+   * @param {Object} options - { format } ('json' only)
+   * @returns {Object} - Bundle
    */
-  async _executeModeActivation(action, userId) {
-    const { mode: { modeId, action: modeAction, duration } } = action;
-    
-    switch (modeAction) {
-      case 'activate':
-        await this.activateMode(modeId, { duration }, userId);
-        break;
-      case 'deactivate':
-        await this.deactivateMode(modeId, userId);
-        break;
-      case 'toggle':
-        await this.toggleMode(modeId, userId);
-        break;
+  async exportMode(modeId, userId, options = {}) {
+    try {
+      if (options.format && options.format !== 'json') {
+        throw new AppError(`Unsupported export format: ${options.format}`, 400);
+      }
+
+      const mode = await accessService.findAccessible('mode', modeId, userId);
+
+      return await bundleService.exportBundle(mode.owner, { modes: [modeId] });
+    } catch (error) {
+      logger.error('Export mode failed', {
+        error: error.message,
+        modeId,
+        userId,
+      });
+      throw error;
     }
   }
 
   /**
-   * Private method to execute notification action
-   * @param {Object} action - Notification action
+   * Import an automation bundle that contains modes
+   * @param {Object} bundle - Bundle from exportMode or exportRule
    * @param {string} userId - User ID
-   * @private
+   * @param {Object} options - { mapping, overwrite, dryRun }
+   * @returns {Object} - Import report
    */
-  async _executeNotification(action, userId) {
-    const { notification } = action;
-    
-    // Here you would implement actual notification sending
-    logger.info('Notification sent from mode action', {
-      userId,
-      title: notification.title,
-      message: notification.message,
-      channels: notification.channels,
-    });
-  }
+  async importMode(bundle, userId, options = {}) {
+    try {
+      if (!bundle?.modes?.length) {
+        throw new AppError('Bundle contains no modes', 400);
+      }
 
-  /**
-   * Private method to execute webhook action
-   * @param {Object} action - Webhook action
-   * @private
-   */
-  async _executeWebhook(action) {
-    const { webhook } = action;
-    
-    // Here you would implement actual webhook calling
-    logger.info('Webhook called from mode action', {
-      url: webhook.url,
-      method: webhook.method,
-    });
+      return await bundleService.importBundle(bundle, userId, options);
+    } catch (error) {
+      logger.error('Import mode failed', {
+        error: error.message,
+        userId,
+      });
+      throw error;
+    }
   }
 
   /**
-   * Private method to execute delay action
-   * @param {Object} action - Delay action
-   * @private
+   * Get mode activation history, newest first
+   * @param {string} modeId - Mode ID
+   * @param {string} userId - User ID
+   * @param {Object} options - { page, limit, startDate, endDate }
+   * @returns {Object} - Activations with pagination and statistics
    */
-  async _executeDelay(action) {
-    const { delay: { duration, unit } } = action;
-    const delayMs = unit === 'hours' ? duration * 3600000 : 
-                   unit === 'minutes' ? duration * 60000 : 
-                   duration * 1000;
-    
-    await new Promise(resolve => setTimeout(resolve, delayMs));
-  }
+  async getModeHistory(modeId, userId, options = {}) {
+    try {
+      const { page = 1, limit = 50, startDate, endDate } = options;
 
-  /**
-   * Private method to execute scene activation action
-   * @param {Object} action - Scene activation action
+      const mode = await accessService.findAccessible('mode', modeId, userId);
+
+      const query = { mode: mode._id };
+      if (startDate || endDate) {
+        query.activatedAt = {};
+        if (startDate) query.activatedAt.$gte = startDate;
+        if (endDate) query.activatedAt.$lte = endDate;
+      }
+
+      const [history, total] = await Promise.all([
+        ModeActivation.find(query)
+          .sort({ activatedAt: -1 })
+          .skip((page - 1) * limit)
+          .limit(limit)
+          .lean(),
+        ModeActivation.countDocuments(query),
+      ]);
+
+      return {
+        modeId: mode._id,
+        isActive: mode.isActive,
+        statistics: mode.statistics,
+        history,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit),
+        },
+      };
+    } catch (error) {
+      logger.error('Get mode history failed', {
+        error: error.message,
+        modeId,
+        userId,
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Restore the devices the last deactivation left pending or failed to restore
+   * Retried devices are forced back to their pre-activation state; offline
+   * ones stay pending.
+   * @param {string} modeId - Mode ID
    * @param {string} userId - User ID
-   * @private
+   * @param {Object} options - { deviceIds } to retry, defaults to all pending and failed devices
+   * @returns {Object} - Results of this retry and the devices still waiting
    */
-  async _executeSceneActivation(action, userId) {
-    const { sceneId } = action;
-    
-    // Here you would implement scene activation
-    logger.info('Scene activated from mode action', {
-      userId,
-      sceneId,
-    });
+  async restoreModeState(modeId, userId, options = {}) {
+    try {
+      const mode = await accessService.findAccessible('mode', modeId, userId, ACCESS_ACTIONS.CONTROL);
+
+      if (mode.isActive) {
+        throw new AppError('Mode is active; deactivate it to restore previous states', 400);
+      }
+
+      const activation = await ModeActivation.findOne({
+        mode: mode._id,
+        deactivatedAt: { $ne: null },
+      }).sort({ deactivatedAt: -1 });
+
+      const previous = activation?.restorationResults;
+      const retryable = [...(previous?.pending || []), ...(previous?.failed || [])].map(item => item.deviceId.toString());
+      if (retryable.length === 0) {
+        throw new AppError('No devices are waiting to be restored', 400);
+      }
+
+      const deviceIds = options.deviceIds || retryable;
+      const unknown = deviceIds.filter(id => !retryable.includes(id));
+      if (unknown.length > 0) {
+        throw new AppError(`Devices are not waiting to be restored: ${unknown.join(', ')}`, 400);
+      }
+
+      const entries = activation.snapshot.filter(entry => deviceIds.includes(entry.device.toString()));
+      const results = await this._restoreDeviceStates(entries, mode.owner, userId, 'force');
+
+      // Replace the retried devices' previous outcomes with the new ones
+      const restorationResults = {};
+      for (const [key, items] of Object.entries(results)) {
+        restorationResults[key] = [
+          ...(previous[key] || []).filter(item => !deviceIds.includes(item.deviceId.toString())),
+          ...items,
+        ];
+      }
+      activation.restorationResults = restorationResults;
+      await activation.save();
+
+      logger.info(`Mode states restored: ${mode.name}`, {
+        modeId: mode._id,
+        userId,
+        restored: results.success.length,
+        pending: restorationResults.pending.length,
+      });
+
+      return {
+        modeId: mode._id,
+        activationId: activation._id,
+        results,
+        pending: restorationResults.pending,
+        failed: restorationResults.failed,
+      };
+    } catch (error) {
+      logger.error('Mode restore failed', {
+        error: error.message,
+        modeId,
+        userId,
+      });
+      throw error;
+    }
   }
 
   /**
-   * Private method to capture current device states
+   * Schedule a mode to activate or deactivate
+   * @param {string} modeId - Mode ID
+   * @param {Object} scheduleData - { name, action, schedule | scheduledFor, duration }
    * @param {string} userId - User ID
-   * @private
+   * @returns {Object} - Created schedule with its next run
    */
-  async _captureDeviceStates(userId) {
-    const devices = await Device.find({ owner: userId });
-    
-    return devices.map(device => ({
-      deviceId: device._id,
-      powerState: device.powerState,
-      settings: { ...device.settings },
-    }));
+  async scheduleMode(modeId, scheduleData, userId) {
+    try {
+      const mode = await accessService.findAccessible('mode', modeId, userId, ACCESS_ACTIONS.CONFIGURE);
+
+      const action = scheduleData.action || 'activate';
+      const schedule = scheduleData.schedule || { type: 'once', date: scheduleData.scheduledFor };
+      const timezone = await this._getOwnerTimezone(mode.owner);
+
+      if (!schedulerService.nextOccurrence(schedule, timezone)) {
+        throw new AppError('Schedule has no upcoming runs', 400);
+      }
+
+      mode.schedules.push({
+        name: scheduleData.name,
+        action,
+        schedule,
+        duration: action === 'activate' ? scheduleData.duration : undefined,
+        isActive: true,
+        createdAt: new Date(),
+      });
+      await mode.save();
+
+      const entry = mode.schedules[mode.schedules.length - 1];
+      const job = await this._scheduleModeSchedule(mode, entry, timezone);
+
+      logger.info(`Mode schedule created: ${mode.name}`, {
+        modeId: mode._id,
+        userId,
+        scheduleId: entry._id,
+        action,
+        type: schedule.type,
+        nextRun: job?.runAt,
+      });
+
+      return this._formatSchedule(entry, job?.runAt);
+    } catch (error) {
+      logger.error('Schedule mode failed', {
+        error: error.message,
+        modeId,
+        userId,
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Get mode schedules with their next scheduled run
+   * @param {string} modeId - Mode ID
+   * @param {string} userId - User ID
+   * @returns {Array} - Schedules
+   */
+  async getModeSchedules(modeId, userId) {
+    try {
+      const mode = await accessService.findAccessible('mode', modeId, userId);
+
+      return Promise.all(mode.schedules.map(async (entry) => {
+        const job = await jobQueueService.getPendingJob(this._scheduleJobKey(modeId, entry._id));
+        return this._formatSchedule(entry, job?.runAt);
+      }));
+    } catch (error) {
+      logger.error('Get mode schedules failed', {
+        error: error.message,
+        modeId,
+        userId,
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Cancel mode schedule
+   * @param {string} modeId - Mode ID
+   * @param {string} scheduleId - Schedule ID
+   * @param {string} userId - User ID
+   */
+  async cancelModeSchedule(modeId, scheduleId, userId) {
+    try {
+      const mode = await accessService.findAccessible('mode', modeId, userId, ACCESS_ACTIONS.CONFIGURE);
+
+      if (!mode.schedules.id(scheduleId)) {
+        throw new AppError('Schedule not found', 404);
+      }
+
+      mode.schedules.pull(scheduleId);
+      await mode.save();
+
+      await jobQueueService.cancel(this._scheduleJobKey(modeId, scheduleId));
+
+      logger.info(`Mode schedule cancelled: ${mode.name}`, {
+        modeId: mode._id,
+        userId,
+        scheduleId,
+      });
+    } catch (error) {
+      logger.error('Cancel mode schedule failed', {
+        error: error.message,
+        modeId,
+        scheduleId,
+        userId,
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Rebuild schedules for a user's modes (e.g. after a timezone change)
+   * @param {string} userId - User ID
+   * @returns {number} - Number of modes rescheduled
+   */
+  async rescheduleUserModes(userId) {
+    try {
+      const modes = await Mode.find({
+        owner: userId,
+        $or: [
+          { 'schedules.isActive': true },
+          { 'settings.schedule.autoActivate.enabled': true },
+          { 'settings.schedule.autoDeactivate.enabled': true },
+        ],
+      });
+      const timezone = await this._getOwnerTimezone(userId);
+
+      for (const mode of modes) {
+        await jobQueueService.cancelByPrefix(this._scheduleJobPrefix(mode._id));
+
+        for (const entry of mode.schedules.filter(item => item.isActive)) {
+          await this._scheduleModeSchedule(mode, entry, timezone);
+        }
+        await this._setupAutoActivationTriggers(mode, timezone);
+      }
+
+      logger.info('User modes rescheduled', {
+        userId,
+        count: modes.length,
+      });
+
+      return modes.length;
+    } catch (error) {
+      logger.error('Reschedule user modes failed', {
+        error: error.message,
+        userId,
+      });
+      throw error;
+    }
   }
 
   /**
-   * Private method to restore device states
-   * @param {Array} previousStates - Previous device states
+   * Private method to validate device and group references in mode actions
+   * @param {Array} actions - Mode actions
    * @param {string} userId - User ID
    * @private
    */
-  async _restoreDeviceStates(previousStates, userId) {
+  async _validateModeReferences(actions, userId) {
+    for (const action of actions) {
+      if (action.target) {
+        if (action.target.type === 'device' && action.target.ids?.length > 0) {
+          const userDevices = await Device.find({
+            _id: { $in: action.target.ids },
+            owner: userId,
+          });
+
+          if (userDevices.length !== action.target.ids.length) {
+            throw new AppError('Some devices do not belong to you', 400);
+          }
+        }
+
+        if (action.target.type === 'group' && action.target.ids?.length > 0) {
+          const userGroups = await Group.find({
+            _id: { $in: action.target.ids },
+            owner: userId,
+          });
+
+          if (userGroups.length !== action.target.ids.length) {
+            throw new AppError('Some groups do not belong to you', 400);
+          }
+        }
+      }
+    }
+  }
+
+  /**
+   * Private method to execute mode actions
+   * @param {Object} mode - Mode object
+   * @param {Object} overrides - Action overrides
+   * @param {Array} yielded - Device properties held by higher-priority modes, left untouched
+   * @param {string} userId - User the actions run as
+   * @private
+   */
+  async _executeModeActions(mode, overrides = {}, yielded = [], userId) {
     const results = {
       success: [],
       failed: [],
+      skipped: [],
     };
+    const blocked = new Set(yielded.map(conflict => `${conflict.deviceId}:${conflict.property}`));
+
+    // Sort actions by order
+    const sortedActions = [...(mode.actions || [])].sort((a, b) => (a.order || 1) - (b.order || 1));
+
+    for (const action of sortedActions) {
+      if (!action.isEnabled) continue;
 
-    for (const state of previousStates) {
       try {
-        const action = state.powerState === 'on' ? 'turn_on' : 'turn_off';
-        await deviceService.controlDevice(state.deviceId, action, {}, userId);
-        
-        if (state.settings) {
-          await deviceService.updateDeviceSettings(state.deviceId, state.settings, userId);
+        let executed = true;
+        switch (action.type) {
+          case 'device_control':
+            executed = await this._executeDeviceControl(action, userId, blocked);
+            break;
+          case 'group_control':
+            executed = await this._executeGroupControl(action, userId, blocked);
+            break;
+          case 'mode_activation':
+            await this._executeModeActivation(action, userId, mode);
+            break;
+          case 'notification':
+            await this._executeNotification(action, mode.owner);
+            break;
+          case 'webhook':
+            await this._executeWebhook(action, mode);
+            break;
+          case 'delay':
+            await this._executeDelay(action);
+            break;
+          case 'scene_activation':
+            await this._executeSceneActivation(action, userId);
+            break;
+          default:
+            throw new Error(`Unknown action type: ${action.type}`);
+        }
+
+        if (!executed) {
+          results.skipped.push({
+            actionId: action.id,
+            type: action.type,
+            reason: 'Yielded to a higher-priority mode',
+          });
+          continue;
         }
 
         results.success.push({
-          deviceId: state.deviceId,
+          actionId: action.id,
+          type: action.type,
         });
       } catch (error) {
         results.failed.push({
-          deviceId: state.deviceId,
+          actionId: action.id,
+          type: action.type,
           error: error.message,
         });
+
+        if (!action.continueOnError) {
+          break; // Stop execution if action fails and continueOnError is false
+        }
       }
     }
 
@@ -824,18 +1155,929 @@ class ModeService {
   }
 
   /**
-   * Private method to setup auto-activation triggers
-   * @param {Object} mode - Mode object
+   * Private method to execute device control action
+   * @param {Object} action - Device control action
+   * @param {string} userId - User ID
+   * @param {Set} blocked - Yielded "deviceId:property" keys
+   * @returns {boolean} - false if every property was yielded
    * @private
    */
-  async _setupAutoActivationTriggers(mode) {
-    // Here you would implement actual trigger setup
-    // For example, setting up cron jobs, event listeners, etc.
-    
-    logger.info('Auto-activation triggers setup for mode', {
-      modeId: mode._id,
-      triggersCount: mode.autoActivate?.triggers?.length || 0,
-    });
+  async _executeDeviceControl(action, userId, blocked = new Set()) {
+    const { device: { deviceId, action: deviceAction, settings } } = action;
+    const allowed = this._getAllowedSettings(deviceId, deviceAction, settings, blocked);
+    if (allowed === null) {
+      return false;
+    }
+
+    await deviceService.controlDevice(deviceId, deviceAction, allowed, userId);
+    return true;
+  }
+
+  /**
+   * Private method to execute group control action
+   * Devices with yielded properties are left out of the group command; those
+   * with only some settings yielded are sent the rest individually. Random
+   * targets are picked by the group and not arbitrated.
+   * @param {Object} action - Group control action
+   * @param {string} userId - User ID
+   * @param {Set} blocked - Yielded "deviceId:property" keys
+   * @returns {boolean} - false if every targeted device was yielded
+   * @private
+   */
+  async _executeGroupControl(action, userId, blocked = new Set()) {
+    const { group: { groupId, action: groupAction, target, deviceIds, randomCount, settings } } = action;
+    const controlData = {
+      action: groupAction,
+      target,
+      deviceIds,
+      randomCount,
+      settings,
+    };
+
+    if (blocked.size > 0 && target !== 'random') {
+      const group = await accessService.findAccessible('group', groupId, userId, ACCESS_ACTIONS.CONTROL);
+
+      const targets = groupService.resolveTargetDevices(group.devices.map(id => ({ _id: id })), { target, deviceIds });
+      const unblocked = [];
+      let partial = 0;
+
+      for (const device of targets) {
+        const id = device._id.toString();
+        const allowed = this._getAllowedSettings(id, groupAction, settings, blocked);
+        if (allowed === settings) {
+          unblocked.push(id);
+        } else if (allowed !== null) {
+          await deviceService.controlDevice(id, groupAction, allowed, userId);
+          partial += 1;
+        }
+      }
+
+      if (unblocked.length < targets.length) {
+        if (unblocked.length === 0) {
+          return partial > 0;
+        }
+        controlData.target = 'specific';
+        controlData.deviceIds = unblocked;
+      }
+    }
+
+    await groupService.controlGroup(groupId, controlData, userId);
+    return true;
+  }
+
+  /**
+   * Private method to drop the settings a device action may not change
+   * Power actions claim `powerState`, set actions each `settings.<key>`, the
+   * same properties simulationService reports.
+   * @param {string} deviceId - Device ID
+   * @param {string} action - Device action
+   * @param {Object} settings - Action settings
+   * @param {Set} blocked - Yielded "deviceId:property" keys
+   * @returns {Object|null} - `settings` itself if nothing is yielded, the remaining settings, or null if all are
+   * @private
+   */
+  _getAllowedSettings(deviceId, action, settings, blocked) {
+    if (blocked.size === 0) {
+      return settings;
+    }
+
+    if (!action?.startsWith('set_')) {
+      return blocked.has(`${deviceId}:powerState`) ? null : settings;
+    }
+
+    const entries = Object.entries(settings || {});
+    const allowed = entries.filter(([key]) => !blocked.has(`${deviceId}:settings.${key}`));
+    if (allowed.length === entries.length) {
+      return settings;
+    }
+
+    return allowed.length > 0 ? Object.fromEntries(allowed) : null;
+  }
+
+  /**
+   * Private method to execute mode activation action
+   * @param {Object} action - Mode activation action
+   * @param {string} userId - User ID
+   * @param {Object} mode - Mode running the action
+   * @private
+   */
+  async _executeModeActivation(action, userId, mode) {
+    const { mode: { modeId, action: modeAction, duration } } = action;
+    const triggeredBy = { type: 'mode', id: mode?._id, name: mode?.name };
+    
+    switch (modeAction) {
+      case 'activate':
+        await this.activateMode(modeId, { duration, triggeredBy }, userId);
+        break;
+      case 'deactivate':
+        await this.deactivateMode(modeId, userId, { triggeredBy });
+        break;
+      case 'toggle':
+        await this.toggleMode(modeId, userId, { triggeredBy });
+        break;
+    }
+  }
+
+  /**
+   * Private method to execute notification action
+   * @param {Object} action - Notification action
+   * @param {string} userId - User ID
+   * @private
+   */
+  async _executeNotification(action, userId) {
+    const { notification } = action;
+    
+    // Here you would implement actual notification sending
+    logger.info('Notification sent from mode action', {
+      userId,
+      title: notification.title,
+      message: notification.message,
+      channels: notification.channels,
+    });
+  }
+
+  /**
+   * Private method to execute webhook action
+   * @param {Object} action - Webhook action
+   * @param {Object} mode - Mode being activated
+   * @private
+   */
+  async _executeWebhook(action, mode) {
+    const delivery = await webhookService.deliver(action.webhook, {
+      source: { type: 'mode', id: mode._id, actionId: action.id },
+      owner: mode.owner,
+      event: 'mode.activated',
+      context: {
+        event: 'mode.activated',
+        mode: { id: mode._id.toString(), name: mode.name, type: mode.type },
+        timestamp: new Date().toISOString(),
+      },
+    });
+
+    if (delivery.status === 'failed') {
+      throw new WebhookDeliveryError(delivery._id, delivery.error);
+    }
+  }
+
+  /**
+   * Private method to execute delay action
+   * @param {Object} action - Delay action
+   * @private
+   */
+  async _executeDelay(action) {
+    const { delay: { duration, unit } } = action;
+    const delayMs = unit === 'hours' ? duration * 3600000 : 
+                   unit === 'minutes' ? duration * 60000 : 
+                   duration * 1000;
+    
+    await new Promise(resolve => setTimeout(resolve, delayMs));
+  }
+
+  /**
+   * Private method to execute scene activation action
+   * @param {Object} action - Scene activation action
+   * @param {string} userId - User ID
+   * @private
+   */
+  async _executeSceneActivation(action, userId) {
+    const { sceneId } = action;
+    
+    // Here you would implement scene activation
+    logger.info('Scene activated from mode action', {
+      userId,
+      sceneId,
+    });
+  }
+
+  /**
+   * Private method to capture device states
+   * @param {string} userId - User ID
+   * @returns {Array} - [{ deviceId, name, powerState, settings }]
+   * @private
+   */
+  async _captureDeviceStates(userId) {
+    const devices = await Device.find({ owner: userId }).select('name powerState settings').lean();
+
+    return devices.map(device => ({
+      deviceId: device._id,
+      name: device.name,
+      powerState: device.powerState,
+      settings: { ...device.settings },
+    }));
+  }
+
+  /**
+   * Private method to pair pre-activation states with the states the mode left
+   * @param {Array} before - States captured before the mode's actions
+   * @param {Array} after - States captured after them
+   * @returns {Array} - Snapshot entries for the activation record
+   * @private
+   */
+  _buildRestoreSnapshot(before, after) {
+    const afterById = new Map(after.map(state => [state.deviceId.toString(), state]));
+
+    return before.map(({ deviceId, name, powerState, settings }) => {
+      const applied = afterById.get(deviceId.toString());
+      return {
+        device: deviceId,
+        name,
+        before: { powerState, settings },
+        after: applied ? { powerState: applied.powerState, settings: applied.settings } : undefined,
+      };
+    });
+  }
+
+  /**
+   * Private method to restore device states from an activation snapshot
+   * Devices already in their previous state are left alone and offline ones
+   * are left pending. Devices changed since activation (their state differs
+   * from the one the mode left) are handled by `onConflict`: skipped, forced
+   * back, or left pending ('ask') for restoreModeState. Devices the acting
+   * user may not control fail with the permission error.
+   * @param {Array} snapshot - Snapshot entries ({ device, name, before, after })
+   * @param {string} ownerId - Owner of the mode's home
+   * @param {string} userId - User restoring the states
+   * @param {string} onConflict - 'skip', 'force' or 'ask'
+   * @returns {Object} - Per-device results ({ success, unchanged, skipped, pending, failed })
+   * @private
+   */
+  async _restoreDeviceStates(snapshot, ownerId, userId, onConflict = 'ask') {
+    const results = {
+      success: [],
+      unchanged: [],
+      skipped: [],
+      pending: [],
+      failed: [],
+    };
+
+    const devices = await Device.find({
+      _id: { $in: snapshot.map(entry => entry.device) },
+      owner: ownerId,
+    }).select('name owner sharedWith groups powerState settings isOnline').lean();
+    const devicesById = new Map(devices.map(device => [device._id.toString(), device]));
+
+    for (const entry of snapshot) {
+      const deviceId = entry.device.toString();
+      const device = devicesById.get(deviceId);
+      const report = { deviceId, name: device?.name || entry.name };
+
+      if (!device) {
+        results.skipped.push({ ...report, reason: 'deleted' });
+        continue;
+      }
+
+      const properties = this._diffDeviceState(entry.before, device);
+      if (properties.length === 0) {
+        results.unchanged.push(report);
+        continue;
+      }
+
+      if (!device.isOnline) {
+        results.pending.push({ ...report, reason: 'offline', properties });
+        continue;
+      }
+
+      const changedSince = entry.after ? this._diffDeviceState(entry.after, device) : [];
+      if (changedSince.length > 0 && onConflict !== 'force') {
+        (onConflict === 'ask' ? results.pending : results.skipped).push({
+          ...report,
+          reason: 'changed',
+          properties,
+          changedSince,
+        });
+        continue;
+      }
+
+      try {
+        await accessService.authorize('device', device, userId, ACCESS_ACTIONS.CONTROL);
+        await this._applyDeviceState(deviceId, entry.before, device, userId);
+        results.success.push({ ...report, properties, ...(changedSince.length > 0 && { forced: true }) });
+      } catch (error) {
+        results.failed.push({ ...report, properties, error: error.message });
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Private method to list the properties where a device differs from a state
+   * Only settings present in the state are compared.
+   * @private
+   */
+  _diffDeviceState(state, device) {
+    const properties = [];
+
+    if (state.powerState && state.powerState !== device.powerState) {
+      properties.push('powerState');
+    }
+
+    for (const [key, value] of Object.entries(state.settings || {})) {
+      if (value !== undefined && JSON.stringify(value) !== JSON.stringify(device.settings?.[key])) {
+        properties.push(`settings.${key}`);
+      }
+    }
+
+    return properties;
+  }
+
+  /**
+   * Private method to put a device back into a captured state
+   * @private
+   */
+  async _applyDeviceState(deviceId, state, device, userId) {
+    if (state.powerState && state.powerState !== device.powerState) {
+      const action = state.powerState === POWER_STATES.ON ? 'turn_on' : 'turn_off';
+      await deviceService.controlDevice(deviceId, action, {}, userId);
+    }
+
+    const settings = Object.fromEntries(Object.entries(state.settings || {}).filter(([key, value]) =>
+      value !== undefined && JSON.stringify(value) !== JSON.stringify(device.settings?.[key])));
+
+    if (Object.keys(settings).length > 0) {
+      await deviceService.updateDeviceSettings(deviceId, settings, userId);
+    }
+  }
+
+  /**
+   * Private method to hold household consumption within a mode's budget
+   * Notifies once consumption reaches the energyThreshold percentage of
+   * maxUsage (re-armed when it drops back), and past the autoShutdown
+   * threshold turns devices off, lowest priority first (unlisted devices
+   * count as 5) and, within a priority, the largest draw first.
+   * @param {Object} mode - Active mode
+   * @private
+   */
+  async _enforceEnergyBudget(mode) {
+    const { maxUsage = 0, priorityDevices = [], autoShutdown = {} } = mode.settings?.energy || {};
+    const energyThreshold = mode.settings?.notifications?.energyThreshold || {};
+    const now = new Date();
+
+    const devices = await Device.find({ owner: mode.owner }).select('name type powerState isOnline energy');
+    const byId = new Map(devices.map(device => [device._id.toString(), device]));
+
+    // Shed devices turned back on (or removed) stop counting as savings
+    const shedDevices = mode.energyBudget?.shedDevices || [];
+    const restored = shedDevices.filter(entry => {
+      const device = byId.get(entry.device.toString());
+      return !device || device.powerState === POWER_STATES.ON;
+    });
+
+    let consumption = devices.reduce((sum, device) => sum + energyService.getEffectiveWatts(device), 0);
+    const update = {
+      $set: { 'energyBudget.lastCheckedAt': now },
+    };
+
+    if (restored.length > 0) {
+      update.$inc = { 'statistics.energySaved': this._getEnergySaved(restored, now) };
+      update.$pull = { 'energyBudget.shedDevices': { device: { $in: restored.map(entry => entry.device) } } };
+    }
+
+    const percentage = maxUsage > 0 ? (consumption / maxUsage) * 100 : 0;
+
+    if (energyThreshold.enabled && maxUsage > 0) {
+      const notified = Boolean(mode.energyBudget?.thresholdNotifiedAt);
+
+      if (percentage >= (energyThreshold.threshold ?? 80) && !notified) {
+        update.$set['energyBudget.thresholdNotifiedAt'] = now;
+        await this._sendEnergyNotification(mode, {
+          type: 'energy_threshold',
+          message: energyThreshold.message
+            || `${mode.name}: household consumption is at ${Math.round(percentage)}% of its ${maxUsage} W budget`,
+          consumption,
+          percentage,
+        });
+      } else if (percentage < (energyThreshold.threshold ?? 80) && notified) {
+        update.$set['energyBudget.thresholdNotifiedAt'] = null;
+      }
+    }
+
+    const shed = [];
+    const limit = maxUsage * ((autoShutdown.threshold ?? 100) / 100);
+
+    if (autoShutdown.enabled && maxUsage > 0 && consumption > limit) {
+      const priorities = new Map(priorityDevices
+        .filter(entry => entry.device)
+        .map(entry => [entry.device.toString(), entry.priority ?? 5]));
+      const excluded = new Set((autoShutdown.excludeDevices || []).map(id => id.toString()));
+
+      const candidates = devices
+        .map(device => ({
+          device,
+          watts: energyService.getEffectiveWatts(device),
+          priority: priorities.get(device._id.toString()) ?? 5,
+        }))
+        .filter(candidate => candidate.watts > 0 && !excluded.has(candidate.device._id.toString()))
+        .sort((a, b) => a.priority - b.priority || b.watts - a.watts);
+
+      for (const candidate of candidates) {
+        if (consumption <= limit) break;
+
+        try {
+          await deviceService.controlDevice(candidate.device._id, 'turn_off', {}, mode.owner);
+          consumption -= candidate.watts;
+          shed.push({ device: candidate.device._id, watts: candidate.watts, shedAt: now });
+        } catch (error) {
+          logger.warn('Energy budget could not turn off device', {
+            error: error.message,
+            modeId: mode._id,
+            deviceId: candidate.device._id,
+          });
+        }
+      }
+    }
+
+    if (shed.length > 0) {
+      update.$push = { 'energyBudget.shedDevices': { $each: shed } };
+    }
+
+    // $pull and $push cannot target the same array in one update
+    const { $push, ...firstUpdate } = update;
+    await Mode.updateOne({ _id: mode._id, isActive: true }, firstUpdate);
+    if ($push) {
+      await Mode.updateOne({ _id: mode._id, isActive: true }, { $push });
+    }
+
+    if (shed.length > 0) {
+      logger.info(`Energy budget shed devices: ${mode.name}`, {
+        modeId: mode._id,
+        maxUsage,
+        shed: shed.map(entry => entry.device),
+        consumption,
+      });
+
+      await this._sendEnergyNotification(mode, {
+        type: 'energy_shed',
+        message: `${mode.name}: turned off ${shed.map(entry => byId.get(entry.device.toString()).name).join(', ')} to stay within the ${maxUsage} W budget`,
+        consumption,
+        percentage: (consumption / maxUsage) * 100,
+        shed,
+      });
+    }
+  }
+
+  /**
+   * Private method to get the energy saved by shed devices up to a point in time
+   * @param {Array} shedDevices - [{ watts, shedAt }]
+   * @param {Date} until - End of the savings
+   * @returns {number} - kWh
+   * @private
+   */
+  _getEnergySaved(shedDevices, until) {
+    return shedDevices.reduce((sum, entry) =>
+      sum + (entry.watts * Math.max(until - entry.shedAt, 0)) / (1000 * 60 * 60 * 1000), 0
+    );
+  }
+
+  /**
+   * Private method to send an energy budget notification
+   * @param {Object} mode - Mode object
+   * @param {Object} event - { type, message, consumption, percentage, shed }
+   * @private
+   */
+  async _sendEnergyNotification(mode, event) {
+    try {
+      await notificationService.sendNotification(mode.owner, {
+        type: event.type,
+        title: `Energy budget: ${mode.name}`,
+        message: event.message,
+        priority: event.type === 'energy_shed' ? 'high' : 'normal',
+        channels: ['in-app', 'push'],
+        data: {
+          modeId: mode._id,
+          maxUsage: mode.settings.energy.maxUsage,
+          consumption: event.consumption,
+          percentage: Math.round(event.percentage),
+          shedDevices: event.shed?.map(entry => entry.device),
+        },
+      });
+    } catch (error) {
+      logger.error('Energy budget notification failed', {
+        error: error.message,
+        modeId: mode._id,
+      });
+    }
+  }
+
+  /**
+   * Private method to setup auto-activation triggers
+   * `time` triggers of settings.schedule.autoActivate/autoDeactivate run on the
+   * job queue in the owner's timezone (weekly on `days`, otherwise daily).
+   * Occupancy, sun and energy triggers are not scheduled here.
+   * @param {Object} mode - Mode object
+   * @param {string} timezone - Owner timezone (looked up when omitted)
+   * @private
+   */
+  async _setupAutoActivationTriggers(mode, timezone) {
+    await jobQueueService.cancelByPrefix(`${this._scheduleJobPrefix(mode._id)}auto:`);
+
+    const zone = timezone || await this._getOwnerTimezone(mode.owner);
+    let triggersCount = 0;
+
+    for (const [setting, action] of [['autoActivate', 'activate'], ['autoDeactivate', 'deactivate']]) {
+      const settings = mode.settings?.schedule?.[setting];
+      if (!settings?.enabled) {
+        continue;
+      }
+
+      for (const trigger of settings.triggers || []) {
+        if (!trigger.isActive || trigger.type !== 'time') {
+          continue;
+        }
+
+        const days = [...(trigger.days || [])];
+        const schedule = {
+          type: days.length > 0 ? 'weekly' : 'daily',
+          time: trigger.value?.time || trigger.value,
+          days,
+        };
+
+        try {
+          const job = await this._enqueueModeSchedule(mode, `${this._scheduleJobPrefix(mode._id)}auto:${trigger._id}`, schedule, zone, {
+            action,
+            setting,
+            triggerId: trigger._id.toString(),
+          });
+          if (job) {
+            triggersCount += 1;
+          }
+        } catch (error) {
+          logger.warn('Invalid mode schedule trigger skipped', {
+            error: error.message,
+            modeId: mode._id,
+            triggerId: trigger._id,
+          });
+        }
+      }
+    }
+
+    logger.info('Auto-activation triggers setup for mode', {
+      modeId: mode._id,
+      triggersCount,
+    });
+  }
+
+  /**
+   * Private method to queue the next run of a mode schedule entry
+   * @param {Object} mode - Mode document
+   * @param {Object} entry - Schedule subdocument
+   * @param {string} timezone - Owner timezone
+   * @returns {Object|null} - Queued job, or null if the schedule has no upcoming runs
+   * @private
+   */
+  async _scheduleModeSchedule(mode, entry, timezone) {
+    return this._enqueueModeSchedule(mode, this._scheduleJobKey(mode._id, entry._id), entry.toObject().schedule, timezone, {
+      scheduleId: entry._id.toString(),
+    });
+  }
+
+  /**
+   * Private method to queue a mode schedule job; recurring schedules re-arm
+   * themselves after each run
+   * @private
+   */
+  async _enqueueModeSchedule(mode, key, schedule, timezone, payload) {
+    const runAt = schedulerService.nextOccurrence(schedule, timezone);
+    if (!runAt) {
+      return null;
+    }
+
+    const { type, time, date, days, cronExpression } = schedule;
+
+    return jobQueueService.enqueue('mode_schedule', {
+      key,
+      payload: {
+        modeId: mode._id.toString(),
+        userId: mode.owner.toString(),
+        ...payload,
+      },
+      runAt,
+      recurrence: type === 'once' ? undefined : { type, time, date, days, cronExpression, timezone },
+      owner: mode.owner,
+    });
+  }
+
+  /**
+   * Private method to run a due mode schedule (job queue handler)
+   * @param {Object} job - Job document
+   * @returns {Object} - Job result
+   * @private
+   */
+  async _runModeSchedule(job) {
+    const { modeId, userId, scheduleId, setting, triggerId } = job.payload;
+
+    const mode = await Mode.findOne({ _id: modeId, owner: userId });
+    if (!mode) {
+      return { rearm: false, skipped: true };
+    }
+
+    let action = job.payload.action;
+    let duration;
+    let triggeredBy = { type: 'schedule', id: triggerId, name: setting };
+
+    if (scheduleId) {
+      const entry = mode.schedules.id(scheduleId);
+      if (!entry?.isActive) {
+        logger.debug('Mode schedule no longer active, dropping job', { modeId, scheduleId });
+        return { rearm: false, skipped: true };
+      }
+
+      action = entry.action;
+      duration = entry.duration?.value ? entry.toObject().duration : undefined;
+      triggeredBy = { type: 'schedule', id: entry._id, name: entry.name };
+
+      await Mode.updateOne(
+        { _id: modeId, 'schedules._id': scheduleId },
+        {
+          $set: {
+            'schedules.$.lastRunAt': new Date(),
+            ...(entry.schedule.type === 'once' && { 'schedules.$.isActive': false }),
+          },
+        }
+      );
+    } else {
+      const settings = mode.settings?.schedule?.[setting];
+      if (!settings?.enabled || !settings.triggers.id(triggerId)?.isActive) {
+        return { rearm: false, skipped: true };
+      }
+    }
+
+    // Nothing to do if the mode is already in the scheduled state
+    if (mode.isActive === (action === 'activate')) {
+      return { action, skipped: true };
+    }
+
+    if (action === 'activate') {
+      const { executionResults } = await this.activateMode(modeId, { duration, triggeredBy }, userId);
+      return {
+        action,
+        actionsExecuted: executionResults.success.length,
+        actionsFailed: executionResults.failed.length,
+      };
+    }
+
+    await this.deactivateMode(modeId, userId, { triggeredBy });
+    return { action };
+  }
+
+  /**
+   * Private method to end a timed activation (job queue handler)
+   * @param {Object} job - Job document
+   * @returns {Object} - Job result
+   * @private
+   */
+  async _runTimedDeactivation(job) {
+    const { modeId, userId } = job.payload;
+
+    const mode = await Mode.findOne({ _id: modeId, owner: userId }).select('isActive');
+    if (!mode?.isActive) {
+      return { skipped: true };
+    }
+
+    await this.deactivateMode(modeId, userId, {
+      triggeredBy: { type: 'schedule', name: 'duration' },
+    });
+    return { deactivated: true };
+  }
+
+  /**
+   * Private method to settle an activation with the user's other active modes:
+   * modes sharing its category are deactivated, and device properties shared
+   * with the rest are arbitrated by priority. The user must be allowed to
+   * control every mode the activation turns off.
+   * @param {Object} mode - Mode being activated
+   * @param {string} userId - User activating the mode
+   * @returns {Object} - { category, deactivated, overridden, yielded }
+   * @private
+   */
+  async _resolveActiveModes(mode, userId) {
+    const activeModes = await Mode.find({ owner: mode.owner, isActive: true, _id: { $ne: mode._id } });
+    const triggeredBy = { type: 'mode', id: mode._id, name: mode.name };
+    const resolution = { category: mode.category, deactivated: [], overridden: [], yielded: [] };
+    const replaced = activeModes.filter(activeMode => mode.sharesCategoryWith(activeMode));
+    const coexisting = activeModes.filter(activeMode => !mode.sharesCategoryWith(activeMode));
+
+    // Check them all first, so a refusal leaves every mode as it was
+    for (const activeMode of replaced) {
+      await accessService.authorize('mode', activeMode, userId, ACCESS_ACTIONS.CONTROL);
+    }
+
+    for (const activeMode of replaced) {
+      await this._endActivation(activeMode, { triggeredBy });
+      await this._broadcastModeChange(activeMode, 'deactivated', { triggeredBy });
+      resolution.deactivated.push({
+        id: activeMode._id,
+        name: activeMode.name,
+        category: activeMode.category,
+        priority: activeMode.priority,
+      });
+    }
+
+    if (coexisting.length > 0) {
+      const snapshot = await simulationService.createSnapshot(mode.owner);
+      Object.assign(resolution, await simulationService.arbitrate(mode, coexisting, snapshot));
+    }
+
+    return resolution;
+  }
+
+  /**
+   * Private method to push a mode_change event to the sockets of every user
+   * who can see the mode
+   * @param {Object} mode - Mode that changed
+   * @param {string} event - 'activated' or 'deactivated'
+   * @param {Object} details - { triggeredBy, resolution }
+   * @private
+   */
+  async _broadcastModeChange(mode, event, details = {}) {
+    try {
+      const userIds = await accessService.getUsersWithAccess('mode', mode, ACCESS_ACTIONS.VIEW);
+      socketServer.broadcastModeChange(userIds, {
+        event,
+        mode: {
+          id: mode._id,
+          name: mode.name,
+          category: mode.category,
+          priority: mode.priority,
+          isActive: mode.isActive,
+        },
+        ...details,
+      });
+    } catch (error) {
+      logger.warn('Mode change broadcast failed', {
+        error: error.message,
+        modeId: mode._id,
+      });
+    }
+  }
+
+  /**
+   * Private method to mark a mode inactive: credits its active time and the
+   * energy saved by devices still shed, cancels any timed deactivation and
+   * closes its history entry
+   * @param {Object} mode - Active mode document
+   * @param {Object} options - { triggeredBy, restorationResults, baseline, save }
+   * @private
+   */
+  async _endActivation(mode, { triggeredBy, restorationResults = null, baseline, save = true } = {}) {
+    const now = new Date();
+
+    // Credit the energy saved by devices still shed
+    const saved = this._getEnergySaved(mode.energyBudget?.shedDevices || [], now);
+    mode.statistics.energySaved += saved;
+    mode.energyBudget = { shedDevices: [], thresholdNotifiedAt: null, lastCheckedAt: null };
+
+    if (mode.activatedAt) {
+      mode.statistics.totalActiveTime += (now - mode.activatedAt) / 60000;
+    }
+
+    mode.isActive = false;
+    mode.deactivatedAt = now;
+    mode.scheduledDeactivation = null;
+
+    if (save) {
+      await mode.save();
+    }
+    await jobQueueService.cancel(this._deactivationJobKey(mode._id));
+
+    await this._recordDeactivation(mode, { triggeredBy, restorationResults, saved, baseline });
+  }
+
+  /**
+   * Private method to open a history entry for an activation
+   * Failures are logged, never thrown.
+   * @param {Object} mode - Activated mode
+   * @param {Object} details - { triggeredBy, executionResults, baseline, snapshot }
+   * @private
+   */
+  async _recordActivation(mode, { triggeredBy, executionResults, baseline, snapshot }) {
+    try {
+      const watts = await this._getHouseholdWatts(mode.owner);
+
+      await ModeActivation.create({
+        mode: mode._id,
+        owner: mode.owner,
+        activatedAt: mode.activatedAt,
+        activatedBy: triggeredBy,
+        actionResults: executionResults,
+        snapshot,
+        energy: {
+          baseline,
+          activationDelta: watts - baseline,
+        },
+      });
+    } catch (error) {
+      logger.error('Record mode activation failed', {
+        error: error.message,
+        modeId: mode._id,
+      });
+    }
+  }
+
+  /**
+   * Private method to close the open history entry of a mode
+   * Failures are logged, never thrown.
+   * @param {Object} mode - Deactivated mode
+   * @param {Object} details - { triggeredBy, restorationResults, saved, baseline }
+   * @private
+   */
+  async _recordDeactivation(mode, { triggeredBy, restorationResults, saved, baseline }) {
+    try {
+      const activation = await this._getOpenActivation(mode._id);
+      if (!activation) {
+        return;
+      }
+
+      activation.deactivatedAt = mode.deactivatedAt;
+      activation.deactivatedBy = triggeredBy || { type: 'system' };
+      activation.restorationResults = restorationResults;
+      activation.duration = Math.round(((mode.deactivatedAt - activation.activatedAt) / 60000) * 100) / 100;
+      activation.energy.saved = saved;
+      if (baseline !== undefined) {
+        activation.energy.deactivationDelta = await this._getHouseholdWatts(mode.owner) - baseline;
+      }
+
+      await activation.save();
+    } catch (error) {
+      logger.error('Record mode deactivation failed', {
+        error: error.message,
+        modeId: mode._id,
+      });
+    }
+  }
+
+  /**
+   * Private method to get the history entry of a mode's running activation
+   * @private
+   */
+  async _getOpenActivation(modeId) {
+    return ModeActivation.findOne({
+      mode: modeId,
+      deactivatedAt: null,
+    }).sort({ activatedAt: -1 });
+  }
+
+  /**
+   * Private method to get a household's current draw in watts
+   * @private
+   */
+  async _getHouseholdWatts(userId) {
+    const devices = await Device.find({ owner: userId }).select('powerState isOnline energy');
+    return devices.reduce((sum, device) => sum + energyService.getEffectiveWatts(device), 0);
+  }
+
+  /**
+   * Private method to get the automatic deactivation delay from settings
+   * @param {Object} mode - Mode document
+   * @returns {Object|null} - { value, unit } or null
+   * @private
+   */
+  _getAutoDeactivateDuration(mode) {
+    const autoDeactivate = mode.settings?.schedule?.autoDeactivate;
+    return autoDeactivate?.enabled && autoDeactivate.duration
+      ? { value: autoDeactivate.duration, unit: 'minutes' }
+      : null;
+  }
+
+  /**
+   * @private
+   */
+  _formatSchedule(entry, nextRun) {
+    return {
+      ...entry.toObject(),
+      id: entry._id,
+      nextRun: nextRun || null,
+    };
+  }
+
+  /**
+   * Private method to get the timezone mode schedules run in
+   * @private
+   */
+  async _getOwnerTimezone(ownerId) {
+    const owner = await User.findById(ownerId).select('timezone');
+    return owner?.timezone || 'UTC';
+  }
+
+  /**
+   * @private
+   */
+  _scheduleJobPrefix(modeId) {
+    return `mode_schedule:${modeId}:`;
+  }
+
+  /**
+   * @private
+   */
+  _scheduleJobKey(modeId, scheduleId) {
+    return `${this._scheduleJobPrefix(modeId)}${scheduleId}`;
+  }
+
+  /**
+   * @private
+   */
+  _deactivationJobKey(modeId) {
+    return `mode_deactivate:${modeId}`;
   }
 }
 
@@ -0,0 +1,313 @@
+import mongoose from 'mongoose';
+import mqtt from 'mqtt';
+import config from '../config/index.js';
+import logger from '../utils/logger.js';
+import { DEVICE_STATUS } from '../config/constants.js';
+import deviceService from './deviceService.js';
+import socketServer from '../socket/socketServer.js';
+
+/**
+ * MQTT Bridge
+ * Owns the broker connection and translates between MQTT topics and devices.
+ *
+ * Topics (relative to `config.mqtt.topicPrefix`):
+ *   <deviceId>/state      - device reported state (powerState, settings, status)
+ *   <deviceId>/telemetry  - sensor and energy readings
+ *   <deviceId>/status     - "online" / "offline"; devices should register this
+ *                           topic as their Last Will with payload "offline"
+ *   <deviceId>/command    - commands published by the server
+ *   <deviceId>/ack        - command acknowledgements from the device
+ */
+class MqttBridge {
+  constructor() {
+    this.client = null;
+    this.pendingAcks = new Map(); // Map of commandId -> settle callback
+  }
+
+  /**
+   * Connect to the broker and subscribe to device topics
+   * @returns {Object} - MQTT client
+   */
+  start() {
+    if (this.client) {
+      return this.client;
+    }
+
+    const serverStatusTopic = this._topic('server', 'status');
+
+    this.client = mqtt.connect(config.mqtt.url, {
+      username: config.mqtt.username,
+      password: config.mqtt.password,
+      clientId: `smarthome-server-${process.pid}`,
+      reconnectPeriod: 5000,
+      will: {
+        topic: serverStatusTopic,
+        payload: 'offline',
+        qos: 1,
+        retain: true,
+      },
+    });
+
+    this.client.on('connect', () => {
+      logger.info('MQTT bridge connected', { url: config.mqtt.url });
+
+      this.client.publish(serverStatusTopic, 'online', { qos: 1, retain: true });
+      this.client.subscribe([
+        this._topic('+', 'state'),
+        this._topic('+', 'telemetry'),
+        this._topic('+', 'status'),
+        this._topic('+', 'ack'),
+      ], { qos: 1 }, (error) => {
+        if (error) {
+          logger.error('MQTT bridge subscription failed', { error: error.message });
+        }
+      });
+    });
+
+    this.client.on('message', (topic, message) => {
+      this._handleMessage(topic, message).catch(error => {
+        logger.error('MQTT message handling failed', {
+          error: error.message,
+          topic,
+        });
+      });
+    });
+
+    this.client.on('error', (error) => {
+      logger.error('MQTT bridge error', { error: error.message });
+    });
+
+    this.client.on('offline', () => {
+      logger.warn('MQTT bridge disconnected from broker', { url: config.mqtt.url });
+    });
+
+    return this.client;
+  }
+
+  /**
+   * Disconnect from the broker
+   */
+  async stop() {
+    if (!this.client) {
+      return;
+    }
+
+    if (this.client.connected) {
+      // A clean disconnect does not trigger the Last Will, so announce it explicitly
+      await this.client.publishAsync(this._topic('server', 'status'), 'offline', { qos: 0, retain: true });
+    }
+
+    await this.client.endAsync();
+    this.client = null;
+    this.pendingAcks.clear();
+
+    logger.info('MQTT bridge stopped');
+  }
+
+  /**
+   * Publish a command to a device and wait for its acknowledgement
+   * @param {Object} device - Device document
+   * @param {Object} command - Command payload (must carry a unique `id`)
+   * @param {AbortSignal} signal - Aborts the wait (e.g. on timeout)
+   * @returns {Object} - Acknowledgement payload sent by the device
+   */
+  async publishCommand(device, command, signal) {
+    const client = this.start();
+    await this._waitForConnection(client, signal);
+
+    return new Promise((resolve, reject) => {
+      const onAbort = () => {
+        this.pendingAcks.delete(command.id);
+        reject(signal.reason);
+      };
+      signal?.addEventListener('abort', onAbort, { once: true });
+
+      this.pendingAcks.set(command.id, (payload) => {
+        signal?.removeEventListener('abort', onAbort);
+        resolve(payload);
+      });
+
+      client.publish(this._topic(device._id, 'command'), JSON.stringify(command), { qos: 1 }, (error) => {
+        if (error) {
+          this.pendingAcks.delete(command.id);
+          signal?.removeEventListener('abort', onAbort);
+          reject(error);
+        }
+      });
+    });
+  }
+
+  /**
+   * Check whether the bridge is connected to the broker
+   * @returns {boolean}
+   */
+  isConnected() {
+    return Boolean(this.client?.connected);
+  }
+
+  /**
+   * Route an incoming message by topic channel
+   * @param {string} topic - MQTT topic
+   * @param {Buffer} message - Raw payload
+   * @private
+   */
+  async _handleMessage(topic, message) {
+    const [deviceId, channel] = topic.slice(config.mqtt.topicPrefix.length + 1).split('/');
+
+    if (!mongoose.isValidObjectId(deviceId)) {
+      return;
+    }
+
+    const payload = this._parsePayload(message);
+
+    switch (channel) {
+      case 'ack':
+        this._settleAck(payload);
+        break;
+      case 'status':
+        await this._applyStatus(deviceId, payload);
+        break;
+      case 'state':
+      case 'telemetry':
+        await this._applyState(deviceId, payload);
+        break;
+      default:
+        break;
+    }
+  }
+
+  /**
+   * Apply a Last Will / presence message
+   * @private
+   */
+  async _applyStatus(deviceId, payload) {
+    let online;
+    if (typeof payload === 'string') {
+      online = payload.toLowerCase() === 'online';
+    } else if (typeof payload === 'boolean') {
+      online = payload;
+    } else {
+      online = Boolean(payload?.online ?? payload?.isOnline);
+    }
+
+    const device = await deviceService.updateDeviceStatus(deviceId, {
+      isOnline: online,
+      status: online ? DEVICE_STATUS.ONLINE : DEVICE_STATUS.OFFLINE,
+    });
+
+    this._broadcast(device);
+
+    logger.info(`Device ${online ? 'online' : 'offline'} via MQTT: ${device.name}`, {
+      deviceId,
+    });
+  }
+
+  /**
+   * Map a state or telemetry payload onto the Device schema
+   * @private
+   */
+  async _applyState(deviceId, payload) {
+    if (!payload || typeof payload !== 'object') {
+      return;
+    }
+
+    const statusData = { isOnline: true };
+
+    if (payload.powerState !== undefined) {
+      statusData.powerState = payload.powerState;
+    }
+
+    if (payload.status !== undefined) {
+      statusData.status = payload.status;
+    }
+
+    if (payload.settings) {
+      statusData.settings = payload.settings;
+    }
+
+    if (payload.energy) {
+      statusData.energy = payload.energy;
+    } else if (payload.power !== undefined) {
+      statusData.energy = { currentUsage: payload.power };
+    }
+
+    if (payload.sensors) {
+      statusData.sensors = payload.sensors;
+    }
+
+    if (payload.timestamp) {
+      statusData.timestamp = new Date(payload.timestamp);
+    }
+
+    const device = await deviceService.updateDeviceStatus(deviceId, statusData);
+    this._broadcast(device);
+  }
+
+  /**
+   * @private
+   */
+  _settleAck(payload) {
+    const settle = payload?.id && this.pendingAcks.get(payload.id);
+    if (settle) {
+      this.pendingAcks.delete(payload.id);
+      settle(payload);
+    }
+  }
+
+  /**
+   * @private
+   */
+  _broadcast(device) {
+    socketServer.broadcastDeviceUpdate(device._id.toString(), {
+      status: device.status,
+      powerState: device.powerState,
+      isOnline: device.isOnline,
+      settings: device.settings,
+      energy: device.energy,
+      lastSeen: device.lastSeen,
+    });
+  }
+
+  /**
+   * Resolve once the client is connected, or reject if aborted first
+   * @private
+   */
+  _waitForConnection(client, signal) {
+    if (client.connected) {
+      return Promise.resolve();
+    }
+
+    return new Promise((resolve, reject) => {
+      const onConnect = () => {
+        signal?.removeEventListener('abort', onAbort);
+        resolve();
+      };
+      const onAbort = () => {
+        client.removeListener('connect', onConnect);
+        reject(signal.reason);
+      };
+
+      client.once('connect', onConnect);
+      signal?.addEventListener('abort', onAbort, { once: true });
+    });
+  }
+
+  /**
+   * Parse a payload as JSON, falling back to the raw string
+   * @private
+   */
+  _parsePayload(message) {
+    const text = message.toString();
+    try {
+      return JSON.parse(text);
+    } catch (error) {
+      return text;
+    }
+  }
+
+  _topic(deviceId, channel) {
+    return `${config.mqtt.topicPrefix}/${deviceId}/${channel}`;
+  }
+}
+
+export default new MqttBridge();
@@ -1,7 +1,12 @@
+import mongoose from 'mongoose';
 import logger from '../utils/logger.js';
 import nodemailer from 'nodemailer';
 import Device from '../models/Device.js';
+import Notification from '../models/Notification.js';
 import User from '../models/User.js';
+import config from '../config/index.js';
+import { NotFoundError } from '../utils/errors.js';
+import jobQueueService from './jobQueueService.js';
 
 /**
  * Notification Service
@@ -11,12 +16,12 @@ import User from '../models/User.js';
 class NotificationService {
   constructor() {
     this.emailTransporter = null;
-    this.notificationQueue = [];
     this.templates = new Map();
-    this.deliveryTracking = new Map();
     
     this._initializeEmailTransporter();
     this._loadNotificationTemplates();
+
+    jobQueueService.registerHandler('notification_delivery', (job) => this._retryDelivery(job));
   }
 
   /**
@@ -48,37 +53,22 @@ class NotificationService {
       }
 
       // Create notification record
-      const notificationRecord = {
-        id: this._generateNotificationId(),
-        userId,
+      const notificationRecord = await Notification.create({
+        user: userId,
         type,
         title,
         message,
         priority,
         channels: enabledChannels,
         data,
-        status: 'pending',
-        createdAt: new Date(),
-        attempts: 0,
-        deliveryResults: {},
-      };
-
-      // Add to queue
-      this.notificationQueue.push(notificationRecord);
+        deliveries: enabledChannels.map(channel => ({ channel })),
+      });
 
       // Process notification
       const deliveryResults = await this._processNotification(notificationRecord, user);
 
-      // Update notification record
-      notificationRecord.status = deliveryResults.success ? 'delivered' : 'failed';
-      notificationRecord.deliveryResults = deliveryResults;
-      notificationRecord.deliveredAt = deliveryResults.success ? new Date() : null;
-
-      // Store delivery tracking
-      this.deliveryTracking.set(notificationRecord.id, notificationRecord);
-
       logger.info('Notification processed', {
-        notificationId: notificationRecord.id,
+        notificationId: notificationRecord._id,
         userId,
         type,
         success: deliveryResults.success,
@@ -86,7 +76,7 @@ class NotificationService {
       });
 
       return {
-        notificationId: notificationRecord.id,
+        notificationId: notificationRecord._id,
         sent: deliveryResults.success,
         channels: enabledChannels,
         deliveryResults,
@@ -326,6 +316,55 @@ class NotificationService {
     }
   }
 
+  /**
+   * Send a household invite
+   * Registered users get it in-app and by email; anyone else by email only.
+   * @param {string} email - Invitee email
+   * @param {Object} invite - { homeName, inviterName, role, expiresAt }
+   * @returns {Object} - Delivery result
+   */
+  async sendHomeInvite(email, invite) {
+    try {
+      const { token, ...details } = invite;
+      const notification = {
+        type: 'home_invite',
+        title: `Invitation to ${invite.homeName}`,
+        message: `${invite.inviterName} invited you to join ${invite.homeName} as ${invite.role}.`,
+        priority: 'normal',
+        channels: ['in-app'],
+        data: {
+          ...details,
+          email,
+          inviteUrl: `${config.frontend.url}/invites`,
+        },
+      };
+
+      // The accept link carries the invite token, so it only goes to the
+      // mailbox and never into the stored in-app notification
+      const sent = await this._sendEmailNotification({
+        ...notification,
+        data: {
+          ...notification.data,
+          inviteUrl: `${config.frontend.url}/invites/${invite.inviteId}?token=${encodeURIComponent(token)}`,
+        },
+      }, { email });
+      logger.info('Home invite emailed', { email, sent });
+
+      const user = await User.findByEmail(email).select('_id');
+      if (user) {
+        return { ...await this.sendNotification(user._id, notification), emailed: sent };
+      }
+
+      return { sent, channels: ['email'] };
+    } catch (error) {
+      logger.error('Send home invite failed', {
+        error: error.message,
+        email,
+      });
+      throw error;
+    }
+  }
+
   /**
    * Get user notifications
    * @param {string} userId - User ID
@@ -344,44 +383,37 @@ class NotificationService {
         sortOrder = 'desc',
       } = options;
 
-      // Filter notifications for this user
-      let notifications = Array.from(this.deliveryTracking.values())
-        .filter(n => n.userId === userId);
+      const query = { user: userId };
 
       // Apply filters
       if (type) {
-        notifications = notifications.filter(n => n.type === type);
+        query.type = type;
       }
 
       if (unread !== null) {
-        notifications = notifications.filter(n => 
-          unread ? !n.readAt : !!n.readAt
-        );
+        query.readAt = unread ? null : { $ne: null };
       }
 
       if (priority) {
-        notifications = notifications.filter(n => n.priority === priority);
+        query.priority = priority;
       }
 
-      // Sort notifications
-      notifications.sort((a, b) => {
-        const aValue = a[sortBy];
-        const bValue = b[sortBy];
-        
-        if (sortOrder === 'desc') {
-          return new Date(bValue) - new Date(aValue);
-        } else {
-          return new Date(aValue) - new Date(bValue);
-        }
-      });
-
-      // Paginate
       const skip = (page - 1) * limit;
-      const paginatedNotifications = notifications.slice(skip, skip + limit);
+      const sort = { [sortBy]: sortOrder === 'desc' ? -1 : 1 };
+
+      const [notifications, total, summary] = await Promise.all([
+        Notification.find(query)
+          .select('-deliveries')
+          .sort(sort)
+          .skip(skip)
+          .limit(limit),
+        Notification.countDocuments(query),
+        this._getUserSummary(userId),
+      ]);
 
       const result = {
-        notifications: paginatedNotifications.map(n => ({
-          id: n.id,
+        notifications: notifications.map(n => ({
+          id: n._id,
           type: n.type,
           title: n.title,
           message: n.message,
@@ -389,24 +421,20 @@ class NotificationService {
           status: n.status,
           data: n.data,
           createdAt: n.createdAt,
-          readAt: n.readAt || null,
-          deliveredAt: n.deliveredAt || null,
+          readAt: n.readAt,
+          deliveredAt: n.deliveredAt,
         })),
         pagination: {
           page,
           limit,
-          total: notifications.length,
-          pages: Math.ceil(notifications.length / limit),
+          total,
+          pages: Math.ceil(total / limit),
         },
         summary: {
-          total: notifications.length,
-          unread: notifications.filter(n => !n.readAt).length,
-          byPriority: {
-            high: notifications.filter(n => n.priority === 'high').length,
-            normal: notifications.filter(n => n.priority === 'normal').length,
-            low: notifications.filter(n => n.priority === 'low').length,
-          },
-          byType: this._getNotificationsByType(notifications),
+          total: summary.total,
+          unread: summary.unread,
+          byPriority: summary.byPriority,
+          byType: summary.byType,
         },
       };
 
@@ -434,19 +462,13 @@ class NotificationService {
    */
   async markNotificationAsRead(userId, notificationId) {
     try {
-      const notification = this.deliveryTracking.get(notificationId);
-      
-      if (!notification) {
-        throw new Error('Notification not found');
-      }
+      const notification = await this._findUserNotification(userId, notificationId);
 
-      if (notification.userId !== userId) {
-        throw new Error('Unauthorized access to notification');
+      if (!notification.readAt) {
+        notification.readAt = new Date();
+        await notification.save();
       }
 
-      notification.readAt = new Date();
-      this.deliveryTracking.set(notificationId, notification);
-
       logger.debug('Notification marked as read', {
         userId,
         notificationId,
@@ -470,16 +492,11 @@ class NotificationService {
    */
   async markAllNotificationsAsRead(userId) {
     try {
-      let updatedCount = 0;
-      const now = new Date();
-
-      for (const [id, notification] of this.deliveryTracking) {
-        if (notification.userId === userId && !notification.readAt) {
-          notification.readAt = now;
-          this.deliveryTracking.set(id, notification);
-          updatedCount++;
-        }
-      }
+      const result = await Notification.updateMany(
+        { user: userId, readAt: null },
+        { readAt: new Date() }
+      );
+      const updatedCount = result.modifiedCount;
 
       logger.info('All notifications marked as read', {
         userId,
@@ -504,17 +521,14 @@ class NotificationService {
    */
   async deleteNotification(userId, notificationId) {
     try {
-      const notification = this.deliveryTracking.get(notificationId);
-      
-      if (!notification) {
-        throw new Error('Notification not found');
-      }
+      const notification = await this._findUserNotification(userId, notificationId);
 
-      if (notification.userId !== userId) {
-        throw new Error('Unauthorized access to notification');
-      }
+      // Drop any pending delivery retries
+      await Promise.all(notification.deliveries.map(delivery =>
+        jobQueueService.cancel(this._deliveryJobKey(notification._id, delivery.channel))
+      ));
 
-      this.deliveryTracking.delete(notificationId);
+      await notification.deleteOne();
 
       logger.debug('Notification deleted', {
         userId,
@@ -575,39 +589,31 @@ class NotificationService {
    */
   async getNotificationStatistics(userId) {
     try {
-      const userNotifications = Array.from(this.deliveryTracking.values())
-        .filter(n => n.userId === userId);
-
       const now = new Date();
       const thirtyDaysAgo = new Date(now.getTime() - (30 * 24 * 60 * 60 * 1000));
       const sevenDaysAgo = new Date(now.getTime() - (7 * 24 * 60 * 60 * 1000));
 
-      const recent = userNotifications.filter(n => 
-        new Date(n.createdAt) >= thirtyDaysAgo
-      );
-
-      const thisWeek = userNotifications.filter(n => 
-        new Date(n.createdAt) >= sevenDaysAgo
-      );
+      const [summary, thisWeek, thisMonth, read, byStatus] = await Promise.all([
+        this._getUserSummary(userId),
+        Notification.countDocuments({ user: userId, createdAt: { $gte: sevenDaysAgo } }),
+        Notification.countDocuments({ user: userId, createdAt: { $gte: thirtyDaysAgo } }),
+        Notification.countDocuments({ user: userId, readAt: { $ne: null } }),
+        this._countBy(userId, 'status'),
+      ]);
 
       const statistics = {
-        total: userNotifications.length,
-        unread: userNotifications.filter(n => !n.readAt).length,
-        thisWeek: thisWeek.length,
-        thisMonth: recent.length,
-        byType: this._getNotificationsByType(userNotifications),
-        byPriority: {
-          high: userNotifications.filter(n => n.priority === 'high').length,
-          normal: userNotifications.filter(n => n.priority === 'normal').length,
-          low: userNotifications.filter(n => n.priority === 'low').length,
-        },
+        total: summary.total,
+        unread: summary.unread,
+        thisWeek,
+        thisMonth,
+        byType: summary.byType,
+        byPriority: summary.byPriority,
         deliveryStats: {
-          delivered: userNotifications.filter(n => n.status === 'delivered').length,
-          failed: userNotifications.filter(n => n.status === 'failed').length,
-          pending: userNotifications.filter(n => n.status === 'pending').length,
+          delivered: byStatus.delivered || 0,
+          failed: byStatus.failed || 0,
+          pending: byStatus.pending || 0,
         },
-        readRate: userNotifications.length > 0 ? 
-          (userNotifications.filter(n => n.readAt).length / userNotifications.length) * 100 : 0,
+        readRate: summary.total > 0 ? (read / summary.total) * 100 : 0,
       };
 
       logger.debug('Notification statistics retrieved', {
@@ -695,6 +701,16 @@ class NotificationService {
       `,
     });
 
+    this.templates.set('home_invite_email', {
+      subject: 'Invitation to {{homeName}}',
+      html: `
+        <h2>You're invited to {{homeName}}</h2>
+        <p>{{inviterName}} invited you to join their home as <strong>{{role}}</strong>.</p>
+        <p>Sign in or create an account with {{email}}, then open <a href="{{inviteUrl}}">this link</a> to accept or decline. The link is for you only.</p>
+        <p>The invitation expires on {{expiresAt}}.</p>
+      `,
+    });
+
     logger.debug('Notification templates loaded');
   }
 
@@ -712,52 +728,162 @@ class NotificationService {
     };
 
     // Process each channel
-    for (const channel of notification.channels) {
+    for (const delivery of notification.deliveries) {
+      const { channel } = delivery;
+      delivery.attempts += 1;
+
       try {
-        let channelResult = false;
-
-        switch (channel) {
-          case 'email':
-            channelResult = await this._sendEmailNotification(notification, user);
-            break;
-          case 'push':
-            channelResult = await this._sendPushNotification(notification, user);
-            break;
-          case 'sms':
-            channelResult = await this._sendSMSNotification(notification, user);
-            break;
-          case 'in-app':
-            channelResult = true; // In-app notifications are stored in memory/database
-            break;
-          default:
-            logger.warn('Unknown notification channel', { channel });
-        }
+        await this._deliverChannel(channel, notification, user);
 
+        delivery.status = 'sent';
+        delivery.sentAt = new Date();
         results.channels[channel] = {
-          success: channelResult,
-          sentAt: channelResult ? new Date() : null,
+          success: true,
+          sentAt: delivery.sentAt,
         };
-
-        if (channelResult) {
-          results.success = true;
-        }
+        results.success = true;
       } catch (error) {
         logger.error(`${channel} notification failed`, {
           error: error.message,
-          notificationId: notification.id,
+          notificationId: notification._id,
         });
-        
+
+        delivery.lastError = error.message;
         results.channels[channel] = {
           success: false,
           error: error.message,
         };
         results.errors.push(`${channel}: ${error.message}`);
+
+        await this._scheduleRetry(notification, delivery);
       }
     }
 
+    notification.refreshStatus();
+    await notification.save();
+
     return results;
   }
 
+  /**
+   * Private method to send a notification over one channel
+   * @param {string} channel - Delivery channel
+   * @param {Object} notification - Notification record
+   * @param {Object} user - User object
+   * @throws {Error} - When the channel did not accept the notification
+   * @private
+   */
+  async _deliverChannel(channel, notification, user) {
+    let delivered = false;
+
+    switch (channel) {
+      case 'email':
+        delivered = await this._sendEmailNotification(notification, user);
+        break;
+      case 'push':
+        delivered = await this._sendPushNotification(notification, user);
+        break;
+      case 'sms':
+        delivered = await this._sendSMSNotification(notification, user);
+        break;
+      case 'in-app':
+        delivered = true; // In-app notifications are the stored record itself
+        break;
+      default:
+        throw new Error(`Unknown notification channel: ${channel}`);
+    }
+
+    if (!delivered) {
+      throw new Error(`${channel} delivery was not accepted`);
+    }
+  }
+
+  /**
+   * Private method to queue a delivery retry. Retries back off exponentially
+   * (see `config.jobs.retryDelay`) up to `config.notifications.maxDeliveryAttempts`.
+   * @param {Object} notification - Notification record
+   * @param {Object} delivery - Failed channel delivery
+   * @private
+   */
+  async _scheduleRetry(notification, delivery) {
+    const retries = config.notifications.maxDeliveryAttempts - 1;
+    if (retries < 1) {
+      delivery.status = 'failed';
+      return;
+    }
+
+    delivery.nextAttemptAt = new Date(Date.now() + config.jobs.retryDelay);
+
+    await jobQueueService.enqueue('notification_delivery', {
+      key: this._deliveryJobKey(notification._id, delivery.channel),
+      payload: {
+        notificationId: notification._id.toString(),
+        channel: delivery.channel,
+      },
+      runAt: delivery.nextAttemptAt,
+      maxAttempts: retries,
+      owner: notification.user,
+    });
+  }
+
+  /**
+   * Private method to retry a failed channel (job queue handler)
+   * @param {Object} job - Job document
+   * @private
+   */
+  async _retryDelivery(job) {
+    const { notificationId, channel } = job.payload;
+
+    const notification = await Notification.findById(notificationId);
+    const delivery = notification?.getDelivery(channel);
+    if (!delivery || delivery.status !== 'pending') {
+      return { skipped: true };
+    }
+
+    const user = await User.findById(notification.user).select('notificationPreferences email');
+    if (!user) {
+      delivery.status = 'failed';
+      delivery.lastError = 'User not found';
+      notification.refreshStatus();
+      await notification.save();
+      return { skipped: true };
+    }
+
+    delivery.attempts += 1;
+
+    try {
+      await this._deliverChannel(channel, notification, user);
+
+      delivery.status = 'sent';
+      delivery.sentAt = new Date();
+      delivery.nextAttemptAt = null;
+
+      logger.info('Notification delivered on retry', {
+        notificationId,
+        channel,
+        attempts: delivery.attempts,
+      });
+    } catch (error) {
+      delivery.lastError = error.message;
+
+      if (job.attempts >= job.maxAttempts) {
+        delivery.status = 'failed';
+        delivery.nextAttemptAt = null;
+      } else {
+        delivery.nextAttemptAt = new Date(Date.now() + config.jobs.retryDelay * Math.pow(2, job.attempts - 1));
+      }
+
+      notification.refreshStatus();
+      await notification.save();
+      throw error;
+    }
+
+    notification.refreshStatus();
+    await notification.save();
+
+    return { channel, attempts: delivery.attempts };
+  }
+
   /**
    * Private method to send email notification
    * @param {Object} notification - Notification record
@@ -850,27 +976,69 @@ class NotificationService {
   }
 
   /**
-   * Private method to generate notification ID
+   * Private method to load a notification owned by a user
+   * Another user's notification is reported as not found, so IDs do not leak.
+   * @param {string} userId - User ID
+   * @param {string} notificationId - Notification ID
    * @private
    */
-  _generateNotificationId() {
-    return `notif_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  async _findUserNotification(userId, notificationId) {
+    const notification = mongoose.isValidObjectId(notificationId)
+      ? await Notification.findById(notificationId)
+      : null;
+
+    if (!notification || notification.user.toString() !== userId.toString()) {
+      throw new NotFoundError('Notification', notificationId);
+    }
+
+    return notification;
   }
 
   /**
-   * Private method to get notifications by type
-   * @param {Array} notifications - Notifications array
+   * Private method to summarize a user's inbox
+   * @param {string} userId - User ID
    * @private
    */
-  _getNotificationsByType(notifications) {
-    const byType = {};
-    
-    notifications.forEach(notification => {
-      const type = notification.type;
-      byType[type] = (byType[type] || 0) + 1;
-    });
-    
-    return byType;
+  async _getUserSummary(userId) {
+    const [total, unread, byPriority, byType] = await Promise.all([
+      Notification.countDocuments({ user: userId }),
+      Notification.countUnread(userId),
+      this._countBy(userId, 'priority'),
+      this._countBy(userId, 'type'),
+    ]);
+
+    return {
+      total,
+      unread,
+      byPriority: {
+        high: byPriority.high || 0,
+        normal: byPriority.normal || 0,
+        low: byPriority.low || 0,
+      },
+      byType,
+    };
+  }
+
+  /**
+   * Private method to count a user's notifications grouped by a field
+   * @param {string} userId - User ID
+   * @param {string} field - Field to group by
+   * @private
+   */
+  async _countBy(userId, field) {
+    const groups = await Notification.aggregate([
+      { $match: { user: new mongoose.Types.ObjectId(userId.toString()) } },
+      { $group: { _id: `$${field}`, count: { $sum: 1 } } },
+    ]);
+
+    return Object.fromEntries(groups.map(group => [group._id, group.count]));
+  }
+
+  /**
+   * @private
+   */
+  _deliveryJobKey(notificationId, channel) {
+    return `notification:${notificationId}:${channel}`;
   }
 }
 
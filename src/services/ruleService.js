@@ -2,11 +2,43 @@ import Rule from '../models/Rule.js';
 import Device from '../models/Device.js';
 import Group from '../models/Group.js';
 import Mode from '../models/Mode.js';
-import { AppError } from '../utils/errors.js';
+import User from '../models/User.js';
+import { AppError, NotFoundError, WebhookDeliveryError } from '../utils/errors.js';
+import config from '../config/index.js';
+import { RULE_CONDITIONS, ACCESS_ACTIONS } from '../config/constants.js';
 import logger from '../utils/logger.js';
+import accessService from './accessService.js';
 import deviceService from './deviceService.js';
+import bundleService from './bundleService.js';
+import conflictService from './conflictService.js';
+import energyService from './energyService.js';
 import groupService from './groupService.js';
+import jobQueueService from './jobQueueService.js';
 import modeService from './modeService.js';
+import schedulerService from './schedulerService.js';
+import simulationService from './simulationService.js';
+import suggestionService from './suggestionService.js';
+import webhookService from './webhookService.js';
+
+// Where sensor readings are looked up when a condition names no property
+// (device documents first, then plain trigger context keys)
+const CONDITION_READINGS = {
+  temperature: ['sensors.temperature', 'settings.temperature.current', 'temperature'],
+  humidity: ['sensors.humidity', 'humidity'],
+  motion: ['sensors.motion', 'motion'],
+};
+
+// Threshold condition types and the comparison they imply
+const THRESHOLD_CONDITIONS = {
+  [RULE_CONDITIONS.TEMPERATURE_ABOVE]: { reading: 'temperature', operator: 'greater_than' },
+  [RULE_CONDITIONS.TEMPERATURE_BELOW]: { reading: 'temperature', operator: 'less_than' },
+  [RULE_CONDITIONS.HUMIDITY_ABOVE]: { reading: 'humidity', operator: 'greater_than' },
+  [RULE_CONDITIONS.HUMIDITY_BELOW]: { reading: 'humidity', operator: 'less_than' },
+};
+
+// Where a condition's source reference sits, at the top level and inside
+// condition groups nested up to three deep
+const CONDITION_SOURCE_PATHS = ['conditions.source.id', 'conditions.conditions.source.id', 'conditions.conditions.conditions.source.id'];
 
 /**
  * Rule Service
@@ -17,6 +49,8 @@ class RuleService {
   constructor() {
     this.activeRules = new Map(); // Store active rule listeners
     this.ruleExecutionHistory = new Map(); // Store execution history for cooldown
+
+    jobQueueService.registerHandler('rule_sustain', (job) => this._fireSustainedState(job));
   }
 
   /**
@@ -27,10 +61,12 @@ class RuleService {
    */
   async createRule(ruleData, userId) {
     try {
-      // Check if rule name is unique for the user
+      const ownerId = await accessService.getActiveOwner(userId, 'rule');
+
+      // Check if rule name is unique in the home
       const existingRule = await Rule.findOne({
         name: ruleData.name,
-        owner: userId,
+        owner: ownerId,
       });
 
       if (existingRule) {
@@ -38,12 +74,12 @@ class RuleService {
       }
 
       // Validate rule references
-      await this._validateRuleReferences(ruleData, userId);
+      await this._validateRuleReferences(ruleData, ownerId);
 
       // Create rule
       const rule = new Rule({
         ...ruleData,
-        owner: userId,
+        owner: ownerId,
         statistics: {
           executionCount: 0,
           successCount: 0,
@@ -92,8 +128,8 @@ class RuleService {
       const { page = 1, limit = 10, sortBy = 'name', sortOrder = 'asc' } = pagination;
       const skip = (page - 1) * limit;
 
-      // Build query
-      const query = { owner: userId };
+      // Build query over the rules the user can see
+      const query = { $and: [await accessService.getScope(userId, 'rule')] };
 
       if (filters.search) {
         query.$or = [
@@ -173,14 +209,7 @@ class RuleService {
    */
   async getRuleById(ruleId, userId) {
     try {
-      const rule = await Rule.findOne({
-        _id: ruleId,
-        owner: userId,
-      });
-
-      if (!rule) {
-        throw new AppError('Rule not found', 404);
-      }
+      const rule = await accessService.findAccessible('rule', ruleId, userId);
 
       return rule;
     } catch (error) {
@@ -202,20 +231,13 @@ class RuleService {
    */
   async updateRule(ruleId, updateData, userId) {
     try {
-      const rule = await Rule.findOne({
-        _id: ruleId,
-        owner: userId,
-      });
-
-      if (!rule) {
-        throw new AppError('Rule not found', 404);
-      }
+      const rule = await accessService.findAccessible('rule', ruleId, userId, ACCESS_ACTIONS.CONFIGURE);
 
       // Check if name is being updated and is unique
       if (updateData.name && updateData.name !== rule.name) {
         const existingRule = await Rule.findOne({
           name: updateData.name,
-          owner: userId,
+          owner: rule.owner,
           _id: { $ne: ruleId },
         });
 
@@ -227,11 +249,16 @@ class RuleService {
       // Validate rule references if being updated
       if (updateData.triggers || updateData.actions) {
         const updatedRuleData = { ...rule.toObject(), ...updateData };
-        await this._validateRuleReferences(updatedRuleData, userId);
+        await this._validateRuleReferences(updatedRuleData, rule.owner);
       }
 
       const wasActive = rule.isActive;
 
+      // Keep webhook URLs stable across edits
+      if (updateData.triggers) {
+        updateData.triggers = this._preserveWebhookTokens(rule, updateData.triggers);
+      }
+
       // Update rule
       Object.assign(rule, updateData);
       rule.updatedAt = new Date();
@@ -242,6 +269,8 @@ class RuleService {
         if (wasActive) {
           this._removRuleTriggers(ruleId);
         }
+        // Sustained timers restart from the current device state
+        await this._clearSustainedStates(rule);
         if (rule.isActive) {
           await this._setupRuleTriggers(rule);
         }
@@ -274,19 +303,13 @@ class RuleService {
    */
   async deleteRule(ruleId, userId) {
     try {
-      const rule = await Rule.findOne({
-        _id: ruleId,
-        owner: userId,
-      });
-
-      if (!rule) {
-        throw new AppError('Rule not found', 404);
-      }
+      const rule = await accessService.findAccessible('rule', ruleId, userId, ACCESS_ACTIONS.CONFIGURE);
 
       // Remove rule triggers if active
       if (rule.isActive) {
         this._removRuleTriggers(ruleId);
       }
+      await jobQueueService.cancelByPrefix(this._sustainJobPrefix(rule._id));
 
       await Rule.findByIdAndDelete(ruleId);
 
@@ -316,14 +339,7 @@ class RuleService {
    */
   async executeRule(ruleId, options = {}, userId) {
     try {
-      const rule = await Rule.findOne({
-        _id: ruleId,
-        owner: userId,
-      });
-
-      if (!rule) {
-        throw new AppError('Rule not found', 404);
-      }
+      const rule = await accessService.findAccessible('rule', ruleId, userId, ACCESS_ACTIONS.CONTROL);
 
       // Check cooldown period
       if (!options.force && !this._checkCooldown(rule)) {
@@ -355,41 +371,24 @@ class RuleService {
 
       // Execute rule actions
       const startTime = Date.now();
-      const executionResults = await this._executeRuleActions(rule, options.context || {});
+      // Actions run with the permissions of whoever executes the rule
+      const executionResults = await this._executeRuleActions(rule, options.context || {}, userId);
       const executionTime = Date.now() - startTime;
 
-      // Update rule statistics
-      rule.statistics.executionCount += 1;
-      rule.statistics.lastExecuted = new Date();
-      
-      if (executionResults.failed.length === 0) {
-        rule.statistics.successCount += 1;
-      } else {
-        rule.statistics.failureCount += 1;
-      }
-
-      // Update average execution time
-      const totalTime = rule.statistics.averageExecutionTime * (rule.statistics.executionCount - 1) + executionTime;
-      rule.statistics.averageExecutionTime = Math.round(totalTime / rule.statistics.executionCount);
-
-      // Add to execution history
-      rule.executionHistory.push({
+      // Record execution (updates statistics and saves the rule)
+      await rule.addExecutionLog({
         timestamp: new Date(),
-        triggered: options.triggeredBy || 'manual',
-        success: executionResults.failed.length === 0,
-        executionTime,
-        conditionsResult,
-        actionsExecuted: executionResults.success.length,
-        actionsFailed: executionResults.failed.length,
+        status: executionResults.failed.length === 0
+          ? 'success'
+          : executionResults.success.length > 0 ? 'partial' : 'failure',
+        duration: executionTime,
+        triggeredBy: this._getExecutionSource(options.triggeredBy),
+        actionsExecuted: [
+          ...executionResults.success.map(result => ({ action: result, result: { status: 'success' } })),
+          ...executionResults.failed.map(result => ({ action: result, result: { status: 'failure', message: result.error } })),
+        ],
       });
 
-      // Keep only last 100 history entries
-      if (rule.executionHistory.length > 100) {
-        rule.executionHistory = rule.executionHistory.slice(-100);
-      }
-
-      await rule.save();
-
       // Update execution tracking for cooldown
       this._updateExecutionTracking(rule);
 
@@ -424,48 +423,45 @@ class RuleService {
 
   /**
    * Test rule without executing actions
+   * Triggers and conditions are evaluated, and actions simulated, against the
+   * current device states or a hypothetical snapshot; no device is touched.
    * @param {string} ruleId - Rule ID
-   * @param {Object} testData - Test data
+   * @param {Object} testData - { mockTrigger, mockConditions, snapshot }
    * @param {string} userId - User ID
    * @returns {Object} - Test results
    */
   async testRule(ruleId, testData = {}, userId) {
     try {
-      const rule = await Rule.findOne({
-        _id: ruleId,
-        owner: userId,
-      });
+      const rule = await accessService.findAccessible('rule', ruleId, userId);
 
-      if (!rule) {
-        throw new AppError('Rule not found', 404);
-      }
+      const snapshot = await simulationService.createSnapshot(rule.owner, testData.snapshot);
+      const mockTrigger = testData.mockTrigger || {};
 
       const results = {
+        snapshot: testData.snapshot ? 'hypothetical' : 'current',
         triggers: [],
         conditions: [],
         actions: [],
+        errors: [],
+        conflicts: [],
         wouldExecute: false,
       };
 
       // Test triggers
       for (const trigger of rule.triggers || []) {
-        if (!trigger.isEnabled) continue;
-
-        let triggerResult = false;
-        if (testData.mockTrigger && testData.mockTrigger.type === trigger.type) {
-          triggerResult = await this._evaluateTrigger(trigger, testData.mockTrigger.data);
-        }
+        if (!this._isEnabled(trigger)) continue;
 
         results.triggers.push({
           id: trigger.id,
           type: trigger.type,
-          result: triggerResult,
+          result: await this._simulateTrigger(trigger, mockTrigger, snapshot),
         });
       }
 
-      // Test conditions
+      // Test conditions; device conditions read the snapshot
+      const context = { ...(mockTrigger.data || {}), snapshot };
       for (const condition of rule.conditions || []) {
-        if (!condition.isEnabled) continue;
+        if (!this._isEnabled(condition)) continue;
 
         let conditionResult = false;
         
@@ -474,7 +470,7 @@ class RuleService {
         if (mockCondition) {
           conditionResult = mockCondition.result;
         } else {
-          conditionResult = await this._evaluateCondition(condition, {});
+          conditionResult = await this._evaluateCondition(condition, context, rule);
         }
 
         results.conditions.push({
@@ -486,7 +482,7 @@ class RuleService {
 
       // Determine if rule would execute
       const triggerLogic = rule.settings?.triggerLogic || 'any';
-      const conditionLogic = rule.settings?.conditionLogic || 'all';
+      const conditionLogic = rule.conditionLogic === 'OR' ? 'any' : 'all';
 
       const triggersMet = results.triggers.length === 0 || 
         (triggerLogic === 'any' ? results.triggers.some(t => t.result) : results.triggers.every(t => t.result));
@@ -496,19 +492,11 @@ class RuleService {
 
       results.wouldExecute = triggersMet && conditionsMet;
 
-      // Test actions (dry run)
-      if (testData.dryRun !== false) {
-        for (const action of rule.actions || []) {
-          if (!action.isEnabled) continue;
-
-          results.actions.push({
-            id: action.id,
-            type: action.type,
-            wouldExecute: results.wouldExecute,
-            estimated: true,
-          });
-        }
-      }
+      // Simulate actions
+      const actions = await simulationService.simulateActions(rule.actions, snapshot, rule.owner);
+      results.actions = actions.map(action => ({ ...action, wouldExecute: results.wouldExecute }));
+      results.errors = actions.flatMap(action => action.errors.map(error => ({ actionId: action.actionId, ...error })));
+      results.conflicts = await simulationService.findModeConflicts(actions, rule.owner, { snapshot });
 
       logger.info(`Rule test completed: ${rule.name}`, {
         ruleId: rule._id,
@@ -516,6 +504,8 @@ class RuleService {
         wouldExecute: results.wouldExecute,
         triggersCount: results.triggers.length,
         conditionsCount: results.conditions.length,
+        errorsCount: results.errors.length,
+        conflictsCount: results.conflicts.length,
       });
 
       return results;
@@ -529,6 +519,255 @@ class RuleService {
     }
   }
 
+  /**
+   * Find conflicts between a rule and the owner's other active rules and modes
+   * @param {string} ruleId - Rule ID
+   * @param {string} userId - User ID
+   * @returns {Array} - Conflicts (see conflictService.findRuleConflicts)
+   */
+  async checkRuleConflicts(ruleId, userId) {
+    try {
+      const rule = await accessService.findAccessible('rule', ruleId, userId);
+
+      const conflicts = await conflictService.findRuleConflicts(rule, rule.owner);
+
+      logger.info(`Rule conflicts checked: ${rule.name}`, {
+        ruleId: rule._id,
+        userId,
+        conflictsCount: conflicts.length,
+      });
+
+      return conflicts;
+    } catch (error) {
+      logger.error('Check rule conflicts failed', {
+        error: error.message,
+        ruleId,
+        userId,
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Resolve conflicts of a rule with one strategy
+   * - priority: the winning rule (this one by default) is ranked above the
+   *   others, so it runs last, and its values stick, when a device change fires both
+   * - disable: deactivates one rule of the conflicts (this one by default)
+   * - merge: folds the other rules' triggers and actions into this rule, this
+   *   rule's values winning, and deactivates them
+   * @param {string} ruleId - Rule ID
+   * @param {string} userId - User ID
+   * @param {Object} resolution - { type, conflictIds, ruleId }; all conflicts the strategy applies to by default
+   * @returns {Object} - Changes made and the conflicts left
+   */
+  async resolveRuleConflicts(ruleId, userId, resolution) {
+    try {
+      const rule = await accessService.findAccessible('rule', ruleId, userId, ACCESS_ACTIONS.CONFIGURE);
+
+      const conflicts = await conflictService.findRuleConflicts(rule, rule.owner);
+      const selected = this._selectConflicts(conflicts, resolution);
+
+      let changes;
+      switch (resolution.type) {
+        case 'priority':
+          changes = await this._resolveByPriority(rule, selected, resolution.ruleId, rule.owner);
+          break;
+        case 'disable':
+          changes = await this._resolveByDisabling(rule, selected, resolution.ruleId, rule.owner);
+          break;
+        case 'merge':
+          changes = await this._resolveByMerging(rule, selected, rule.owner);
+          break;
+        default:
+          throw new AppError(`Unknown resolution strategy: ${resolution.type}`, 400);
+      }
+
+      const updatedRule = await Rule.findById(ruleId);
+      const remaining = await conflictService.findRuleConflicts(updatedRule, rule.owner);
+
+      logger.info(`Rule conflicts resolved: ${rule.name}`, {
+        ruleId: rule._id,
+        userId,
+        strategy: resolution.type,
+        resolvedCount: selected.length,
+        remainingCount: remaining.length,
+      });
+
+      return {
+        strategy: resolution.type,
+        resolved: selected.map(conflict => conflict.id),
+        changes,
+        conflicts: remaining,
+      };
+    } catch (error) {
+      logger.error('Resolve rule conflicts failed', {
+        error: error.message,
+        ruleId,
+        userId,
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Get rule suggestions mined from the user's device history
+   * @param {string} userId - User ID
+   * @param {Object} filters - { category, type } where type is the drafted rule's type
+   * @returns {Array} - Suggestions with rule drafts, most confident first
+   */
+  async getRuleSuggestions(userId, filters = {}) {
+    try {
+      const suggestions = await suggestionService.getSuggestions(userId, { type: 'rule' });
+
+      return suggestions.filter(suggestion =>
+        (!filters.category || suggestion.category === filters.category)
+        && (!filters.type || suggestion.ruleData.type === filters.type)
+      );
+    } catch (error) {
+      logger.error('Get rule suggestions failed', {
+        error: error.message,
+        userId,
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Create a rule from a suggestion's draft
+   * @param {string} suggestionId - Suggestion ID
+   * @param {string} userId - User ID
+   * @param {Object} customizations - { name, description, priority, isActive, schedule: { time, days } }
+   * @returns {Object} - Created rule
+   */
+  async createRuleFromSuggestion(suggestionId, userId, customizations = {}) {
+    try {
+      const suggestion = await suggestionService.getSuggestion(userId, suggestionId, 'rule');
+      const { schedule, ...fields } = customizations;
+      const ruleData = { ...suggestion.ruleData, ...fields };
+
+      if (schedule) {
+        ruleData.triggers = ruleData.triggers.map(trigger => {
+          const merged = { ...trigger.schedule, ...schedule };
+          if (merged.days?.length === 7) {
+            merged.type = 'daily';
+            delete merged.days;
+          } else if (merged.days?.length > 0) {
+            merged.type = 'weekly';
+          }
+          return { ...trigger, schedule: merged };
+        });
+      }
+
+      return await this.createRule(ruleData, userId);
+    } catch (error) {
+      logger.error('Create rule from suggestion failed', {
+        error: error.message,
+        suggestionId,
+        userId,
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Export a rule as an automation bundle, with the modes, groups and scenes it uses
+   * @param {string} ruleId - Rule ID
+   * @param {string} userId - User ID
+   * @param {Object} options - { format } ('json' only)
+   * @returns {Object} - Bundle
+   */
+  async exportRule(ruleId, userId, options = {}) {
+    try {
+      if (options.format && options.format !== 'json') {
+        throw new AppError(`Unsupported export format: ${options.format}`, 400);
+      }
+
+      const rule = await accessService.findAccessible('rule', ruleId, userId);
+
+      return await bundleService.exportBundle(rule.owner, { rules: [ruleId] });
+    } catch (error) {
+      logger.error('Export rule failed', {
+        error: error.message,
+        ruleId,
+        userId,
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Import an automation bundle that contains rules
+   * @param {Object} bundle - Bundle from exportRule or exportMode
+   * @param {string} userId - User ID
+   * @param {Object} options - { mapping, overwrite, dryRun }
+   * @returns {Object} - Import report
+   */
+  async importRule(bundle, userId, options = {}) {
+    try {
+      if (!bundle?.rules?.length) {
+        throw new AppError('Bundle contains no rules', 400);
+      }
+
+      return await bundleService.importBundle(bundle, userId, options);
+    } catch (error) {
+      logger.error('Import rule failed', {
+        error: error.message,
+        userId,
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Apply one operation to several rules
+   * Each rule goes through the same access check as the single-rule routes.
+   * @param {Array} ruleIds - Rule IDs
+   * @param {string} operation - activate, deactivate, delete or execute
+   * @param {Object} data - Execution options for 'execute'
+   * @param {string} userId - User ID
+   * @returns {Object} - { successful, failed }
+   */
+  async bulkRuleOperations(ruleIds, operation, data = {}, userId) {
+    const results = {
+      successful: [],
+      failed: [],
+    };
+
+    for (const ruleId of ruleIds) {
+      try {
+        switch (operation) {
+          case 'activate':
+          case 'deactivate':
+            await this.updateRule(ruleId, { isActive: operation === 'activate' }, userId);
+            break;
+          case 'delete':
+            await this.deleteRule(ruleId, userId);
+            break;
+          case 'execute':
+            await this.executeRule(ruleId, data, userId);
+            break;
+          default:
+            throw new AppError(`Unsupported bulk operation: ${operation}`, 400);
+        }
+        results.successful.push({ ruleId });
+      } catch (error) {
+        results.failed.push({
+          ruleId,
+          error: error.message,
+        });
+      }
+    }
+
+    logger.info(`Bulk rule operation completed: ${operation}`, {
+      userId,
+      totalRules: ruleIds.length,
+      successful: results.successful.length,
+      failed: results.failed.length,
+    });
+
+    return results;
+  }
+
   /**
    * Get rule statistics
    * @param {string} userId - User ID
@@ -536,8 +775,9 @@ class RuleService {
    */
   async getRuleStatistics(userId) {
     try {
+      const scope = await accessService.getScope(userId, 'rule');
       const stats = await Rule.aggregate([
-        { $match: { owner: userId } },
+        { $match: scope },
         {
           $group: {
             _id: null,
@@ -563,7 +803,7 @@ class RuleService {
 
       // Get rule type and category breakdown
       const typeStats = await Rule.aggregate([
-        { $match: { owner: userId } },
+        { $match: scope },
         {
           $group: {
             _id: { type: '$type', category: '$category' },
@@ -621,26 +861,57 @@ class RuleService {
 
   /**
    * Handle device state change trigger
+   * Fires matching device_state triggers, and arms or cancels "sustained for"
+   * timers of triggers and conditions that read this device. Rules are found
+   * by their reference to the device, whoever owns them, and only run for
+   * owners who can still see the device.
    * @param {string} deviceId - Device ID
    * @param {Object} oldState - Previous device state
    * @param {Object} newState - New device state
    */
   async handleDeviceStateChange(deviceId, oldState, newState) {
     try {
-      const affectedRules = await Rule.find({
-        isActive: true,
-        'triggers.type': 'device_state',
-        'triggers.device.deviceId': deviceId,
-      });
+      const [device, candidateRules] = await Promise.all([
+        Device.findById(deviceId).select('owner sharedWith groups'),
+        Rule.find({
+          isActive: true,
+          $or: [
+            { 'triggers.device.deviceId': deviceId },
+            { 'sustainedStates.deviceId': deviceId },
+            ...CONDITION_SOURCE_PATHS.map(path => ({ [path]: deviceId })),
+          ],
+        }),
+      ]);
+      if (!device) {
+        return;
+      }
+
+      const affectedRules = [];
+      for (const rule of candidateRules) {
+        try {
+          await accessService.authorize('device', device, rule.owner, ACCESS_ACTIONS.VIEW);
+          affectedRules.push(rule);
+        } catch (error) {
+          logger.debug('Skipping rule without access to device', { ruleId: rule._id, deviceId });
+        }
+      }
+
+      // Higher-priority rules run last so their values stick when several fire
+      affectedRules.sort((a, b) => (a.priority || 5) - (b.priority || 5));
 
       for (const rule of affectedRules) {
         const deviceTriggers = rule.triggers.filter(
           t => t.type === 'device_state' && 
                t.device?.deviceId?.toString() === deviceId.toString() &&
-               t.isEnabled
+               this._isEnabled(t)
         );
 
         for (const trigger of deviceTriggers) {
+          if (trigger.sustainedFor) {
+            await this._trackSustainedState(rule, 'trigger', trigger, this._isTriggerStateHeld(trigger, newState), deviceId);
+            continue;
+          }
+
           const triggered = await this._evaluateDeviceStateTrigger(trigger, oldState, newState);
           
           if (triggered) {
@@ -650,6 +921,14 @@ class RuleService {
             }, rule.owner);
           }
         }
+
+        const sustainedConditions = this._getSustainedConditions(rule)
+          .filter(condition => condition.source.id.toString() === deviceId.toString());
+
+        for (const condition of sustainedConditions) {
+          const held = await this._evaluateConditionState(condition, {}, rule);
+          await this._trackSustainedState(rule, 'condition', condition, held, deviceId);
+        }
       }
     } catch (error) {
       logger.error('Handle device state change failed', {
@@ -660,88 +939,698 @@ class RuleService {
   }
 
   /**
-   * Private method to validate rule references
-   * @param {Object} ruleData - Rule data
+   * Get the live status of a rule: schedules and armed sustained timers
+   * @param {string} ruleId - Rule ID
    * @param {string} userId - User ID
-   * @private
+   * @returns {Object} - Rule status
    */
-  async _validateRuleReferences(ruleData, userId) {
-    // Validate device references in triggers
-    for (const trigger of ruleData.triggers || []) {
-      if (trigger.type === 'device_state' && trigger.device?.deviceId) {
-        const device = await Device.findOne({
-          _id: trigger.device.deviceId,
-          owner: userId,
-        });
-        if (!device) {
-          throw new AppError(`Device not found: ${trigger.device.deviceId}`, 400);
-        }
-      }
-    }
-
-    // Validate device and group references in actions
-    for (const action of ruleData.actions || []) {
-      if (action.type === 'device_control' && action.device?.deviceId) {
-        const device = await Device.findOne({
-          _id: action.device.deviceId,
-          owner: userId,
-        });
-        if (!device) {
-          throw new AppError(`Device not found: ${action.device.deviceId}`, 400);
-        }
-      }
-
-      if (action.type === 'group_control' && action.group?.groupId) {
-        const group = await Group.findOne({
-          _id: action.group.groupId,
-          owner: userId,
-        });
-        if (!group) {
-          throw new AppError(`Group not found: ${action.group.groupId}`, 400);
-        }
-      }
+  async getRuleStatus(ruleId, userId) {
+    try {
+      const rule = await accessService.findAccessible('rule', ruleId, userId);
+
+      const schedules = rule.triggers
+        .filter(trigger => trigger.type === 'scheduled')
+        .map(trigger => ({
+          triggerId: trigger._id,
+          nextRun: schedulerService.getNextRun(`rule:${rule._id}:${trigger._id}`),
+        }));
+
+      const sustainedTimers = rule.sustainedStates.map(state => ({
+        kind: state.kind,
+        itemId: state.itemId,
+        deviceId: state.deviceId,
+        since: state.since,
+        dueAt: state.dueAt,
+        status: state.satisfiedAt ? 'satisfied' : 'armed',
+        satisfiedAt: state.satisfiedAt,
+      }));
 
-      if (action.type === 'mode_activation' && action.mode?.modeId) {
-        const mode = await Mode.findOne({
-          _id: action.mode.modeId,
-          owner: userId,
-        });
-        if (!mode) {
-          throw new AppError(`Mode not found: ${action.mode.modeId}`, 400);
-        }
-      }
+      return {
+        ruleId: rule._id,
+        isActive: rule.isActive,
+        inCooldown: !this._checkCooldown(rule),
+        lastExecuted: rule.statistics.lastExecuted,
+        schedules,
+        sustainedTimers,
+      };
+    } catch (error) {
+      logger.error('Get rule status failed', {
+        error: error.message,
+        ruleId,
+        userId,
+      });
+      throw error;
     }
   }
 
   /**
-   * Private method to setup rule triggers
-   * @param {Object} rule - Rule object
-   * @private
+   * Get the webhook delivery log of a rule
+   * @param {string} ruleId - Rule ID
+   * @param {string} userId - User ID
+   * @param {Object} options - { page, limit, status }
+   * @returns {Object} - Deliveries with pagination
    */
-  async _setupRuleTriggers(rule) {
-    // Here you would implement actual trigger setup
-    // For example, setting up cron jobs for time triggers,
-    // event listeners for device state changes, etc.
-    
-    this.activeRules.set(rule._id.toString(), {
+  async getRuleWebhookDeliveries(ruleId, userId, options = {}) {
+    try {
+      const rule = await accessService.findAccessible('rule', ruleId, userId);
+
+      return await webhookService.getDeliveries({ type: 'rule', id: rule._id }, options);
+    } catch (error) {
+      logger.error('Get rule webhook deliveries failed', {
+        error: error.message,
+        ruleId,
+        userId,
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Send a logged webhook delivery again using the action's current settings
+   * @param {string} ruleId - Rule ID
+   * @param {string} deliveryId - Delivery ID
+   * @param {string} userId - User ID
+   * @returns {Object} - New delivery record
+   */
+  async redeliverRuleWebhook(ruleId, deliveryId, userId) {
+    try {
+      const rule = await accessService.findAccessible('rule', ruleId, userId, ACCESS_ACTIONS.CONTROL);
+
+      const source = { type: 'rule', id: rule._id };
+      const delivery = await webhookService.getDelivery(source, deliveryId);
+
+      const action = rule.actions.find(item => item.id === delivery.source.actionId);
+      if (!action || action.type !== 'webhook') {
+        throw new AppError('Webhook action no longer exists on this rule', 409);
+      }
+
+      const redelivery = await webhookService.redeliver(delivery, action.webhook);
+
+      logger.info(`Rule webhook redelivered: ${rule.name}`, {
+        ruleId,
+        userId,
+        deliveryId,
+        redeliveryId: redelivery._id,
+        status: redelivery.status,
+      });
+
+      return redelivery;
+    } catch (error) {
+      logger.error('Redeliver rule webhook failed', {
+        error: error.message,
+        ruleId,
+        deliveryId,
+        userId,
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Resolve an inbound webhook token to its rule and trigger
+   * @param {string} token - Webhook token from the URL
+   * @returns {Object} - { rule, trigger }
+   */
+  async findWebhookTrigger(token) {
+    const rule = token ? await Rule.findOne({ 'triggers.webhook.token': token }) : null;
+    const trigger = rule?.triggers.find(item => item.type === 'webhook' && item.webhook?.token === token);
+
+    // Disabled hooks look the same as unknown ones
+    if (!trigger || !this._isEnabled(rule) || !this._isEnabled(trigger)) {
+      throw new NotFoundError('Webhook');
+    }
+
+    return { rule, trigger };
+  }
+
+  /**
+   * Execute a rule for an inbound webhook call
+   * @param {Object} rule - Rule document
+   * @param {Object} trigger - Webhook trigger
+   * @param {Object} request - { body, query, method, ip }
+   * @returns {Object} - Execution results
+   */
+  async handleWebhookTrigger(rule, trigger, request) {
+    try {
+      const receivedAt = new Date();
+
+      await Rule.updateOne(
+        { _id: rule._id, 'triggers._id': trigger._id },
+        { $set: { 'triggers.$.webhook.lastCalledAt': receivedAt } }
+      );
+
+      logger.info(`Webhook trigger received: ${rule.name}`, {
+        ruleId: rule._id,
+        triggerId: trigger._id,
+        ip: request.ip,
+      });
+
+      return await this.executeRule(rule._id, {
+        triggeredBy: 'webhook',
+        context: {
+          source: 'webhook',
+          triggerId: trigger._id.toString(),
+          method: request.method,
+          body: request.body || {},
+          query: request.query || {},
+          receivedAt: receivedAt.toISOString(),
+        },
+      }, rule.owner);
+    } catch (error) {
+      logger.error('Handle webhook trigger failed', {
+        error: error.message,
+        ruleId: rule._id,
+        triggerId: trigger._id,
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Replace the token of a webhook trigger, invalidating the old URL
+   * @param {string} ruleId - Rule ID
+   * @param {string} triggerId - Trigger ID
+   * @param {string} userId - User ID
+   * @returns {Object} - { triggerId, url, rotatedAt }
+   */
+  async rotateWebhookToken(ruleId, triggerId, userId) {
+    try {
+      const rule = await accessService.findAccessible('rule', ruleId, userId, ACCESS_ACTIONS.CONFIGURE);
+
+      const trigger = rule.triggers.id(triggerId);
+      if (!trigger || trigger.type !== 'webhook') {
+        throw new AppError('Webhook trigger not found', 404);
+      }
+
+      await rule.rotateWebhookToken(triggerId);
+
+      logger.info(`Webhook token rotated: ${rule.name}`, {
+        ruleId,
+        triggerId,
+        userId,
+      });
+
+      return {
+        triggerId,
+        url: this.getWebhookUrl(trigger.webhook.token),
+        rotatedAt: trigger.webhook.tokenRotatedAt,
+      };
+    } catch (error) {
+      logger.error('Rotate webhook token failed', {
+        error: error.message,
+        ruleId,
+        triggerId,
+        userId,
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Build the public URL of a webhook trigger
+   * @param {string} token - Webhook token
+   * @returns {string}
+   */
+  getWebhookUrl(token) {
+    return `${config.hooks.baseUrl}/api/v1/hooks/${token}`;
+  }
+
+  /**
+   * Schedule every active rule with scheduled triggers (called on server start)
+   * @returns {number} - Number of rules scheduled
+   */
+  async initializeScheduledRules() {
+    try {
+      const rules = await Rule.findScheduledRules();
+      let scheduled = 0;
+
+      for (const rule of rules) {
+        try {
+          await this._setupRuleTriggers(rule);
+          scheduled++;
+        } catch (error) {
+          logger.error('Failed to schedule rule', {
+            error: error.message,
+            ruleId: rule._id,
+          });
+        }
+      }
+
+      logger.info('Scheduled rules initialized', {
+        total: rules.length,
+        scheduled,
+      });
+
+      return scheduled;
+    } catch (error) {
+      logger.error('Initialize scheduled rules failed', {
+        error: error.message,
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Rebuild schedules for a user's rules (e.g. after a timezone change)
+   * @param {string} userId - User ID
+   * @returns {number} - Number of rules rescheduled
+   */
+  async rescheduleUserRules(userId) {
+    try {
+      const rules = await Rule.find({
+        owner: userId,
+        isActive: true,
+        'triggers.type': 'scheduled',
+      });
+
+      for (const rule of rules) {
+        this._removRuleTriggers(rule._id);
+        await this._setupRuleTriggers(rule);
+      }
+
+      logger.info('User rules rescheduled', {
+        userId,
+        count: rules.length,
+      });
+
+      return rules.length;
+    } catch (error) {
+      logger.error('Reschedule user rules failed', {
+        error: error.message,
+        userId,
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Drop every trigger and sustained timer of a user's rules and set up the
+   * active ones again (e.g. after a restore replaced the rules)
+   * @param {string} userId - User ID
+   * @returns {number} - Number of active rules
+   */
+  async reloadUserRules(userId) {
+    try {
+      for (const [ruleId, { rule }] of this.activeRules) {
+        if (rule.owner.toString() === userId.toString()) {
+          this._removRuleTriggers(ruleId);
+        }
+      }
+      await jobQueueService.cancelByOwner(userId, 'rule_sustain');
+
+      const rules = await Rule.find({ owner: userId, isActive: true });
+      for (const rule of rules) {
+        await this._setupRuleTriggers(rule);
+      }
+
+      logger.info('User rules reloaded', {
+        userId,
+        count: rules.length,
+      });
+
+      return rules.length;
+    } catch (error) {
+      logger.error('Reload user rules failed', {
+        error: error.message,
+        userId,
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Private method to validate rule references
+   * @param {Object} ruleData - Rule data
+   * @param {string} userId - User ID
+   * @private
+   */
+  async _validateRuleReferences(ruleData, userId) {
+    // Validate schedule definitions so invalid cron/calendar triggers are rejected up front
+    for (const trigger of ruleData.triggers || []) {
+      if (trigger.type === 'scheduled' && trigger.schedule) {
+        schedulerService.validate(trigger.schedule);
+      }
+    }
+
+    // Validate device references in triggers
+    for (const trigger of ruleData.triggers || []) {
+      if (trigger.type === 'device_state' && trigger.device?.deviceId) {
+        const device = await Device.findOne({
+          _id: trigger.device.deviceId,
+          owner: userId,
+        });
+        if (!device) {
+          throw new AppError(`Device not found: ${trigger.device.deviceId}`, 400);
+        }
+      }
+    }
+
+    // Validate device and group references in actions
+    for (const action of ruleData.actions || []) {
+      if (action.type === 'device_control' && action.device?.deviceId) {
+        const device = await Device.findOne({
+          _id: action.device.deviceId,
+          owner: userId,
+        });
+        if (!device) {
+          throw new AppError(`Device not found: ${action.device.deviceId}`, 400);
+        }
+      }
+
+      if (action.type === 'group_control' && action.group?.groupId) {
+        const group = await Group.findOne({
+          _id: action.group.groupId,
+          owner: userId,
+        });
+        if (!group) {
+          throw new AppError(`Group not found: ${action.group.groupId}`, 400);
+        }
+      }
+
+      if (action.type === 'mode_activation' && action.mode?.modeId) {
+        const mode = await Mode.findOne({
+          _id: action.mode.modeId,
+          owner: userId,
+        });
+        if (!mode) {
+          throw new AppError(`Mode not found: ${action.mode.modeId}`, 400);
+        }
+      }
+    }
+  }
+
+  /**
+   * Private method to pick the conflicts a resolution applies to
+   * @private
+   */
+  _selectConflicts(conflicts, { type, conflictIds }) {
+    if (!conflictIds) {
+      const selected = conflicts.filter(conflict => conflict.strategies.includes(type));
+      if (selected.length === 0) {
+        throw new AppError(`No conflicts of this rule can be resolved with ${type}`, 400);
+      }
+      return selected;
+    }
+
+    const byId = new Map(conflicts.map(conflict => [conflict.id, conflict]));
+    const unknown = conflictIds.filter(id => !byId.has(id));
+    if (unknown.length > 0) {
+      throw new AppError(`Conflicts not found: ${unknown.join(', ')}`, 404);
+    }
+
+    const selected = conflictIds.map(id => byId.get(id));
+    const unsupported = selected.filter(conflict => !conflict.strategies.includes(type));
+    if (unsupported.length > 0) {
+      throw new AppError(`Conflicts cannot be resolved with ${type}: ${unsupported.map(conflict => conflict.id).join(', ')}`, 400);
+    }
+
+    return selected;
+  }
+
+  /**
+   * Private method to list the rules taking part in conflicts, this one first
+   * @private
+   */
+  _getConflictRuleIds(rule, conflicts) {
+    const ids = [rule._id.toString()];
+    for (const conflict of conflicts) {
+      const participants = conflict.type === 'loop' ? conflict.rules : [conflict.with];
+      for (const participant of participants) {
+        if (participant.type === 'rule' && !ids.includes(participant.id.toString())) {
+          ids.push(participant.id.toString());
+        }
+      }
+    }
+    return ids;
+  }
+
+  /**
+   * Private method to rank the winning rule above the others in the conflicts
+   * @private
+   */
+  async _resolveByPriority(rule, conflicts, winnerId = rule._id.toString(), userId) {
+    const ids = this._getConflictRuleIds(rule, conflicts);
+    if (!ids.includes(winnerId)) {
+      throw new AppError('The winning rule must take part in the conflicts', 400);
+    }
+
+    const rules = await Rule.find({ _id: { $in: ids }, owner: userId });
+    const winner = rules.find(item => item._id.toString() === winnerId);
+    const losers = rules.filter(item => item._id.toString() !== winnerId);
+
+    const priority = Math.min(Math.max(winner.priority, ...losers.map(item => item.priority + 1)), 10);
+    const changes = [];
+
+    const setPriority = async (target, value) => {
+      changes.push({ ruleId: target._id, name: target.name, priority: { from: target.priority, to: value } });
+      await this.updateRule(target._id, { priority: value }, userId);
+    };
+
+    if (winner.priority !== priority) {
+      await setPriority(winner, priority);
+    }
+    for (const loser of losers.filter(item => item.priority >= priority)) {
+      await setPriority(loser, priority - 1);
+    }
+
+    return changes;
+  }
+
+  /**
+   * Private method to deactivate one rule of the conflicts
+   * @private
+   */
+  async _resolveByDisabling(rule, conflicts, targetId = rule._id.toString(), userId) {
+    if (!this._getConflictRuleIds(rule, conflicts).includes(targetId)) {
+      throw new AppError('The rule to disable must take part in the conflicts', 400);
+    }
+
+    const target = await this.updateRule(targetId, { isActive: false }, userId);
+    return [{ ruleId: target._id, name: target.name, isActive: { from: true, to: false } }];
+  }
+
+  /**
+   * Private method to fold the other rules of the conflicts into this one
+   * Their actions that set a property this rule also sets are dropped, and
+   * only rules with the same conditions and no webhook triggers can be merged.
+   * @private
+   */
+  async _resolveByMerging(rule, conflicts, userId) {
+    const otherIds = this._getConflictRuleIds(rule, conflicts).slice(1);
+    const others = await Rule.find({ _id: { $in: otherIds }, owner: userId });
+
+    const conditionsKey = item => JSON.stringify({
+      logic: item.conditionLogic || 'AND',
+      conditions: this._withoutIds(item.conditions || []),
+    });
+    for (const other of others) {
+      if (conditionsKey(other) !== conditionsKey(rule)) {
+        throw new AppError(`${other.name} has different conditions and cannot be merged`, 400);
+      }
+      if (other.triggers.some(trigger => trigger.type === 'webhook')) {
+        throw new AppError(`${other.name} has webhook triggers and cannot be merged`, 400);
+      }
+    }
+
+    const snapshot = await simulationService.createSnapshot(userId);
+    const ruleActions = rule.actions.map(action => action.toObject());
+    const ownEffects = await simulationService.getIntendedValues(ruleActions, snapshot, userId);
+
+    const triggers = rule.triggers.map(trigger => trigger.toObject());
+    const triggerKeys = new Set(triggers.map(trigger => JSON.stringify(this._withoutIds(trigger))));
+    const actions = [...ruleActions];
+    let order = Math.max(0, ...actions.map(action => action.order || 1));
+    const changes = [];
+
+    for (const other of others) {
+      const merged = { ruleId: other._id, name: other.name, triggersAdded: 0, actionsAdded: 0, actionsDropped: [] };
+
+      for (const trigger of other.triggers.map(item => this._withoutIds(item.toObject()))) {
+        const key = JSON.stringify(trigger);
+        if (!triggerKeys.has(key)) {
+          triggerKeys.add(key);
+          triggers.push(trigger);
+          merged.triggersAdded += 1;
+        }
+      }
+
+      for (const action of other.actions.map(item => item.toObject())) {
+        const effects = await simulationService.getIntendedValues([action], snapshot, userId);
+        if ([...effects.keys()].some(key => ownEffects.has(key))) {
+          merged.actionsDropped.push(action._id);
+          continue;
+        }
+
+        const { _id, ...copy } = action;
+        order += 1;
+        actions.push({ ...copy, order });
+        merged.actionsAdded += 1;
+      }
+
+      await this.updateRule(other._id, { isActive: false }, userId);
+      changes.push({ ...merged, isActive: { from: true, to: false } });
+    }
+
+    await this.updateRule(rule._id, { triggers, actions }, userId);
+    changes.unshift({ ruleId: rule._id, name: rule.name, merged: others.map(other => other._id) });
+
+    return changes;
+  }
+
+  /**
+   * Private method to strip subdocument IDs for comparing and copying
+   * @private
+   */
+  _withoutIds(value) {
+    if (Array.isArray(value)) {
+      return value.map(item => this._withoutIds(item));
+    }
+    if (value && typeof value === 'object' && !(value instanceof Date) && value.constructor?.name === 'Object') {
+      return Object.fromEntries(Object.entries(value)
+        .filter(([key]) => key !== '_id')
+        .map(([key, item]) => [key, this._withoutIds(item)]));
+    }
+    return value;
+  }
+
+  /**
+   * Private method to setup rule triggers
+   * @param {Object} rule - Rule object
+   * @private
+   */
+  async _setupRuleTriggers(rule) {
+    const ruleId = rule._id.toString();
+    const triggers = rule.triggers.filter(t => this._isEnabled(t));
+
+    this.activeRules.set(ruleId, {
       rule,
-      triggers: rule.triggers.filter(t => t.isEnabled),
+      triggers,
+    });
+
+    // Register calendar/cron jobs in the owner's timezone
+    const scheduledTriggers = triggers.filter(t => t.type === 'scheduled' && t.schedule?.type);
+    if (scheduledTriggers.length > 0) {
+      const timezone = await this._getOwnerTimezone(rule.owner);
+
+      for (const trigger of scheduledTriggers) {
+        schedulerService.schedule(`rule:${ruleId}:${trigger._id}`, trigger.schedule, {
+          timezone,
+          name: rule.name,
+          handler: () => this._fireScheduledTrigger(ruleId, trigger, rule.owner),
+        });
+      }
+    }
+
+    // Arm sustained timers for states that already hold
+    await this._syncSustainedStates(rule);
+
+    logger.debug('Rule triggers setup', {
+      ruleId: rule._id,
+      triggersCount: triggers.length,
+      scheduledCount: scheduledTriggers.length,
     });
+  }
+
+  /**
+   * Private method to remove rule triggers
+   * @param {string} ruleId - Rule ID
+   * @private
+   */
+  _removRuleTriggers(ruleId) {
+    this.activeRules.delete(ruleId.toString());
+    schedulerService.cancelByPrefix(`rule:${ruleId}:`);
+    logger.debug('Rule triggers removed', { ruleId });
+  }
+
+  /**
+   * Private method to execute a rule when one of its schedules fires
+   * @param {string} ruleId - Rule ID
+   * @param {Object} trigger - Scheduled trigger
+   * @param {string} ownerId - Rule owner ID
+   * @private
+   */
+  async _fireScheduledTrigger(ruleId, trigger, ownerId) {
+    try {
+      await this.executeRule(ruleId, {
+        triggeredBy: 'schedule',
+        context: {
+          trigger: {
+            id: trigger._id,
+            type: trigger.type,
+            schedule: trigger.schedule,
+          },
+          firedAt: new Date(),
+        },
+      }, ownerId);
+    } catch (error) {
+      logger.warn('Scheduled rule execution skipped', {
+        error: error.message,
+        ruleId,
+        triggerId: trigger._id,
+      });
+    }
+  }
+
+  /**
+   * Private method to get the rule owner's timezone
+   * @param {string} ownerId - User ID
+   * @private
+   */
+  async _getOwnerTimezone(ownerId) {
+    const owner = await User.findById(ownerId).select('timezone');
+    return owner?.timezone || 'UTC';
+  }
 
-    logger.debug('Rule triggers setup', {
-      ruleId: rule._id,
-      triggersCount: rule.triggers?.filter(t => t.isEnabled).length || 0,
+  /**
+   * Private method to carry existing webhook tokens over to updated triggers.
+   * Tokens can only be changed through rotateWebhookToken.
+   * @param {Object} rule - Current rule
+   * @param {Array} triggers - Incoming triggers
+   * @private
+   */
+  _preserveWebhookTokens(rule, triggers) {
+    return triggers.map(trigger => {
+      if (trigger.type !== 'webhook') {
+        return trigger;
+      }
+
+      const existing = trigger._id && rule.triggers.id(trigger._id);
+      const { token, tokenRotatedAt, lastCalledAt, ...webhook } = trigger.webhook || {};
+
+      return {
+        ...trigger,
+        webhook: existing?.webhook?.token
+          ? {
+            ...webhook,
+            token: existing.webhook.token,
+            tokenRotatedAt: existing.webhook.tokenRotatedAt,
+            lastCalledAt: existing.webhook.lastCalledAt,
+          }
+          : webhook,
+      };
     });
   }
 
   /**
-   * Private method to remove rule triggers
-   * @param {string} ruleId - Rule ID
+   * Private method to map an execution source onto the execution log enum
+   * @param {string} triggeredBy - Execution source
    * @private
    */
-  _removRuleTriggers(ruleId) {
-    this.activeRules.delete(ruleId);
-    logger.debug('Rule triggers removed', { ruleId });
+  _getExecutionSource(triggeredBy = 'manual') {
+    if (['schedule', 'event', 'manual', 'webhook'].includes(triggeredBy)) {
+      return triggeredBy;
+    }
+    return 'event';
+  }
+
+  /**
+   * Private method to check whether a trigger, condition or action is enabled.
+   * Persisted rules use `isActive`; `isEnabled` is accepted for older payloads.
+   * @param {Object} item - Trigger, condition or action
+   * @private
+   */
+  _isEnabled(item) {
+    return item.isActive !== false && item.isEnabled !== false;
   }
 
   /**
@@ -780,6 +1669,8 @@ class RuleService {
 
   /**
    * Private method to evaluate rule conditions
+   * Top-level conditions combine with `rule.conditionLogic`; `group`
+   * conditions nest their own AND/OR list.
    * @param {Object} rule - Rule object
    * @param {Object} context - Execution context
    * @private
@@ -789,39 +1680,99 @@ class RuleService {
       return true;
     }
 
-    const logic = rule.settings?.conditionLogic || 'all';
-    const results = [];
+    return this._evaluateConditionGroup(rule.conditions, rule.conditionLogic, rule, context);
+  }
+
+  /**
+   * Private method to evaluate a list of conditions (short-circuits)
+   * @param {Array} conditions - Conditions to evaluate
+   * @param {string} logic - 'AND' or 'OR'
+   * @param {Object} rule - Rule object
+   * @param {Object} context - Execution context
+   * @private
+   */
+  async _evaluateConditionGroup(conditions = [], logic = 'AND', rule, context) {
+    const activeConditions = conditions.filter(condition => this._isEnabled(condition));
+
+    // An empty group places no restriction
+    if (activeConditions.length === 0) {
+      return true;
+    }
 
-    for (const condition of rule.conditions) {
-      if (!condition.isEnabled) continue;
+    for (const condition of activeConditions) {
+      const result = await this._evaluateCondition(condition, context, rule);
 
-      const result = await this._evaluateCondition(condition, context);
-      results.push(result);
+      if (logic === 'OR' && result) return true;
+      if (logic !== 'OR' && !result) return false;
     }
 
-    return logic === 'all' ? results.every(r => r) : results.some(r => r);
+    return logic !== 'OR';
   }
 
   /**
    * Private method to evaluate a single condition
+   * Conditions with `sustainedFor` must also have held for that long.
    * @param {Object} condition - Condition object
    * @param {Object} context - Execution context
+   * @param {Object} rule - Rule object
    * @private
    */
-  async _evaluateCondition(condition, context) {
-    // This is a simplified implementation
-    // You would implement specific logic for each condition type
-    
-    switch (condition.type) {
-      case 'device_state':
-        return await this._evaluateDeviceStateCondition(condition);
-      case 'time_range':
-        return this._evaluateTimeRangeCondition(condition);
-      case 'day_of_week':
-        return this._evaluateDayOfWeekCondition(condition);
-      default:
-        logger.warn('Unknown condition type', { type: condition.type });
-        return false;
+  async _evaluateCondition(condition, context = {}, rule = null) {
+    const result = await this._evaluateConditionState(condition, context, rule);
+
+    if (!result || !condition.sustainedFor) {
+      return result;
+    }
+
+    const state = rule?.sustainedStates?.find(
+      item => item.kind === 'condition' && item.itemId.toString() === condition._id?.toString()
+    );
+
+    return Boolean(state) && Date.now() - state.since.getTime() >= condition.sustainedFor * 1000;
+  }
+
+  /**
+   * Private method to evaluate whether a condition holds right now
+   * A condition that cannot be evaluated (missing device, unknown reading) is false.
+   * @param {Object} condition - Condition object
+   * @param {Object} context - Execution context
+   * @param {Object} rule - Rule object
+   * @private
+   */
+  async _evaluateConditionState(condition, context = {}, rule = null) {
+    try {
+      switch (condition.type) {
+        case RULE_CONDITIONS.GROUP:
+          return await this._evaluateConditionGroup(condition.conditions, condition.logic, rule, context);
+        case RULE_CONDITIONS.DEVICE_STATE:
+          return await this._evaluateDeviceStateCondition(condition, context, rule);
+        case RULE_CONDITIONS.TIME_EQUALS:
+        case RULE_CONDITIONS.TIME_BETWEEN:
+          return await this._evaluateTimeCondition(condition, rule);
+        case RULE_CONDITIONS.TEMPERATURE_ABOVE:
+        case RULE_CONDITIONS.TEMPERATURE_BELOW:
+        case RULE_CONDITIONS.HUMIDITY_ABOVE:
+        case RULE_CONDITIONS.HUMIDITY_BELOW:
+          return await this._evaluateThresholdCondition(condition, context, rule);
+        case RULE_CONDITIONS.MOTION_DETECTED:
+        case RULE_CONDITIONS.NO_MOTION:
+          return await this._evaluateMotionCondition(condition, context, rule);
+        case RULE_CONDITIONS.USER_HOME:
+        case RULE_CONDITIONS.USER_AWAY:
+          return await this._evaluatePresenceCondition(condition, rule);
+        case RULE_CONDITIONS.TARIFF_PERIOD:
+          return await this._evaluateTariffCondition(condition, rule);
+        default:
+          logger.warn('Unknown condition type', { type: condition.type });
+          return false;
+      }
+    } catch (error) {
+      logger.warn('Condition evaluation failed', {
+        error: error.message,
+        type: condition.type,
+        ruleId: rule?._id,
+      });
+      return false;
     }
   }
 
@@ -829,9 +1780,10 @@ class RuleService {
    * Private method to execute rule actions
    * @param {Object} rule - Rule object
    * @param {Object} context - Execution context
+   * @param {string} userId - User the actions run as
    * @private
    */
-  async _executeRuleActions(rule, context) {
+  async _executeRuleActions(rule, context, userId) {
     const results = {
       success: [],
       failed: [],
@@ -841,10 +1793,10 @@ class RuleService {
     const sortedActions = [...(rule.actions || [])].sort((a, b) => (a.order || 1) - (b.order || 1));
 
     for (const action of sortedActions) {
-      if (!action.isEnabled) continue;
+      if (!this._isEnabled(action)) continue;
 
       try {
-        await this._executeRuleAction(action, rule.owner, context);
+        await this._executeRuleAction(action, rule, context, userId);
         results.success.push({
           actionId: action.id,
           type: action.type,
@@ -868,11 +1820,12 @@ class RuleService {
   /**
    * Private method to execute a single rule action
    * @param {Object} action - Action object
-   * @param {string} userId - User ID
+   * @param {Object} rule - Rule being executed
    * @param {Object} context - Execution context
+   * @param {string} userId - User the action runs as
    * @private
    */
-  async _executeRuleAction(action, userId, context) {
+  async _executeRuleAction(action, rule, context, userId) {
     switch (action.type) {
       case 'device_control':
         await deviceService.controlDevice(
@@ -897,19 +1850,21 @@ class RuleService {
         );
         break;
       
-      case 'mode_activation':
+      case 'mode_activation': {
+        const triggeredBy = { type: 'rule', id: rule._id, name: rule.name };
         switch (action.mode.action) {
           case 'activate':
-            await modeService.activateMode(action.mode.modeId, { duration: action.mode.duration }, userId);
+            await modeService.activateMode(action.mode.modeId, { duration: action.mode.duration, triggeredBy }, userId);
             break;
           case 'deactivate':
-            await modeService.deactivateMode(action.mode.modeId, userId);
+            await modeService.deactivateMode(action.mode.modeId, userId, { triggeredBy });
             break;
           case 'toggle':
-            await modeService.toggleMode(action.mode.modeId, userId);
+            await modeService.toggleMode(action.mode.modeId, userId, { triggeredBy });
             break;
         }
         break;
+      }
       
       case 'delay':
         const delayMs = action.delay.unit === 'hours' ? action.delay.duration * 3600000 :
@@ -918,6 +1873,25 @@ class RuleService {
         await new Promise(resolve => setTimeout(resolve, delayMs));
         break;
       
+      case 'webhook': {
+        const delivery = await webhookService.deliver(action.webhook, {
+          source: { type: 'rule', id: rule._id, actionId: action.id },
+          owner: rule.owner,
+          event: 'rule.executed',
+          context: {
+            event: 'rule.executed',
+            rule: { id: rule._id.toString(), name: rule.name },
+            trigger: context,
+            timestamp: new Date().toISOString(),
+          },
+        });
+
+        if (delivery.status === 'failed') {
+          throw new WebhookDeliveryError(delivery._id, delivery.error);
+        }
+        break;
+      }
+
       default:
         logger.warn('Unknown action type in rule execution', { type: action.type });
     }
@@ -932,6 +1906,217 @@ class RuleService {
     this.ruleExecutionHistory.set(rule._id.toString(), Date.now());
   }
 
+  /**
+   * Private method to arm timers for sustained triggers/conditions whose
+   * state already holds, and drop ones that no longer do
+   * @param {Object} rule - Rule object
+   * @private
+   */
+  async _syncSustainedStates(rule) {
+    const items = [
+      ...rule.triggers
+        .filter(t => t.type === 'device_state' && t.sustainedFor && t.device?.deviceId && this._isEnabled(t))
+        .map(trigger => ({ kind: 'trigger', item: trigger, deviceId: trigger.device.deviceId })),
+      ...this._getSustainedConditions(rule)
+        .map(condition => ({ kind: 'condition', item: condition, deviceId: condition.source.id })),
+    ];
+
+    for (const { kind, item, deviceId } of items) {
+      let held = false;
+
+      if (kind === 'trigger') {
+        const device = await Device.findOne({ _id: deviceId, owner: rule.owner });
+        held = Boolean(device) && this._isTriggerStateHeld(item, device.toObject());
+      } else {
+        held = await this._evaluateConditionState(item, {}, rule);
+      }
+
+      await this._trackSustainedState(rule, kind, item, held, deviceId);
+    }
+  }
+
+  /**
+   * Private method to start or stop tracking a sustained state
+   * The timer is armed when the state first holds and cancelled when it reverts.
+   * @param {Object} rule - Rule object
+   * @param {string} kind - 'trigger' or 'condition'
+   * @param {Object} item - Trigger or condition with `sustainedFor`
+   * @param {boolean} held - Whether the state currently holds
+   * @param {string} deviceId - Device the state is read from
+   * @private
+   */
+  async _trackSustainedState(rule, kind, item, held, deviceId) {
+    const itemId = item._id.toString();
+    const tracked = rule.sustainedStates.find(
+      state => state.kind === kind && state.itemId.toString() === itemId
+    );
+    const key = `${this._sustainJobPrefix(rule._id)}${itemId}`;
+
+    if (held && !tracked) {
+      const since = new Date();
+      const dueAt = new Date(since.getTime() + item.sustainedFor * 1000);
+      const state = { kind, itemId: item._id, deviceId, since, dueAt };
+
+      await Rule.updateOne({ _id: rule._id }, { $push: { sustainedStates: state } });
+      rule.sustainedStates.push(state);
+
+      await jobQueueService.enqueue('rule_sustain', {
+        key,
+        payload: { ruleId: rule._id.toString(), kind, itemId },
+        runAt: dueAt,
+        owner: rule.owner,
+      });
+
+      logger.debug('Sustained timer armed', { ruleId: rule._id, kind, itemId, dueAt });
+    } else if (!held && tracked) {
+      await Rule.updateOne({ _id: rule._id }, { $pull: { sustainedStates: { kind, itemId: item._id } } });
+      rule.sustainedStates.pull(tracked);
+
+      await jobQueueService.cancel(key);
+
+      logger.debug('Sustained timer cancelled', { ruleId: rule._id, kind, itemId });
+    }
+  }
+
+  /**
+   * Private method to handle a sustained timer coming due
+   * Triggers execute the rule; conditions are marked satisfied.
+   * @param {Object} job - rule_sustain job
+   * @private
+   */
+  async _fireSustainedState(job) {
+    const { ruleId, kind, itemId } = job.payload;
+
+    const rule = await Rule.findById(ruleId);
+    const state = rule?.sustainedStates.find(
+      item => item.kind === kind && item.itemId.toString() === itemId
+    );
+
+    // The state reverted or the rule changed since the timer was armed
+    if (!rule || !rule.isActive || !state) {
+      return;
+    }
+
+    const trigger = kind === 'trigger' ? rule.triggers.id(itemId) : null;
+    if (kind === 'trigger' && !trigger) {
+      return;
+    }
+
+    if (trigger) {
+      // Re-check against the stored device state in case an update was missed
+      const device = await Device.findOne({ _id: trigger.device.deviceId, owner: rule.owner });
+      if (!device || !this._isTriggerStateHeld(trigger, device.toObject())) {
+        await this._trackSustainedState(rule, kind, trigger, false, state.deviceId);
+        return;
+      }
+    }
+
+    await Rule.updateOne(
+      { _id: rule._id, sustainedStates: { $elemMatch: { kind, itemId: state.itemId } } },
+      { $set: { 'sustainedStates.$.satisfiedAt': new Date() } }
+    );
+
+    if (!trigger) {
+      return;
+    }
+
+    try {
+      await this.executeRule(rule._id, {
+        triggeredBy: 'device_state_change',
+        context: {
+          deviceId: state.deviceId.toString(),
+          trigger: { id: trigger._id, type: trigger.type },
+          sustainedFor: trigger.sustainedFor,
+          since: state.since,
+        },
+      }, rule.owner);
+    } catch (error) {
+      logger.warn('Sustained rule execution skipped', {
+        error: error.message,
+        ruleId,
+        triggerId: itemId,
+      });
+    }
+  }
+
+  /**
+   * Private method to forget sustained states and cancel their timers
+   * @param {Object} rule - Rule object
+   * @private
+   */
+  async _clearSustainedStates(rule) {
+    await jobQueueService.cancelByPrefix(this._sustainJobPrefix(rule._id));
+
+    if (rule.sustainedStates.length > 0) {
+      await Rule.updateOne({ _id: rule._id }, { $set: { sustainedStates: [] } });
+      rule.sustainedStates = [];
+    }
+  }
+
+  /**
+   * Private method to list enabled device conditions with `sustainedFor`, including nested ones
+   * @param {Object} rule - Rule object
+   * @private
+   */
+  _getSustainedConditions(rule) {
+    const collect = (conditions = []) => conditions
+      .filter(condition => this._isEnabled(condition))
+      .flatMap(condition => (condition.type === RULE_CONDITIONS.GROUP
+        ? collect(condition.conditions)
+        : condition.sustainedFor && condition.source?.id ? [condition] : []));
+
+    return collect(rule.conditions);
+  }
+
+  /**
+   * Private method to check whether a device_state trigger's target state holds
+   * changes_to / changes_from hold while the value is / is not `value`.
+   * @param {Object} trigger - Trigger object
+   * @param {Object} state - Device state
+   * @private
+   */
+  _isTriggerStateHeld(trigger, state) {
+    const { property, operator, value, secondValue } = trigger.device;
+    const heldOperator = { changes_to: 'equals', changes_from: 'not_equals' }[operator] || operator;
+    const expected = operator === 'between' ? [value, secondValue] : value;
+
+    return this._compareValues(this._getNestedProperty(state, property), heldOperator, expected);
+  }
+
+  /**
+   * Private method to decide whether a trigger fires in a rule test
+   * Device state triggers fire on a mocked transition or, without one, when
+   * the snapshot already holds their target state; other triggers fire only
+   * when mocked.
+   * @param {Object} trigger - Trigger object
+   * @param {Object} mockTrigger - { type, data: { oldState, newState } }
+   * @param {Map} snapshot - Device snapshot
+   * @private
+   */
+  async _simulateTrigger(trigger, mockTrigger, snapshot) {
+    if (trigger.type !== 'device_state') {
+      return mockTrigger.type === trigger.type;
+    }
+
+    if (mockTrigger.type && mockTrigger.type !== trigger.type) {
+      return false;
+    }
+
+    const device = snapshot.get(trigger.device?.deviceId?.toString());
+    if (mockTrigger.data?.oldState) {
+      return this._evaluateDeviceStateTrigger(trigger, mockTrigger.data.oldState, mockTrigger.data.newState || device);
+    }
+
+    return Boolean(device) && this._isTriggerStateHeld(trigger, device);
+  }
+
+  /**
+   * @private
+   */
+  _sustainJobPrefix(ruleId) {
+    return `rule_sustain:${ruleId}:`;
+  }
+
   /**
    * Private method to evaluate device state trigger
    * @param {Object} trigger - Trigger object
@@ -969,46 +2154,50 @@ class RuleService {
 
   /**
    * Private method to evaluate device state condition
+   * Compares `source.property` of the source device (or of the trigger
+   * context when no device is set) using the condition operator.
    * @param {Object} condition - Condition object
+   * @param {Object} context - Execution context
+   * @param {Object} rule - Rule object
    * @private
    */
-  async _evaluateDeviceStateCondition(condition) {
-    const device = await Device.findById(condition.device.deviceId);
-    if (!device) return false;
-
-    const currentValue = this._getNestedProperty(device, condition.device.property);
-    const { operator, value, secondValue } = condition.device;
+  async _evaluateDeviceStateCondition(condition, context, rule) {
+    const target = await this._resolveConditionTarget(condition, context, rule);
+    if (!target || !condition.source?.property) return false;
 
-    switch (operator) {
-      case 'equals':
-        return currentValue === value;
-      case 'not_equals':
-        return currentValue !== value;
-      case 'greater_than':
-        return currentValue > value;
-      case 'less_than':
-        return currentValue < value;
-      case 'between':
-        return currentValue >= value && currentValue <= secondValue;
-      default:
-        return false;
-    }
+    const currentValue = this._getNestedProperty(target, condition.source.property);
+    return this._compareValues(currentValue, condition.operator, condition.value);
   }
 
   /**
-   * Private method to evaluate time range condition
+   * Private method to evaluate time_equals / time_between in the owner's timezone
+   * time_equals compares the current "HH:MM" with `value` using the operator;
+   * time_between checks `timeRange` (inclusive, may cross midnight).
+   * Both honour `timeRange.days` when set.
    * @param {Object} condition - Condition object
+   * @param {Object} rule - Rule object
    * @private
    */
-  _evaluateTimeRangeCondition(condition) {
+  async _evaluateTimeCondition(condition, rule) {
+    const timezone = rule?.owner ? await this._getOwnerTimezone(rule.owner) : 'UTC';
     const now = new Date();
-    const currentTime = now.getHours() * 60 + now.getMinutes();
-    
-    const [startHour, startMin] = condition.timeRange.start.split(':').map(Number);
-    const [endHour, endMin] = condition.timeRange.end.split(':').map(Number);
-    
-    const startTime = startHour * 60 + startMin;
-    const endTime = endHour * 60 + endMin;
+
+    const days = condition.timeRange?.days;
+    if (days?.length > 0 && !days.includes(schedulerService.formatWeekday(now, timezone))) {
+      return false;
+    }
+
+    const currentTime = this._toMinutes(schedulerService.formatTime(now, timezone));
+
+    if (condition.type === RULE_CONDITIONS.TIME_EQUALS) {
+      const expected = Array.isArray(condition.value)
+        ? condition.value.map(time => this._toMinutes(time))
+        : this._toMinutes(condition.value);
+      return this._compareValues(currentTime, condition.operator, expected);
+    }
+
+    const startTime = this._toMinutes(condition.timeRange?.start);
+    const endTime = this._toMinutes(condition.timeRange?.end);
 
     if (startTime <= endTime) {
       return currentTime >= startTime && currentTime <= endTime;
@@ -1019,14 +2208,210 @@ class RuleService {
   }
 
   /**
-   * Private method to evaluate day of week condition
+   * Private method to evaluate temperature/humidity above/below conditions
+   * The condition type sets the comparison; `value` is the threshold.
+   * @param {Object} condition - Condition object
+   * @param {Object} context - Execution context
+   * @param {Object} rule - Rule object
+   * @private
+   */
+  async _evaluateThresholdCondition(condition, context, rule) {
+    const { reading, operator } = THRESHOLD_CONDITIONS[condition.type];
+    const target = await this._resolveConditionTarget(condition, context, rule);
+    if (!target) return false;
+
+    const currentValue = this._getConditionReading(target, condition, reading);
+    return this._compareValues(currentValue, operator, condition.value);
+  }
+
+  /**
+   * Private method to evaluate motion_detected / no_motion
+   * With a numeric `value` (minutes), motion within that window counts as
+   * detected, so no_motion means "no motion for `value` minutes".
+   * @param {Object} condition - Condition object
+   * @param {Object} context - Execution context
+   * @param {Object} rule - Rule object
+   * @private
+   */
+  async _evaluateMotionCondition(condition, context, rule) {
+    const target = await this._resolveConditionTarget(condition, context, rule);
+    if (!target) return false;
+
+    const motion = this._getConditionReading(target, condition, 'motion');
+    const lastMotionAt = this._getNestedProperty(target, 'sensors.lastMotionAt')
+      ?? this._getNestedProperty(target, 'lastMotionAt');
+    const windowMinutes = Number(condition.value) || 0;
+
+    const recentMotion = windowMinutes > 0 && Boolean(lastMotionAt) &&
+      Date.now() - new Date(lastMotionAt).getTime() < windowMinutes * 60 * 1000;
+    const detected = this._valuesEqual(motion, true) || recentMotion;
+
+    return condition.type === RULE_CONDITIONS.MOTION_DETECTED ? detected : !detected;
+  }
+
+  /**
+   * Private method to evaluate user_home / user_away
+   * Uses the reported presence of `source.id` (defaults to the rule owner).
+   * With `location`, the reported position decides against the radius.
+   * Unknown presence fails both conditions.
+   * @param {Object} condition - Condition object
+   * @param {Object} rule - Rule object
+   * @private
+   */
+  async _evaluatePresenceCondition(condition, rule) {
+    const userId = condition.source?.id || rule?.owner;
+    if (!userId) return false;
+
+    const user = await User.findById(userId).select('presence');
+    const presence = user?.presence;
+    if (!presence) return false;
+
+    let isHome;
+    const { latitude, longitude, radius } = condition.location || {};
+    const position = presence.location;
+
+    if (radius && latitude !== undefined && position?.latitude !== undefined) {
+      isHome = this._distanceInMeters(position, { latitude, longitude }) <= radius;
+    } else if (presence.status === 'unknown') {
+      return false;
+    } else {
+      // Sleeping counts as home
+      isHome = presence.status !== 'away';
+    }
+
+    return condition.type === RULE_CONDITIONS.USER_HOME ? isHome : !isHome;
+  }
+
+  /**
+   * Private method to evaluate tariff_period against the owner's tariff
+   * Compares the current period name, or its price per kWh when
+   * `source.property` is 'rate'.
    * @param {Object} condition - Condition object
+   * @param {Object} rule - Rule object
+   * @private
+   */
+  async _evaluateTariffCondition(condition, rule) {
+    if (!rule?.owner) return false;
+
+    const period = await energyService.getCurrentTariffPeriod(rule.owner);
+    const actual = condition.source?.property === 'rate' ? period.rate : period.name;
+
+    return this._compareValues(actual, condition.operator, condition.value);
+  }
+
+  /**
+   * Private method to get what a condition reads from
+   * The owner's source device when `source.id` is set, otherwise the trigger context.
+   * @private
+   */
+  async _resolveConditionTarget(condition, context, rule) {
+    if (!condition.source?.id) {
+      return context;
+    }
+
+    // Rule tests evaluate against a simulated snapshot
+    if (context?.snapshot) {
+      return context.snapshot.get(condition.source.id.toString()) || null;
+    }
+
+    const query = { _id: condition.source.id };
+    if (rule?.owner) {
+      query.owner = rule.owner;
+    }
+
+    return Device.findOne(query);
+  }
+
+  /**
+   * Private method to read a sensor value, honouring `source.property`
+   * @private
+   */
+  _getConditionReading(target, condition, reading) {
+    const paths = condition.source?.property ? [condition.source.property] : CONDITION_READINGS[reading];
+
+    for (const path of paths) {
+      const value = this._getNestedProperty(target, path);
+      if (value !== undefined && value !== null) {
+        return value;
+      }
+    }
+
+    return undefined;
+  }
+
+  /**
+   * Private method to apply a condition operator
+   * Unknown readings never match.
+   * @param {*} actual - Current value
+   * @param {string} operator - Condition operator
+   * @param {*} expected - Condition value ([min, max] for between)
+   * @private
+   */
+  _compareValues(actual, operator, expected) {
+    if (actual === undefined || actual === null) {
+      return false;
+    }
+
+    switch (operator) {
+      case 'equals':
+        return this._valuesEqual(actual, expected);
+      case 'not_equals':
+        return !this._valuesEqual(actual, expected);
+      case 'greater_than':
+        return Number(actual) > Number(expected);
+      case 'less_than':
+        return Number(actual) < Number(expected);
+      case 'between': {
+        const [min, max] = Array.isArray(expected) ? expected : [expected?.min, expected?.max];
+        return Number(actual) >= Number(min) && Number(actual) <= Number(max);
+      }
+      case 'contains':
+        return Array.isArray(actual)
+          ? actual.some(item => this._valuesEqual(item, expected))
+          : String(actual).includes(String(expected));
+      case 'starts_with':
+        return String(actual).startsWith(String(expected));
+      case 'ends_with':
+        return String(actual).endsWith(String(expected));
+      default:
+        logger.warn('Unknown condition operator', { operator });
+        return false;
+    }
+  }
+
+  /**
+   * Private method to compare values loosely (numbers vs numeric strings, ObjectIds)
+   * @private
+   */
+  _valuesEqual(a, b) {
+    if (a === b) return true;
+    if (a === undefined || a === null || b === undefined || b === null) return false;
+    return String(a) === String(b);
+  }
+
+  /**
+   * Private method to convert "HH:MM" to minutes since midnight
+   * @private
+   */
+  _toMinutes(time) {
+    const [hours, minutes] = String(time).split(':').map(Number);
+    return hours * 60 + minutes;
+  }
+
+  /**
+   * Private method to get the great-circle distance between two coordinates
    * @private
    */
-  _evaluateDayOfWeekCondition(condition) {
-    const dayNames = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
-    const today = dayNames[new Date().getDay()];
-    return condition.dayOfWeek.includes(today);
+  _distanceInMeters(from, to) {
+    const toRadians = degrees => degrees * Math.PI / 180;
+    const earthRadius = 6371000;
+
+    const dLat = toRadians(to.latitude - from.latitude);
+    const dLon = toRadians(to.longitude - from.longitude);
+    const a = Math.sin(dLat / 2) ** 2 +
+      Math.cos(toRadians(from.latitude)) * Math.cos(toRadians(to.latitude)) * Math.sin(dLon / 2) ** 2;
+
+    return 2 * earthRadius * Math.asin(Math.sqrt(a));
   }
 
   /**
@@ -0,0 +1,317 @@
+import { Cron } from 'croner';
+import { ValidationError } from '../utils/errors.js';
+import logger from '../utils/logger.js';
+
+const DAY_NUMBERS = {
+  sunday: 0,
+  monday: 1,
+  tuesday: 2,
+  wednesday: 3,
+  thursday: 4,
+  friday: 5,
+  saturday: 6,
+};
+
+/**
+ * Scheduler Service
+ * Runs calendar and cron jobs in a given timezone. Jobs are keyed so that
+ * owners (rules, modes, timers) can replace or cancel them by prefix.
+ *
+ * Schedules use the shape of `Rule.triggers[].schedule`:
+ *   { type: 'once' | 'daily' | 'weekly' | 'monthly' | 'cron',
+ *     time: 'HH:MM', date: Date, days: ['monday', ...], cronExpression }
+ */
+class SchedulerService {
+  constructor() {
+    this.jobs = new Map(); // Map of key -> { cron, name, timezone }
+  }
+
+  /**
+   * Schedule a job, replacing any job with the same key
+   * @param {string} key - Unique job key (e.g. `rule:<ruleId>:<triggerId>`)
+   * @param {Object} schedule - Schedule definition
+   * @param {Object} options - { timezone, handler, name }
+   * @returns {Date|null} - Next run time, or null if the schedule never fires again
+   */
+  schedule(key, schedule, { timezone = 'UTC', handler, name = key } = {}) {
+    const pattern = this.toPattern(schedule, timezone);
+
+    this.cancel(key);
+
+    const cron = new Cron(pattern, {
+      name: key,
+      timezone,
+      protect: true,
+      catch: (error) => {
+        logger.error('Scheduled job failed', {
+          error: error.message,
+          key,
+          name,
+        });
+      },
+    }, handler);
+
+    const nextRun = cron.nextRun();
+    if (!nextRun) {
+      cron.stop();
+      logger.warn('Schedule has no future runs, skipping', { key, name, schedule: pattern });
+      return null;
+    }
+
+    this.jobs.set(key, { cron, name, timezone });
+
+    logger.debug('Job scheduled', {
+      key,
+      name,
+      pattern,
+      timezone,
+      nextRun,
+    });
+
+    return nextRun;
+  }
+
+  /**
+   * Cancel a job
+   * @param {string} key - Job key
+   * @returns {boolean} - Whether a job was cancelled
+   */
+  cancel(key) {
+    const job = this.jobs.get(key);
+    if (!job) {
+      return false;
+    }
+
+    job.cron.stop();
+    this.jobs.delete(key);
+    return true;
+  }
+
+  /**
+   * Cancel every job whose key starts with a prefix
+   * @param {string} prefix - Key prefix (e.g. `rule:<ruleId>:`)
+   * @returns {number} - Number of cancelled jobs
+   */
+  cancelByPrefix(prefix) {
+    let cancelled = 0;
+    for (const key of [...this.jobs.keys()]) {
+      if (key.startsWith(prefix) && this.cancel(key)) {
+        cancelled++;
+      }
+    }
+    return cancelled;
+  }
+
+  /**
+   * List scheduled jobs
+   * @param {string} prefix - Optional key prefix filter
+   * @returns {Array} - Jobs with their next run time
+   */
+  listJobs(prefix = '') {
+    return [...this.jobs.entries()]
+      .filter(([key]) => key.startsWith(prefix))
+      .map(([key, job]) => ({
+        key,
+        name: job.name,
+        timezone: job.timezone,
+        nextRun: job.cron.nextRun(),
+        previousRun: job.cron.previousRun(),
+      }));
+  }
+
+  /**
+   * Get the next run time of a job
+   * @param {string} key - Job key
+   * @returns {Date|null}
+   */
+  getNextRun(key) {
+    return this.jobs.get(key)?.cron.nextRun() || null;
+  }
+
+  /**
+   * Stop all jobs (used during shutdown)
+   */
+  stopAll() {
+    for (const job of this.jobs.values()) {
+      job.cron.stop();
+    }
+    this.jobs.clear();
+  }
+
+  /**
+   * Validate a schedule definition without scheduling it
+   * @param {Object} schedule - Schedule definition
+   * @param {string} timezone - IANA timezone
+   * @throws {ValidationError} - When the schedule cannot be parsed
+   */
+  validate(schedule, timezone = 'UTC') {
+    const pattern = this.toPattern(schedule, timezone);
+    new Cron(pattern, { timezone, paused: true }).stop();
+  }
+
+  /**
+   * Compute the next occurrence of a schedule without registering a job
+   * @param {Object} schedule - Schedule definition
+   * @param {string} timezone - IANA timezone
+   * @param {Date} after - Reference time
+   * @returns {Date|null} - Next occurrence, or null if none
+   */
+  nextOccurrence(schedule, timezone = 'UTC', after = new Date()) {
+    const pattern = this.toPattern(schedule, timezone);
+    const cron = new Cron(pattern, { timezone, paused: true });
+    const next = cron.nextRun(after);
+    cron.stop();
+    return next;
+  }
+
+  /**
+   * Compute the upcoming occurrences of a schedule without registering a job
+   * @param {Object} schedule - Schedule definition
+   * @param {string} timezone - IANA timezone
+   * @param {Object} options - { after, until, limit }
+   * @returns {Array<Date>} - Occurrences in order, at most `limit`
+   */
+  nextOccurrences(schedule, timezone = 'UTC', { after = new Date(), until, limit = 100 } = {}) {
+    const pattern = this.toPattern(schedule, timezone);
+    const cron = new Cron(pattern, { timezone, paused: true });
+    const runs = cron.nextRuns(limit, after);
+    cron.stop();
+    return until ? runs.filter(run => run <= until) : runs;
+  }
+
+  /**
+   * Format the wall-clock time of a date in a timezone
+   * @param {Date} date - Date to format
+   * @param {string} timezone - IANA timezone
+   * @returns {string} - Time in HH:MM format
+   */
+  formatTime(date, timezone = 'UTC') {
+    return new Intl.DateTimeFormat('en-GB', {
+      timeZone: timezone,
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23',
+    }).format(new Date(date));
+  }
+
+  /**
+   * Format the calendar date of a date in a timezone
+   * @param {Date} date - Date to format
+   * @param {string} timezone - IANA timezone
+   * @returns {string} - Date in YYYY-MM-DD format
+   */
+  formatDate(date, timezone = 'UTC') {
+    return new Intl.DateTimeFormat('en-CA', {
+      timeZone: timezone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+    }).format(new Date(date));
+  }
+
+  /**
+   * Get the weekday of a date in a timezone
+   * @param {Date} date - Date to check
+   * @param {string} timezone - IANA timezone
+   * @returns {string} - Lowercase day name (e.g. "monday")
+   */
+  formatWeekday(date, timezone = 'UTC') {
+    return new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      weekday: 'long',
+    }).format(new Date(date)).toLowerCase();
+  }
+
+  /**
+   * Convert a schedule definition into a croner pattern
+   * @param {Object} schedule - Schedule definition
+   * @param {string} timezone - IANA timezone
+   * @returns {string|Date} - Cron expression, or a date for one-off schedules
+   */
+  toPattern(schedule = {}, timezone = 'UTC') {
+    if (!this._isValidTimezone(timezone)) {
+      throw new ValidationError(`Invalid timezone: ${timezone}`, 'timezone', timezone);
+    }
+
+    const [hour, minute] = (schedule.time || '00:00').split(':').map(Number);
+
+    switch (schedule.type) {
+      case 'once': {
+        if (!schedule.date) {
+          throw new ValidationError('One-off schedules require a date', 'schedule.date');
+        }
+        const date = new Date(schedule.date);
+        if (!schedule.time) {
+          return date;
+        }
+        // Combine the calendar date with HH:MM in the owner's timezone
+        const day = this._calendarDay(date, timezone);
+        return `${day}T${this._pad(hour)}:${this._pad(minute)}:00`;
+      }
+
+      case 'daily':
+        return `${minute} ${hour} * * *`;
+
+      case 'weekly': {
+        const days = (schedule.days || []).map(day => DAY_NUMBERS[day]);
+        if (days.length === 0 || days.some(day => day === undefined)) {
+          throw new ValidationError('Weekly schedules require valid days', 'schedule.days', schedule.days);
+        }
+        return `${minute} ${hour} * * ${days.join(',')}`;
+      }
+
+      case 'monthly': {
+        const dayOfMonth = schedule.date ? Number(this._calendarDay(new Date(schedule.date), timezone).slice(8)) : 1;
+        return `${minute} ${hour} ${dayOfMonth} * *`;
+      }
+
+      case 'cron':
+        if (!schedule.cronExpression) {
+          throw new ValidationError('Cron schedules require a cron expression', 'schedule.cronExpression');
+        }
+        try {
+          new Cron(schedule.cronExpression, { paused: true }).stop();
+        } catch (error) {
+          throw new ValidationError(`Invalid cron expression: ${error.message}`, 'schedule.cronExpression', schedule.cronExpression);
+        }
+        return schedule.cronExpression;
+
+      default:
+        throw new ValidationError(`Unsupported schedule type: ${schedule.type}`, 'schedule.type', schedule.type);
+    }
+  }
+
+  /**
+   * Calendar day (YYYY-MM-DD) a schedule date stands for: a date-only value,
+   * stored as UTC midnight, is that day; any other instant is the day it
+   * falls on in the schedule's timezone
+   * @private
+   */
+  _calendarDay(date, timezone) {
+    if (date.getTime() % 86400000 === 0) {
+      return date.toISOString().slice(0, 10);
+    }
+    return this.formatDate(date, timezone);
+  }
+
+  /**
+   * @private
+   */
+  _isValidTimezone(timezone) {
+    try {
+      Intl.DateTimeFormat('en-US', { timeZone: timezone });
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * @private
+   */
+  _pad(value) {
+    return String(value).padStart(2, '0');
+  }
+}
+
+export default new SchedulerService();
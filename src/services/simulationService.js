@@ -0,0 +1,385 @@
+import Device from '../models/Device.js';
+import Group from '../models/Group.js';
+import Mode from '../models/Mode.js';
+import { AppError } from '../utils/errors.js';
+import deviceService from './deviceService.js';
+import groupService from './groupService.js';
+
+// Device fields a simulation reads and changes
+const SNAPSHOT_FIELDS = 'name type status powerState isOnline capabilities settings sensors energy';
+
+/**
+ * Simulation Service
+ * Dry-runs mode and rule actions against a snapshot of device states (the
+ * current one, optionally overridden with hypothetical states) without
+ * sending commands or saving anything. Device actions go through the same
+ * capability checks and state changes as deviceService.controlDevice.
+ */
+class SimulationService {
+  /**
+   * Build a snapshot of a user's devices
+   * @param {string} userId - User ID
+   * @param {Object} overrides - Hypothetical states by device ID, merged over the current ones
+   * @returns {Map} - Map of deviceId -> plain device state
+   */
+  async createSnapshot(userId, overrides = {}) {
+    const devices = await Device.find({ owner: userId }).select(SNAPSHOT_FIELDS).lean();
+
+    // JSON round-trip so IDs and dates compare and clone as plain values
+    const snapshot = new Map(devices.map(device => [device._id.toString(), JSON.parse(JSON.stringify(device))]));
+
+    for (const [deviceId, state] of Object.entries(overrides || {})) {
+      const device = snapshot.get(deviceId);
+      if (!device) {
+        throw new AppError(`Device not found in snapshot: ${deviceId}`, 400);
+      }
+      snapshot.set(deviceId, this._merge(device, state));
+    }
+
+    return snapshot;
+  }
+
+  /**
+   * Simulate actions in order, each seeing the state left by the previous ones
+   * @param {Array} actions - Mode or rule actions
+   * @param {Map} snapshot - Device snapshot (mutated)
+   * @param {string} userId - Owner of the actions
+   * @returns {Array} - Per-action results with device diffs and errors
+   */
+  async simulateActions(actions = [], snapshot, userId) {
+    const sortedActions = [...actions]
+      .filter(action => action.isEnabled !== false && action.isActive !== false)
+      .sort((a, b) => (a.order || 1) - (b.order || 1));
+
+    const results = [];
+    for (const action of sortedActions) {
+      results.push(await this._simulateAction(action, snapshot, userId));
+    }
+
+    return results;
+  }
+
+  /**
+   * Get the values a list of actions would set, by device property
+   * The snapshot is not changed.
+   * @param {Array} actions - Mode or rule actions
+   * @param {Map} snapshot - Device snapshot
+   * @param {string} userId - Owner of the actions
+   * @returns {Map} - Map of "deviceId:property" -> { deviceId, deviceName, property, value }
+   */
+  async getIntendedValues(actions, snapshot, userId) {
+    const results = await this.simulateActions(actions, this._clone(snapshot), userId);
+    return this._getIntendedValues(results);
+  }
+
+  /**
+   * Find active modes a mode or rule would interfere with
+   * With `mode`, active modes in its category are reported as deactivated and
+   * each device conflict says whether the mode would win it on priority.
+   * @param {Array} results - Results of simulateActions
+   * @param {string} userId - User ID
+   * @param {Object} options - { snapshot, mode } where mode is the one being tested
+   * @returns {Array} - Conflicts
+   */
+  async findModeConflicts(results, userId, { snapshot, mode } = {}) {
+    const query = { owner: userId, isActive: true };
+    if (mode) {
+      query._id = { $ne: mode._id };
+    }
+
+    const activeModes = await Mode.find(query).select('name category priority actions');
+    const conflicts = [];
+    const coexisting = [];
+
+    for (const activeMode of activeModes) {
+      if (mode && activeMode.sharesCategoryWith(mode)) {
+        conflicts.push({
+          type: 'active_mode',
+          mode: this._describeMode(activeMode),
+          message: `${activeMode.name} is active in the ${activeMode.category} category and would be deactivated`,
+        });
+      } else {
+        coexisting.push(activeMode);
+      }
+    }
+
+    const claims = await this._getModeClaims(coexisting, snapshot, userId);
+    for (const conflict of this._compareClaims(this._getIntendedValues(results), claims, mode?.priority)) {
+      conflicts.push({ type: 'device', ...conflict });
+    }
+
+    return conflicts;
+  }
+
+  /**
+   * Arbitrate the device properties a mode shares with other active modes
+   * Where both set a property to different values, the higher priority wins;
+   * on equal priority the mode being activated, the newer one, wins.
+   * @param {Object} mode - Mode being activated
+   * @param {Array} activeModes - Active modes it coexists with
+   * @param {Map} snapshot - Device snapshot
+   * @returns {Object} - { overridden, yielded } properties the mode takes over and leaves alone
+   */
+  async arbitrate(mode, activeModes, snapshot) {
+    const results = await this.simulateActions(mode.actions, this._clone(snapshot), mode.owner);
+    const claims = await this._getModeClaims(activeModes, snapshot, mode.owner);
+    const overridden = [];
+    const yielded = [];
+
+    for (const { resolution, ...conflict } of this._compareClaims(this._getIntendedValues(results), claims, mode.priority)) {
+      (resolution === 'yields' ? yielded : overridden).push(conflict);
+    }
+
+    return { overridden, yielded };
+  }
+
+  /**
+   * Simulate one action
+   * @private
+   */
+  async _simulateAction(action, snapshot, userId) {
+    const result = {
+      actionId: action._id || action.id,
+      type: action.type,
+      status: 'ok',
+      changes: [],
+      errors: [],
+    };
+
+    try {
+      switch (action.type) {
+        case 'device_control': {
+          const { deviceId, action: deviceAction, settings } = action.device || {};
+          this._simulateDeviceControl(result, snapshot, deviceId, deviceAction, settings);
+          break;
+        }
+
+        case 'group_control': {
+          const { groupId, action: groupAction, target, deviceIds, randomCount, settings } = action.group || {};
+          const group = await Group.findOne({ _id: groupId, owner: userId }).select('name devices');
+          if (!group) {
+            throw new AppError('Group not found', 404);
+          }
+
+          // Random targets are picked at run time, so every candidate is shown
+          const devices = group.devices.map(id => ({ _id: id }));
+          const targets = target === 'random'
+            ? devices
+            : groupService.resolveTargetDevices(devices, { target, deviceIds, randomCount });
+
+          if (target === 'random') {
+            result.note = `${randomCount} of these devices would be picked at random`;
+          }
+
+          for (const device of targets) {
+            this._simulateDeviceControl(result, snapshot, device._id.toString(), groupAction, settings);
+          }
+          break;
+        }
+
+        case 'mode_activation':
+          result.status = 'skipped';
+          result.note = `Would ${action.mode?.action || 'activate'} mode ${action.mode?.modeId}`;
+          break;
+
+        default:
+          // Notifications, webhooks, delays and scenes do not change device state
+          result.status = 'skipped';
+          result.note = 'No effect on device state';
+      }
+    } catch (error) {
+      result.errors.push({ error: error.message, statusCode: error.statusCode });
+    }
+
+    if (result.errors.length > 0) {
+      result.status = 'error';
+    }
+
+    return result;
+  }
+
+  /**
+   * Apply a device action to the snapshot, recording its diff or the error
+   * controlDevice would raise
+   * @private
+   */
+  _simulateDeviceControl(result, snapshot, deviceId, action, settings = {}) {
+    const device = snapshot.get(deviceId?.toString());
+    if (!device) {
+      result.errors.push({ deviceId, error: 'Device not found', statusCode: 404 });
+      return;
+    }
+
+    try {
+      deviceService.assertActionSupported(device, action);
+    } catch (error) {
+      result.errors.push({
+        deviceId,
+        deviceName: device.name,
+        error: error.message,
+        statusCode: error.statusCode,
+      });
+      return;
+    }
+
+    const before = this._clone(device);
+    deviceService.applyAction(device, action, settings);
+
+    const touched = action.startsWith('set_')
+      ? Object.keys(settings || {}).map(key => `settings.${key}`)
+      : ['powerState'];
+
+    result.changes.push({
+      deviceId,
+      deviceName: device.name,
+      action,
+      diff: this._diff(before, device),
+      // Values the action sets, whether or not they differ from the current state
+      values: Object.fromEntries(touched.map(property => [property, this._getValue(device, property)])),
+    });
+  }
+
+  /**
+   * Collect the values actions set, keyed by device and property
+   * @private
+   */
+  _getIntendedValues(results) {
+    const values = new Map();
+
+    for (const result of results) {
+      for (const change of result.changes) {
+        for (const [property, value] of Object.entries(change.values)) {
+          values.set(`${change.deviceId}:${property}`, {
+            deviceId: change.deviceId,
+            deviceName: change.deviceName,
+            property,
+            value,
+          });
+        }
+      }
+    }
+
+    return values;
+  }
+
+  /**
+   * Simulate what each mode's actions set
+   * @private
+   */
+  async _getModeClaims(modes, snapshot, userId) {
+    const claims = [];
+    for (const mode of modes) {
+      claims.push({ mode, values: await this.getIntendedValues(mode.actions, snapshot, userId) });
+    }
+    return claims;
+  }
+
+  /**
+   * Match intended values against other modes' claims on the same properties
+   * With a priority, a property the mode loses is reported once, against the
+   * winning mode, and one it wins against every mode it overrides.
+   * @private
+   */
+  _compareClaims(intended, claims, priority) {
+    const conflicts = [];
+
+    for (const [key, value] of intended) {
+      const competitors = claims.filter(claim => claim.values.has(key)
+        && JSON.stringify(claim.values.get(key).value) !== JSON.stringify(value.value));
+      if (competitors.length === 0) continue;
+
+      let resolution;
+      let reported = competitors;
+      if (priority !== undefined) {
+        const top = competitors.reduce((best, claim) => (claim.mode.priority > best.mode.priority ? claim : best));
+        resolution = top.mode.priority > priority ? 'yields' : 'overrides';
+        if (resolution === 'yields') {
+          reported = [top];
+        }
+      }
+
+      for (const claim of reported) {
+        conflicts.push({
+          mode: this._describeMode(claim.mode),
+          deviceId: value.deviceId,
+          deviceName: value.deviceName,
+          property: value.property,
+          value: value.value,
+          modeValue: claim.values.get(key).value,
+          ...(resolution && { resolution }),
+        });
+      }
+    }
+
+    return conflicts;
+  }
+
+  /**
+   * @private
+   */
+  _describeMode(mode) {
+    return { id: mode._id, name: mode.name, category: mode.category, priority: mode.priority };
+  }
+
+  /**
+   * @private
+   */
+  _getValue(obj, property) {
+    return property.split('.').reduce((value, key) => value?.[key], obj);
+  }
+
+  /**
+   * Compare two device states property by property
+   * @private
+   */
+  _diff(before, after, prefix = '') {
+    const changes = [];
+    const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+    for (const key of keys) {
+      if (key === '_id') continue;
+
+      const path = prefix ? `${prefix}.${key}` : key;
+      const from = before?.[key];
+      const to = after?.[key];
+
+      if (this._isPlainObject(from) && this._isPlainObject(to)) {
+        changes.push(...this._diff(from, to, path));
+      } else if (JSON.stringify(from) !== JSON.stringify(to)) {
+        changes.push({ property: path, from: from ?? null, to: to ?? null });
+      }
+    }
+
+    return changes;
+  }
+
+  /**
+   * Deep-merge hypothetical state into a device state
+   * @private
+   */
+  _merge(target, source) {
+    const merged = { ...target };
+    for (const [key, value] of Object.entries(source || {})) {
+      merged[key] = this._isPlainObject(value) && this._isPlainObject(target[key])
+        ? this._merge(target[key], value)
+        : value;
+    }
+    return merged;
+  }
+
+  /**
+   * @private
+   */
+  _clone(value) {
+    return structuredClone(value);
+  }
+
+  /**
+   * @private
+   */
+  _isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+  }
+}
+
+export default new SimulationService();
@@ -0,0 +1,600 @@
+import crypto from 'crypto';
+import Device from '../models/Device.js';
+import DeviceStateSample from '../models/DeviceStateSample.js';
+import Mode from '../models/Mode.js';
+import Rule from '../models/Rule.js';
+import User from '../models/User.js';
+import config from '../config/index.js';
+import { PERFORMANCE_MODES, RULE_TYPES } from '../config/constants.js';
+import { NotFoundError } from '../utils/errors.js';
+import schedulerService from './schedulerService.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Commands this far apart (minutes of the day) can still belong to one routine
+const ROUTINE_WINDOW_MINUTES = 30;
+
+// Longest spread of times one routine may cover
+const ROUTINE_SPAN_MINUTES = 60;
+
+// Share of a weekday's dates a routine must hit to include that weekday
+const ROUTINE_DAY_RATE = 0.5;
+
+// Commands this far apart (seconds) belong to one scene
+const SCENE_WINDOW_SECONDS = 120;
+
+// Suggested schedule times are rounded to this many minutes
+const TIME_ROUNDING_MINUTES = 5;
+
+// Upper bound on command samples mined per request
+const MAX_SAMPLES = 20000;
+
+const DEFAULT_MIN_OCCURRENCES = 3;
+const DEFAULT_MIN_CONFIDENCE = 0.6;
+const DEFAULT_LIMIT = 20;
+
+const WEEKDAYS = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday'];
+const WEEKEND = ['saturday', 'sunday'];
+const DAYS = [...WEEKDAYS, ...WEEKEND];
+
+// Setting changes that map back onto a device action
+const SETTING_ACTIONS = [
+  { prefix: 'settings.brightness', action: 'set_brightness', settings: state => ({ brightness: state.settings?.brightness }) },
+  { prefix: 'settings.temperature.target', action: 'set_temperature', settings: state => ({ temperature: { target: state.settings?.temperature?.target } }) },
+  { prefix: 'settings.color', action: 'set_color', settings: state => ({ color: state.settings?.color }) },
+  { prefix: 'settings.mode', action: 'set_mode', settings: state => ({ mode: state.settings?.mode }) },
+];
+
+/**
+ * Suggestion Service
+ * Mines the commands persisted in device history for recurring time-of-day
+ * and day-of-week actions (drafted as scheduled rules) and for devices
+ * commanded together (drafted as scene modes). Candidates are ranked by
+ * confidence and skipped when an existing rule or mode already covers them.
+ * Suggestion IDs are derived from the pattern, so a suggestion can be looked
+ * up again as long as the pattern still holds.
+ */
+class SuggestionService {
+  /**
+   * Get ranked automation suggestions for a user
+   * @param {string} userId - User ID
+   * @param {Object} options - { type ('rule' or 'mode'), days, minOccurrences, minConfidence, limit }
+   * @returns {Array} - Suggestions, most confident first
+   */
+  async getSuggestions(userId, options = {}) {
+    const {
+      type,
+      days = config.history.rawRetentionDays,
+      minOccurrences = DEFAULT_MIN_OCCURRENCES,
+      minConfidence = DEFAULT_MIN_CONFIDENCE,
+      limit = DEFAULT_LIMIT,
+    } = options;
+
+    const { events, from, to, timezone } = await this._getCommandEvents(userId, days);
+    if (events.length === 0) {
+      return [];
+    }
+
+    const devices = await Device.find({ owner: userId }).select('name').lean();
+    const names = new Map(devices.map(device => [device._id.toString(), device.name]));
+    const known = events.filter(event => names.has(event.deviceId));
+
+    const suggestions = [];
+
+    if (!type || type === 'rule') {
+      const rules = await Rule.find({ owner: userId }).select('triggers actions').lean();
+      for (const routine of this._findRoutines(known, { from, to, timezone, minOccurrences })) {
+        if (!this._isRoutineCovered(routine, rules)) {
+          suggestions.push(this._buildRuleSuggestion(routine, names));
+        }
+      }
+    }
+
+    if (!type || type === 'mode') {
+      const modes = await Mode.find({ owner: userId }).select('actions').lean();
+      for (const scene of this._findScenes(known, { minOccurrences })) {
+        if (!this._isSceneCovered(scene, modes)) {
+          suggestions.push(this._buildModeSuggestion(scene, names));
+        }
+      }
+    }
+
+    return suggestions
+      .filter(suggestion => suggestion.confidence >= minConfidence)
+      .sort((a, b) => b.confidence - a.confidence || b.occurrences - a.occurrences)
+      .slice(0, limit);
+  }
+
+  /**
+   * Get one suggestion by ID
+   * @param {string} userId - User ID
+   * @param {string} suggestionId - Suggestion ID
+   * @param {string} type - 'rule' or 'mode'
+   * @returns {Object} - Suggestion
+   */
+  async getSuggestion(userId, suggestionId, type) {
+    const suggestions = await this.getSuggestions(userId, { type, minConfidence: 0, limit: Infinity });
+    const suggestion = suggestions.find(item => item.id === suggestionId);
+
+    if (!suggestion) {
+      // Also when device history no longer shows the pattern
+      throw new NotFoundError('Suggestion', suggestionId);
+    }
+
+    return suggestion;
+  }
+
+  /**
+   * Load the user's command transitions as device actions
+   * @private
+   */
+  async _getCommandEvents(userId, days) {
+    const to = new Date();
+    const timezone = await this._getOwnerTimezone(userId);
+
+    const samples = await DeviceStateSample.find({
+      'meta.owner': userId,
+      source: 'command',
+      kind: 'transition',
+      timestamp: { $gte: new Date(to.getTime() - days * DAY_MS), $lte: to },
+    })
+      .select('timestamp meta changes state')
+      .sort({ timestamp: 1 })
+      .limit(MAX_SAMPLES)
+      .lean();
+
+    const events = samples
+      .map(sample => this._toEvent(sample, timezone))
+      .filter(Boolean);
+
+    // Only days with history count as days a routine could have happened on
+    return { events, from: samples[0]?.timestamp, to, timezone };
+  }
+
+  /**
+   * Turn a command sample into the device action that produced it
+   * @private
+   */
+  _toEvent(sample, timezone) {
+    const { timestamp, changes = [], state = {} } = sample;
+    let action;
+    let settings;
+
+    if (changes.includes('powerState') && ['on', 'off'].includes(state.powerState)) {
+      action = `turn_${state.powerState}`;
+    } else {
+      const match = SETTING_ACTIONS.find(({ prefix }) => changes.some(change => change.startsWith(prefix)));
+      if (!match) {
+        return null;
+      }
+      action = match.action;
+      settings = match.settings(state);
+    }
+
+    const deviceId = sample.meta.device.toString();
+    const [hour, minute] = schedulerService.formatTime(timestamp, timezone).split(':').map(Number);
+
+    return {
+      key: `${deviceId}:${action}`,
+      deviceId,
+      action,
+      settings,
+      timestamp: new Date(timestamp),
+      date: schedulerService.formatDate(timestamp, timezone),
+      weekday: schedulerService.formatWeekday(timestamp, timezone),
+      minutes: hour * 60 + minute,
+    };
+  }
+
+  /**
+   * Find device actions repeated around the same time of day
+   * Each action's times are clustered; a cluster keeps the weekdays it hit on
+   * at least ROUTINE_DAY_RATE of the observed dates, and its confidence is
+   * the share of those dates it hit.
+   * @private
+   */
+  _findRoutines(events, { from, to, timezone, minOccurrences }) {
+    const observed = this._countWeekdays(from, to, timezone);
+    const routines = [];
+
+    for (const group of this._groupBy(events, event => event.key).values()) {
+      for (const cluster of this._clusterByTime(group)) {
+        const dates = new Map(cluster.map(event => [event.date, event.weekday]));
+        const hits = this._countValues([...dates.values()]);
+
+        const days = DAYS.filter(day => observed[day] > 0 && (hits[day] || 0) / observed[day] >= ROUTINE_DAY_RATE);
+        const occurrences = days.reduce((sum, day) => sum + (hits[day] || 0), 0);
+        const opportunities = days.reduce((sum, day) => sum + observed[day], 0);
+
+        if (days.length === 0 || occurrences < minOccurrences) {
+          continue;
+        }
+
+        const { deviceId, action } = cluster[0];
+        routines.push({
+          deviceId,
+          action,
+          settings: this._pickSettings(cluster),
+          time: this._toTime(this._median(cluster.map(event => event.minutes))),
+          days,
+          occurrences,
+          observedDays: opportunities,
+          confidence: this._round(occurrences / opportunities),
+        });
+      }
+    }
+
+    return routines;
+  }
+
+  /**
+   * Find sets of device actions that are repeatedly issued together
+   * Commands within SCENE_WINDOW_SECONDS of each other form a session. Each
+   * set seen in a session is counted in every session containing it, and its
+   * confidence is how often its most frequent action came with the rest.
+   * @private
+   */
+  _findScenes(events, { minOccurrences }) {
+    const sessions = this._splitSessions(events);
+    const actionCounts = this._countValues(sessions.flatMap(session => [...session.keys()]));
+
+    const candidates = new Map();
+    for (const session of sessions) {
+      if (session.size < 2) continue;
+      const keys = [...session.keys()].sort();
+      candidates.set(keys.join('|'), keys);
+    }
+
+    const scenes = [];
+    for (const keys of candidates.values()) {
+      const matching = sessions.filter(session => keys.every(key => session.has(key)));
+      if (matching.length < minOccurrences) continue;
+
+      const devices = new Set(keys.map(key => key.split(':')[0]));
+      if (devices.size < keys.length) continue; // one device given opposing actions
+
+      scenes.push({
+        keys,
+        actions: keys.map(key => {
+          const occurrences = matching.map(session => session.get(key));
+          return {
+            deviceId: occurrences[0].deviceId,
+            action: occurrences[0].action,
+            settings: this._pickSettings(occurrences),
+          };
+        }),
+        occurrences: matching.length,
+        confidence: this._round(matching.length / Math.max(...keys.map(key => actionCounts[key]))),
+      });
+    }
+
+    // Drop sets that only ever appear as part of a larger one
+    return scenes.filter(scene => !scenes.some(other => other !== scene
+      && other.keys.length > scene.keys.length
+      && other.occurrences === scene.occurrences
+      && scene.keys.every(key => other.keys.includes(key))));
+  }
+
+  /**
+   * Split events into sessions of nearby commands, keeping each device's last action
+   * @private
+   */
+  _splitSessions(events) {
+    const sessions = [];
+    let session = null;
+    let last = null;
+
+    for (const event of events) {
+      if (!session || event.timestamp - last > SCENE_WINDOW_SECONDS * 1000) {
+        session = new Map();
+        sessions.push(session);
+      }
+
+      for (const [key, other] of session) {
+        if (other.deviceId === event.deviceId) {
+          session.delete(key);
+        }
+      }
+      session.set(event.key, event);
+      last = event.timestamp;
+    }
+
+    return sessions;
+  }
+
+  /**
+   * Cluster events by minute of the day
+   * @private
+   */
+  _clusterByTime(events) {
+    const sorted = [...events].sort((a, b) => a.minutes - b.minutes);
+    const clusters = [];
+    let cluster = [];
+
+    for (const event of sorted) {
+      const previous = cluster[cluster.length - 1];
+      if (previous && (event.minutes - previous.minutes > ROUTINE_WINDOW_MINUTES
+        || event.minutes - cluster[0].minutes > ROUTINE_SPAN_MINUTES)) {
+        clusters.push(cluster);
+        cluster = [];
+      }
+      cluster.push(event);
+    }
+
+    if (cluster.length > 0) {
+      clusters.push(cluster);
+    }
+
+    return clusters;
+  }
+
+  /**
+   * Count how many local dates fall on each weekday in a range
+   * @private
+   */
+  _countWeekdays(from, to, timezone) {
+    const dates = new Map();
+
+    // Half-day steps so no local date is skipped across DST changes
+    for (let time = new Date(from).getTime(); time <= to.getTime(); time += DAY_MS / 2) {
+      dates.set(schedulerService.formatDate(new Date(time), timezone), schedulerService.formatWeekday(new Date(time), timezone));
+    }
+    dates.set(schedulerService.formatDate(to, timezone), schedulerService.formatWeekday(to, timezone));
+
+    return this._countValues([...dates.values()]);
+  }
+
+  /**
+   * Check whether a rule already runs the routine's action around its time
+   * @private
+   */
+  _isRoutineCovered(routine, rules) {
+    const [hour, minute] = routine.time.split(':').map(Number);
+    const minutes = hour * 60 + minute;
+
+    return rules.some(rule => this._hasDeviceAction(rule.actions, routine)
+      && (rule.triggers || []).some(trigger => {
+        if (trigger.type !== 'scheduled' || !trigger.schedule?.time) return false;
+        const [triggerHour, triggerMinute] = trigger.schedule.time.split(':').map(Number);
+        return Math.abs(triggerHour * 60 + triggerMinute - minutes) <= ROUTINE_WINDOW_MINUTES;
+      }));
+  }
+
+  /**
+   * Check whether a mode already runs every action of the scene
+   * @private
+   */
+  _isSceneCovered(scene, modes) {
+    return modes.some(mode => scene.actions.every(action => this._hasDeviceAction(mode.actions, action)));
+  }
+
+  /**
+   * @private
+   */
+  _hasDeviceAction(actions = [], { deviceId, action }) {
+    return actions.some(item => item.type === 'device_control'
+      && item.device?.deviceId?.toString() === deviceId
+      && item.device?.action === action);
+  }
+
+  /**
+   * @private
+   */
+  _buildRuleSuggestion(routine, names) {
+    const deviceName = names.get(routine.deviceId);
+    const when = `at ${routine.time} ${this._describeDays(routine.days)}`;
+    const schedule = routine.days.length === DAYS.length
+      ? { type: 'daily', time: routine.time }
+      : { type: 'weekly', time: routine.time, days: routine.days };
+
+    return {
+      id: this._suggestionId('routine', [routine.deviceId, routine.action, routine.time, ...routine.days]),
+      type: 'rule',
+      category: 'routine',
+      title: `${this._describeAction(routine)} ${deviceName} ${when}`,
+      description: `${deviceName} was ${this._describePastAction(routine)} around ${routine.time} on ${routine.occurrences} of the last ${routine.observedDays} matching days`,
+      confidence: routine.confidence,
+      occurrences: routine.occurrences,
+      observedDays: routine.observedDays,
+      devices: [{ id: routine.deviceId, name: deviceName }],
+      ruleData: {
+        name: `${deviceName} ${this._describeActionShort(routine)} ${when}`.slice(0, 100),
+        description: 'Created from a suggested routine',
+        type: RULE_TYPES.TIME_BASED,
+        triggers: [{ type: 'scheduled', schedule }],
+        actions: [this._toDeviceAction(routine, 1)],
+      },
+    };
+  }
+
+  /**
+   * @private
+   */
+  _buildModeSuggestion(scene, names) {
+    const deviceNames = scene.actions.map(action => names.get(action.deviceId));
+    const summary = scene.actions
+      .map(action => `${names.get(action.deviceId)}: ${this._describeActionShort(action)}`)
+      .join(', ');
+
+    return {
+      id: this._suggestionId('scene', scene.keys),
+      type: 'mode',
+      category: 'scene',
+      title: `Scene for ${this._joinNames(deviceNames)}`,
+      description: `These devices were set together ${scene.occurrences} times: ${summary}`,
+      confidence: scene.confidence,
+      occurrences: scene.occurrences,
+      devices: scene.actions.map(action => ({ id: action.deviceId, name: names.get(action.deviceId) })),
+      modeData: {
+        name: `Scene: ${this._joinNames(deviceNames)}`.slice(0, 100),
+        description: 'Created from a suggested scene',
+        type: PERFORMANCE_MODES.CUSTOM,
+        category: 'scene',
+        actions: scene.actions.map((action, index) => this._toDeviceAction(action, index + 1)),
+      },
+    };
+  }
+
+  /**
+   * @private
+   */
+  _toDeviceAction({ deviceId, action, settings }, order) {
+    return {
+      type: 'device_control',
+      order,
+      device: {
+        deviceId,
+        action,
+        ...(settings && { settings }),
+      },
+    };
+  }
+
+  /**
+   * Most frequent settings among occurrences, the latest on ties
+   * @private
+   */
+  _pickSettings(events) {
+    const counts = new Map();
+    for (const event of events) {
+      if (event.settings === undefined) continue;
+      const key = JSON.stringify(event.settings);
+      counts.set(key, { count: (counts.get(key)?.count || 0) + 1, settings: event.settings });
+    }
+
+    let best;
+    for (const entry of counts.values()) {
+      if (!best || entry.count >= best.count) {
+        best = entry;
+      }
+    }
+    return best?.settings;
+  }
+
+  /**
+   * Stable ID for a pattern, so the same pattern keeps its ID between requests
+   * @private
+   */
+  _suggestionId(kind, parts) {
+    const hash = crypto.createHash('sha256').update(parts.join('|')).digest('hex').slice(0, 16);
+    return `${kind}_${hash}`;
+  }
+
+  /**
+   * @private
+   */
+  _describeAction({ action }) {
+    return {
+      turn_on: 'Turn on',
+      turn_off: 'Turn off',
+      set_brightness: 'Set brightness of',
+      set_temperature: 'Set temperature of',
+      set_color: 'Set color of',
+      set_mode: 'Set mode of',
+    }[action];
+  }
+
+  /**
+   * @private
+   */
+  _describeActionShort({ action, settings }) {
+    switch (action) {
+      case 'turn_on': return 'on';
+      case 'turn_off': return 'off';
+      case 'set_brightness': return `brightness ${settings?.brightness}%`;
+      case 'set_temperature': return `temperature ${settings?.temperature?.target}`;
+      case 'set_color': return 'color';
+      default: return `mode ${settings?.mode}`;
+    }
+  }
+
+  /**
+   * @private
+   */
+  _describePastAction({ action }) {
+    return {
+      turn_on: 'turned on',
+      turn_off: 'turned off',
+      set_brightness: 'dimmed',
+      set_temperature: 'set to a new temperature',
+      set_color: 'changed color',
+      set_mode: 'switched mode',
+    }[action];
+  }
+
+  /**
+   * @private
+   */
+  _describeDays(days) {
+    if (days.length === DAYS.length) return 'every day';
+    if (days.length === WEEKDAYS.length && WEEKDAYS.every(day => days.includes(day))) return 'on weekdays';
+    if (days.length === WEEKEND.length && WEEKEND.every(day => days.includes(day))) return 'on weekends';
+    return `on ${days.map(day => day.slice(0, 3)).join(', ')}`;
+  }
+
+  /**
+   * @private
+   */
+  _joinNames(names) {
+    return names.length <= 2 ? names.join(' and ') : `${names.slice(0, -1).join(', ')} and ${names[names.length - 1]}`;
+  }
+
+  /**
+   * Minutes of the day as HH:MM, rounded to TIME_ROUNDING_MINUTES
+   * @private
+   */
+  _toTime(minutes) {
+    const rounded = (Math.round(minutes / TIME_ROUNDING_MINUTES) * TIME_ROUNDING_MINUTES) % (24 * 60);
+    return `${String(Math.floor(rounded / 60)).padStart(2, '0')}:${String(rounded % 60).padStart(2, '0')}`;
+  }
+
+  /**
+   * @private
+   */
+  _median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+  }
+
+  /**
+   * @private
+   */
+  _groupBy(items, getKey) {
+    const groups = new Map();
+    for (const item of items) {
+      const key = getKey(item);
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(item);
+    }
+    return groups;
+  }
+
+  /**
+   * @private
+   */
+  _countValues(values) {
+    const counts = {};
+    for (const value of values) {
+      counts[value] = (counts[value] || 0) + 1;
+    }
+    return counts;
+  }
+
+  /**
+   * @private
+   */
+  _round(value) {
+    return Math.round(value * 100) / 100;
+  }
+
+  /**
+   * @private
+   */
+  async _getOwnerTimezone(ownerId) {
+    const owner = await User.findById(ownerId).select('timezone');
+    return owner?.timezone || 'UTC';
+  }
+}
+
+export default new SuggestionService();
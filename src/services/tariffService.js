@@ -0,0 +1,116 @@
+import { TARIFF_TYPES } from '../config/constants.js';
+import schedulerService from './schedulerService.js';
+
+/**
+ * Tariff Service
+ * Prices energy with a user's electricity tariff: one flat rate, time-of-use
+ * periods (with `rate` applying outside them) or monthly consumption tiers.
+ */
+class TariffService {
+  /**
+   * Get the tariff period in effect at a point in time
+   * Flat and tiered tariffs have a single period, `defaultPeriod`.
+   * @param {Object} tariff - User tariff
+   * @param {Date} date - Point in time
+   * @param {string} timezone - IANA timezone the periods are defined in
+   * @returns {Object} - { name, rate }
+   */
+  getPeriod(tariff, date = new Date(), timezone = 'UTC') {
+    const fallback = {
+      name: tariff?.defaultPeriod || 'standard',
+      rate: tariff?.rate || 0,
+    };
+
+    if (tariff?.type !== TARIFF_TYPES.TIME_OF_USE) {
+      return fallback;
+    }
+
+    const weekday = schedulerService.formatWeekday(date, timezone);
+    const time = this._toMinutes(schedulerService.formatTime(date, timezone));
+
+    const period = (tariff.periods || []).find(item => {
+      if (item.days?.length > 0 && !item.days.includes(weekday)) {
+        return false;
+      }
+
+      const start = this._toMinutes(item.start);
+      const end = this._toMinutes(item.end);
+
+      // Periods include their start and end before the next period's start
+      return start <= end
+        ? time >= start && time < end
+        : time >= start || time < end; // crosses midnight
+    });
+
+    return period ? { name: period.name, rate: period.rate } : fallback;
+  }
+
+  /**
+   * Cost of a month's consumption under tiered rates
+   * Consumption beyond the last bounded tier is charged at the last rate.
+   * @param {Array} tiers - [{ upTo, rate }]
+   * @param {number} kwh - Consumption so far this month
+   * @returns {number} - Cost
+   */
+  getTieredCost(tiers, kwh) {
+    let cost = 0;
+    let previous = 0;
+
+    for (const tier of this._sortTiers(tiers)) {
+      const limit = tier.upTo ?? Infinity;
+      cost += Math.max(Math.min(kwh, limit) - previous, 0) * tier.rate;
+      previous = limit;
+      if (kwh <= limit) {
+        return cost;
+      }
+    }
+
+    const last = this._sortTiers(tiers).at(-1);
+    return cost + Math.max(kwh - previous, 0) * (last?.rate || 0);
+  }
+
+  /**
+   * Rate of the next kWh after a month's consumption so far
+   * @param {Array} tiers - [{ upTo, rate }]
+   * @param {number} kwh - Consumption so far this month
+   * @returns {number} - Rate per kWh
+   */
+  getMarginalRate(tiers, kwh) {
+    const sorted = this._sortTiers(tiers);
+    const tier = sorted.find(item => item.upTo === null || item.upTo === undefined || kwh < item.upTo);
+    return (tier || sorted.at(-1))?.rate || 0;
+  }
+
+  /**
+   * Describe a tariff for API responses
+   * @param {Object} tariff - User tariff
+   * @returns {Object} - Plain tariff object with tiers sorted
+   */
+  toJSON(tariff) {
+    const plain = tariff?.toObject ? tariff.toObject() : { ...tariff };
+    return {
+      ...plain,
+      periods: plain.periods || [],
+      tiers: this._sortTiers(plain.tiers),
+    };
+  }
+
+  /**
+   * Sort tiers by their upper bound, unbounded last
+   * @private
+   */
+  _sortTiers(tiers = []) {
+    return [...tiers].sort((a, b) => (a.upTo ?? Infinity) - (b.upTo ?? Infinity));
+  }
+
+  /**
+   * Convert "HH:MM" to minutes since midnight
+   * @private
+   */
+  _toMinutes(time) {
+    const [hours, minutes] = String(time).split(':').map(Number);
+    return hours * 60 + minutes;
+  }
+}
+
+export default new TariffService();
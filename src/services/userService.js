@@ -7,6 +7,10 @@ import responseHelpers from '../helpers/response.js';
 import { AppError } from '../utils/errors.js';
 import logger from '../utils/logger.js';
 import config from '../config/index.js';
+import energyService from './energyService.js';
+import modeService from './modeService.js';
+import ruleService from './ruleService.js';
+import tariffService from './tariffService.js';
 
 /**
  * User Service
@@ -255,10 +259,18 @@ class UserService {
         }
       }
 
+      const timezoneChanged = updateData.timezone && updateData.timezone !== user.timezone;
+
       // Update user
       Object.assign(user, updateData);
       await user.save();
 
+      // Scheduled rules and mode schedules fire in the owner's timezone
+      if (timezoneChanged) {
+        await ruleService.rescheduleUserRules(userId);
+        await modeService.rescheduleUserModes(userId);
+      }
+
       logger.info(`User profile updated: ${user.email}`, {
         userId: user._id,
         updatedFields: Object.keys(updateData),
@@ -278,6 +290,65 @@ class UserService {
     }
   }
 
+  /**
+   * Get the user's electricity tariff and the period in effect now
+   * @param {string} userId - User ID
+   * @returns {Object} - { tariff, currentPeriod }
+   */
+  async getTariff(userId) {
+    try {
+      const user = await User.findById(userId).select('tariff');
+      if (!user) {
+        throw new AppError('User not found', 404);
+      }
+
+      return {
+        tariff: tariffService.toJSON(user.tariff),
+        currentPeriod: await energyService.getCurrentTariffPeriod(userId),
+      };
+    } catch (error) {
+      logger.error('Get tariff failed', {
+        error: error.message,
+        userId,
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Replace the user's electricity tariff
+   * @param {string} userId - User ID
+   * @param {Object} tariffData - Tariff configuration
+   * @returns {Object} - { tariff, currentPeriod }
+   */
+  async updateTariff(userId, tariffData) {
+    try {
+      const user = await User.findById(userId);
+      if (!user) {
+        throw new AppError('User not found', 404);
+      }
+
+      user.tariff = tariffData;
+      await user.save();
+
+      logger.info(`Tariff updated: ${user.email}`, {
+        userId: user._id,
+        type: tariffData.type,
+      });
+
+      return {
+        tariff: tariffService.toJSON(user.tariff),
+        currentPeriod: await energyService.getCurrentTariffPeriod(userId),
+      };
+    } catch (error) {
+      logger.error('Update tariff failed', {
+        error: error.message,
+        userId,
+      });
+      throw error;
+    }
+  }
+
   /**
    * Change user password
    * @param {string} userId - User ID
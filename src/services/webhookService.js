@@ -0,0 +1,438 @@
+import crypto from 'crypto';
+import dns from 'dns';
+import net from 'net';
+import mongoose from 'mongoose';
+import { Agent, fetch } from 'undici';
+import WebhookDelivery from '../models/WebhookDelivery.js';
+import config from '../config/index.js';
+import { NotFoundError } from '../utils/errors.js';
+import logger from '../utils/logger.js';
+
+const TEMPLATE_PATTERN = /\{\{\s*([\w.]+)\s*\}\}/g;
+const EXACT_TEMPLATE_PATTERN = /^\{\{\s*([\w.]+)\s*\}\}$/;
+
+// Addresses webhooks may not reach: loopback, private, link-local (cloud
+// metadata), carrier-grade NAT, multicast and other reserved ranges
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3],
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8],
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+// Request headers stored as "[redacted]" in the delivery log
+const REDACTED_HEADERS = ['authorization', 'proxy-authorization', 'cookie', 'x-smarthome-signature'];
+
+/**
+ * Webhook Service
+ * Delivers outbound webhooks for rule and mode actions.
+ *
+ * Bodies are JSON templates: any string containing `{{path}}` is filled from
+ * the execution context (a string that is exactly one placeholder keeps the
+ * value's type). Requests carry:
+ *   X-SmartHome-Event      - event name (e.g. "rule.executed")
+ *   X-SmartHome-Delivery   - delivery ID
+ *   X-SmartHome-Timestamp  - unix seconds
+ *   X-SmartHome-Signature  - "sha256=" + HMAC-SHA256(secret, "<timestamp>.<body>")
+ *
+ * URLs (and redirects) that resolve to internal addresses are refused.
+ */
+class WebhookService {
+  /**
+   * Send a webhook and record the delivery
+   * @param {Object} webhook - Webhook settings ({ url, method, headers, body, secret, timeout, retries })
+   * @param {Object} options - { source: { type, id, actionId }, owner, event, context }
+   * @returns {Object} - Delivery record
+   */
+  async deliver(webhook, { source, owner, event, context = {} }) {
+    const method = (webhook.method || 'POST').toUpperCase();
+    const template = webhook.body ?? webhook.payload;
+    const body = method === 'GET'
+      ? ''
+      : JSON.stringify(template === undefined ? context : this.renderTemplate(template, context));
+
+    return this._send({
+      url: webhook.url,
+      method,
+      headers: this._toPlainObject(webhook.headers),
+      body,
+    }, {
+      webhook,
+      source,
+      owner,
+      event,
+    });
+  }
+
+  /**
+   * Send a recorded delivery again with a fresh signature
+   * @param {Object} delivery - Original delivery record
+   * @param {Object} webhook - Current webhook settings (for the headers, secret, timeout and retries)
+   * @returns {Object} - New delivery record
+   */
+  async redeliver(delivery, webhook) {
+    // The log only holds redacted credentials, so headers come from the action
+    return this._send({
+      url: delivery.request.url,
+      method: delivery.request.method,
+      headers: this._toPlainObject(webhook.headers),
+      body: delivery.request.body,
+    }, {
+      webhook,
+      source: delivery.source,
+      owner: delivery.owner,
+      event: delivery.event,
+      redeliveryOf: delivery._id,
+    });
+  }
+
+  /**
+   * Get the delivery log of a rule or mode
+   * @param {Object} source - { type, id }
+   * @param {Object} options - { page, limit, status }
+   * @returns {Object} - Deliveries with pagination
+   */
+  async getDeliveries(source, { page = 1, limit = 20, status } = {}) {
+    const query = {
+      'source.type': source.type,
+      'source.id': source.id,
+    };
+
+    if (status) {
+      query.status = status;
+    }
+
+    const [deliveries, total] = await Promise.all([
+      WebhookDelivery.find(query)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      WebhookDelivery.countDocuments(query),
+    ]);
+
+    return {
+      deliveries,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    };
+  }
+
+  /**
+   * Find a delivery belonging to a rule or mode
+   * @param {Object} source - { type, id }
+   * @param {string} deliveryId - Delivery ID
+   * @returns {Object} - Delivery record
+   */
+  async getDelivery(source, deliveryId) {
+    const delivery = mongoose.isValidObjectId(deliveryId)
+      ? await WebhookDelivery.findOne({
+        _id: deliveryId,
+        'source.type': source.type,
+        'source.id': source.id,
+      })
+      : null;
+
+    if (!delivery) {
+      throw new NotFoundError('Webhook delivery', deliveryId);
+    }
+
+    return delivery;
+  }
+
+  /**
+   * Fill `{{path}}` placeholders in a JSON template
+   * @param {*} template - Template value (object, array or string)
+   * @param {Object} context - Values available to placeholders
+   * @returns {*} - Rendered value
+   */
+  renderTemplate(template, context) {
+    if (typeof template === 'string') {
+      const exact = template.match(EXACT_TEMPLATE_PATTERN);
+      if (exact) {
+        return this._resolvePath(context, exact[1]) ?? null;
+      }
+
+      return template.replace(TEMPLATE_PATTERN, (match, path) => {
+        const value = this._resolvePath(context, path);
+        if (value === undefined || value === null) {
+          return '';
+        }
+        return typeof value === 'object' ? JSON.stringify(value) : String(value);
+      });
+    }
+
+    if (Array.isArray(template)) {
+      return template.map(item => this.renderTemplate(item, context));
+    }
+
+    if (template && typeof template === 'object') {
+      return Object.fromEntries(
+        Object.entries(template).map(([key, value]) => [key, this.renderTemplate(value, context)])
+      );
+    }
+
+    return template;
+  }
+
+  /**
+   * Compute the signature header value for a body
+   * @param {string} secret - Signing secret
+   * @param {number} timestamp - Unix seconds
+   * @param {string} body - Raw request body
+   * @returns {string} - "sha256=<hex>"
+   */
+  sign(secret, timestamp, body) {
+    const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+    return `sha256=${digest}`;
+  }
+
+  /**
+   * Send a request with retries and store the outcome
+   * @private
+   */
+  async _send(request, { webhook, source, owner, event, redeliveryOf = null }) {
+    const deliveryId = new mongoose.Types.ObjectId();
+    const timeout = webhook.timeout || config.webhooks.timeout;
+    const maxAttempts = 1 + (webhook.retries || 0);
+    const secret = webhook.secret || config.webhooks.signingSecret;
+    const startedAt = Date.now();
+
+    let attempts = 0;
+    let response = null;
+    let lastError = null;
+    let headers;
+
+    while (attempts < maxAttempts) {
+      if (attempts > 0) {
+        await new Promise(resolve => setTimeout(resolve, config.webhooks.retryDelay * Math.pow(2, attempts - 1)));
+      }
+      attempts++;
+
+      const timestamp = Math.floor(Date.now() / 1000);
+      headers = {
+        'Content-Type': 'application/json',
+        'User-Agent': 'SmartHome-Webhooks/1.0',
+        ...request.headers,
+        'X-SmartHome-Event': event,
+        'X-SmartHome-Delivery': deliveryId.toString(),
+        'X-SmartHome-Timestamp': String(timestamp),
+      };
+      if (secret) {
+        headers['X-SmartHome-Signature'] = this.sign(secret, timestamp, request.body);
+      }
+
+      try {
+        response = await this._request(request, headers, timeout);
+        lastError = response.ok ? null : `HTTP ${response.statusCode}`;
+      } catch (error) {
+        response = null;
+        lastError = error.name === 'TimeoutError' || error.name === 'AbortError'
+          ? `Request timed out after ${timeout}ms`
+          : error.message;
+
+        // A refused URL stays refused
+        if (error.code === 'WEBHOOK_URL_BLOCKED') {
+          break;
+        }
+      }
+
+      // Client errors other than 408/429 will not succeed on retry
+      if (!lastError || (response && response.statusCode < 500 && ![408, 429].includes(response.statusCode))) {
+        break;
+      }
+    }
+
+    const delivery = await WebhookDelivery.create({
+      _id: deliveryId,
+      source,
+      owner,
+      event,
+      request: {
+        ...request,
+        headers: this._redactHeaders(headers),
+      },
+      response: response ? { statusCode: response.statusCode, body: response.body } : undefined,
+      status: lastError ? 'failed' : 'success',
+      attempts,
+      duration: Date.now() - startedAt,
+      error: lastError,
+      redeliveryOf,
+    });
+
+    const logData = {
+      deliveryId,
+      source: source.type,
+      sourceId: source.id,
+      url: request.url,
+      statusCode: response?.statusCode,
+      attempts,
+    };
+
+    if (lastError) {
+      logger.warn('Webhook delivery failed', { ...logData, error: lastError });
+    } else {
+      logger.info('Webhook delivered', logData);
+    }
+
+    return delivery;
+  }
+
+  /**
+   * Perform one HTTP request, following redirects only to allowed addresses
+   * Each hop connects to the addresses that were checked, so a host cannot
+   * resolve to a public address for the check and an internal one for fetch.
+   * @private
+   */
+  async _request(request, headers, timeout) {
+    const signal = AbortSignal.timeout(timeout);
+    const dispatchers = [];
+    let url = request.url;
+    let method = request.method;
+    let response;
+
+    try {
+      for (let redirects = 0; ; redirects++) {
+        const addresses = await this._assertAllowedUrl(url);
+        const dispatcher = addresses ? this._pinnedAgent(addresses) : undefined;
+        if (dispatcher) {
+          dispatchers.push(dispatcher);
+        }
+
+        response = await fetch(url, {
+          method,
+          headers,
+          body: method === 'GET' ? undefined : request.body,
+          redirect: 'manual',
+          signal,
+          dispatcher,
+        });
+
+        const location = response.headers.get('location');
+        if (response.status < 300 || response.status >= 400 || !location) {
+          break;
+        }
+        if (redirects >= config.webhooks.maxRedirects) {
+          throw new Error(`Too many redirects (more than ${config.webhooks.maxRedirects})`);
+        }
+
+        await response.body?.cancel();
+        url = new URL(location, url).toString();
+        // 303 (and 301/302 after a POST, as browsers do) continue as GET
+        if (response.status === 303 || ([301, 302].includes(response.status) && method === 'POST')) {
+          method = 'GET';
+        }
+      }
+
+      const text = await response.text();
+
+      return {
+        ok: response.ok,
+        statusCode: response.status,
+        body: text.slice(0, config.webhooks.maxResponseSize),
+      };
+    } finally {
+      await Promise.all(dispatchers.map(dispatcher => dispatcher.destroy()));
+    }
+  }
+
+  /**
+   * Connection pool that resolves every host to the given addresses
+   * @private
+   */
+  _pinnedAgent(addresses) {
+    return new Agent({
+      connect: {
+        lookup: (hostname, options, callback) => {
+          if (options?.all) {
+            callback(null, addresses);
+          } else {
+            callback(null, addresses[0].address, addresses[0].family);
+          }
+        },
+      },
+    });
+  }
+
+  /**
+   * Refuse URLs that are not http(s) or that resolve to an internal address
+   * @returns {Array|null} - The checked addresses, or null when private networks are allowed
+   * @private
+   */
+  async _assertAllowedUrl(url) {
+    const { protocol, hostname } = new URL(url);
+    const refuse = (reason) => {
+      const error = new Error(`Webhook URL refused: ${reason}`);
+      error.code = 'WEBHOOK_URL_BLOCKED';
+      throw error;
+    };
+
+    if (!['http:', 'https:'].includes(protocol)) {
+      refuse(`unsupported protocol ${protocol}`);
+    }
+    if (config.webhooks.allowPrivateNetworks) {
+      return null;
+    }
+
+    const host = hostname.replace(/^\[|\]$/g, '');
+    let addresses;
+    try {
+      addresses = await dns.promises.lookup(host, { all: true, verbatim: true });
+    } catch (error) {
+      refuse(`cannot resolve ${host}`);
+    }
+
+    const blocked = addresses.find(({ address, family }) => this._isBlockedAddress(address, family));
+    if (blocked) {
+      refuse(`${host} resolves to a private or reserved address (${blocked.address})`);
+    }
+
+    return addresses;
+  }
+
+  /**
+   * @private
+   */
+  _isBlockedAddress(address, family) {
+    // IPv4-mapped IPv6 (::ffff:a.b.c.d) is checked as the IPv4 address
+    const mapped = family === 6 && address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+    if (mapped) {
+      return BLOCKED_ADDRESSES.check(mapped[1], 'ipv4');
+    }
+    return BLOCKED_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+  }
+
+  /**
+   * @private
+   */
+  _redactHeaders(headers) {
+    return Object.fromEntries(Object.entries(headers || {}).map(([name, value]) => [
+      name,
+      REDACTED_HEADERS.includes(name.toLowerCase()) ? '[redacted]' : value,
+    ]));
+  }
+
+  /**
+   * @private
+   */
+  _resolvePath(context, path) {
+    return path.split('.').reduce((value, key) => value?.[key], context);
+  }
+
+  /**
+   * @private
+   */
+  _toPlainObject(headers) {
+    if (!headers) {
+      return {};
+    }
+    return headers instanceof Map ? Object.fromEntries(headers) : { ...headers };
+  }
+}
+
+export default new WebhookService();
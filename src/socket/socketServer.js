@@ -1,6 +1,7 @@
 import { Server } from 'socket.io';
 import jwt from 'jsonwebtoken';
 import logger from '../utils/logger.js';
+import { SOCKET_EVENTS } from '../config/constants.js';
 import { deviceService, analyticsService, notificationService } from '../services/index.js';
 
 /**
@@ -215,13 +216,27 @@ class SocketServer {
           deviceId: data.deviceId,
           action: data.action,
           error: error.message,
+          statusCode: error.statusCode || 500,
         });
       }
     });
 
     // Subscribe to device updates
-    socket.on('subscribe_device', (data) => {
+    socket.on('subscribe_device', async (data) => {
       const { deviceId } = data;
+
+      try {
+        // Same view check as GET /devices/:deviceId
+        await deviceService.getDeviceById(deviceId, userId);
+      } catch (error) {
+        socket.emit('device_subscribe_error', {
+          deviceId,
+          error: error.message,
+          statusCode: error.statusCode || 500,
+        });
+        return;
+      }
+
       socket.join(`device_${deviceId}`);
       
       logger.debug('User subscribed to device updates', {
@@ -311,6 +326,36 @@ class SocketServer {
     }
   }
 
+  /**
+   * Broadcast a device online/offline transition to the users who can see it and subscribers
+   * @param {Array<string>} userIds - IDs of the users with view access
+   * @param {string} deviceId - Device ID
+   * @param {Object} change - Status change details
+   */
+  broadcastDeviceStatusChange(userIds, deviceId, change) {
+    if (this.io) {
+      this.io.to([...userIds.map(userId => `user_${userId}`), `device_${deviceId}`]).emit(SOCKET_EVENTS.DEVICE_STATUS_CHANGE, {
+        deviceId,
+        ...change,
+        timestamp: new Date(),
+      });
+    }
+  }
+
+  /**
+   * Broadcast a mode activation or deactivation to the users who can see the mode
+   * @param {Array<string>} userIds - IDs of the users with view access
+   * @param {Object} change - Mode change details
+   */
+  broadcastModeChange(userIds, change) {
+    if (this.io && userIds.length > 0) {
+      this.io.to(userIds.map(userId => `user_${userId}`)).emit(SOCKET_EVENTS.MODE_CHANGE, {
+        ...change,
+        timestamp: new Date(),
+      });
+    }
+  }
+
   /**
    * Send notification to user
    * @param {string} userId - User ID
@@ -114,6 +114,7 @@ export class DeviceError extends AppError {
   constructor(message = 'Device operation failed', deviceId = null) {
     super(message, 422);
     this.type = 'DEVICE_ERROR';
+    this.code = 'DEVICE_ERROR';
     this.deviceId = deviceId;
   }
 }
@@ -139,6 +140,7 @@ export class DeviceTimeoutError extends DeviceError {
       : 'Device operation timed out';
     super(message, deviceId);
     this.type = 'DEVICE_TIMEOUT_ERROR';
+    this.code = 'DEVICE_TIMEOUT';
     this.timeout = timeout;
     this.statusCode = 408;
   }
@@ -217,6 +219,17 @@ export class IntegrationError extends AppError {
   }
 }
 
+/**
+ * Outbound webhook delivery errors
+ */
+export class WebhookDeliveryError extends AppError {
+  constructor(deliveryId = null, message = 'Webhook delivery failed') {
+    super(`Webhook delivery failed: ${message}`, 502);
+    this.type = 'WEBHOOK_DELIVERY_ERROR';
+    this.deliveryId = deliveryId;
+  }
+}
+
 /**
  * Error factory function to create appropriate error types
  */
@@ -0,0 +1,40 @@
+import Joi from 'joi';
+
+/**
+ * Backup validation schemas using Joi
+ * Validates backup and restore requests
+ */
+
+// Passphrase used to encrypt or decrypt a backup
+const passphraseSchema = Joi.string()
+  .min(8)
+  .max(1024)
+  .messages({
+    'string.min': 'Passphrase must be at least 8 characters long',
+  });
+
+// Backup creation validation
+export const validateBackupCreate = Joi.object({
+  passphrase: passphraseSchema.optional(),
+});
+
+// Restore validation
+export const validateBackupRestore = Joi.object({
+  backup: Joi.object({
+    format: Joi.string().required(),
+    version: Joi.number().integer().min(1).required(),
+  }).unknown(true).required(),
+
+  passphrase: passphraseSchema.optional(),
+
+  dryRun: Joi.boolean()
+    .optional()
+    .default(false),
+});
+
+export default {
+  validateBackupCreate,
+  validateBackupRestore,
+  createBackup: validateBackupCreate,
+  restoreBackup: validateBackupRestore,
+};
@@ -1,5 +1,5 @@
 import Joi from 'joi';
-import { DEVICE_TYPES, DEVICE_STATUS, POWER_STATES } from '../config/constants.js';
+import { DEVICE_TYPES, DEVICE_STATUS, DEVICE_PROTOCOLS, POWER_STATES, DEVICE_HISTORY_INTERVALS } from '../config/constants.js';
 
 /**
  * Device validation schemas using Joi
@@ -94,6 +94,10 @@ export const validateDeviceCreate = Joi.object({
     .max(65535)
     .optional(),
   
+  protocol: Joi.string()
+    .valid(...Object.values(DEVICE_PROTOCOLS))
+    .optional(),
+  
   capabilities: Joi.object({
     canToggle: Joi.boolean().default(true),
     canDim: Joi.boolean().default(false),
@@ -177,6 +181,10 @@ export const validateDeviceUpdate = Joi.object({
     .max(65535)
     .optional(),
   
+  protocol: Joi.string()
+    .valid(...Object.values(DEVICE_PROTOCOLS))
+    .optional(),
+  
   status: Joi.string()
     .valid(...Object.values(DEVICE_STATUS))
     .optional(),
@@ -265,6 +273,15 @@ export const validateDeviceSettings = Joi.object({
   isRecording: Joi.boolean().optional(),
 });
 
+// Device control validation
+export const validateDeviceControl = Joi.object({
+  action: Joi.string()
+    .valid('turn_on', 'turn_off', 'toggle', 'set_brightness', 'set_color', 'set_temperature')
+    .required(),
+  
+  parameters: validateDeviceSettings.optional(),
+});
+
 // Device timer validation
 export const validateDeviceTimer = Joi.object({
   name: Joi.string()
@@ -478,10 +495,60 @@ export const validateDeviceStatus = Joi.object({
   timestamp: Joi.date().optional().default(() => new Date()),
 });
 
+// Device history query validation
+export const validateDeviceHistoryQuery = Joi.object({
+  from: Joi.date().iso().optional(),
+  to: Joi.date().iso().optional(),
+  startDate: Joi.date().iso().optional(), // alias of from
+  endDate: Joi.date().iso().optional(), // alias of to
+  
+  property: Joi.string()
+    .max(100)
+    .when('aggregation', {
+      is: Joi.valid('avg', 'min', 'max', 'sum', 'count', 'last'),
+      then: Joi.required(),
+      otherwise: Joi.optional(),
+    }),
+  
+  aggregation: Joi.string()
+    .valid('raw', 'avg', 'min', 'max', 'sum', 'count', 'last')
+    .optional()
+    .default('raw'),
+  
+  interval: Joi.string()
+    .valid('auto', ...Object.keys(DEVICE_HISTORY_INTERVALS))
+    .optional()
+    .default('auto'),
+  
+  type: Joi.string()
+    .valid('transition', 'sample')
+    .optional()
+    .allow(''),
+  
+  page: Joi.number().integer().min(1).optional().default(1),
+  limit: Joi.number().integer().min(1).max(1000).optional().default(500),
+});
+
+// Energy usage query validation (devices, groups and home)
+export const validateEnergyQuery = Joi.object({
+  period: Joi.string()
+    .valid('day', 'week', 'month', 'year')
+    .optional()
+    .default('day'),
+  
+  startDate: Joi.date().iso().optional(),
+  
+  endDate: Joi.date().iso().min(Joi.ref('startDate')).optional()
+    .messages({
+      'date.min': 'End date must be after start date',
+    }),
+});
+
 export default {
   validateDeviceCreate,
   validateDeviceUpdate,
   validateDeviceSettings,
+  validateDeviceControl,
   validateDeviceTimer,
   validateDeviceSearch,
   validateDeviceEnergyUpdate,
@@ -489,4 +556,13 @@ export default {
   validateDeviceConfiguration,
   validateBulkDeviceAction,
   validateDeviceStatus,
+  validateDeviceHistoryQuery,
+  validateEnergyQuery,
+  createDevice: validateDeviceCreate,
+  updateDevice: validateDeviceUpdate,
+  controlDevice: validateDeviceControl,
+  updateDeviceStatus: validateDeviceStatus,
+  bulkControlDevices: validateBulkDeviceAction,
+  setDeviceTimer: validateDeviceTimer,
+  shareDevice: validateDeviceSharing,
 };
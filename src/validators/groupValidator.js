@@ -538,6 +538,15 @@ export const validateGroupControl = Joi.object({
   }).optional(),
 });
 
+// Group optimization validation
+export const validateGroupOptimization = Joi.object({
+  optimizationId: Joi.string()
+    .trim()
+    .min(1)
+    .max(100)
+    .required(),
+});
+
 // Group search validation
 export const validateGroupSearch = Joi.object({
   q: Joi.string()
@@ -585,28 +594,20 @@ export const validateGroupSearch = Joi.object({
     .default('asc'),
 });
 
-// Group sharing validation
+// Group sharing validation (an empty permission list uses the role's defaults)
 export const validateGroupSharing = Joi.object({
   userId: objectIdSchema.required(),
   
   role: Joi.string()
-    .valid('viewer', 'editor', 'admin')
-    .required(),
+    .valid('viewer', 'member', 'admin')
+    .optional()
+    .default('member'),
   
   permissions: Joi.array()
-    .items(Joi.string().valid('view', 'control', 'configure', 'share'))
-    .min(1)
-    .required()
-    .messages({
-      'array.min': 'At least one permission must be granted',
-    }),
-  
-  expiresAt: Joi.date()
-    .min('now')
+    .items(Joi.string().valid('view', 'control', 'configure', 'invite', 'add_devices', 'remove_devices'))
+    .unique()
     .optional()
-    .messages({
-      'date.min': 'Expiration date must be in the future',
-    }),
+    .default([]),
 });
 
 // Group scene validation
@@ -679,4 +680,13 @@ export default {
   validateGroupSearch,
   validateGroupSharing,
   validateGroupScene,
+  validateGroupOptimization,
+  createGroup: validateGroupCreate,
+  updateGroup: validateGroupUpdate,
+  addDevicesToGroup: validateGroupDeviceAdd,
+  removeDevicesFromGroup: validateGroupDeviceRemove,
+  controlGroup: validateGroupControl,
+  createScene: validateGroupScene,
+  applyOptimization: validateGroupOptimization,
+  addGroupMember: validateGroupSharing,
 };
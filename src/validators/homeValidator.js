@@ -0,0 +1,88 @@
+import Joi from 'joi';
+import { HOME_ROLES } from '../config/constants.js';
+
+/**
+ * Home validation schemas using Joi
+ * Validates household, member and invite requests
+ */
+
+// MongoDB ObjectId validation
+const objectIdSchema = Joi.string()
+  .pattern(/^[0-9a-fA-F]{24}$/)
+  .messages({
+    'string.pattern.base': 'Invalid ID format',
+  });
+
+// Roles that can be given to members (ownership is not transferable)
+const memberRoleSchema = Joi.string()
+  .valid(HOME_ROLES.ADMIN, HOME_ROLES.MEMBER, HOME_ROLES.GUEST);
+
+const nameSchema = Joi.string()
+  .trim()
+  .min(1)
+  .max(100)
+  .messages({
+    'string.empty': 'Home name is required',
+    'string.max': 'Home name cannot exceed 100 characters',
+  });
+
+// Home creation validation
+export const validateHomeCreate = Joi.object({
+  name: nameSchema.required(),
+});
+
+// Home update validation
+export const validateHomeUpdate = Joi.object({
+  name: nameSchema.optional(),
+}).min(1);
+
+// Invite validation
+export const validateHomeInvite = Joi.object({
+  email: Joi.string()
+    .email()
+    .required()
+    .messages({
+      'string.email': 'Please provide a valid email address',
+    }),
+
+  role: memberRoleSchema
+    .optional()
+    .default(HOME_ROLES.MEMBER),
+});
+
+// Member role change validation
+export const validateMemberRole = Joi.object({
+  role: memberRoleSchema.required(),
+});
+
+// Invite answer validation (the token comes from the invite email)
+export const validateInviteResponse = Joi.object({
+  token: Joi.string()
+    .trim()
+    .required()
+    .messages({
+      'any.required': 'The invite token from the invitation email is required',
+    }),
+});
+
+// Active home validation (null switches back to the user's own home)
+export const validateActiveHome = Joi.object({
+  homeId: objectIdSchema
+    .allow(null)
+    .required(),
+});
+
+export default {
+  validateHomeCreate,
+  validateHomeUpdate,
+  validateHomeInvite,
+  validateMemberRole,
+  validateInviteResponse,
+  validateActiveHome,
+  createHome: validateHomeCreate,
+  updateHome: validateHomeUpdate,
+  inviteMember: validateHomeInvite,
+  updateMemberRole: validateMemberRole,
+  respondToInvite: validateInviteResponse,
+  setActiveHome: validateActiveHome,
+};
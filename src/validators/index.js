@@ -4,5 +4,8 @@ import deviceValidator from './deviceValidator.js';
 import groupValidator from './groupValidator.js';
 import modeValidator from './modeValidator.js';
 import ruleValidator from './ruleValidator.js';
+import notificationValidator from './notificationValidator.js';
+import backupValidator from './backupValidator.js';
+import homeValidator from './homeValidator.js';
 
-export { userValidator, deviceValidator, groupValidator, modeValidator, ruleValidator };
+export { userValidator, deviceValidator, groupValidator, modeValidator, ruleValidator, notificationValidator, backupValidator, homeValidator };
@@ -62,6 +62,12 @@ export const validateModeCreate = Joi.object({
     .optional()
     .default(false),
   
+  category: Joi.string()
+    .trim()
+    .lowercase()
+    .max(50)
+    .optional(),
+  
   priority: Joi.number()
     .integer()
     .min(1)
@@ -300,6 +306,8 @@ export const validateModeCreate = Joi.object({
         headers: Joi.object().optional(),
         body: Joi.object().optional(),
         timeout: Joi.number().integer().min(1000).max(30000).optional().default(5000),
+        retries: Joi.number().integer().min(0).max(5).optional().default(0),
+        secret: Joi.string().min(16).max(256).optional(),
       }).when('type', {
         is: 'webhook',
         then: Joi.required(),
@@ -430,7 +438,53 @@ export const validateModeCreate = Joi.object({
       .optional()
       .default(false),
     
-    previousState: Joi.object().optional(), // Stored automatically
+    restoreConflicts: Joi.string()
+      .valid('skip', 'force', 'ask')
+      .optional(),
+    
+    // Time triggers run on the job queue in the owner's timezone
+    schedule: Joi.object({
+      autoActivate: Joi.object({
+        enabled: Joi.boolean().optional().default(false),
+        triggers: Joi.array()
+          .items(Joi.object({
+            type: Joi.string()
+              .valid('time', 'sunrise', 'sunset', 'occupancy', 'energy_usage')
+              .required(),
+            value: Joi.when('type', {
+              is: 'time',
+              then: Joi.alternatives().try(timeSchema, Joi.object({ time: timeSchema.required() })).required(),
+              otherwise: Joi.any().optional(),
+            }),
+            days: Joi.array()
+              .items(Joi.string().valid('monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'))
+              .optional(),
+            isActive: Joi.boolean().optional().default(true),
+          }))
+          .optional(),
+      }).optional(),
+      
+      autoDeactivate: Joi.object({
+        enabled: Joi.boolean().optional().default(false),
+        duration: Joi.number().integer().min(1).optional(), // minutes
+        triggers: Joi.array()
+          .items(Joi.object({
+            type: Joi.string()
+              .valid('time', 'no_occupancy', 'energy_threshold')
+              .required(),
+            value: Joi.when('type', {
+              is: 'time',
+              then: Joi.alternatives().try(timeSchema, Joi.object({ time: timeSchema.required() })).required(),
+              otherwise: Joi.any().optional(),
+            }),
+            days: Joi.array()
+              .items(Joi.string().valid('monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'))
+              .optional(),
+            isActive: Joi.boolean().optional().default(true),
+          }))
+          .optional(),
+      }).optional(),
+    }).optional(),
     
     energySaving: Joi.object({
       enabled: Joi.boolean().optional().default(false),
@@ -438,6 +492,41 @@ export const validateModeCreate = Joi.object({
       priorityDevices: Joi.array().items(objectIdSchema).optional(),
     }).optional(),
     
+    // Household power budget enforced while the mode is active
+    energy: Joi.object({
+      maxUsage: Joi.number().min(0).optional(), // watts
+      priorityDevices: Joi.array()
+        .items(Joi.object({
+          device: objectIdSchema.required(),
+          priority: Joi.number().integer().min(1).max(10).optional().default(5), // 1 is shed first
+        }))
+        .unique('device')
+        .optional(),
+      autoShutdown: Joi.object({
+        enabled: Joi.boolean().optional().default(false),
+        threshold: Joi.number().min(1).max(200).optional().default(90), // % of maxUsage
+        excludeDevices: Joi.array().items(objectIdSchema).optional(),
+      }).optional(),
+    }).optional(),
+    
+    notifications: Joi.object({
+      onActivation: Joi.object({
+        enabled: Joi.boolean().optional(),
+        message: Joi.string().max(200).optional().allow(''),
+        recipients: Joi.array().items(objectIdSchema).optional(),
+      }).optional(),
+      onDeactivation: Joi.object({
+        enabled: Joi.boolean().optional(),
+        message: Joi.string().max(200).optional().allow(''),
+        recipients: Joi.array().items(objectIdSchema).optional(),
+      }).optional(),
+      energyThreshold: Joi.object({
+        enabled: Joi.boolean().optional().default(false),
+        threshold: Joi.number().min(1).max(200).optional().default(80), // % of maxUsage
+        message: Joi.string().max(200).optional().allow(''),
+      }).optional(),
+    }).optional(),
+    
     security: Joi.object({
       enabled: Joi.boolean().optional().default(false),
       armDelay: Joi.number().integer().min(0).max(300).optional().default(30), // seconds
@@ -525,6 +614,12 @@ export const validateModeUpdate = Joi.object({
   
   isDefault: Joi.boolean().optional(),
   
+  category: Joi.string()
+    .trim()
+    .lowercase()
+    .max(50)
+    .optional(),
+  
   priority: Joi.number()
     .integer()
     .min(1)
@@ -561,6 +656,103 @@ export const validateModeActivation = Joi.object({
   }).optional(),
 });
 
+// Mode deactivation validation
+export const validateModeDeactivation = Joi.object({
+  // Overrides settings.restoreConflicts for this deactivation
+  onConflict: Joi.string()
+    .valid('skip', 'force', 'ask')
+    .optional(),
+});
+
+// Mode restore validation
+export const validateModeRestore = Joi.object({
+  // Pending devices to restore; all pending devices when omitted
+  deviceIds: Joi.array()
+    .items(objectIdSchema)
+    .min(1)
+    .unique()
+    .optional(),
+});
+
+// Mode schedule validation
+export const validateModeSchedule = Joi.object({
+  name: Joi.string()
+    .trim()
+    .max(100)
+    .optional(),
+  
+  action: Joi.string()
+    .valid('activate', 'deactivate')
+    .optional()
+    .default('activate'),
+  
+  // Shorthand for a one-off schedule at an exact time
+  scheduledFor: Joi.date()
+    .min('now')
+    .optional()
+    .messages({
+      'date.min': 'Scheduled time must be in the future',
+    }),
+  
+  schedule: Joi.object({
+    type: Joi.string()
+      .valid('once', 'daily', 'weekly', 'monthly', 'cron')
+      .required(),
+    
+    time: timeSchema.when('type', {
+      is: Joi.valid('daily', 'weekly', 'monthly'),
+      then: Joi.required(),
+      otherwise: Joi.optional(),
+    }),
+    
+    date: Joi.date().when('type', {
+      is: 'once',
+      then: Joi.required(),
+      otherwise: Joi.optional(),
+    }),
+    
+    days: Joi.array()
+      .items(Joi.string().valid('monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'))
+      .when('type', {
+        is: 'weekly',
+        then: Joi.array().min(1).required(),
+        otherwise: Joi.array().optional(),
+      }),
+    
+    cronExpression: Joi.string().when('type', {
+      is: 'cron',
+      then: Joi.required(),
+      otherwise: Joi.optional(),
+    }),
+  }).optional(),
+  
+  // Deactivate the mode this long after a scheduled activation
+  duration: Joi.object({
+    value: Joi.number().integer().min(1).max(1440).required(),
+    unit: Joi.string().valid('minutes', 'hours').optional().default('minutes'),
+  }).when('action', {
+    is: 'deactivate',
+    then: Joi.forbidden(),
+    otherwise: Joi.optional(),
+  }),
+}).xor('schedule', 'scheduledFor')
+  .messages({
+    'object.xor': 'Provide either schedule or scheduledFor',
+    'object.missing': 'Provide either schedule or scheduledFor',
+  });
+
+// Mode test validation
+export const validateModeTest = Joi.object({
+  // Hypothetical device states by device ID, merged over the current ones
+  snapshot: Joi.object()
+    .pattern(objectIdSchema, Joi.object())
+    .optional(),
+  
+  dryRun: Joi.boolean()
+    .optional()
+    .default(true),
+});
+
 // Mode search validation
 export const validateModeSearch = Joi.object({
   q: Joi.string()
@@ -580,6 +772,8 @@ export const validateModeSearch = Joi.object({
   
   isDefault: Joi.boolean().optional(),
   
+  category: Joi.string().trim().lowercase().max(50).optional(),
+  
   priority: Joi.number().integer().min(1).max(10).optional(),
   
   tags: Joi.array()
@@ -627,10 +821,52 @@ export const validateModeSharing = Joi.object({
     }),
 });
 
+// Mode suggestion customization validation
+export const validateSuggestionCustomization = Joi.object({
+  customizations: Joi.object({
+    name: Joi.string().trim().min(1).max(100).optional(),
+    description: Joi.string().max(500).optional().allow(''),
+    category: Joi.string().trim().lowercase().max(50).optional(),
+    priority: Joi.number().integer().min(1).max(10).optional(),
+  }).optional(),
+});
+
+// Mode bundle import validation
+export const validateModeImport = Joi.object({
+  bundle: Joi.object({
+    format: Joi.string().required(),
+    version: Joi.number().integer().min(1).required(),
+  }).unknown(true).required(),
+  
+  // Device reference (e.g. "device:1") -> device to bind it to
+  mapping: Joi.object()
+    .pattern(Joi.string().pattern(/^device:\d+$/), objectIdSchema)
+    .optional()
+    .default({}),
+  
+  overwrite: Joi.boolean()
+    .optional()
+    .default(false),
+  
+  dryRun: Joi.boolean()
+    .optional()
+    .default(false),
+});
+
 export default {
   validateModeCreate,
   validateModeUpdate,
   validateModeActivation,
+  validateModeDeactivation,
+  validateModeRestore,
+  validateModeSchedule,
+  validateModeTest,
   validateModeSearch,
   validateModeSharing,
+  validateSuggestionCustomization,
+  validateModeImport,
+  createMode: validateModeCreate,
+  updateMode: validateModeUpdate,
+  scheduleMode: validateModeSchedule,
+  importMode: validateModeImport,
 };
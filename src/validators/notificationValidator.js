@@ -0,0 +1,43 @@
+import Joi from 'joi';
+
+/**
+ * Notification validation schemas using Joi
+ * Validates notification inbox requests
+ */
+
+// Notification list query validation
+export const validateNotificationQuery = Joi.object({
+  page: Joi.number()
+    .integer()
+    .min(1)
+    .optional(),
+
+  limit: Joi.number()
+    .integer()
+    .min(1)
+    .max(100)
+    .optional(),
+
+  type: Joi.string()
+    .max(50)
+    .optional(),
+
+  unread: Joi.boolean()
+    .optional(),
+
+  priority: Joi.string()
+    .valid('low', 'normal', 'high')
+    .optional(),
+
+  sortBy: Joi.string()
+    .valid('createdAt', 'priority', 'type', 'readAt')
+    .optional(),
+
+  sortOrder: Joi.string()
+    .valid('asc', 'desc')
+    .optional(),
+});
+
+export default {
+  validateNotificationQuery,
+};
@@ -1,4 +1,5 @@
 import Joi from 'joi';
+import { RULE_TYPES, RULE_CONDITIONS } from '../config/constants.js';
 
 /**
  * Rule validation schemas using Joi
@@ -19,6 +20,113 @@ const timeSchema = Joi.string()
     'string.pattern.base': 'Invalid time format (use HH:MM)',
   });
 
+// Schedule validation (the shape schedulerService reads)
+const scheduleSchema = Joi.object({
+  type: Joi.string()
+    .valid('once', 'daily', 'weekly', 'monthly', 'cron')
+    .required(),
+  
+  time: timeSchema.when('type', {
+    is: Joi.valid('daily', 'weekly', 'monthly'),
+    then: Joi.required(),
+    otherwise: Joi.optional(),
+  }),
+  
+  date: Joi.date().when('type', {
+    is: 'once',
+    then: Joi.required(),
+    otherwise: Joi.optional(),
+  }),
+  
+  days: Joi.array()
+    .items(Joi.string().valid('monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'))
+    .when('type', {
+      is: 'weekly',
+      then: Joi.array().min(1).required(),
+      otherwise: Joi.array().optional(),
+    }),
+  
+  cronExpression: Joi.string().when('type', {
+    is: 'cron',
+    then: Joi.required(),
+    otherwise: Joi.optional(),
+  }),
+});
+
+// Rule condition validation (type `group` nests further conditions)
+const conditionSchema = Joi.object({
+  type: Joi.string()
+    .valid(...Object.values(RULE_CONDITIONS))
+    .required(),
+  
+  operator: Joi.when('type', {
+    is: RULE_CONDITIONS.GROUP,
+    then: Joi.forbidden(),
+    otherwise: Joi.string()
+      .valid('equals', 'not_equals', 'greater_than', 'less_than', 'between', 'contains', 'starts_with', 'ends_with')
+      .optional()
+      .default('equals'),
+  }),
+  
+  source: Joi.when('type', {
+    is: RULE_CONDITIONS.GROUP,
+    then: Joi.forbidden(),
+    otherwise: Joi.object({
+      type: Joi.string().valid('device', 'group', 'sensor', 'time', 'weather', 'location', 'user', 'tariff').required(),
+      id: objectIdSchema.optional(),
+      property: Joi.string().max(100).optional(),
+    }).required(),
+  }),
+  
+  // Compared value; `between` takes [min, max]
+  value: Joi.any().optional(),
+  
+  timeRange: Joi.object({
+    start: timeSchema.optional(),
+    end: timeSchema.optional(),
+    days: Joi.array()
+      .items(Joi.string().valid('monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'))
+      .optional(),
+  }).when('type', {
+    is: RULE_CONDITIONS.TIME_BETWEEN,
+    then: Joi.object({ start: Joi.required(), end: Joi.required() }).required(),
+    otherwise: Joi.optional(),
+  }),
+  
+  location: Joi.object({
+    latitude: Joi.number().min(-90).max(90).required(),
+    longitude: Joi.number().min(-180).max(180).required(),
+    radius: Joi.number().min(10).max(10000).required(), // in meters
+  }).optional(),
+  
+  // Only pass once the condition has held this long (seconds); needs a source device
+  sustainedFor: Joi.when('source.id', {
+    is: Joi.exist(),
+    then: Joi.when('source.type', {
+      is: 'device',
+      then: Joi.number().integer().min(1).max(86400).optional(),
+      otherwise: Joi.forbidden(),
+    }),
+    otherwise: Joi.forbidden(),
+  }),
+  
+  logic: Joi.when('type', {
+    is: RULE_CONDITIONS.GROUP,
+    then: Joi.string().valid('AND', 'OR').optional().default('AND'),
+    otherwise: Joi.forbidden(),
+  }),
+  
+  conditions: Joi.when('type', {
+    is: RULE_CONDITIONS.GROUP,
+    then: Joi.array().items(Joi.link('#ruleCondition')).min(1).required(),
+    otherwise: Joi.forbidden(),
+  }),
+  
+  isActive: Joi.boolean()
+    .optional()
+    .default(true),
+}).rename('for', 'sustainedFor').id('ruleCondition');
+
 // Rule creation validation
 export const validateRuleCreate = Joi.object({
   name: Joi.string()
@@ -38,9 +146,8 @@ export const validateRuleCreate = Joi.object({
     .default(''),
   
   type: Joi.string()
-    .valid('simple', 'advanced', 'security', 'energy', 'comfort', 'scene', 'notification')
-    .optional()
-    .default('simple'),
+    .valid(...Object.values(RULE_TYPES))
+    .required(),
   
   category: Joi.string()
     .valid('lighting', 'climate', 'security', 'entertainment', 'energy', 'safety', 'convenience', 'custom')
@@ -65,13 +172,20 @@ export const validateRuleCreate = Joi.object({
         .default(() => Date.now().toString()),
       
       type: Joi.string()
-        .valid('time', 'device_state', 'sensor_value', 'user_action', 'system_event', 'webhook', 'manual', 'sunrise', 'sunset', 'location')
+        .valid('scheduled', 'time', 'device_state', 'sensor_value', 'user_action', 'system_event', 'webhook', 'manual', 'sunrise', 'sunset', 'location')
         .required(),
       
       name: Joi.string()
         .max(100)
         .optional(),
       
+      // Scheduled trigger
+      schedule: Joi.when('type', {
+        is: 'scheduled',
+        then: scheduleSchema.required(),
+        otherwise: Joi.optional(),
+      }),
+      
       // Time-based trigger
       time: Joi.when('type', {
         is: 'time',
@@ -114,11 +228,21 @@ export const validateRuleCreate = Joi.object({
             then: Joi.alternatives().try(Joi.string(), Joi.number()).required(),
             otherwise: Joi.optional(),
           }),
-          duration: Joi.number().integer().min(1).max(3600).optional(), // seconds to wait before triggering
         }).required(),
         otherwise: Joi.optional(),
       }),
       
+      // Fire only after the device state has held this long (seconds)
+      sustainedFor: Joi.when('type', {
+        is: 'device_state',
+        then: Joi.number().integer().min(1).max(86400).optional()
+          .when('device.operator', {
+            is: 'changes',
+            then: Joi.forbidden(),
+          }),
+        otherwise: Joi.forbidden(),
+      }),
+      
       // Sensor value trigger
       sensor: Joi.when('type', {
         is: 'sensor_value',
@@ -171,30 +295,13 @@ export const validateRuleCreate = Joi.object({
         otherwise: Joi.optional(),
       }),
       
-      // Webhook trigger
+      // Webhook trigger; the generated token in its URL is the only credential
       webhook: Joi.when('type', {
         is: 'webhook',
         then: Joi.object({
-          path: Joi.string().pattern(/^\/[a-zA-Z0-9\-_\/]*$/).required(),
+          path: Joi.string().pattern(/^\/[a-zA-Z0-9\-_\/]*$/).optional(),
           method: Joi.string().valid('GET', 'POST', 'PUT', 'PATCH').optional().default('POST'),
-          authentication: Joi.object({
-            type: Joi.string().valid('none', 'token', 'basic').optional().default('token'),
-            token: Joi.string().when('type', {
-              is: 'token',
-              then: Joi.required(),
-              otherwise: Joi.optional(),
-            }),
-            username: Joi.string().when('type', {
-              is: 'basic',
-              then: Joi.required(),
-              otherwise: Joi.optional(),
-            }),
-            password: Joi.string().when('type', {
-              is: 'basic',
-              then: Joi.required(),
-              otherwise: Joi.optional(),
-            }),
-          }).optional(),
+          rateLimit: Joi.number().integer().min(1).max(1000).optional(), // requests per minute
           expectedData: Joi.object().optional(),
         }).required(),
         otherwise: Joi.optional(),
@@ -218,7 +325,7 @@ export const validateRuleCreate = Joi.object({
       isEnabled: Joi.boolean()
         .optional()
         .default(true),
-    }))
+    }).rename('for', 'sustainedFor'))
     .min(1)
     .required()
     .messages({
@@ -226,140 +333,16 @@ export const validateRuleCreate = Joi.object({
     }),
   
   conditions: Joi.array()
-    .items(Joi.object({
-      id: Joi.string()
-        .optional()
-        .default(() => Date.now().toString()),
-      
-      type: Joi.string()
-        .valid('device_state', 'time_range', 'day_of_week', 'user_presence', 'weather', 'system_state', 'energy_price', 'custom')
-        .required(),
-      
-      operator: Joi.string()
-        .valid('and', 'or', 'not')
-        .optional()
-        .default('and'),
-      
-      // Device state condition
-      device: Joi.when('type', {
-        is: 'device_state',
-        then: Joi.object({
-          deviceId: objectIdSchema.required(),
-          property: Joi.string().required(),
-          operator: Joi.string().valid('equals', 'not_equals', 'greater_than', 'less_than', 'between').required(),
-          value: Joi.alternatives().try(Joi.string(), Joi.number(), Joi.boolean()).required(),
-          secondValue: Joi.when('operator', {
-            is: 'between',
-            then: Joi.alternatives().try(Joi.string(), Joi.number()).required(),
-            otherwise: Joi.optional(),
-          }),
-        }).required(),
-        otherwise: Joi.optional(),
-      }),
-      
-      // Time range condition
-      timeRange: Joi.when('type', {
-        is: 'time_range',
-        then: Joi.object({
-          start: timeSchema.required(),
-          end: timeSchema.required(),
-          timezone: Joi.string().optional().default('UTC'),
-        }).required(),
-        otherwise: Joi.optional(),
-      }),
-      
-      // Day of week condition
-      dayOfWeek: Joi.when('type', {
-        is: 'day_of_week',
-        then: Joi.array()
-          .items(Joi.string().valid('monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'))
-          .min(1)
-          .required(),
-        otherwise: Joi.optional(),
-      }),
-      
-      // User presence condition
-      userPresence: Joi.when('type', {
-        is: 'user_presence',
-        then: Joi.object({
-          users: Joi.array().items(objectIdSchema).min(1).required(),
-          state: Joi.string().valid('home', 'away', 'any').required(),
-          location: Joi.object({
-            coordinates: Joi.object({
-              latitude: Joi.number().min(-90).max(90).required(),
-              longitude: Joi.number().min(-180).max(180).required(),
-            }).required(),
-            radius: Joi.number().min(10).max(10000).required(),
-          }).optional(),
-        }).required(),
-        otherwise: Joi.optional(),
-      }),
-      
-      // Weather condition
-      weather: Joi.when('type', {
-        is: 'weather',
-        then: Joi.object({
-          condition: Joi.string().valid('sunny', 'cloudy', 'rainy', 'snowy', 'windy', 'foggy').optional(),
-          temperature: Joi.object({
-            operator: Joi.string().valid('greater_than', 'less_than', 'between').required(),
-            value: Joi.number().required(),
-            secondValue: Joi.number().optional(),
-            unit: Joi.string().valid('C', 'F').optional().default('C'),
-          }).optional(),
-          humidity: Joi.object({
-            operator: Joi.string().valid('greater_than', 'less_than', 'between').required(),
-            value: Joi.number().min(0).max(100).required(),
-            secondValue: Joi.number().min(0).max(100).optional(),
-          }).optional(),
-          windSpeed: Joi.object({
-            operator: Joi.string().valid('greater_than', 'less_than').required(),
-            value: Joi.number().min(0).required(),
-            unit: Joi.string().valid('mph', 'kmh', 'ms').optional().default('kmh'),
-          }).optional(),
-        }).required(),
-        otherwise: Joi.optional(),
-      }),
-      
-      // System state condition
-      systemState: Joi.when('type', {
-        is: 'system_state',
-        then: Joi.object({
-          property: Joi.string().valid('mode', 'security_armed', 'energy_saving', 'maintenance_mode').required(),
-          operator: Joi.string().valid('equals', 'not_equals').required(),
-          value: Joi.alternatives().try(Joi.string(), Joi.boolean()).required(),
-        }).required(),
-        otherwise: Joi.optional(),
-      }),
-      
-      // Energy price condition
-      energyPrice: Joi.when('type', {
-        is: 'energy_price',
-        then: Joi.object({
-          operator: Joi.string().valid('greater_than', 'less_than', 'between').required(),
-          value: Joi.number().min(0).required(),
-          secondValue: Joi.number().min(0).optional(),
-          currency: Joi.string().length(3).optional().default('USD'),
-        }).required(),
-        otherwise: Joi.optional(),
-      }),
-      
-      // Custom condition
-      custom: Joi.when('type', {
-        is: 'custom',
-        then: Joi.object({
-          expression: Joi.string().max(1000).required(), // JavaScript expression
-          variables: Joi.object().optional(),
-        }).required(),
-        otherwise: Joi.optional(),
-      }),
-      
-      isEnabled: Joi.boolean()
-        .optional()
-        .default(true),
-    }))
+    .items(conditionSchema)
     .optional()
     .default([]),
   
+  // How top-level conditions combine; groups set their own `logic`
+  conditionLogic: Joi.string()
+    .valid('AND', 'OR')
+    .optional()
+    .default('AND'),
+  
   actions: Joi.array()
     .items(Joi.object({
       id: Joi.string()
@@ -459,6 +442,7 @@ export const validateRuleCreate = Joi.object({
           body: Joi.object().optional(),
           timeout: Joi.number().integer().min(1000).max(30000).optional().default(5000),
           retries: Joi.number().integer().min(0).max(5).optional().default(0),
+          secret: Joi.string().min(16).max(256).optional(),
         }).required(),
         otherwise: Joi.optional(),
       }),
@@ -613,7 +597,7 @@ export const validateRuleUpdate = Joi.object({
     .allow(''),
   
   type: Joi.string()
-    .valid('simple', 'advanced', 'security', 'energy', 'comfort', 'scene', 'notification')
+    .valid(...Object.values(RULE_TYPES))
     .optional(),
   
   category: Joi.string()
@@ -629,7 +613,8 @@ export const validateRuleUpdate = Joi.object({
   isActive: Joi.boolean().optional(),
   
   triggers: Joi.array().optional(),
-  conditions: Joi.array().optional(),
+  conditions: Joi.array().items(conditionSchema).optional(),
+  conditionLogic: Joi.string().valid('AND', 'OR').optional(),
   actions: Joi.array().optional(),
   settings: Joi.object().optional(),
   
@@ -653,6 +638,26 @@ export const validateRuleExecution = Joi.object({
     .optional(), // Additional context data for the execution
 });
 
+// Rule bulk operation validation
+export const validateRuleBulkOperation = Joi.object({
+  ruleIds: Joi.array()
+    .items(objectIdSchema)
+    .min(1)
+    .max(100)
+    .required()
+    .messages({
+      'array.min': 'At least one rule must be specified',
+      'array.max': 'Cannot operate on more than 100 rules at once',
+    }),
+  
+  operation: Joi.string()
+    .valid('activate', 'deactivate', 'delete', 'execute')
+    .required(),
+  
+  data: validateRuleExecution
+    .optional(), // Execution options for 'execute'
+});
+
 // Rule search validation
 export const validateRuleSearch = Joi.object({
   q: Joi.string()
@@ -665,7 +670,7 @@ export const validateRuleSearch = Joi.object({
     }),
   
   type: Joi.string()
-    .valid('simple', 'advanced', 'security', 'energy', 'comfort', 'scene', 'notification')
+    .valid(...Object.values(RULE_TYPES))
     .optional(),
   
   category: Joi.string()
@@ -707,7 +712,7 @@ export const validateRuleSearch = Joi.object({
 export const validateRuleTest = Joi.object({
   mockTrigger: Joi.object({
     type: Joi.string().required(),
-    data: Joi.object().required(),
+    data: Joi.object().optional(), // device_state: { oldState, newState }
   }).optional(),
   
   mockConditions: Joi.array()
@@ -717,15 +722,94 @@ export const validateRuleTest = Joi.object({
     }))
     .optional(),
   
+  // Hypothetical device states by device ID, merged over the current ones
+  snapshot: Joi.object()
+    .pattern(objectIdSchema, Joi.object())
+    .optional(),
+  
   dryRun: Joi.boolean()
     .optional()
     .default(true),
 });
 
+// Rule conflict resolution validation
+export const validateConflictResolution = Joi.object({
+  resolution: Joi.object({
+    type: Joi.string()
+      .valid('priority', 'disable', 'merge')
+      .required(),
+    
+    // Conflict IDs from GET /rules/:ruleId/conflicts; all the strategy applies to when omitted
+    conflictIds: Joi.array()
+      .items(Joi.string())
+      .min(1)
+      .unique()
+      .optional(),
+    
+    // priority: the rule that should win; disable: the rule to disable (this rule by default)
+    ruleId: objectIdSchema.when('type', {
+      is: 'merge',
+      then: Joi.forbidden(),
+      otherwise: Joi.optional(),
+    }),
+  }).required(),
+});
+
+// Rule suggestion customization validation
+export const validateSuggestionCustomization = Joi.object({
+  customizations: Joi.object({
+    name: Joi.string().trim().min(1).max(100).optional(),
+    description: Joi.string().max(500).optional().allow(''),
+    priority: Joi.number().integer().min(1).max(10).optional(),
+    isActive: Joi.boolean().optional(),
+    
+    // Adjusts the suggested schedule; all seven days make it daily
+    schedule: Joi.object({
+      time: timeSchema.optional(),
+      days: Joi.array()
+        .items(Joi.string().valid('monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'))
+        .min(1)
+        .unique()
+        .optional(),
+    }).optional(),
+  }).optional(),
+});
+
+// Rule bundle import validation
+export const validateRuleImport = Joi.object({
+  bundle: Joi.object({
+    format: Joi.string().required(),
+    version: Joi.number().integer().min(1).required(),
+  }).unknown(true).required(),
+  
+  // Device reference (e.g. "device:1") -> device to bind it to
+  mapping: Joi.object()
+    .pattern(Joi.string().pattern(/^device:\d+$/), objectIdSchema)
+    .optional()
+    .default({}),
+  
+  overwrite: Joi.boolean()
+    .optional()
+    .default(false),
+  
+  dryRun: Joi.boolean()
+    .optional()
+    .default(false),
+});
+
 export default {
   validateRuleCreate,
   validateRuleUpdate,
   validateRuleExecution,
   validateRuleSearch,
   validateRuleTest,
+  validateConflictResolution,
+  validateSuggestionCustomization,
+  validateRuleImport,
+  validateRuleBulkOperation,
+  createRule: validateRuleCreate,
+  updateRule: validateRuleUpdate,
+  resolveConflicts: validateConflictResolution,
+  importRule: validateRuleImport,
+  bulkOperations: validateRuleBulkOperation,
 };
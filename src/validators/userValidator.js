@@ -1,5 +1,5 @@
 import Joi from 'joi';
-import { VALIDATION_PATTERNS } from '../config/constants.js';
+import { VALIDATION_PATTERNS, TARIFF_TYPES } from '../config/constants.js';
 
 /**
  * User validation schemas using Joi
@@ -267,6 +267,83 @@ export const validateUserPreferences = Joi.object({
   }).optional(),
 });
 
+// User presence update validation
+export const validatePresenceUpdate = Joi.object({
+  status: Joi.string().valid('home', 'away', 'sleeping').required(),
+  location: Joi.object({
+    latitude: Joi.number().min(-90).max(90).required(),
+    longitude: Joi.number().min(-180).max(180).required(),
+  }).optional(),
+});
+
+// Electricity tariff validation
+const tariffRateSchema = Joi.number().min(0).max(1000);
+const tariffTimeSchema = Joi.string()
+  .pattern(/^([01]?[0-9]|2[0-3]):[0-5][0-9]$/)
+  .messages({
+    'string.pattern.base': 'Time must be in HH:MM format',
+  });
+
+export const validateTariffUpdate = Joi.object({
+  type: Joi.string()
+    .valid(...Object.values(TARIFF_TYPES))
+    .required(),
+  
+  currency: Joi.string()
+    .length(3)
+    .uppercase()
+    .optional()
+    .default('USD'),
+  
+  // Flat rate, or the rate outside time-of-use periods
+  rate: tariffRateSchema.when('type', {
+    is: TARIFF_TYPES.TIERED,
+    then: Joi.optional(),
+    otherwise: Joi.required(),
+  }),
+  
+  defaultPeriod: Joi.string()
+    .trim()
+    .max(50)
+    .optional()
+    .default('standard'),
+  
+  periods: Joi.when('type', {
+    is: TARIFF_TYPES.TIME_OF_USE,
+    then: Joi.array()
+      .items(Joi.object({
+        name: Joi.string().trim().max(50).required(),
+        rate: tariffRateSchema.required(),
+        start: tariffTimeSchema.required(),
+        end: tariffTimeSchema.required(),
+        days: Joi.array()
+          .items(Joi.string().valid('monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'))
+          .optional(),
+      }))
+      .min(1)
+      .required(),
+    otherwise: Joi.forbidden(),
+  }),
+  
+  tiers: Joi.when('type', {
+    is: TARIFF_TYPES.TIERED,
+    then: Joi.array()
+      .items(Joi.object({
+        upTo: Joi.number().positive().allow(null).optional().default(null), // kWh per month
+        rate: tariffRateSchema.required(),
+      }))
+      .min(1)
+      .unique('upTo')
+      .required(),
+    otherwise: Joi.forbidden(),
+  }),
+  
+  standingCharge: Joi.number()
+    .min(0)
+    .optional()
+    .default(0),
+});
+
 // User deactivation validation
 export const validateUserDeactivation = Joi.object({
   reason: Joi.string()
@@ -301,5 +378,7 @@ export default {
   validateRefreshToken,
   validateUserInvitation,
   validateUserPreferences,
+  validatePresenceUpdate,
+  validateTariffUpdate,
   validateUserDeactivation,
 };
@@ -0,0 +1,172 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { once } from 'node:events';
+import express from 'express';
+import mongoose from 'mongoose';
+
+process.env.JWT_SECRET ||= 'test-secret';
+process.env.JWT_REFRESH_SECRET ||= 'test-refresh-secret';
+
+// No database in tests: any query that is not stubbed fails instead of buffering
+mongoose.set('bufferCommands', false);
+
+const { generateAccessToken } = await import('../src/helpers/jwt.js');
+const { errorHandler } = await import('../src/middlewares/errorHandler.js');
+const { default: Device } = await import('../src/models/Device.js');
+const { default: Home } = await import('../src/models/Home.js');
+const { default: Mode } = await import('../src/models/Mode.js');
+const { default: Rule } = await import('../src/models/Rule.js');
+const { default: User } = await import('../src/models/User.js');
+const { default: deviceRoutes } = await import('../src/routes/deviceRoutes.js');
+const { default: analyticsService } = await import('../src/services/analyticsService.js');
+const { default: deviceService } = await import('../src/services/deviceService.js');
+const { default: modeService } = await import('../src/services/modeService.js');
+const { default: ruleService } = await import('../src/services/ruleService.js');
+const { default: socketServer } = await import('../src/socket/socketServer.js');
+
+const ownerId = new mongoose.Types.ObjectId();
+const userId = new mongoose.Types.ObjectId();
+
+// A device owned by someone else and shared with the user; nobody belongs to a home
+const useSharedDevice = (t, permissions) => {
+  const device = new Device({
+    name: 'Garage Door',
+    type: 'smart_light',
+    owner: ownerId,
+    isOnline: true,
+    powerState: 'off',
+    sharedWith: [{ user: userId, permissions }],
+  });
+
+  t.mock.method(Device, 'findById', async (id) => (id.toString() === device._id.toString() ? device : null));
+  t.mock.method(Home, 'findOne', () => ({ select: async () => null }));
+  t.mock.method(device, 'save', async () => device);
+  return device;
+};
+
+const startApi = async (t) => {
+  const user = { id: userId.toString(), _id: userId, role: 'user', isActive: true, isLocked: false, updateLastActive: async () => {} };
+  t.mock.method(User, 'findById', () => ({ select: async () => user }));
+  t.mock.method(analyticsService, 'trackEvent', async () => {});
+
+  const app = express();
+  app.use(express.json());
+  app.use('/api/v1/devices', deviceRoutes);
+  app.use(errorHandler);
+
+  const server = http.createServer(app);
+  server.listen(0, '127.0.0.1');
+  await once(server, 'listening');
+  t.after(() => server.close());
+
+  const token = generateAccessToken({ id: userId.toString(), email: 'member@example.com', role: 'user' });
+  return (method, path, body) => fetch(`http://127.0.0.1:${server.address().port}/api/v1/devices${path}`, {
+    method,
+    headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+  });
+};
+
+test('a view-only share gets 403 on POST /devices/:deviceId/control', async (t) => {
+  const device = useSharedDevice(t, ['view']);
+  const send = t.mock.method(deviceService, '_sendDeviceCommand', async () => ({ acknowledged: true }));
+  const request = await startApi(t);
+
+  const response = await request('POST', `/${device._id}/control`, { action: 'turn_on' });
+
+  assert.equal(response.status, 403);
+  assert.equal(send.mock.callCount(), 0);
+  assert.equal(device.powerState, 'off');
+});
+
+test('PUT /devices/:deviceId needs the configure permission', async (t) => {
+  const device = useSharedDevice(t, ['view', 'control']);
+  const request = await startApi(t);
+
+  const denied = await request('PUT', `/${device._id}`, { name: 'Renamed' });
+  assert.equal(denied.status, 403);
+  assert.equal(device.name, 'Garage Door');
+
+  device.sharedWith[0].permissions.push('configure');
+  t.mock.method(Device, 'findOne', async () => null);
+
+  const allowed = await request('PUT', `/${device._id}`, { name: 'Renamed' });
+  assert.equal(allowed.status, 200);
+  assert.equal(device.name, 'Renamed');
+});
+
+test('the device_control socket event runs the same control check', async (t) => {
+  const device = useSharedDevice(t, ['view']);
+  const send = t.mock.method(deviceService, '_sendDeviceCommand', async () => ({ acknowledged: true }));
+
+  const handlers = {};
+  const emitted = [];
+  socketServer.registerEventHandlers({
+    userId: userId.toString(),
+    id: 'socket-1',
+    on: (event, handler) => { handlers[event] = handler; },
+    emit: (event, payload) => emitted.push({ event, payload }),
+  });
+
+  await handlers.device_control({ deviceId: device._id.toString(), action: 'turn_on' });
+
+  assert.equal(send.mock.callCount(), 0);
+  assert.deepEqual(emitted.map(({ event }) => event), ['device_control_error']);
+  assert.equal(emitted[0].payload.statusCode, 403);
+});
+
+test('rule and mode device actions run the same control check', async (t) => {
+  const device = useSharedDevice(t, ['view']);
+  const send = t.mock.method(deviceService, '_sendDeviceCommand', async () => ({ acknowledged: true }));
+  const action = { type: 'device_control', device: { deviceId: device._id.toString(), action: 'turn_on' } };
+
+  await assert.rejects(
+    ruleService._executeRuleAction(action, { _id: new mongoose.Types.ObjectId(), name: 'Open at dusk' }, {}, userId.toString()),
+    { statusCode: 403 }
+  );
+  await assert.rejects(modeService._executeDeviceControl(action, userId.toString()), { statusCode: 403 });
+  assert.equal(send.mock.callCount(), 0);
+});
+
+test('activating a mode cannot turn off a same-category mode the user may not control', async (t) => {
+  const mode = new Mode({ name: 'Movie Night', type: 'custom', category: 'lighting', owner: ownerId, sharedWith: [{ user: userId, permissions: ['view', 'activate'] }] });
+  const other = new Mode({ name: 'Reading', type: 'custom', category: 'lighting', owner: ownerId, isActive: true, sharedWith: [{ user: userId, permissions: ['view'] }] });
+  t.mock.method(Home, 'findOne', () => ({ select: async () => null }));
+  t.mock.method(Mode, 'find', async () => [other]);
+  const endActivation = t.mock.method(modeService, '_endActivation', async () => {});
+
+  await assert.rejects(modeService._resolveActiveModes(mode, userId.toString()), { statusCode: 403 });
+  assert.equal(endActivation.mock.callCount(), 0);
+});
+
+test('restoring device states on exit uses the acting user\'s control permission', async (t) => {
+  const device = useSharedDevice(t, ['view']);
+  const send = t.mock.method(deviceService, '_sendDeviceCommand', async () => ({ acknowledged: true }));
+  t.mock.method(Device, 'find', () => ({ select: () => ({ lean: async () => [device.toObject()] }) }));
+
+  const snapshot = [{ device: device._id, name: device.name, before: { powerState: 'on' } }];
+  const results = await modeService._restoreDeviceStates(snapshot, ownerId, userId.toString(), 'force');
+
+  assert.equal(results.success.length, 0);
+  assert.equal(results.failed.length, 1);
+  assert.match(results.failed[0].error, /control/);
+  assert.equal(send.mock.callCount(), 0);
+  assert.equal(device.powerState, 'off');
+});
+
+test('device state changes run the rules of every owner who can see the device, and only theirs', async (t) => {
+  const device = useSharedDevice(t, ['view']);
+  t.mock.method(Device, 'findById', () => ({ select: async () => device }));
+  const strangerId = new mongoose.Types.ObjectId();
+  const trigger = { type: 'device_state', device: { deviceId: device._id, property: 'powerState', operator: 'changes_to', value: 'on' } };
+  const shared = new Rule({ name: 'Light the drive', type: 'device_based', owner: userId, triggers: [trigger] });
+  const foreign = new Rule({ name: 'Watch the neighbour', type: 'device_based', owner: strangerId, triggers: [trigger] });
+  const find = t.mock.method(Rule, 'find', async () => [shared, foreign]);
+  const executeRule = t.mock.method(ruleService, 'executeRule', async () => ({}));
+
+  await ruleService.handleDeviceStateChange(device._id, { powerState: 'off' }, { powerState: 'on' });
+
+  assert.equal(find.mock.calls[0].arguments[0].owner, undefined);
+  assert.deepEqual(executeRule.mock.calls.map(call => call.arguments[0]), [shared._id]);
+});
@@ -0,0 +1,88 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+
+// No database in tests: any query that is not stubbed fails instead of buffering
+mongoose.set('bufferCommands', false);
+
+const { default: Device } = await import('../src/models/Device.js');
+const { default: Group } = await import('../src/models/Group.js');
+const { default: Home } = await import('../src/models/Home.js');
+const { default: Mode } = await import('../src/models/Mode.js');
+const { default: Rule } = await import('../src/models/Rule.js');
+const { default: User } = await import('../src/models/User.js');
+const { default: backupService, BACKUP_FORMAT, BACKUP_VERSION } = await import('../src/services/backupService.js');
+
+const userId = new mongoose.Types.ObjectId().toString();
+
+// A user with nothing stored yet, who belongs to no home and no group
+const useEmptyAccount = (t) => {
+  const noDocuments = () => ({ lean: async () => [], select: () => ({ lean: async () => [] }) });
+  for (const Model of [Device, Group, Mode, Rule]) {
+    t.mock.method(Model, 'find', noDocuments);
+  }
+  t.mock.method(User, 'findById', () => ({ select: () => ({ lean: async () => ({ _id: userId, timezone: 'UTC' }) }) }));
+  t.mock.method(Home, 'find', () => ({ select: async () => [] }));
+};
+
+const backupOf = (data) => ({
+  format: BACKUP_FORMAT,
+  version: BACKUP_VERSION,
+  encrypted: false,
+  includesSecrets: false,
+  data: { user: { timezone: 'UTC' }, devices: [], groups: [], modes: [], rules: [], ...data },
+});
+
+const lamp = { _id: new mongoose.Types.ObjectId().toString(), name: 'Hall Lamp', type: 'smart_light' };
+
+const ruleFor = (deviceId) => ({
+  _id: new mongoose.Types.ObjectId().toString(),
+  name: `Switch ${deviceId}`,
+  type: 'device_based',
+  triggers: [{ type: 'immediate' }],
+  actions: [{ type: 'device_control', target: { type: 'device', id: deviceId } }],
+});
+
+test('a backup referencing a device the user cannot access is rejected', async (t) => {
+  useEmptyAccount(t);
+  const apply = t.mock.method(backupService, '_apply', async () => {});
+  const foreignId = new mongoose.Types.ObjectId().toString();
+  const backup = backupOf({ devices: [lamp], rules: [ruleFor(lamp._id), ruleFor(foreignId)] });
+
+  const { invalid } = await backupService.restoreBackup(backup, userId, { dryRun: true });
+  assert.deepEqual(invalid.map(entry => entry.errors), [[`References a device you cannot access: ${foreignId}`]]);
+
+  await assert.rejects(backupService.restoreBackup(backup, userId), { statusCode: 400 });
+  assert.equal(apply.mock.callCount(), 0);
+});
+
+test('a duplicate key during restore rolls the transaction back and answers 409', async (t) => {
+  useEmptyAccount(t);
+  const transaction = { committed: false, aborted: false };
+  t.mock.method(mongoose, 'startSession', async () => ({
+    withTransaction: async (work) => {
+      try {
+        await work();
+        transaction.committed = true;
+      } catch (error) {
+        transaction.aborted = true;
+        throw error;
+      }
+    },
+    endSession: async () => {},
+  }));
+  for (const Model of [Device, Group, Mode, Rule]) {
+    t.mock.method(Model, 'deleteMany', async () => ({ deletedCount: 0 }));
+  }
+  t.mock.method(Device, 'create', async () => {
+    throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000, keyValue: { _id: lamp._id } });
+  });
+  const updateUser = t.mock.method(User, 'updateOne', async () => ({}));
+  const rearm = t.mock.method(backupService, '_rearm', async () => []);
+
+  await assert.rejects(backupService.restoreBackup(backupOf({ devices: [lamp] }), userId), { statusCode: 409 });
+
+  assert.deepEqual(transaction, { committed: false, aborted: true });
+  assert.equal(updateUser.mock.callCount(), 0);
+  assert.equal(rearm.mock.callCount(), 0);
+});
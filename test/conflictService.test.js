@@ -0,0 +1,93 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+
+// No database in tests: any query that is not stubbed fails instead of buffering
+mongoose.set('bufferCommands', false);
+
+const { default: Mode } = await import('../src/models/Mode.js');
+const { default: Rule } = await import('../src/models/Rule.js');
+const { default: User } = await import('../src/models/User.js');
+const { default: conflictService } = await import('../src/services/conflictService.js');
+const { default: simulationService } = await import('../src/services/simulationService.js');
+
+const userId = new mongoose.Types.ObjectId().toString();
+const lamp = new mongoose.Types.ObjectId().toString();
+const fan = new mongoose.Types.ObjectId().toString();
+const sensor = new mongoose.Types.ObjectId().toString();
+const deviceNames = { [lamp]: 'Hall Lamp', [fan]: 'Ceiling Fan' };
+
+const whenDevice = (deviceId, property, operator, value) => ({
+  _id: new mongoose.Types.ObjectId(),
+  type: 'device_state',
+  device: { deviceId, property, operator, value },
+});
+
+const turn = (deviceId, state) => ({ type: 'device_control', device: { deviceId, action: `turn_${state}` } });
+
+const rule = (name, triggers, actions) => ({ _id: new mongoose.Types.ObjectId(), name, priority: 5, triggers, actions });
+
+// Rules are checked against each other only: the owner has no modes, and
+// each device_control action sets the device's power state
+const useRules = (t, others) => {
+  t.mock.method(Rule, 'find', async () => others);
+  t.mock.method(Mode, 'find', async () => []);
+  t.mock.method(User, 'findById', () => ({ select: async () => null }));
+  t.mock.method(simulationService, 'createSnapshot', async () => new Map());
+  t.mock.method(simulationService, 'getIntendedValues', async (actions) => new Map(actions.map(({ device }) => [
+    `${device.deviceId}:powerState`,
+    { deviceId: device.deviceId, deviceName: deviceNames[device.deviceId], property: 'powerState', value: device.action === 'turn_on' ? 'on' : 'off' },
+  ])));
+};
+
+test('a rule whose action fires its own trigger is reported as a loop', async (t) => {
+  useRules(t, []);
+  const subject = rule('Blink', [whenDevice(lamp, 'powerState', 'changes')], [turn(lamp, 'off')]);
+
+  const conflicts = await conflictService.findRuleConflicts(subject, userId);
+
+  assert.deepEqual(conflicts.map(conflict => conflict.type), ['loop']);
+  assert.equal(conflicts[0].message, 'Blink triggers itself');
+  assert.equal(conflicts[0].id, `loop:${subject._id}`);
+  assert.deepEqual(conflicts[0].strategies, ['disable']);
+});
+
+test('two rules that fire each other are reported as a loop through both', async (t) => {
+  const other = rule('Fan brings light', [whenDevice(fan, 'powerState', 'changes_to', 'on')], [turn(lamp, 'on')]);
+  useRules(t, [other]);
+  const subject = rule('Light brings fan', [whenDevice(lamp, 'powerState', 'changes_to', 'on')], [turn(fan, 'on')]);
+
+  const conflicts = await conflictService.findRuleConflicts(subject, userId);
+
+  assert.deepEqual(conflicts.map(conflict => conflict.type), ['loop']);
+  assert.equal(conflicts[0].message, 'Light brings fan -> Fan brings light -> Light brings fan forms a loop');
+  assert.deepEqual(conflicts[0].rules.map(item => [item.name, item.deviceId, item.value]), [
+    ['Light brings fan', fan, 'on'],
+    ['Fan brings light', lamp, 'on'],
+  ]);
+});
+
+test('a chain that does not lead back to the rule is not a loop', async (t) => {
+  // Turning the lamp off does not fire a trigger waiting for it to turn on
+  useRules(t, [rule('Fan turns light off', [whenDevice(fan, 'powerState', 'changes_to', 'on')], [turn(lamp, 'off')])]);
+  const subject = rule('Light brings fan', [whenDevice(lamp, 'powerState', 'changes_to', 'on')], [turn(fan, 'on')]);
+
+  assert.deepEqual(await conflictService.findRuleConflicts(subject, userId), []);
+});
+
+test('rules with overlapping triggers that set a property differently conflict', async (t) => {
+  const motion = whenDevice(sensor, 'sensors.motion', 'equals', true);
+  const dark = rule('Dark when moving', [whenDevice(sensor, 'sensors.motion', 'changes_to', true)], [turn(lamp, 'off')]);
+  const agreeing = rule('Also light', [motion], [turn(lamp, 'on')]);
+  const elsewhere = rule('Dark when still', [whenDevice(sensor, 'sensors.motion', 'equals', false)], [turn(lamp, 'off')]);
+  useRules(t, [dark, agreeing, elsewhere]);
+  const subject = rule('Light when moving', [motion], [turn(lamp, 'on')]);
+
+  const conflicts = await conflictService.findRuleConflicts(subject, userId);
+
+  assert.deepEqual(conflicts.map(conflict => conflict.id), [`device_property:${dark._id}`]);
+  assert.equal(conflicts[0].type, 'device_property');
+  assert.deepEqual(conflicts[0].triggers, [{ triggerId: motion._id, otherTriggerId: dark.triggers[0]._id }]);
+  assert.deepEqual(conflicts[0].properties, [{ deviceId: lamp, deviceName: 'Hall Lamp', property: 'powerState', value: 'on', otherValue: 'off' }]);
+  assert.deepEqual(conflicts[0].strategies, ['priority', 'disable', 'merge']);
+});
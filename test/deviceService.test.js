@@ -0,0 +1,49 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+
+process.env.JWT_SECRET ||= 'test-secret';
+
+// No database in tests: any query that is not stubbed fails instead of buffering
+mongoose.set('bufferCommands', false);
+
+const { default: Device } = await import('../src/models/Device.js');
+const { default: deviceService } = await import('../src/services/deviceService.js');
+const { default: heartbeatService } = await import('../src/services/heartbeatService.js');
+
+const useOfflineDevice = (t) => {
+  const device = new Device({
+    name: 'Porch Light',
+    type: 'smart_light',
+    owner: new mongoose.Types.ObjectId(),
+    isOnline: false,
+    powerState: 'off',
+  });
+
+  t.mock.method(Device, 'findById', async () => device);
+  t.mock.method(device, 'save', async () => device);
+  t.mock.method(deviceService, '_notifyStateChange', () => {});
+  return device;
+};
+
+test('a status report brings an offline device back online', async (t) => {
+  const device = useOfflineDevice(t);
+  const transition = t.mock.method(heartbeatService, 'handleTransition', async () => {});
+
+  await deviceService.updateDeviceStatus(device._id, { powerState: 'on' });
+
+  assert.equal(device.isOnline, true);
+  assert.equal(device.powerState, 'on');
+  assert.equal(transition.mock.callCount(), 1);
+  assert.deepEqual(transition.mock.calls[0].arguments, [device, 'status_report']);
+});
+
+test('a status report that says the device is offline keeps it offline', async (t) => {
+  const device = useOfflineDevice(t);
+  const transition = t.mock.method(heartbeatService, 'handleTransition', async () => {});
+
+  await deviceService.updateDeviceStatus(device._id, { isOnline: false });
+
+  assert.equal(device.isOnline, false);
+  assert.equal(transition.mock.callCount(), 0);
+});
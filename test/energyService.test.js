@@ -0,0 +1,122 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+
+// No database in tests: any query that is not stubbed fails instead of buffering
+mongoose.set('bufferCommands', false);
+
+const { default: Device } = await import('../src/models/Device.js');
+const { default: EnergyUsage } = await import('../src/models/EnergyUsage.js');
+const { default: energyService } = await import('../src/services/energyService.js');
+
+// India is UTC+05:30, so its midnight falls half-way through a UTC hour
+const KOLKATA = 'Asia/Kolkata';
+
+const useMeteredDevice = (t, energy) => {
+  const device = { _id: new mongoose.Types.ObjectId(), owner: new mongoose.Types.ObjectId(), energy };
+  t.mock.method(Device, 'findById', () => ({ select: async () => device }));
+  const updateOne = t.mock.method(Device, 'updateOne', async () => ({ matchedCount: 1 }));
+  const bulkWrite = t.mock.method(EnergyUsage, 'bulkWrite', async () => ({}));
+  return { device, updateOne, bulkWrite };
+};
+
+test('metering across local midnight at the end of a month restarts the daily and monthly counters', async (t) => {
+  const { device, updateOne, bulkWrite } = useMeteredDevice(t, {
+    meteredAt: new Date('2026-03-31T18:20:00Z'), // 23:50 on 31 March in Kolkata
+    dailyUsage: 2,
+    monthlyUsage: 40,
+    dailyPeriod: '2026-03-31',
+    monthlyPeriod: '2026-03',
+  });
+
+  // 3 kW for ten minutes either side of midnight: 0.5 kWh in each day
+  await energyService._meter(device._id, 3000, new Date('2026-03-31T18:40:00Z'), KOLKATA);
+
+  const { $set, $inc } = updateOne.mock.calls[0].arguments[1];
+  assert.deepEqual($set, {
+    'energy.meteredAt': new Date('2026-03-31T18:40:00Z'),
+    'energy.dailyUsage': 0.5,
+    'energy.monthlyUsage': 0.5,
+    'energy.dailyPeriod': '2026-04-01',
+    'energy.monthlyPeriod': '2026-04',
+  });
+  assert.deepEqual($inc, { 'energy.totalUsage': 1 });
+
+  // Both halves land in the same UTC hour of the history
+  const [write] = bulkWrite.mock.calls[0].arguments[0];
+  assert.deepEqual(write.updateOne.filter.hour, new Date('2026-03-31T18:00:00Z'));
+  assert.deepEqual(write.updateOne.update.$inc, { kwh: 1, activeSeconds: 1200 });
+});
+
+test('metering within a local day adds to the counters', async (t) => {
+  const { device, updateOne } = useMeteredDevice(t, {
+    meteredAt: new Date('2026-03-31T17:30:00Z'),
+    dailyUsage: 2,
+    monthlyUsage: 40,
+    dailyPeriod: '2026-03-31',
+    monthlyPeriod: '2026-03',
+  });
+
+  await energyService._meter(device._id, 1000, new Date('2026-03-31T18:00:00Z'), KOLKATA);
+
+  const { $set, $inc } = updateOne.mock.calls[0].arguments[1];
+  assert.equal($set['energy.dailyUsage'], 2.5);
+  assert.equal($set['energy.monthlyUsage'], 40.5);
+  assert.deepEqual($inc, { 'energy.totalUsage': 0.5 });
+});
+
+test('a gap longer than the sample limit is not integrated but still rolls the day over', async (t) => {
+  const { device, updateOne, bulkWrite } = useMeteredDevice(t, {
+    meteredAt: new Date('2026-03-31T12:00:00Z'),
+    dailyUsage: 2,
+    monthlyUsage: 40,
+    dailyPeriod: '2026-03-31',
+    monthlyPeriod: '2026-03',
+  });
+
+  await energyService._meter(device._id, 1000, new Date('2026-03-31T19:00:00Z'), KOLKATA);
+
+  const { $set, $inc } = updateOne.mock.calls[0].arguments[1];
+  assert.equal($set['energy.dailyUsage'], 0);
+  assert.equal($set['energy.dailyPeriod'], '2026-04-01');
+  assert.deepEqual($inc, { 'energy.totalUsage': 0 });
+  assert.equal(bulkWrite.mock.callCount(), 0);
+});
+
+test('intervals are split at UTC hours and at local midnight', () => {
+  const segments = energyService._splitInterval(new Date('2026-03-31T18:00:00Z'), new Date('2026-03-31T19:30:00Z'), KOLKATA);
+
+  assert.deepEqual(segments.map(({ start, end }) => [start.toISOString(), end.toISOString()]), [
+    ['2026-03-31T18:00:00.000Z', '2026-03-31T18:30:00.000Z'],
+    ['2026-03-31T18:30:00.000Z', '2026-03-31T19:00:00.000Z'],
+    ['2026-03-31T19:00:00.000Z', '2026-03-31T19:30:00.000Z'],
+  ]);
+});
+
+test('only online devices that are on draw power, in W or kW', () => {
+  assert.equal(energyService.getEffectiveWatts({ isOnline: true, powerState: 'on', energy: { currentUsage: 60 } }), 60);
+  assert.equal(energyService.getEffectiveWatts({ isOnline: true, powerState: 'on', energy: { currentUsage: 1.5, unit: 'kW' } }), 1500);
+  assert.equal(energyService.getEffectiveWatts({ isOnline: true, powerState: 'on', energy: { currentUsage: 2, unit: 'A' } }), 0);
+  assert.equal(energyService.getEffectiveWatts({ isOnline: true, powerState: 'off', energy: { currentUsage: 60 } }), 0);
+  assert.equal(energyService.getEffectiveWatts({ isOnline: false, powerState: 'on', energy: { currentUsage: 60 } }), 0);
+});
+
+test('tiered hours are priced at the average rate of the kWh they add, across a tier boundary', async (t) => {
+  const tariff = { type: 'tiered', tiers: [{ upTo: 100, rate: 0.1 }, { upTo: null, rate: 0.3 }] };
+  const hours = [
+    { _id: new Date('2026-03-31T10:00:00Z'), kwh: 99 },
+    { _id: new Date('2026-03-31T11:00:00Z'), kwh: 2 }, // 1 kWh in each tier
+    { _id: new Date('2026-04-01T10:00:00Z'), kwh: 1 }, // a new month starts in the first tier
+  ];
+  t.mock.method(EnergyUsage, 'aggregate', async () => hours);
+
+  const rateAt = await energyService._getRateResolver(
+    new mongoose.Types.ObjectId().toString(), tariff, 'UTC', new Date('2026-03-31T00:00:00Z'), new Date('2026-04-02T00:00:00Z')
+  );
+
+  assert.ok(Math.abs(rateAt(hours[0]._id) - 0.1) < 1e-9);
+  assert.ok(Math.abs(rateAt(hours[1]._id) - 0.2) < 1e-9);
+  assert.ok(Math.abs(rateAt(hours[2]._id) - 0.1) < 1e-9);
+  // Hours without consumption get the marginal rate at the month's total so far
+  assert.equal(rateAt(new Date('2026-04-01T11:00:00Z')), 0.1);
+});
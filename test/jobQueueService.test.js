@@ -0,0 +1,57 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+
+// No database in tests: any query that is not stubbed fails instead of buffering
+mongoose.set('bufferCommands', false);
+
+const { default: Job } = await import('../src/models/Job.js');
+const { default: jobQueueService } = await import('../src/services/jobQueueService.js');
+
+// A recurring job that a worker has just claimed
+const useRunningJob = (t, handler) => {
+  const job = new Job({
+    type: 'test_recurring',
+    key: 'test_recurring:1',
+    runAt: new Date(),
+    recurrence: { type: 'daily', time: '07:00' },
+    status: 'running',
+  });
+  const statuses = [];
+
+  t.mock.method(job, 'save', async () => statuses.push(job.status));
+  t.mock.method(jobQueueService.handlers, 'get', () => handler);
+  return { job, statuses };
+};
+
+test('cancel also reaches jobs that are running', async (t) => {
+  const updateMany = t.mock.method(Job, 'updateMany', async () => ({ modifiedCount: 1 }));
+
+  await jobQueueService.cancel('test_recurring:1');
+
+  assert.deepEqual(updateMany.mock.calls[0].arguments[0].status, { $in: ['pending', 'running'] });
+});
+
+test('a recurring job cancelled while it runs is not re-armed', async (t) => {
+  let cancelled = false;
+  const { job, statuses } = useRunningJob(t, async () => { cancelled = true; });
+  t.mock.method(Job, 'exists', async () => cancelled);
+  const enqueue = t.mock.method(jobQueueService, 'enqueue', async () => ({}));
+
+  await jobQueueService._run(job);
+
+  assert.deepEqual(statuses, []);
+  assert.equal(enqueue.mock.callCount(), 0);
+});
+
+test('a recurring job that is not cancelled completes and is re-armed', async (t) => {
+  const { job, statuses } = useRunningJob(t, async () => ({ ok: true }));
+  t.mock.method(Job, 'exists', async () => false);
+  const enqueue = t.mock.method(jobQueueService, 'enqueue', async () => ({}));
+
+  await jobQueueService._run(job);
+
+  assert.deepEqual(statuses, ['completed']);
+  assert.equal(enqueue.mock.callCount(), 1);
+  assert.equal(enqueue.mock.calls[0].arguments[1].key, 'test_recurring:1');
+});
@@ -0,0 +1,137 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import net from 'node:net';
+import { once } from 'node:events';
+import mongoose from 'mongoose';
+import mqtt from 'mqtt';
+import jwt from 'jsonwebtoken';
+import { Aedes } from 'aedes';
+import { io as connectSocket } from 'socket.io-client';
+
+process.env.JWT_SECRET ||= 'test-secret';
+
+// No database in tests: any query that is not stubbed fails instead of buffering
+mongoose.set('bufferCommands', false);
+
+const { default: config } = await import('../src/config/index.js');
+const { default: Device } = await import('../src/models/Device.js');
+const { default: DeviceStateSample } = await import('../src/models/DeviceStateSample.js');
+const { default: deviceHistoryService } = await import('../src/services/deviceHistoryService.js');
+const { default: energyService } = await import('../src/services/energyService.js');
+const { default: modeService } = await import('../src/services/modeService.js');
+const { default: ruleService } = await import('../src/services/ruleService.js');
+const { default: deviceService } = await import('../src/services/deviceService.js');
+const { default: mqttBridge } = await import('../src/services/mqttBridge.js');
+const { default: socketServer } = await import('../src/socket/socketServer.js');
+
+const listen = async (server) => {
+  server.listen(0, '127.0.0.1');
+  await once(server, 'listening');
+  return server.address().port;
+};
+
+const waitFor = async (check) => {
+  while (!check()) {
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+};
+
+test('a state message updates the device and is pushed to subscribed sockets', async (t) => {
+  const userId = new mongoose.Types.ObjectId();
+  const device = new Device({
+    name: 'Hallway Light',
+    type: 'smart_light',
+    owner: userId,
+    isOnline: true,
+    powerState: 'off',
+  });
+
+  t.mock.method(Device, 'findById', async (id) => (id.toString() === device._id.toString() ? device : null));
+  t.mock.method(device, 'save', async () => device);
+  t.mock.method(device, 'populate', async () => device);
+  t.mock.method(deviceService, '_notifyStateChange', () => {});
+  t.mock.method(socketServer, 'sendInitialData', async () => {});
+
+  const broker = await Aedes.createBroker();
+  const brokerServer = net.createServer(broker.handle);
+  const brokerPort = await listen(brokerServer);
+
+  const httpServer = http.createServer();
+  socketServer.initialize(httpServer);
+  const httpPort = await listen(httpServer);
+
+  config.mqtt.url = `mqtt://127.0.0.1:${brokerPort}`;
+  config.mqtt.topicPrefix = 'smarthome-test';
+
+  const socket = connectSocket(`http://127.0.0.1:${httpPort}`, {
+    auth: { token: jwt.sign({ id: userId.toString() }, process.env.JWT_SECRET) },
+    transports: ['websocket'],
+  });
+
+  t.after(async () => {
+    socket.close();
+    await mqttBridge.stop();
+    socketServer.shutdown();
+    await new Promise(resolve => broker.close(resolve));
+    brokerServer.close();
+  });
+
+  await once(socket, 'connect');
+  socket.emit('subscribe_device', { deviceId: device._id.toString() });
+  await waitFor(() => socketServer.io.sockets.adapter.rooms.has(`device_${device._id}`));
+
+  // The bridge subscribes on connect; wait for it before publishing
+  const bridgeSubscribed = new Promise(resolve => {
+    broker.on('subscribe', (subscriptions, client) => {
+      if (client.id.startsWith('smarthome-server-')) {
+        resolve();
+      }
+    });
+  });
+  mqttBridge.start();
+  await bridgeSubscribed;
+
+  const publisher = await mqtt.connectAsync(config.mqtt.url);
+  t.after(() => publisher.endAsync());
+
+  const update = once(socket, 'device_status_update');
+  await publisher.publishAsync(
+    `smarthome-test/${device._id}/state`,
+    JSON.stringify({ powerState: 'on', power: 9.5 }),
+    { qos: 1 }
+  );
+  const [payload] = await update;
+
+  assert.equal(device.powerState, 'on');
+  assert.equal(device.energy.currentUsage, 9.5);
+  assert.equal(device.save.mock.callCount(), 1);
+  assert.equal(payload.deviceId, device._id.toString());
+  assert.equal(payload.powerState, 'on');
+});
+
+test('a reported wattage is kept in the device history and metered', async (t) => {
+  const device = new Device({
+    name: 'Desk Lamp',
+    type: 'smart_plug',
+    owner: new mongoose.Types.ObjectId(),
+    isOnline: true,
+    powerState: 'on',
+  });
+
+  t.mock.method(Device, 'findById', async () => device);
+  t.mock.method(device, 'save', async () => device);
+  const create = t.mock.method(DeviceStateSample, 'create', async (doc) => doc);
+  t.mock.method(deviceHistoryService, '_updateRollups', async () => {});
+  const meter = t.mock.method(energyService, 'record', async () => {});
+  t.mock.method(modeService, 'checkEnergyBudgets', async () => {});
+  t.mock.method(ruleService, 'handleDeviceStateChange', async () => {});
+
+  await deviceService.updateDeviceStatus(device._id, { energy: { currentUsage: 42 } });
+  await waitFor(() => create.mock.callCount() > 0);
+
+  const [sample] = create.mock.calls[0].arguments;
+  assert.equal(sample.source, 'report');
+  assert.equal(sample.state.energy.currentUsage, 42);
+  assert.equal(meter.mock.callCount(), 1);
+});
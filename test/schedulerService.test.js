@@ -0,0 +1,89 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+const { ValidationError } = await import('../src/utils/errors.js');
+const { default: schedulerService } = await import('../src/services/schedulerService.js');
+
+const NEW_YORK = 'America/New_York';
+const LOS_ANGELES = 'America/Los_Angeles';
+
+test('a date-only one-off schedule runs at its time on that day in the schedule timezone', () => {
+  const schedule = { type: 'once', date: new Date('2026-03-10'), time: '07:30' };
+
+  assert.equal(schedulerService.toPattern(schedule, NEW_YORK), '2026-03-10T07:30:00');
+  assert.deepEqual(
+    schedulerService.nextOccurrence(schedule, NEW_YORK, new Date('2026-03-01T00:00:00Z')),
+    new Date('2026-03-10T11:30:00Z')
+  );
+});
+
+test('a one-off schedule stored as an instant takes its day in the schedule timezone', () => {
+  // 03:00 UTC on the 10th is still the evening of the 9th in Los Angeles
+  const schedule = { type: 'once', date: new Date('2026-03-10T03:00:00Z'), time: '21:15' };
+
+  assert.equal(schedulerService.toPattern(schedule, LOS_ANGELES), '2026-03-09T21:15:00');
+  assert.equal(schedulerService.toPattern(schedule, 'UTC'), '2026-03-10T21:15:00');
+});
+
+test('a one-off schedule without a time runs at the stored instant', () => {
+  const date = new Date('2026-03-10T03:00:00Z');
+
+  assert.deepEqual(schedulerService.toPattern({ type: 'once', date }, NEW_YORK), date);
+  assert.throws(() => schedulerService.toPattern({ type: 'once', time: '07:30' }), ValidationError);
+});
+
+test('a daily schedule runs at its wall-clock time in the schedule timezone', () => {
+  const schedule = { type: 'daily', time: '06:05' };
+
+  assert.equal(schedulerService.toPattern(schedule, NEW_YORK), '5 6 * * *');
+  // Before and after the switch to daylight saving time on 8 March 2026
+  assert.deepEqual(
+    schedulerService.nextOccurrence(schedule, NEW_YORK, new Date('2026-03-07T12:00:00Z')),
+    new Date('2026-03-08T10:05:00Z')
+  );
+  assert.deepEqual(
+    schedulerService.nextOccurrence(schedule, NEW_YORK, new Date('2026-03-06T12:00:00Z')),
+    new Date('2026-03-07T11:05:00Z')
+  );
+});
+
+test('a weekly schedule runs on its days and rejects unknown ones', () => {
+  const schedule = { type: 'weekly', time: '08:00', days: ['monday', 'friday'] };
+
+  assert.equal(schedulerService.toPattern(schedule), '0 8 * * 1,5');
+  // Thursday 12 March 2026 in Los Angeles: next run is Friday 08:00 PDT
+  assert.deepEqual(
+    schedulerService.nextOccurrence(schedule, LOS_ANGELES, new Date('2026-03-12T20:00:00Z')),
+    new Date('2026-03-13T15:00:00Z')
+  );
+  assert.throws(() => schedulerService.toPattern({ type: 'weekly', time: '08:00', days: [] }), ValidationError);
+  assert.throws(() => schedulerService.toPattern({ type: 'weekly', time: '08:00', days: ['funday'] }), ValidationError);
+});
+
+test('a monthly schedule takes its day of month in the schedule timezone', () => {
+  // Date-only: the stored day, whatever the timezone
+  assert.equal(schedulerService.toPattern({ type: 'monthly', time: '09:00', date: new Date('2026-01-31') }, NEW_YORK), '0 9 31 * *');
+  // 02:00 UTC on 1 January is 31 December in New York
+  const instant = { type: 'monthly', time: '09:00', date: new Date('2026-01-01T02:00:00Z') };
+  assert.equal(schedulerService.toPattern(instant, NEW_YORK), '0 9 31 * *');
+  assert.equal(schedulerService.toPattern(instant, 'UTC'), '0 9 1 * *');
+  // Without a date the first of the month
+  assert.equal(schedulerService.toPattern({ type: 'monthly', time: '09:00' }), '0 9 1 * *');
+});
+
+test('a cron schedule is passed through once it parses', () => {
+  const schedule = { type: 'cron', cronExpression: '*/15 7-9 * * 1-5' };
+
+  assert.equal(schedulerService.toPattern(schedule, NEW_YORK), '*/15 7-9 * * 1-5');
+  assert.deepEqual(
+    schedulerService.nextOccurrence(schedule, NEW_YORK, new Date('2026-03-13T13:50:00Z')),
+    new Date('2026-03-16T11:00:00Z')
+  );
+  assert.throws(() => schedulerService.toPattern({ type: 'cron', cronExpression: 'every day' }), ValidationError);
+  assert.throws(() => schedulerService.toPattern({ type: 'cron' }), ValidationError);
+});
+
+test('unknown schedule types and timezones are rejected', () => {
+  assert.throws(() => schedulerService.toPattern({ type: 'hourly' }), ValidationError);
+  assert.throws(() => schedulerService.toPattern({ type: 'daily', time: '06:00' }, 'Mars/Olympus_Mons'), ValidationError);
+});
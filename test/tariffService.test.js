@@ -0,0 +1,67 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+const { default: tariffService } = await import('../src/services/tariffService.js');
+
+const TIERS = [
+  { upTo: null, rate: 0.4 },
+  { upTo: 100, rate: 0.1 },
+  { upTo: 300, rate: 0.2 },
+];
+
+const close = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} is not ${expected}`);
+
+test('tiered cost charges each kWh at the rate of the tier it falls in', () => {
+  close(tariffService.getTieredCost(TIERS, 0), 0);
+  close(tariffService.getTieredCost(TIERS, 100), 10);
+  close(tariffService.getTieredCost(TIERS, 101), 10.2);
+  close(tariffService.getTieredCost(TIERS, 300), 50);
+  close(tariffService.getTieredCost(TIERS, 301), 50.4);
+});
+
+test('consumption beyond the last bounded tier is charged at the last rate', () => {
+  close(tariffService.getTieredCost([{ upTo: 100, rate: 0.1 }, { upTo: 200, rate: 0.2 }], 250), 40);
+});
+
+test('the marginal rate moves to the next tier once a tier is used up', () => {
+  assert.equal(tariffService.getMarginalRate(TIERS, 99.9), 0.1);
+  assert.equal(tariffService.getMarginalRate(TIERS, 100), 0.2);
+  assert.equal(tariffService.getMarginalRate(TIERS, 300), 0.4);
+  assert.equal(tariffService.getMarginalRate([], 10), 0);
+});
+
+test('time-of-use periods include their start, not their end, also across midnight', () => {
+  const tariff = {
+    type: 'time_of_use',
+    rate: 0.25,
+    defaultPeriod: 'standard',
+    periods: [
+      { name: 'night', start: '23:00', end: '07:00', rate: 0.1 },
+      { name: 'peak', start: '17:00', end: '20:00', rate: 0.4, days: ['monday', 'tuesday', 'wednesday', 'thursday', 'friday'] },
+    ],
+  };
+  const at = iso => tariffService.getPeriod(tariff, new Date(iso), 'UTC').name;
+
+  assert.equal(at('2026-03-16T22:59:00Z'), 'standard');
+  assert.equal(at('2026-03-16T23:00:00Z'), 'night');
+  assert.equal(at('2026-03-17T00:00:00Z'), 'night');
+  assert.equal(at('2026-03-17T06:59:00Z'), 'night');
+  assert.equal(at('2026-03-17T07:00:00Z'), 'standard');
+  // Weekday-only periods do not apply at the weekend
+  assert.equal(at('2026-03-16T17:00:00Z'), 'peak');
+  assert.equal(at('2026-03-16T20:00:00Z'), 'standard');
+  assert.equal(at('2026-03-15T17:00:00Z'), 'standard');
+});
+
+test('time-of-use periods are read in the owner timezone', () => {
+  const tariff = { type: 'time_of_use', rate: 0.25, periods: [{ name: 'night', start: '23:00', end: '07:00', rate: 0.1 }] };
+
+  // 22:30 UTC is 23:30 in Berlin (winter) and 17:30 in New York
+  assert.deepEqual(tariffService.getPeriod(tariff, new Date('2026-01-15T22:30:00Z'), 'Europe/Berlin'), { name: 'night', rate: 0.1 });
+  assert.deepEqual(tariffService.getPeriod(tariff, new Date('2026-01-15T22:30:00Z'), 'America/New_York'), { name: 'standard', rate: 0.25 });
+});
+
+test('flat and tiered tariffs have a single period', () => {
+  assert.deepEqual(tariffService.getPeriod({ type: 'flat', rate: 0.3 }), { name: 'standard', rate: 0.3 });
+  assert.deepEqual(tariffService.getPeriod({ type: 'tiered', defaultPeriod: 'tiered', tiers: TIERS }), { name: 'tiered', rate: 0 });
+});
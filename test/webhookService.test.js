@@ -0,0 +1,128 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'node:crypto';
+import dns from 'node:dns';
+import http from 'node:http';
+import { once } from 'node:events';
+import mongoose from 'mongoose';
+
+process.env.JWT_SECRET ||= 'test-secret';
+
+// No database in tests: any query that is not stubbed fails instead of buffering
+mongoose.set('bufferCommands', false);
+
+const { default: config } = await import('../src/config/index.js');
+const { default: WebhookDelivery } = await import('../src/models/WebhookDelivery.js');
+const { default: webhookService } = await import('../src/services/webhookService.js');
+
+const source = { type: 'rule', id: new mongoose.Types.ObjectId(), actionId: 'notify' };
+const owner = new mongoose.Types.ObjectId();
+
+const useConfig = (t, overrides) => {
+  const original = { ...config.webhooks };
+  Object.assign(config.webhooks, overrides);
+  t.after(() => Object.assign(config.webhooks, original));
+};
+
+test('signs the body, retries on 5xx and records the delivery', async (t) => {
+  useConfig(t, { allowPrivateNetworks: true, retryDelay: 10 });
+  const create = t.mock.method(WebhookDelivery, 'create', async (doc) => doc);
+
+  const received = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      received.push({ headers: req.headers, body });
+      res.statusCode = received.length === 1 ? 503 : 200;
+      res.end(received.length === 1 ? 'unavailable' : 'ok');
+    });
+  });
+  server.listen(0, '127.0.0.1');
+  await once(server, 'listening');
+  t.after(() => server.close());
+
+  const delivery = await webhookService.deliver({
+    url: `http://127.0.0.1:${server.address().port}/hook`,
+    headers: { Authorization: 'Bearer hook-token' },
+    body: { device: '{{device.name}}' },
+    secret: 'hook-secret',
+    retries: 2,
+  }, {
+    source,
+    owner,
+    event: 'rule.triggered',
+    context: { device: { name: 'Porch Light' } },
+  });
+
+  assert.equal(received.length, 2);
+  for (const { headers, body } of received) {
+    const expected = crypto.createHmac('sha256', 'hook-secret')
+      .update(`${headers['x-smarthome-timestamp']}.${body}`)
+      .digest('hex');
+    assert.equal(headers['x-smarthome-signature'], `sha256=${expected}`);
+    assert.equal(headers.authorization, 'Bearer hook-token');
+    assert.deepEqual(JSON.parse(body), { device: 'Porch Light' });
+  }
+
+  assert.equal(create.mock.callCount(), 1);
+  assert.equal(delivery.status, 'success');
+  assert.equal(delivery.attempts, 2);
+  assert.equal(delivery.response.statusCode, 200);
+  assert.equal(delivery.error, null);
+  assert.equal(delivery.event, 'rule.triggered');
+  assert.equal(delivery.request.body, received[1].body);
+  assert.equal(delivery.request.headers['X-SmartHome-Delivery'], received[1].headers['x-smarthome-delivery']);
+  assert.equal(delivery.request.headers.Authorization, '[redacted]');
+  assert.equal(delivery.request.headers['X-SmartHome-Signature'], '[redacted]');
+});
+
+test('refuses internal addresses without retrying', async (t) => {
+  useConfig(t, { allowPrivateNetworks: false, retryDelay: 10 });
+  t.mock.method(WebhookDelivery, 'create', async (doc) => doc);
+
+  const delivery = await webhookService.deliver({
+    url: 'http://127.0.0.1:9/hook',
+    retries: 3,
+  }, {
+    source,
+    owner,
+    event: 'rule.triggered',
+  });
+
+  assert.equal(delivery.status, 'failed');
+  assert.equal(delivery.attempts, 1);
+  assert.equal(delivery.response, undefined);
+  assert.match(delivery.error, /^Webhook URL refused/);
+});
+
+test('connects to the address it checked instead of resolving the host again', async (t) => {
+  useConfig(t, { allowPrivateNetworks: false, retryDelay: 10 });
+  t.mock.method(WebhookDelivery, 'create', async (doc) => doc);
+
+  const server = http.createServer((req, res) => res.end('ok'));
+  server.listen(0, '127.0.0.1');
+  await once(server, 'listening');
+  t.after(() => server.close());
+
+  // The check sees an allowed address once; any later lookup would fail
+  const lookup = t.mock.method(dns.promises, 'lookup', async () => {
+    if (lookup.mock.callCount() > 0) {
+      throw new Error('resolved twice');
+    }
+    return [{ address: '127.0.0.1', family: 4 }];
+  });
+  t.mock.method(webhookService, '_isBlockedAddress', () => false);
+
+  const delivery = await webhookService.deliver({
+    url: `http://hooks.example.test:${server.address().port}/hook`,
+  }, {
+    source,
+    owner,
+    event: 'rule.triggered',
+  });
+
+  assert.equal(delivery.status, 'success');
+  assert.equal(delivery.response.statusCode, 200);
+  assert.equal(lookup.mock.callCount(), 1);
+});